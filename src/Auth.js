@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+
+// Supported JWT algorithms and their HMAC digests
+const JWT_ALGORITHMS = {
+  HS256: 'sha256',
+  HS384: 'sha384',
+  HS512: 'sha512'
+};
+
+const ANONYMOUS = Object.freeze({
+  type: 'anonymous',
+  tenantId: null,
+  userId: null,
+  keyId: null
+});
+
+/**
+ * Auth - API key and JWT bearer token authentication
+ *
+ * Resolves request credentials into a principal:
+ *   { type: 'api_key' | 'jwt' | 'anonymous', tenantId, userId, keyId, admin?, claims? }
+ */
+class Auth {
+  constructor(options = {}) {
+    const apiKeys = options.apiKeys || [];
+
+    this.config = {
+      // Static API keys: strings or { key, tenantId, userId, name, quota, admin }
+      apiKeys,
+
+      // JWT verification: { secret, algorithms, issuer, audience, tenantClaim, userClaim, adminClaim, clockTolerance }
+      jwt: options.jwt || null,
+
+      // Paths that never require credentials
+      publicPaths: options.publicPaths || ['/health'],
+
+      ...options
+    };
+
+    // Auth is on when explicitly enabled or when any credentials are configured
+    this.enabled = options.enabled ?? (apiKeys.length > 0 || !!this.config.jwt);
+
+    if (this.config.jwt && !this.config.jwt.secret) {
+      throw new Error('auth.jwt.secret is required for JWT authentication');
+    }
+
+    // Index API keys by hash so lookups don't compare raw secrets
+    this.apiKeys = new Map();
+    for (const entry of apiKeys) {
+      const apiKey = typeof entry === 'string' ? { key: entry } : entry;
+      const hash = this._hashKey(apiKey.key);
+
+      this.apiKeys.set(hash, {
+        type: 'api_key',
+        keyId: apiKey.name || `key_${hash.slice(0, 12)}`,
+        tenantId: apiKey.tenantId ?? null,
+        userId: apiKey.userId ?? apiKey.name ?? `key_${hash.slice(0, 12)}`,
+        ...(apiKey.quota && { quota: apiKey.quota }),
+        ...(apiKey.admin && { admin: true })
+      });
+    }
+  }
+
+  /**
+   * Authenticate an incoming HTTP or WebSocket upgrade request
+   * @param {Object} req - Node/Express request
+   * @returns {Object} - { authenticated: boolean, principal?: Object, reason?: string, code?: string }
+   */
+  authenticate(req) {
+    if (!this.enabled) {
+      return { authenticated: true, principal: ANONYMOUS };
+    }
+
+    const credential = this._extractCredential(req);
+    if (!credential) {
+      return {
+        authenticated: false,
+        reason: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      };
+    }
+
+    // JWTs have three dot-separated segments, anything else is an API key
+    if (this.config.jwt && credential.split('.').length === 3) {
+      return this.verifyToken(credential);
+    }
+
+    const principal = this.apiKeys.get(this._hashKey(credential));
+    if (!principal) {
+      return {
+        authenticated: false,
+        reason: 'Invalid API key',
+        code: 'INVALID_API_KEY'
+      };
+    }
+
+    return { authenticated: true, principal };
+  }
+
+  /**
+   * Verify an HMAC-signed JWT
+   * @param {string} token - Encoded JWT
+   * @returns {Object} - { authenticated: boolean, principal?: Object, reason?: string, code?: string }
+   */
+  verifyToken(token) {
+    const jwt = this.config.jwt;
+    const invalid = (reason, code = 'INVALID_TOKEN') => ({ authenticated: false, reason, code });
+
+    const [encodedHeader, encodedPayload, signature] = token.split('.');
+    let header;
+    let claims;
+
+    try {
+      header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return invalid('Malformed token');
+    }
+
+    const allowed = jwt.algorithms || ['HS256'];
+    if (!header || !allowed.includes(header.alg) || !JWT_ALGORITHMS[header.alg]) {
+      return invalid('Unsupported token algorithm');
+    }
+
+    const expected = crypto
+      .createHmac(JWT_ALGORITHMS[header.alg], jwt.secret)
+      .update(`${encodedHeader}.${encodedPayload}`)
+      .digest();
+    const actual = Buffer.from(signature || '', 'base64url');
+
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return invalid('Invalid token signature');
+    }
+
+    if (!claims || typeof claims !== 'object') {
+      return invalid('Malformed token');
+    }
+
+    // A non-numeric exp or nbf would never compare as expired
+    for (const claim of ['exp', 'nbf']) {
+      if (claims[claim] !== undefined && !Number.isFinite(claims[claim])) {
+        return invalid(`Invalid ${claim} claim`);
+      }
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const tolerance = jwt.clockTolerance || 0;
+
+    if (claims.exp !== undefined && now > claims.exp + tolerance) {
+      return invalid('Token expired', 'TOKEN_EXPIRED');
+    }
+    if (claims.nbf !== undefined && now < claims.nbf - tolerance) {
+      return invalid('Token not yet valid');
+    }
+    if (jwt.issuer && claims.iss !== jwt.issuer) {
+      return invalid('Invalid token issuer');
+    }
+    if (jwt.audience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(jwt.audience)) {
+        return invalid('Invalid token audience');
+      }
+    }
+
+    const userId = claims[jwt.userClaim || 'sub'];
+    if (!userId) {
+      return invalid('Token has no user id');
+    }
+
+    return {
+      authenticated: true,
+      principal: {
+        type: 'jwt',
+        tenantId: claims[jwt.tenantClaim || 'tenant_id'] ?? null,
+        userId: String(userId),
+        keyId: null,
+        ...(claims[jwt.adminClaim || 'admin'] === true && { admin: true }),
+        claims
+      }
+    };
+  }
+
+  /**
+   * Check if a path is accessible without credentials
+   */
+  isPublicPath(path) {
+    return this.config.publicPaths.includes(path);
+  }
+
+  /**
+   * Check if a principal owns a conversation
+   * @param {Object} conversation - Conversation with tenantId/userId
+   * @param {Object} principal - Authenticated principal
+   */
+  canAccess(conversation, principal) {
+    if (!this.enabled) return true;
+
+    return conversation.tenantId === principal.tenantId &&
+      conversation.userId === principal.userId;
+  }
+
+  /**
+   * Check if a principal may use admin routes: API keys with `admin: true`
+   * and JWTs whose admin claim is true. Without auth everyone is an admin.
+   * @param {Object} principal - Authenticated principal
+   */
+  isAdmin(principal) {
+    if (!this.enabled) return true;
+
+    return !!(principal && principal.admin);
+  }
+
+  /**
+   * Store list filter that limits results to a principal's conversations
+   * @param {Object} principal - Authenticated principal
+   * @returns {Object} - Filter for ConversationStore#list
+   */
+  ownerFilter(principal) {
+    if (!this.enabled) return {};
+
+    return { tenantId: principal.tenantId, userId: principal.userId };
+  }
+
+  /**
+   * Sign a JWT with the configured secret (useful for tests and token issuing)
+   * @param {Object} claims - Token claims
+   * @param {string} algorithm - HS256, HS384 or HS512
+   * @returns {string} - Encoded JWT
+   */
+  signToken(claims, algorithm = 'HS256') {
+    if (!this.config.jwt) {
+      throw new Error('JWT authentication is not configured');
+    }
+    if (!JWT_ALGORITHMS[algorithm]) {
+      throw new Error(`Unsupported token algorithm: ${algorithm}`);
+    }
+
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const body = `${encode({ alg: algorithm, typ: 'JWT' })}.${encode(claims)}`;
+    const signature = crypto
+      .createHmac(JWT_ALGORITHMS[algorithm], this.config.jwt.secret)
+      .update(body)
+      .digest('base64url');
+
+    return `${body}.${signature}`;
+  }
+
+  /**
+   * Read the credential from headers or (for WebSocket upgrades) the query string
+   * @private
+   */
+  _extractCredential(req) {
+    const authorization = req.headers.authorization;
+    if (authorization && /^Bearer\s+/i.test(authorization)) {
+      return authorization.replace(/^Bearer\s+/i, '').trim();
+    }
+
+    if (req.headers['x-api-key']) {
+      return String(req.headers['x-api-key']).trim();
+    }
+
+    // Browsers cannot set headers on WebSocket connections
+    if (String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+      return null;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('token') || url.searchParams.get('api_key');
+  }
+
+  /**
+   * Hash an API key for lookup
+   * @private
+   */
+  _hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+}
+
+Auth.ANONYMOUS = ANONYMOUS;
+
+module.exports = Auth;
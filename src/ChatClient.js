@@ -1,150 +1,869 @@
-const Groq = require('groq-sdk');
+const { createProvider } = require('./providers');
+const Tracer = require('./telemetry/Tracer');
+const Logger = require('./Logger');
+const { validate } = require('./api/validate');
+
+// Statuses worth retrying: rate limits, capacity and transient server errors
+const RETRYABLE_STATUSES = [408, 409, 429, 498, 500, 502, 503, 504];
+
+const DEFAULT_RETRY = {
+  maxRetries: 2,
+  baseDelay: 500,
+  maxDelay: 8000,
+  // Retry-After values above this skip straight to the next fallback model
+  maxRetryAfter: 30000
+};
+
+// Generation speed buckets in completion tokens per second
+const TOKEN_RATE_BUCKETS = [5, 10, 25, 50, 100, 200, 400, 800, 1600];
+
+// A JSON reply wrapped in a Markdown code fence
+const CODE_FENCE = /^```(?:json)?\s*([\s\S]*?)\s*```$/i;
 
 /**
- * ChatClient - Wrapper for Groq API interactions
+ * ChatClient - Wrapper for LLM API interactions (Groq by default)
  */
 class ChatClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Groq API key (required for the 'groq' provider)
+   * @param {string|Object} options.provider - Default provider: a name from `providers`,
+   *   'groq', 'openai', 'mock', { type, ...options } or a Provider instance
+   * @param {Object} options.providers - Named providers selectable per request
+   * @param {Metrics} options.metrics - Registry for model call metrics
+   * @param {Tracer} options.tracer - Tracer for a span around every model call
+   * @param {Logger} options.logger - Logger for failed attempts and finished calls
+   * @param {number} options.maxRepairs - Re-prompts for replies not matching a responseSchema (default: 2)
+   */
   constructor(options = {}) {
-    if (!options.apiKey) {
-      throw new Error('Groq API key is required');
+    this.providers = new Map();
+    for (const [name, definition] of Object.entries(options.providers || {})) {
+      this.providers.set(name, createProvider(definition, { apiKey: options.apiKey }));
     }
 
-    this.groq = new Groq({
-      apiKey: options.apiKey
-    });
+    const provider = options.provider || 'groq';
+    if (typeof provider === 'string') {
+      if (!this.providers.has(provider)) {
+        this.providers.set(provider, createProvider(provider, { apiKey: options.apiKey }));
+      }
+      this.defaultProvider = provider;
+    } else {
+      const instance = createProvider(provider, { apiKey: options.apiKey });
+      this.defaultProvider = instance.name || 'default';
+      this.providers.set(this.defaultProvider, instance);
+    }
 
     this.model = options.model || 'llama-3.3-70b-versatile';
     this.temperature = options.temperature ?? 0.7;
     this.maxTokens = options.maxTokens || 2048;
     this.systemPrompt = options.systemPrompt || 'You are a helpful assistant.';
+
+    // Resilience settings
+    this.timeout = options.timeout ?? 60000;
+    this.retry = { ...DEFAULT_RETRY, ...options.retry };
+    this.fallbackModels = options.fallbackModels || [];
+
+    // Structured output
+    this.maxRepairs = options.maxRepairs ?? 2;
+
+    // Observability
+    this.tracer = options.tracer || Tracer.NOOP;
+    this.logger = (options.logger || new Logger()).child({ component: 'client' });
+    this.instruments = options.metrics ? this._createInstruments(options.metrics) : null;
   }
 
   /**
-   * Send a message and get a response
+   * Send a message and get a response. The client's model, temperature,
+   * token limit and system prompt are defaults: requests override them
+   * through options instead of changing the client, so concurrent requests
+   * can't see each other's settings.
    * @param {Array} messages - Array of message objects with role and content
    * @param {Object} options - Override options for this specific request
-   * @returns {Promise<Object>} - The response from Groq
+   * @param {string} options.model - Model to use
+   * @param {number} options.temperature - Sampling temperature
+   * @param {number} options.maxTokens - Max response tokens
+   * @param {string} options.systemPrompt - System prompt added when messages have none
+   * @param {Object} options.extra - Other request parameters sent as-is (top_p, stop, seed, ...)
+   * @param {Array} options.tools - Tool definitions the model may call
+   * @param {string|Object} options.toolChoice - 'auto', 'none' or a specific tool
+   * @param {number} options.timeout - Request timeout in ms
+   * @param {Array} options.fallbackModels - Models to try when the model is out of capacity
+   * @param {string} options.provider - Name of the provider to use
+   * @param {AbortSignal} options.signal - Cancels the request (result has `cancelled: true`)
+   * @param {Object} options.responseSchema - JSON Schema the reply must match, see _structuredChat
+   * @param {number} options.maxRepairs - Re-prompts when the reply doesn't match responseSchema
+   * @returns {Promise<Object>} - The response from the provider, with the parsed reply as `data`
+   *   when responseSchema is set
+   */
+  chat(messages, options = {}) {
+    if (options.responseSchema) {
+      return this._structuredChat(messages, options);
+    }
+    return this._instrument('chat', options, () => this._chat(messages, options));
+  }
+
+  /**
+   * Parse a JSON reply and check it against a schema. Replies wrapped in a
+   * Markdown code fence are accepted.
+   * @param {string} content - Reply text
+   * @param {Object} schema - JSON Schema (the subset validate() supports)
+   * @returns {Object} - { data, problems }: data is undefined if the text is not JSON,
+   *   problems is empty if it matches the schema
    */
-  async chat(messages, options = {}) {
-    const formattedMessages = this._formatMessages(messages);
+  static parseStructured(content, schema) {
+    const text = String(content ?? '').trim();
+    const fenced = text.match(CODE_FENCE);
 
+    let data;
     try {
-      const response = await this.groq.chat.completions.create({
-        model: options.model || this.model,
-        messages: formattedMessages,
-        temperature: options.temperature ?? this.temperature,
-        max_tokens: options.maxTokens || this.maxTokens,
-        ...options.extra
+      data = JSON.parse(fenced ? fenced[1] : text);
+    } catch (error) {
+      return { data: undefined, problems: [{ path: '', message: `is not valid JSON (${error.message})` }] };
+    }
+
+    return { data, problems: validate(schema, data) };
+  }
+
+  /**
+   * Resolve per-request options against the client defaults, for requests
+   * that make several calls or need to know the settings they run with.
+   * The context is frozen, so the calls of one request share it safely.
+   * @param {Object} options - Per-request options (see chat)
+   * @returns {Object} - The options with provider, model, temperature, maxTokens and systemPrompt set
+   */
+  requestContext(options = {}) {
+    return Object.freeze({
+      ...options,
+      provider: options.provider || this.defaultProvider,
+      model: options.model || this.model,
+      temperature: options.temperature ?? this.temperature,
+      maxTokens: options.maxTokens || this.maxTokens,
+      systemPrompt: options.systemPrompt || this.systemPrompt,
+      ...(options.extra && { extra: Object.freeze({ ...options.extra }) })
+    });
+  }
+
+  /**
+   * Stream a chat response
+   * @param {Array} messages - Array of message objects
+   * @param {Function} onChunk - Callback for each chunk
+   * @param {Object} options - Override options (see chat)
+   * @returns {Promise<Object>} - Final response summary
+   */
+  streamChat(messages, onChunk, options = {}) {
+    return this._instrument('stream', options, (timing) => this._streamChat(messages, onChunk, options, timing));
+  }
+
+  /**
+   * Ask for a JSON reply matching options.responseSchema. JSON mode is
+   * turned on and the schema is added to the system prompt. A reply that
+   * doesn't parse or match is sent back with its problems, up to
+   * `maxRepairs` times; the repair turns are not part of the result.
+   * @private
+   * @returns {Promise<Object>} - Result with `data` and `repairs`, or a failure with code
+   *   SCHEMA_REPAIR_FAILED, the last reply and the problems. `usage` covers every call.
+   */
+  async _structuredChat(messages, options) {
+    const { responseSchema, maxRepairs = this.maxRepairs, ...rest } = options;
+    const instruction = `Reply with only a JSON object matching this JSON Schema:\n${JSON.stringify(responseSchema)}`;
+    const callOptions = {
+      ...rest,
+      extra: { ...rest.extra, response_format: { type: 'json_object' } }
+    };
+
+    // The instruction goes with the system prompt the request already has
+    let prompt;
+    if (messages.some(m => m.role === 'system')) {
+      let added = false;
+      prompt = messages.map(m => {
+        if (m.role !== 'system' || added) return m;
+        added = true;
+        return { ...m, content: `${m.content}\n\n${instruction}` };
       });
+    } else {
+      prompt = [...messages];
+      callOptions.systemPrompt = `${rest.systemPrompt || this.systemPrompt}\n\n${instruction}`;
+    }
+
+    let usage = null;
+    for (let repairs = 0; ; repairs++) {
+      const result = await this._instrument('chat', callOptions, () => this._chat(prompt, callOptions));
+      usage = addUsage(usage, result.usage);
+
+      // Tool calls are answered before the reply is checked
+      if (!result.success || (result.message.tool_calls && result.message.tool_calls.length > 0)) {
+        return { ...result, usage };
+      }
+
+      const { data, problems } = ChatClient.parseStructured(result.message.content, responseSchema);
+      if (problems.length === 0) {
+        return { ...result, usage, data, repairs };
+      }
+
+      if (repairs >= maxRepairs) {
+        this.logger.warn('Reply does not match the response schema', { repairs, problems: problems.length });
+        return {
+          success: false,
+          message: result.message,
+          model: result.model,
+          provider: result.provider,
+          usage,
+          repairs,
+          error: {
+            message: `Reply does not match the response schema after ${repairs} repair${repairs === 1 ? '' : 's'}`,
+            code: 'SCHEMA_REPAIR_FAILED',
+            problems
+          }
+        };
+      }
+
+      prompt = [
+        ...prompt,
+        { role: 'assistant', content: result.message.content },
+        {
+          role: 'user',
+          content: 'Your reply does not match the JSON Schema:\n' +
+            problems.map(p => `- ${p.path || 'reply'} ${p.message}`).join('\n') +
+            '\nReply again with only the corrected JSON.'
+        }
+      ];
+    }
+  }
+
+  /**
+   * Send a request and wait for the complete response
+   * @private
+   */
+  async _chat(messages, options) {
+    const params = this._requestParams(messages, options);
+
+    try {
+      const provider = this.getProvider(options.provider);
+      const { value: response, model, attempts } = await this._withRetry(
+        params.model,
+        options,
+        (model, signal) => provider.complete({ ...params, model }, { signal })
+      );
 
       return {
         success: true,
         message: response.choices[0].message,
+        finishReason: response.choices[0].finish_reason,
         usage: response.usage,
         id: response.id,
-        model: response.model
+        model: response.model || model,
+        provider: options.provider || this.defaultProvider,
+        attempts
       };
     } catch (error) {
       return {
         success: false,
-        error: {
-          message: error.message,
-          code: error.code || 'UNKNOWN_ERROR',
-          status: error.status
-        }
+        ...(error.code === 'CANCELLED' && { cancelled: true }),
+        error: this._formatError(error)
       };
     }
   }
 
   /**
-   * Stream a chat response
-   * @param {Array} messages - Array of message objects
-   * @param {Function} onChunk - Callback for each chunk
-   * @param {Object} options - Override options
-   * @returns {Promise<Object>} - Final response summary
+   * Send a streaming request, passing each chunk to onChunk
+   * @private
+   * @param {Object} timing - Gets `firstTokenAt` set when the first content arrives
    */
-  async streamChat(messages, onChunk, options = {}) {
-    const formattedMessages = this._formatMessages(messages);
+  async _streamChat(messages, onChunk, options, timing = {}) {
+    const params = { ...this._requestParams(messages, options), stream: true };
+    let deadline = null;
+    let opened = null;
+    let model = params.model;
+    let fullContent = '';
 
     try {
-      const stream = await this.groq.chat.completions.create({
-        model: options.model || this.model,
-        messages: formattedMessages,
-        temperature: options.temperature ?? this.temperature,
-        max_tokens: options.maxTokens || this.maxTokens,
-        stream: true,
-        ...options.extra
-      });
+      const provider = this.getProvider(options.provider);
 
-      let fullContent = '';
+      // Open the stream and wait for the first chunk inside the retry loop,
+      // so streams that fail before producing anything are retried too
+      const started = await this._withRetry(
+        params.model,
+        options,
+        async (attemptModel, signal, attemptDeadline) => {
+          const stream = await provider.complete({ ...params, model: attemptModel }, { signal });
+          const iterator = stream[Symbol.asyncIterator]();
+          const first = await iterator.next();
+          deadline = attemptDeadline;
+          deadline.hold();
+          return { iterator, first };
+        }
+      );
+
+      opened = started.value;
+      model = started.model;
+      const attempts = started.attempts;
+      let finishReason = null;
+      let usage;
+      const toolCalls = [];
+
+      for (let next = opened.first; !next.done; next = await opened.iterator.next()) {
+        if (options.signal && options.signal.aborted) {
+          throw this._cancelledError();
+        }
 
-      for await (const chunk of stream) {
-        const content = chunk.choices[0]?.delta?.content || '';
+        // The timeout applies to the gap between chunks from here on
+        deadline.reset();
+
+        const chunk = next.value;
+        // Usage arrives on the last chunk (Groq reports it under x_groq)
+        if (chunk.usage || chunk.x_groq?.usage) {
+          usage = chunk.usage || chunk.x_groq.usage;
+        }
+
+        const delta = chunk.choices[0]?.delta || {};
+        if (chunk.choices[0]?.finish_reason) {
+          finishReason = chunk.choices[0].finish_reason;
+        }
+        const content = delta.content || '';
         if (content) {
+          if (!timing.firstTokenAt) timing.firstTokenAt = Date.now();
           fullContent += content;
           onChunk({
             content,
-            done: false
+            done: false,
+            model
           });
         }
+
+        // Tool call arguments arrive in pieces, keyed by index
+        for (const part of delta.tool_calls || []) {
+          const index = part.index ?? toolCalls.length;
+          if (!toolCalls[index]) {
+            toolCalls[index] = {
+              id: part.id,
+              type: part.type || 'function',
+              function: { name: '', arguments: '' }
+            };
+          }
+          const toolCall = toolCalls[index];
+          if (part.id) toolCall.id = part.id;
+          if (part.function?.name) toolCall.function.name += part.function.name;
+          if (part.function?.arguments) toolCall.function.arguments += part.function.arguments;
+        }
+      }
+
+      const message = {
+        role: 'assistant',
+        content: fullContent
+      };
+
+      if (toolCalls.length > 0) {
+        message.tool_calls = toolCalls.filter(Boolean);
       }
 
+      deadline.release();
+
       onChunk({
         content: '',
         done: true,
-        fullContent
+        fullContent,
+        model,
+        ...(usage && { usage }),
+        ...(message.tool_calls && { toolCalls: message.tool_calls })
       });
 
       return {
         success: true,
-        message: {
-          role: 'assistant',
-          content: fullContent
-        }
+        message,
+        finishReason,
+        usage,
+        model,
+        provider: options.provider || this.defaultProvider,
+        attempts
       };
     } catch (error) {
+      if (deadline) deadline.release();
+
+      // Cancelled by the caller: stop the upstream stream and report what was generated so far
+      if (options.signal && options.signal.aborted) {
+        if (opened && opened.iterator.return) {
+          opened.iterator.return().catch(() => {});
+        }
+
+        onChunk({
+          content: '',
+          done: true,
+          cancelled: true,
+          fullContent,
+          model
+        });
+
+        return {
+          success: false,
+          cancelled: true,
+          message: {
+            role: 'assistant',
+            content: fullContent
+          },
+          model,
+          error: this._formatError(this._cancelledError())
+        };
+      }
+
+      const formatted = this._formatError(
+        deadline && deadline.timedOut ? this._timeoutError(deadline.timeout) : error
+      );
+
       onChunk({
         content: '',
         done: true,
-        error: error.message
+        error: formatted.message
       });
 
       return {
         success: false,
-        error: {
-          message: error.message,
-          code: error.code || 'UNKNOWN_ERROR'
+        error: formatted
+      };
+    }
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name (default provider if omitted)
+   * @returns {Provider}
+   */
+  getProvider(name) {
+    const provider = this.providers.get(name || this.defaultProvider);
+    if (!provider) {
+      throw Object.assign(new Error(`Unknown provider: ${name}`), { code: 'UNKNOWN_PROVIDER', status: 400 });
+    }
+    return provider;
+  }
+
+  /**
+   * Check if a provider name is registered
+   * @param {string} name - Provider name
+   */
+  hasProvider(name) {
+    return this.providers.has(name);
+  }
+
+  /**
+   * Register a named provider
+   * @param {string} name - Provider name
+   * @param {string|Object} definition - Provider definition or instance
+   */
+  addProvider(name, definition) {
+    this.providers.set(name, createProvider(definition));
+    return this;
+  }
+
+  /**
+   * Build the request body shared by chat and streamChat
+   * @private
+   */
+  _requestParams(messages, options) {
+    return {
+      model: options.model || this.model,
+      messages: this._formatMessages(messages, options.systemPrompt || this.systemPrompt),
+      temperature: options.temperature ?? this.temperature,
+      max_tokens: options.maxTokens || this.maxTokens,
+      ...this._toolParams(options),
+      ...options.extra
+    };
+  }
+
+  /**
+   * Run a request with timeout, retries and model fallback.
+   * The attempt function receives (model, signal, deadline). The timeout is
+   * cleared and the caller's signal detached when the attempt settles;
+   * attempts that keep using the signal (streams) call deadline.hold(), re-arm
+   * the timeout with deadline.reset() and detach with deadline.release().
+   * @private
+   * @returns {Promise<Object>} - { value, model, attempts }
+   */
+  async _withRetry(model, options, attempt) {
+    const timeout = options.timeout ?? this.timeout;
+    const retry = { ...this.retry, ...options.retry };
+    const fallbacks = options.fallbackModels || this.fallbackModels;
+    const models = [model, ...fallbacks.filter(m => m !== model)];
+
+    const signal = options.signal;
+
+    let attempts = 0;
+    let lastError;
+
+    for (const current of models) {
+      for (let retryCount = 0; retryCount <= retry.maxRetries; retryCount++) {
+        if (signal && signal.aborted) {
+          throw this._cancelledError();
         }
+
+        attempts++;
+
+        const controller = new AbortController();
+        const deadline = this._createDeadline(controller, timeout, signal);
+        deadline.reset();
+
+        try {
+          const value = await attempt(current, controller.signal, deadline);
+          this._countUpstream(options, current, 'ok');
+          return { value, model: current, attempts };
+        } catch (error) {
+          deadline.release();
+
+          if (signal && signal.aborted) {
+            throw this._cancelledError();
+          }
+
+          lastError = deadline.timedOut ? this._timeoutError(timeout) : error;
+          lastError.model = current;
+          lastError.attempts = attempts;
+          this._countUpstream(options, current, lastError.status ?? lastError.code ?? 'error', lastError);
+
+          if (!this._isRetryable(lastError)) {
+            throw lastError;
+          }
+
+          const delay = this._retryDelay(retryCount, lastError, retry);
+          if (retryCount === retry.maxRetries || delay === null) {
+            break;
+          }
+
+          await this._sleep(delay, signal);
+        } finally {
+          if (!deadline.held) deadline.release();
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Register the model call metrics
+   * @private
+   */
+  _createInstruments(metrics) {
+    return {
+      upstreamRequests: metrics.counter(
+        'llm_upstream_requests_total',
+        'Requests to model providers, including retries, by response status',
+        ['provider', 'model', 'status']
+      ),
+      duration: metrics.histogram(
+        'llm_request_duration_seconds',
+        'Duration of model calls, including retries and fallbacks',
+        ['provider', 'model', 'operation', 'outcome']
+      ),
+      timeToFirstToken: metrics.histogram(
+        'llm_time_to_first_token_seconds',
+        'Time from the start of a streamed model call to its first content',
+        ['provider', 'model']
+      ),
+      tokensPerSecond: metrics.histogram(
+        'llm_tokens_per_second',
+        'Completion tokens generated per second',
+        ['provider', 'model'],
+        TOKEN_RATE_BUCKETS
+      ),
+      tokens: metrics.counter(
+        'llm_tokens_total',
+        'Tokens used by model calls',
+        ['provider', 'model', 'type']
+      )
+    };
+  }
+
+  /**
+   * Run a model call in a client span and record its metrics
+   * @private
+   * @param {string} operation - 'chat' or 'stream'
+   * @param {Object} options - Request options
+   * @param {Function} run - Makes the call, receives the `timing` of a stream
+   */
+  _instrument(operation, options, run) {
+    const provider = options.provider || this.defaultProvider;
+    const requestModel = options.model || this.model;
+    const timing = { startedAt: Date.now(), firstTokenAt: null };
+
+    return this.tracer.trace(`chat ${requestModel}`, {
+      kind: 'client',
+      attributes: {
+        'gen_ai.operation.name': 'chat',
+        'gen_ai.system': provider,
+        'gen_ai.request.model': requestModel,
+        'llm.stream': operation === 'stream'
+      }
+    }, async (span) => {
+      const result = await run(timing);
+      const endedAt = Date.now();
+      const model = result.model || requestModel;
+      const usage = result.usage || {};
+
+      span.setAttributes({
+        'gen_ai.response.model': result.model,
+        'gen_ai.response.finish_reasons': result.finishReason ? [result.finishReason] : undefined,
+        'gen_ai.usage.input_tokens': usage.prompt_tokens,
+        'gen_ai.usage.output_tokens': usage.completion_tokens,
+        'llm.attempts': result.attempts ?? result.error?.attempts
+      });
+      if (timing.firstTokenAt) {
+        span.setAttribute('llm.time_to_first_token_ms', timing.firstTokenAt - timing.startedAt);
+      }
+      this.logger.debug('Model call finished', {
+        provider,
+        model,
+        operation,
+        outcome: result.success ? 'success' : (result.cancelled ? 'cancelled' : 'error'),
+        durationMs: endedAt - timing.startedAt,
+        promptTokens: usage.prompt_tokens,
+        completionTokens: usage.completion_tokens
+      });
+
+      if (result.cancelled) {
+        span.setAttribute('llm.cancelled', true);
+      } else if (!result.success) {
+        span.recordError(result.error);
+      }
+
+      if (this.instruments) {
+        const labels = { provider, model };
+        const outcome = result.success ? 'success' : (result.cancelled ? 'cancelled' : 'error');
+
+        this.instruments.duration.observe({ ...labels, operation, outcome }, (endedAt - timing.startedAt) / 1000);
+
+        if (timing.firstTokenAt) {
+          this.instruments.timeToFirstToken.observe(labels, (timing.firstTokenAt - timing.startedAt) / 1000);
+        }
+
+        if (usage.prompt_tokens) this.instruments.tokens.inc({ ...labels, type: 'prompt' }, usage.prompt_tokens);
+        if (usage.completion_tokens) {
+          this.instruments.tokens.inc({ ...labels, type: 'completion' }, usage.completion_tokens);
+
+          // Streams are timed from the first token, so the rate doesn't include queueing
+          const seconds = (endedAt - (timing.firstTokenAt || timing.startedAt)) / 1000;
+          if (result.success && seconds > 0) {
+            this.instruments.tokensPerSecond.observe(labels, usage.completion_tokens / seconds);
+          }
+        }
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Count a request to a provider, and note failed attempts on the active span
+   * @private
+   */
+  _countUpstream(options, model, status, error = null) {
+    const provider = options.provider || this.defaultProvider;
+
+    if (this.instruments) {
+      this.instruments.upstreamRequests.inc({ provider, model, status });
+    }
+
+    if (error) {
+      this.logger.warn('Model request failed', { provider, model, status, attempt: error.attempts, error: error.message });
+
+      const span = this.tracer.activeSpan();
+      if (span) {
+        span.addEvent('attempt_failed', { 'llm.model': model, 'llm.status': String(status), 'llm.error': error.message });
+      }
+    }
+  }
+
+  /**
+   * Wait between retries, waking up early if the request is cancelled
+   * @private
+   */
+  _sleep(ms, signal) {
+    return new Promise(resolve => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
       };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Create a resettable timeout that aborts a controller, which the
+   * caller's signal aborts too until the deadline is released
+   * @private
+   */
+  _createDeadline(controller, timeout, signal) {
+    let handle = null;
+
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    const deadline = {
+      timeout,
+      timedOut: false,
+      held: false,
+      reset() {
+        clearTimeout(handle);
+        if (timeout > 0) {
+          handle = setTimeout(() => {
+            deadline.timedOut = true;
+            controller.abort();
+          }, timeout);
+        }
+      },
+      clear() {
+        clearTimeout(handle);
+      },
+      hold() {
+        deadline.held = true;
+      },
+      release() {
+        clearTimeout(handle);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      }
+    };
+
+    return deadline;
+  }
+
+  /**
+   * Check if an error is transient (rate limit, capacity, server error, timeout)
+   * @private
+   */
+  _isRetryable(error) {
+    if (error.code === 'TIMEOUT') return true;
+    // Connection errors have no status
+    if (error.status === undefined) {
+      return error.name !== 'APIUserAbortError' && error.name !== 'AbortError';
+    }
+    return RETRYABLE_STATUSES.includes(error.status);
+  }
+
+  /**
+   * Delay before the next retry: Retry-After if present, otherwise
+   * exponential backoff with full jitter. Returns null to stop retrying this model.
+   * @private
+   */
+  _retryDelay(retryCount, error, retry) {
+    const retryAfter = this._retryAfter(error);
+
+    if (retryAfter !== null) {
+      return retryAfter > retry.maxRetryAfter ? null : retryAfter;
     }
+
+    const backoff = Math.min(retry.maxDelay, retry.baseDelay * 2 ** retryCount);
+    return Math.round(Math.random() * backoff);
+  }
+
+  /**
+   * Read retry-after-ms / retry-after from an error response, in ms
+   * @private
+   */
+  _retryAfter(error) {
+    const headers = error.headers;
+    if (!headers) return null;
+
+    const get = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+    const ms = parseFloat(get('retry-after-ms'));
+    if (!Number.isNaN(ms)) return ms;
+
+    const value = get('retry-after');
+    if (!value) return null;
+
+    const seconds = parseFloat(value);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Build the error thrown when a request times out
+   * @private
+   */
+  _timeoutError(timeout) {
+    const error = new Error(`Request timed out after ${timeout}ms`);
+    error.code = 'TIMEOUT';
+    error.status = 504;
+    return error;
+  }
+
+  /**
+   * Build the error thrown when the caller cancels a request
+   * @private
+   */
+  _cancelledError() {
+    const error = new Error('Request cancelled');
+    error.code = 'CANCELLED';
+    error.status = 499;
+    return error;
+  }
+
+  /**
+   * Convert an error into the error object returned to callers
+   * @private
+   */
+  _formatError(error) {
+    return {
+      message: error.message,
+      code: error.code || error.error?.error?.code || 'UNKNOWN_ERROR',
+      status: error.status,
+      model: error.model,
+      attempts: error.attempts
+    };
   }
 
   /**
    * Format messages with system prompt
    * @private
    */
-  _formatMessages(messages) {
+  _formatMessages(messages, systemPrompt) {
     const formatted = [];
 
     // Add system prompt if not already present
     if (!messages.some(m => m.role === 'system')) {
       formatted.push({
         role: 'system',
-        content: this.systemPrompt
+        content: systemPrompt
       });
     }
 
     // Add all messages
     for (const msg of messages) {
-      formatted.push({
+      const message = {
         role: msg.role,
         content: msg.content
-      });
+      };
+
+      // Keep tool call metadata so tool turns survive the round trip
+      if (msg.tool_calls) message.tool_calls = msg.tool_calls;
+      if (msg.tool_call_id) message.tool_call_id = msg.tool_call_id;
+      if (msg.name) message.name = msg.name;
+
+      formatted.push(message);
     }
 
     return formatted;
   }
 
+  /**
+   * Build tool-related request parameters
+   * @private
+   */
+  _toolParams(options) {
+    if (!options.tools || options.tools.length === 0) {
+      return {};
+    }
+
+    return {
+      tools: options.tools,
+      tool_choice: options.toolChoice || 'auto'
+    };
+  }
+
   /**
    * Update configuration
    */
@@ -153,7 +872,25 @@ class ChatClient {
     if (options.temperature !== undefined) this.temperature = options.temperature;
     if (options.maxTokens) this.maxTokens = options.maxTokens;
     if (options.systemPrompt) this.systemPrompt = options.systemPrompt;
+    if (options.timeout !== undefined) this.timeout = options.timeout;
+    if (options.retry) this.retry = { ...this.retry, ...options.retry };
+    if (options.fallbackModels) this.fallbackModels = options.fallbackModels;
+    if (options.maxRepairs !== undefined) this.maxRepairs = options.maxRepairs;
   }
 }
 
+/**
+ * Sum the token usage of two calls
+ * @private
+ */
+function addUsage(total, usage) {
+  if (!usage) return total;
+  if (!total) return { ...usage };
+  return {
+    prompt_tokens: (total.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+    completion_tokens: (total.completion_tokens || 0) + (usage.completion_tokens || 0),
+    total_tokens: (total.total_tokens || 0) + (usage.total_tokens || 0)
+  };
+}
+
 module.exports = ChatClient;
@@ -5,47 +5,232 @@ const { v4: uuidv4 } = require('uuid');
 const http = require('http');
 const ChatClient = require('./ChatClient');
 const Guardrails = require('./Guardrails');
+const LlmJudgePolicy = require('./LlmJudgePolicy');
+const Auth = require('./Auth');
+const ToolRegistry = require('./ToolRegistry');
+const ContextManager = require('./ContextManager');
+const UsageTracker = require('./UsageTracker');
+const ModelParams = require('./ModelParams');
+const PromptRegistry = require('./PromptRegistry');
+const { RateLimiter, createRateLimitStore } = require('./ratelimit');
+const { AuditLog, createAuditSink } = require('./audit');
+const { ResponseCache, createCacheStore } = require('./cache');
+const { Metrics, Tracer, createSpanExporter } = require('./telemetry');
+const Logger = require('./Logger');
 const { defaultConfig } = require('./config');
+const { createConversationStore } = require('./stores');
+const {
+  ApiError,
+  errorCodesIn,
+  validate,
+  coerceQuery,
+  schemas,
+  WEBSOCKET_MESSAGES,
+  buildOpenApiDocument
+} = require('./api');
+const { version } = require('../package.json');
+
+// Request fields forwarded as-is to the model on /v1/chat/completions
+const OPENAI_PASSTHROUGH_PARAMS = [
+  'frequency_penalty',
+  'presence_penalty',
+  'user'
+];
+
+// /v1/chat/completions fields checked against the modelParams settings, and
+// the parameter each one is (max_tokens wins over max_completion_tokens)
+const OPENAI_MODEL_PARAMS = {
+  model: 'model',
+  temperature: 'temperature',
+  max_tokens: 'maxTokens',
+  max_completion_tokens: 'maxTokens',
+  top_p: 'topP',
+  stop: 'stop',
+  seed: 'seed',
+  response_format: 'responseFormat'
+};
+
+// Client-chosen request ids: visible ASCII, at most 128 characters
+const REQUEST_ID_PATTERN = /^[\x21-\x7e]{1,128}$/;
+
+// ConversationStore methods traced as `store.<method>` spans
+const TRACED_STORE_METHODS = ['create', 'get', 'append', 'update', 'list', 'delete'];
+
+// Error codes of routes that ask the model for a reply
+const GENERATION_ERRORS = [
+  'UNKNOWN_PROVIDER',
+  ...errorCodesIn('limits'),
+  ...errorCodesIn('moderation'),
+  'MODEL_ERROR'
+];
+
+// Error codes of client-chosen model parameters
+const MODEL_PARAM_ERRORS = ['MODEL_NOT_ALLOWED', 'PARAM_NOT_ALLOWED', 'PARAM_OUT_OF_RANGE'];
+
+// OpenAI error types by HTTP status
+const OPENAI_ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'invalid_request_error',
+  429: 'rate_limit_error'
+};
+
+// OpenAI's own error type and code, for errors it has them for
+const OPENAI_ERRORS = {
+  RATE_LIMIT_EXCEEDED: { code: 'rate_limit_exceeded' },
+  QUOTA_EXCEEDED: { type: 'insufficient_quota' }
+};
 
 /**
  * ChatServer - Express-based chat server with WebSocket support
- * Powered by Groq API
+ * Powered by Groq API (or any configured provider)
  */
 class ChatServer {
   constructor(options = {}) {
     this.config = { ...defaultConfig, ...options };
     
-    if (!options.apiKey && !process.env.GROQ_API_KEY) {
+    // The Groq key is only needed when Groq is the default provider
+    const usesGroq = this.config.provider === 'groq' && !this.config.providers.groq;
+    if (usesGroq && !options.apiKey && !process.env.GROQ_API_KEY) {
       throw new Error('Groq API key is required. Pass it as options.apiKey or set GROQ_API_KEY environment variable.');
     }
 
     this.apiKey = options.apiKey || process.env.GROQ_API_KEY;
+
+    // Structured logging, with the request id on every line
+    this.logger = this._createLogger(options.logger).child({ component: 'server' });
+
+    // Prometheus metrics and trace spans
+    const metrics = options.metrics === false
+      ? { ...defaultConfig.metrics, enabled: false }
+      : { ...defaultConfig.metrics, ...options.metrics };
+    const tracing = { ...defaultConfig.tracing, ...options.tracing };
+    this.config.metrics = metrics;
+    this.metrics = new Metrics({ prefix: metrics.prefix });
+    this.tracer = new Tracer({
+      enabled: tracing.enabled ?? !!tracing.exporter,
+      serviceName: tracing.serviceName,
+      exporter: createSpanExporter(tracing.exporter, { logger: this.logger }),
+      logger: this.logger
+    });
+    this.instruments = this._createInstruments();
     
     // Initialize ChatClient
     this.chatClient = new ChatClient({
       apiKey: this.apiKey,
+      provider: this.config.provider,
+      providers: this.config.providers,
       model: this.config.model,
       temperature: this.config.temperature,
       maxTokens: this.config.maxTokens,
-      systemPrompt: this.config.systemPrompt
+      systemPrompt: this.config.systemPrompt,
+      timeout: this.config.timeout,
+      retry: this.config.retry,
+      fallbackModels: this.config.fallbackModels,
+      maxRepairs: this.config.maxSchemaRepairs,
+      metrics: this.metrics,
+      tracer: this.tracer,
+      logger: this.logger
     });
 
-    // Conversation storage (in-memory, can be replaced with database)
-    this.conversations = new Map();
+    // Conversation storage (in-memory by default, see `store` option)
+    const store = createConversationStore(this.config.store, this.config.storeOptions);
+    this.store = this.tracer.instrument(store, TRACED_STORE_METHODS, 'store', {
+      'store.type': store.constructor.name
+    });
+    
+    // Answers to identical requests (off by default, see `cache` option)
+    const cache = { ...defaultConfig.cache, ...options.cache };
+    this.cache = null;
+    if (cache.enabled) {
+      const cacheStore = createCacheStore(cache.store, {
+        maxEntries: cache.maxEntries,
+        maxSize: cache.maxSize,
+        ...cache.storeOptions
+      });
+      this.cache = new ResponseCache({
+        ...cache,
+        store: this.tracer.instrument(cacheStore, ['get', 'set'], 'cache'),
+        logger: this.logger
+      });
+    }
     
-    // Rate limiting storage
-    this.rateLimits = new Map();
+    // Tools the model can call
+    this.tools = new ToolRegistry(this.config.tools);
+
+    // System prompt templates
+    this.prompts = new PromptRegistry({ ...defaultConfig.prompts, ...options.prompts });
+
+    // Context window management
+    this.contextManager = new ContextManager({
+      ...defaultConfig.context,
+      ...options.context,
+      maxMessages: this.config.maxConversationHistory,
+      chatClient: this.chatClient
+    });
     
+    // Model parameters clients may choose
+    this.modelParams = this._createModelParams(options.modelParams);
+
+    // Token usage accounting and quotas
+    this.usage = new UsageTracker({ ...defaultConfig.usage, ...options.usage });
+
+    // Rate limiting
+    const rateLimit = this._rateLimitConfig(options.rateLimit);
+    this.rateLimiter = new RateLimiter({
+      ...rateLimit,
+      store: createRateLimitStore(rateLimit.store, rateLimit.storeOptions),
+      logger: this.logger
+    });
+
+    // In-flight generations by request id, so they can be cancelled
+    this.generations = new Map();
+
     // Initialize Guardrails
     const guardrailsConfig = options.guardrails 
       ? { ...defaultConfig.guardrails, ...options.guardrails }
       : defaultConfig.guardrails;
-    this.guardrails = new Guardrails(guardrailsConfig);
+    this.guardrails = new Guardrails({ ...guardrailsConfig, tracer: this.tracer, logger: this.logger });
+
+    // Built-in LLM judge policy, asking a model through the chat client
+    if (guardrailsConfig.llmJudge) {
+      this.guardrails.addPolicy(new LlmJudgePolicy({
+        ...guardrailsConfig.llmJudge,
+        chatClient: this.chatClient
+      }));
+    }
+
+    // Initialize authentication
+    this.auth = new Auth({ ...defaultConfig.auth, ...options.auth });
+
+    // Audit log of requests, moderation decisions, model calls, usage and errors
+    const audit = options.audit === false
+      ? { ...defaultConfig.audit, enabled: false }
+      : { ...defaultConfig.audit, ...options.audit };
+    this.audit = new AuditLog({
+      ...audit,
+      sinks: (audit.sinks || []).map(sink => createAuditSink(sink, { logger: this.logger })),
+      logger: this.logger
+    });
 
-    // Initialize Express app
+    // OpenAPI document of the registered routes
+    this.config.openapi = options.openapi === false
+      ? { ...defaultConfig.openapi, enabled: false }
+      : { ...defaultConfig.openapi, ...options.openapi };
+
+    // Initialize Express app. Routes are registered with their schemas,
+    // see _route()
     this.app = express();
+    this.routes = [];
     this._setupMiddleware();
     this._setupRoutes();
+    this._setupPromptRoutes();
+    this._setupOpenAIRoutes();
+    this._setupAdminRoutes();
+    this._setupMetricsRoute();
+    this._setupOpenApiRoute();
 
     // HTTP server for WebSocket
     this.server = http.createServer(this.app);
@@ -56,19 +241,182 @@ class ChatServer {
     }
   }
 
+  /**
+   * Resolve the logger option: a Logger, false for no logging, or Logger
+   * options. Configured API keys and secrets are always redacted.
+   * @private
+   */
+  _createLogger(logger) {
+    if (logger instanceof Logger) return logger;
+    if (logger === false) return Logger.SILENT;
+
+    const auth = { ...defaultConfig.auth, ...this.config.auth };
+    const providers = Object.values(this.config.providers || {});
+    const secrets = [
+      this.apiKey,
+      ...(auth.apiKeys || []).map(entry => (typeof entry === 'string' ? entry : entry.key)),
+      auth.jwt && auth.jwt.secret,
+      ...providers.map(provider => provider && provider.apiKey)
+    ];
+
+    const options = { ...defaultConfig.logger, ...logger };
+    return new Logger({ ...options, secrets: [...secrets, ...(options.secrets || [])] });
+  }
+
+  /**
+   * Resolve the rateLimit option. A number limits requests per minute per
+   * client address and per conversation, false turns rate limiting off.
+   * @private
+   */
+  _rateLimitConfig(rateLimit) {
+    if (rateLimit === false) {
+      return { ...defaultConfig.rateLimit, rules: [] };
+    }
+
+    if (typeof rateLimit === 'number') {
+      return {
+        ...defaultConfig.rateLimit,
+        rules: [
+          { scope: 'ip', limit: rateLimit, window: 60000 },
+          { scope: 'conversation', limit: rateLimit, window: 60000 }
+        ]
+      };
+    }
+
+    return { ...defaultConfig.rateLimit, ...rateLimit };
+  }
+
+  /**
+   * Resolve the modelParams option. false lets clients set no parameters,
+   * the allowed models default to `model` and `models`.
+   * @private
+   */
+  _createModelParams(modelParams) {
+    const options = modelParams === false
+      ? { ...defaultConfig.modelParams, allow: [] }
+      : { ...defaultConfig.modelParams, ...modelParams };
+
+    return new ModelParams({
+      ...options,
+      models: options.models || [...new Set([this.config.model, ...this.config.models])],
+      defaults: {
+        model: this.config.model,
+        temperature: this.config.temperature,
+        maxTokens: this.config.maxTokens
+      }
+    });
+  }
+
+  /**
+   * Register the server's metrics
+   * @private
+   */
+  _createInstruments() {
+    return {
+      httpRequests: this.metrics.counter(
+        'http_requests_total', 'HTTP requests by route and status',
+        ['method', 'route', 'status']
+      ),
+      httpDuration: this.metrics.histogram(
+        'http_request_duration_seconds', 'HTTP request latency by route',
+        ['method', 'route']
+      ),
+      guardrailRejections: this.metrics.counter(
+        'guardrail_rejections_total', 'Messages and replies rejected by guardrails, by code',
+        ['stage', 'code']
+      ),
+      websocketConnections: this.metrics.gauge(
+        'websocket_connections_active', 'Open WebSocket connections'
+      ),
+      cacheRequests: this.metrics.counter(
+        'response_cache_requests_total', 'Response cache lookups by result (hit, miss or bypass)',
+        ['result']
+      )
+    };
+  }
+
   /**
    * Setup Express middleware
    * @private
    */
   _setupMiddleware() {
+    // Resolve req.ip from X-Forwarded-For behind a reverse proxy
+    this.app.set('trust proxy', this.config.trustProxy);
+
+    // Request id from X-Request-Id (or a new one), echoed back and put on
+    // every log line written while handling the request
+    this.app.use((req, res, next) => {
+      const startedAt = Date.now();
+      req.id = this._requestId(req.headers['x-request-id']);
+      res.setHeader('X-Request-Id', req.id);
+
+      res.on('close', () => {
+        this.logger.info('Request completed', {
+          requestId: req.id,
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          durationMs: Date.now() - startedAt
+        });
+      });
+
+      this.logger.withContext({ requestId: req.id }, next);
+    });
+
+    // Request metrics, and a server span continuing the caller's trace
+    this.app.use((req, res, next) => {
+      const startedAt = Date.now();
+      const span = this.tracer.startSpan(`${req.method} ${req.path}`, {
+        kind: 'server',
+        parent: this.tracer.extract(req.headers.traceparent),
+        attributes: { 'http.request.method': req.method, 'url.path': req.path }
+      });
+
+      res.on('close', () => {
+        // Label by route pattern, not path, to keep the number of series bounded
+        const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        this.instruments.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        this.instruments.httpDuration.observe({ method: req.method, route }, (Date.now() - startedAt) / 1000);
+
+        span.updateName(`${req.method} ${route}`);
+        span.setAttributes({ 'http.route': route, 'http.response.status_code': res.statusCode });
+        if (res.statusCode >= 500) span.setStatus('error');
+        span.end();
+      });
+
+      this.tracer.withSpan(span, next);
+    });
+
     this.app.use(cors({
-      origin: this.config.corsOrigins
+      origin: this.config.corsOrigins,
+      exposedHeaders: ['X-Request-Id']
     }));
     this.app.use(express.json());
-    
-    // Request logging
+
+    // Bodies that are not JSON are answered in the error envelope
+    this.app.use((error, req, res, next) => this._handleError(error, req, res));
+
+    // Authentication
     this.app.use((req, res, next) => {
-      console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+      const result = this.auth.authenticate(req);
+
+      if (!result.authenticated) {
+        if (this.auth.isPublicPath(req.path)) {
+          req.auth = Auth.ANONYMOUS;
+          this._audit('request', req, null, { method: req.method, path: req.path });
+          return next();
+        }
+
+        this._audit('error', req, null, { source: 'auth', code: result.code, message: result.reason, path: req.path });
+
+        if (req.path.startsWith('/v1/')) {
+          return this._sendOpenAIError(res, 401, result.reason, 'authentication_error', result.code);
+        }
+        return this._sendError(res, new ApiError(result.code, result.reason));
+      }
+
+      req.auth = result.principal;
+      this._audit('request', req, null, { method: req.method, path: req.path });
       next();
     });
   }
@@ -79,257 +427,411 @@ class ChatServer {
    */
   _setupRoutes() {
     // Health check
-    this.app.get('/health', (req, res) => {
+    this._route('get', '/health', {
+      summary: 'Health check',
+      tags: ['Server'],
+      response: 'HealthResponse'
+    }, (req, res) => {
       res.json({ status: 'ok', timestamp: new Date().toISOString() });
     });
 
     // Create new conversation
-    this.app.post('/conversation', (req, res) => {
+    this._route('post', '/conversation', {
+      summary: 'Create a conversation',
+      tags: ['Conversations'],
+      body: 'CreateConversationRequest',
+      response: 'CreateConversationResponse',
+      errors: ['PROMPT_NOT_FOUND', 'INVALID_PROMPT_VARIABLES', ...MODEL_PARAM_ERRORS]
+    }, async (req, res) => {
       const conversationId = uuidv4();
-      const { systemPrompt } = req.body;
+      const { systemPrompt, template, variables, params } = req.body;
+      this._checkPromptFields(req.body, 'body');
+
+      const paramsCheck = this.modelParams.check(params);
+      if (!paramsCheck.allowed) {
+        return this._sendError(res, this._modelParamsError(paramsCheck));
+      }
+
+      // The conversation records the template version it was made from
+      const prompt = template ? this.prompts.render(template, variables) : null;
+      if (prompt && !prompt.success) {
+        return this._sendError(res, this._promptError(prompt));
+      }
       
-      this.conversations.set(conversationId, {
-        id: conversationId,
-        messages: [],
-        systemPrompt: systemPrompt || this.config.systemPrompt,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
+      await this._createConversation(conversationId, prompt ? prompt.text : systemPrompt, req.auth, {
+        ...(prompt && { template: prompt.template }),
+        ...(params && { params })
       });
 
       res.json({
         success: true,
         conversationId,
+        ...(prompt && { template: prompt.template }),
         message: 'Conversation created successfully'
       });
     });
 
     // Get conversation
-    this.app.get('/conversation/:id', (req, res) => {
-      const conversation = this.conversations.get(req.params.id);
+    this._route('get', '/conversation/:id', {
+      summary: 'Get a conversation',
+      tags: ['Conversations'],
+      response: 'ConversationResponse',
+      errors: ['CONVERSATION_NOT_FOUND']
+    }, async (req, res) => {
+      const conversation = await this.store.get(req.params.id);
       
-      if (!conversation) {
-        return res.status(404).json({
-          success: false,
-          error: 'Conversation not found'
-        });
+      if (!conversation || !this.auth.canAccess(conversation, req.auth)) {
+        return this._sendError(res, new ApiError('CONVERSATION_NOT_FOUND', 'Conversation not found'));
       }
 
       res.json({
         success: true,
-        conversation
+        conversation: await this._ensureMessageIds(conversation)
       });
     });
 
-    // Delete conversation
-    this.app.delete('/conversation/:id', (req, res) => {
-      const deleted = this.conversations.delete(req.params.id);
-      
-      res.json({
-        success: deleted,
-        message: deleted ? 'Conversation deleted' : 'Conversation not found'
+    // Regenerate the reply to a message on a new branch
+    this._route('post', '/conversation/:id/messages/:messageId/regenerate', {
+      summary: 'Regenerate a reply on a new branch',
+      tags: ['Conversations'],
+      body: 'RegenerateRequest',
+      response: 'ChatResponse',
+      stream: true,
+      errors: ['CONVERSATION_NOT_FOUND', 'MESSAGE_NOT_FOUND', 'INVALID_MESSAGE', ...MODEL_PARAM_ERRORS, ...GENERATION_ERRORS]
+    }, async (req, res) => {
+      const { stream, provider, params, requestId } = req.body;
+      const conversation = await this.store.get(req.params.id);
+
+      if (!conversation || !this.auth.canAccess(conversation, req.auth)) {
+        return this._sendError(res, new ApiError('CONVERSATION_NOT_FOUND', 'Conversation not found'));
+      }
+
+      const point = await this._branchPoint(conversation, req.params.messageId, 'regenerate');
+      if (!point.success) {
+        return this._sendError(res, new ApiError(point.code, point.error));
+      }
+
+      const prepared = await this._prepareGeneration(req, conversation.id, { provider, params }, res);
+      if (!prepared.allowed) {
+        return this._sendError(res, prepared.error);
+      }
+
+      const branch = await this._regenerateBranch(point);
+
+      // A regenerated answer should be a new one, so the cache is skipped
+      await this._sendReply(req, res, branch.conversation, {
+        stream,
+        provider,
+        params,
+        requestId,
+        cache: 'no-store',
+        extra: { branchId: branch.branchId }
       });
     });
 
-    // Send chat message
-    this.app.post('/chat', async (req, res) => {
-      const { message, conversationId, stream } = req.body;
+    // Edit a user message on a new branch and answer it
+    this._route('post', '/conversation/:id/messages/:messageId/edit', {
+      summary: 'Edit a message on a new branch and answer it',
+      tags: ['Conversations'],
+      body: 'EditRequest',
+      response: 'ChatResponse',
+      stream: true,
+      errors: ['CONVERSATION_NOT_FOUND', 'MESSAGE_NOT_FOUND', 'INVALID_MESSAGE', ...MODEL_PARAM_ERRORS, ...GENERATION_ERRORS]
+    }, async (req, res) => {
+      const { message, stream, provider, params, requestId } = req.body;
+      const conversation = await this.store.get(req.params.id);
+
+      if (!conversation || !this.auth.canAccess(conversation, req.auth)) {
+        return this._sendError(res, new ApiError('CONVERSATION_NOT_FOUND', 'Conversation not found'));
+      }
 
-      if (!message) {
-        return res.status(400).json({
-          success: false,
-          error: 'Message is required'
-        });
+      const point = await this._branchPoint(conversation, req.params.messageId, 'edit');
+      if (!point.success) {
+        return this._sendError(res, new ApiError(point.code, point.error));
       }
 
-      // Apply guardrails - moderate input
-      const moderation = this.guardrails.moderateInput(message);
-      if (!moderation.allowed) {
-        return res.status(400).json({
-          success: false,
-          error: moderation.reason,
-          code: moderation.code,
-          details: moderation.violations || moderation.matches || null
-        });
+      const prepared = await this._prepareGeneration(req, conversation.id, { provider, params, message }, res);
+      if (!prepared.allowed) {
+        return this._sendError(res, prepared.error);
       }
+      const { moderation } = prepared;
 
-      // Get or create conversation
-      let conversation;
-      let convId = conversationId;
+      const branch = await this._editBranch(point, moderation.content);
 
-      if (convId && this.conversations.has(convId)) {
-        conversation = this.conversations.get(convId);
-      } else {
-        convId = uuidv4();
-        conversation = {
-          id: convId,
-          messages: [],
-          systemPrompt: this.config.systemPrompt,
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        };
-        this.conversations.set(convId, conversation);
-      }
+      await this._sendReply(req, res, branch.conversation, {
+        stream,
+        provider,
+        params,
+        requestId,
+        warnings: moderation.warnings,
+        extra: { branchId: branch.branchId }
+      });
+    });
 
-      // Check rate limit
-      if (!this._checkRateLimit(convId)) {
-        return res.status(429).json({
-          success: false,
-          error: 'Rate limit exceeded. Please wait before sending more messages.'
-        });
+    // List the branches of a conversation
+    this._route('get', '/conversation/:id/branches', {
+      summary: 'List the branches of a conversation',
+      tags: ['Conversations'],
+      response: 'BranchListResponse',
+      errors: ['CONVERSATION_NOT_FOUND']
+    }, async (req, res) => {
+      const conversation = await this.store.get(req.params.id);
+
+      if (!conversation || !this.auth.canAccess(conversation, req.auth)) {
+        return this._sendError(res, new ApiError('CONVERSATION_NOT_FOUND', 'Conversation not found'));
       }
 
-      // Add user message to history
-      conversation.messages.push({
-        role: 'user',
-        content: message,
-        timestamp: new Date().toISOString()
-      });
+      const { activeBranch } = this._branches(conversation);
 
-      // Prepare messages for API
-      const apiMessages = [
-        { role: 'system', content: conversation.systemPrompt },
-        ...conversation.messages.slice(-this.config.maxConversationHistory).map(m => ({
-          role: m.role,
-          content: m.content
-        }))
-      ];
+      res.json({
+        success: true,
+        activeBranch,
+        branches: this._listBranches(conversation)
+      });
+    });
 
-      // Handle streaming response
-      if (stream) {
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
+    // Make another branch the active one
+    this._route('post', '/conversation/:id/branches/:branchId/switch', {
+      summary: 'Switch to another branch',
+      tags: ['Conversations'],
+      response: 'SwitchBranchResponse',
+      errors: ['CONVERSATION_NOT_FOUND', 'BRANCH_NOT_FOUND']
+    }, async (req, res) => {
+      const conversation = await this.store.get(req.params.id);
+
+      if (!conversation || !this.auth.canAccess(conversation, req.auth)) {
+        return this._sendError(res, new ApiError('CONVERSATION_NOT_FOUND', 'Conversation not found'));
+      }
 
-        const result = await this.chatClient.streamChat(
-          apiMessages,
-          (chunk) => {
-            res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-          }
-        );
-
-        if (result.success) {
-          // Moderate output
-          const outputModeration = this.guardrails.moderateOutput(result.message.content);
-          if (!outputModeration.allowed) {
-            res.write(`data: ${JSON.stringify({ 
-              error: outputModeration.reason, 
-              code: outputModeration.code 
-            })}\n\n`);
-            res.end();
-            return;
-          }
-          
-          conversation.messages.push({
-            role: 'assistant',
-            content: result.message.content,
-            timestamp: new Date().toISOString()
-          });
-          conversation.updatedAt = new Date().toISOString();
-        }
+      const updated = await this._switchBranch(conversation, req.params.branchId);
+      if (!updated) {
+        return this._sendError(res, new ApiError('BRANCH_NOT_FOUND', 'Branch not found'));
+      }
 
-        res.write(`data: ${JSON.stringify({ done: true, conversationId: convId })}\n\n`);
-        res.end();
-      } else {
-        // Non-streaming response
-        const result = await this.chatClient.chat(apiMessages);
-
-        if (result.success) {
-          // Moderate output
-          const outputModeration = this.guardrails.moderateOutput(result.message.content);
-          if (!outputModeration.allowed) {
-            return res.status(400).json({
-              success: false,
-              error: outputModeration.reason,
-              code: outputModeration.code
-            });
-          }
-          
-          conversation.messages.push({
-            role: 'assistant',
-            content: result.message.content,
-            timestamp: new Date().toISOString()
-          });
-          conversation.updatedAt = new Date().toISOString();
+      res.json({
+        success: true,
+        activeBranch: req.params.branchId,
+        conversation: updated
+      });
+    });
 
-          res.json({
-            success: true,
-            conversationId: convId,
-            message: result.message,
-            usage: result.usage
-          });
-        } else {
-          res.status(500).json({
-            success: false,
-            error: result.error
-          });
-        }
+    // Delete conversation
+    this._route('delete', '/conversation/:id', {
+      summary: 'Delete a conversation',
+      tags: ['Conversations'],
+      response: 'DeleteConversationResponse',
+      errors: ['CONVERSATION_NOT_FOUND']
+    }, async (req, res) => {
+      const conversation = await this.store.get(req.params.id);
+      const deleted = conversation && this.auth.canAccess(conversation, req.auth)
+        ? await this.store.delete(req.params.id)
+        : false;
+
+      if (!deleted) {
+        return this._sendError(res, new ApiError('CONVERSATION_NOT_FOUND', 'Conversation not found'));
       }
+      
+      res.json({
+        success: true,
+        message: 'Conversation deleted'
+      });
     });
 
-    // Simple single-turn chat (no conversation history)
-    this.app.post('/chat/simple', async (req, res) => {
-      const { message, systemPrompt } = req.body;
+    // Send chat message
+    this._route('post', '/chat', {
+      summary: 'Send a message',
+      description: 'Answers in a new or existing conversation, as JSON or server-sent events.',
+      tags: ['Chat'],
+      body: 'ChatRequest',
+      response: 'ChatResponse',
+      stream: true,
+      errors: [...MODEL_PARAM_ERRORS, ...GENERATION_ERRORS, 'SCHEMA_REPAIR_FAILED']
+    }, async (req, res) => {
+      const { message, conversationId, stream, provider, params, responseSchema, requestId } = req.body;
+
+      // Replies are checked and repaired once complete, which a stream can't wait for
+      if (responseSchema && stream) {
+        throw this._validationError('body', [{ path: 'responseSchema', message: 'cannot be used with stream' }]);
+      }
 
-      if (!message) {
-        return res.status(400).json({
-          success: false,
-          error: 'Message is required'
-        });
+      // Get the conversation, a new one is only created once the request passes its checks
+      let conversation = conversationId ? await this.store.get(conversationId) : null;
+
+      // Conversations owned by someone else are treated as unknown
+      if (conversation && !this.auth.canAccess(conversation, req.auth)) {
+        conversation = null;
       }
 
-      // Apply guardrails - moderate input
-      const moderation = this.guardrails.moderateInput(message);
-      if (!moderation.allowed) {
-        return res.status(400).json({
-          success: false,
-          error: moderation.reason,
-          code: moderation.code,
-          details: moderation.violations || moderation.matches || null
-        });
+      const convId = conversation ? conversation.id : uuidv4();
+
+      const prepared = await this._prepareGeneration(req, convId, { provider, params, message }, res);
+      if (!prepared.allowed) {
+        return this._sendError(res, prepared.error);
       }
+      const { moderation } = prepared;
 
-      const messages = [
-        { role: 'user', content: message }
-      ];
+      if (!conversation) {
+        conversation = await this._createConversation(convId, null, req.auth);
+      }
 
-      const options = systemPrompt ? { systemPrompt } : {};
-      
-      if (systemPrompt) {
-        this.chatClient.systemPrompt = systemPrompt;
+      // Add user message to history
+      conversation = await this.store.append(convId, this._createMessage({
+        role: 'user',
+        content: moderation.content
+      }));
+
+      await this._sendReply(req, res, conversation, {
+        stream,
+        provider,
+        params,
+        responseSchema,
+        requestId,
+        warnings: moderation.warnings
+      });
+    });
+
+    // Cancel an in-flight generation
+    this._route('post', '/chat/:requestId/cancel', {
+      summary: 'Cancel a generation',
+      tags: ['Chat'],
+      response: 'CancelResponse',
+      errors: ['GENERATION_NOT_FOUND']
+    }, (req, res) => {
+      const generation = this.generations.get(req.params.requestId);
+
+      if (!generation || !this.auth.canAccess(generation, req.auth)) {
+        return this._sendError(res, new ApiError('GENERATION_NOT_FOUND', 'Generation not found'));
       }
 
-      const result = await this.chatClient.chat(messages);
+      generation.controller.abort();
 
-      // Reset system prompt
-      this.chatClient.systemPrompt = this.config.systemPrompt;
+      res.json({
+        success: true,
+        requestId: generation.id,
+        message: 'Generation cancelled'
+      });
+    });
+
+    // Simple single-turn chat (no conversation history)
+    this._route('post', '/chat/simple', {
+      summary: 'Single-turn chat',
+      description: 'Answers one message without conversation history.',
+      tags: ['Chat'],
+      body: 'SimpleChatRequest',
+      response: 'SimpleChatResponse',
+      errors: [...MODEL_PARAM_ERRORS, ...GENERATION_ERRORS, 'SCHEMA_REPAIR_FAILED']
+    }, async (req, res) => {
+      const { message, systemPrompt, provider, params, responseSchema } = req.body;
+
+      const prepared = await this._prepareGeneration(req, null, { provider, params, message }, res);
+      if (!prepared.allowed) {
+        return this._sendError(res, prepared.error);
+      }
+      const { moderation } = prepared;
+
+      // PII is masked or replaced with placeholders before it reaches the model
+      const vault = this.guardrails.createPiiVault();
+      const messages = this.guardrails.protectMessages([
+        { role: 'user', content: moderation.content }
+      ], vault);
+
+      // The system prompt and parameters go with the request, the shared client is never changed
+      const context = this.chatClient.requestContext({
+        provider,
+        systemPrompt,
+        responseSchema,
+        ...this.modelParams.chatOptions(params)
+      });
+      const cacheMode = ResponseCache.mode(req.headers['cache-control']);
+      const cached = await this._checkCache(req, cacheMode, messages, context, vault);
+
+      const startedAt = Date.now();
+      const result = this._unmaskReply(
+        cached.entry ? this.cache.toResult(cached.entry) : await this.chatClient.chat(messages, context),
+        vault
+      );
+      if (!result.cached) this._auditModelCall(req, null, result, startedAt);
+
+      // Cached answers cost no tokens. Failed repairs used tokens too.
+      if ((result.success || result.usage) && !result.cached) {
+        this._recordUsage(req, null, messages, result);
+      }
+      if (result.success && !result.cached && cached.key) {
+        this.cache.set(cached.key, result);
+      }
+      if (this.cache) res.setHeader('X-Cache', this._cacheStatus(cacheMode, result));
 
       if (result.success) {
         // Moderate output
-        const outputModeration = this.guardrails.moderateOutput(result.message.content);
+        const outputModeration = await this._moderateOutput(req, null, result.message.content, {
+          systemPrompt: context.systemPrompt
+        });
         if (!outputModeration.allowed) {
-          return res.status(400).json({
-            success: false,
-            error: outputModeration.reason,
-            code: outputModeration.code
-          });
+          return this._sendError(res, this._moderationError(outputModeration));
         }
         
         res.json({
           success: true,
-          message: result.message,
-          usage: result.usage
+          message: { ...result.message, content: outputModeration.content },
+          ...(responseSchema && { data: this._structuredData(outputModeration.content, responseSchema) }),
+          model: result.model,
+          usage: result.usage,
+          ...(result.cached && { cached: true }),
+          warnings: [...moderation.warnings, ...outputModeration.warnings]
         });
       } else {
-        res.status(500).json({
-          success: false,
-          error: result.error
+        this._sendError(res, this._modelError(result.error));
+      }
+    });
+
+    // Token usage, optionally filtered by date range, conversation or model
+    this._route('get', '/usage', {
+      summary: 'Token usage and quotas',
+      tags: ['Usage'],
+      query: {
+        type: 'object',
+        properties: {
+          from: { type: 'string', description: 'Start date (ISO 8601)' },
+          to: { type: 'string', description: 'End date (ISO 8601)' },
+          conversationId: { type: 'string' },
+          model: { type: 'string' },
+          keyId: { type: 'string' }
+        }
+      },
+      response: 'UsageResponse'
+    }, (req, res) => {
+      const { from, to, conversationId, model, keyId } = req.query;
+      let summary;
+
+      try {
+        summary = this.usage.summarize({
+          from,
+          to,
+          conversationId,
+          model,
+          keyId,
+          ...this.auth.ownerFilter(req.auth)
         });
+      } catch (error) {
+        return this._sendError(res, new ApiError('VALIDATION_ERROR', error.message));
       }
+
+      res.json({
+        success: true,
+        from: from || null,
+        to: to || null,
+        ...summary,
+        quotas: this.usage.getQuotas(req.auth)
+      });
     });
 
     // List all conversations
-    this.app.get('/conversations', (req, res) => {
-      const conversations = Array.from(this.conversations.values()).map(c => ({
+    this._route('get', '/conversations', {
+      summary: 'List conversations',
+      tags: ['Conversations'],
+      response: 'ConversationListResponse'
+    }, async (req, res) => {
+      const conversations = (await this.store.list(this.auth.ownerFilter(req.auth))).map(c => ({
         id: c.id,
         messageCount: c.messages.length,
         createdAt: c.createdAt,
@@ -344,211 +846,2382 @@ class ChatServer {
   }
 
   /**
-   * Setup WebSocket server for real-time streaming
+   * Setup prompt template routes. Anyone may read templates, only admins
+   * may change them. Changes add versions, existing versions never change.
    * @private
    */
-  _setupWebSocket() {
-    this.wss = new WebSocketServer({ 
-      server: this.server,
-      path: this.config.wsPath
+  _setupPromptRoutes() {
+    const requireAdmin = (req, res) => {
+      if (this.auth.isAdmin(req.auth)) return true;
+      this._sendError(res, new ApiError('FORBIDDEN', 'Admin access required'));
+      return false;
+    };
+    const notFound = (ref) => new ApiError('PROMPT_NOT_FOUND', `Prompt template not found: ${ref}`);
+
+    // Latest version of every template
+    this._route('get', '/prompts', {
+      summary: 'List prompt templates',
+      tags: ['Prompts'],
+      response: 'PromptListResponse'
+    }, (req, res) => {
+      res.json({
+        success: true,
+        prompts: this.prompts.list()
+      });
     });
 
-    this.wss.on('connection', (ws) => {
-      const sessionId = uuidv4();
-      console.log(`[WebSocket] Client connected: ${sessionId}`);
+    // Create a template, or add a version to an existing one
+    this._route('post', '/prompts', {
+      summary: 'Create a prompt template version (admins)',
+      description: 'Registers the template as version 1, or as the next version if the name exists.',
+      tags: ['Prompts'],
+      body: 'CreatePromptRequest',
+      response: 'PromptResponse',
+      errors: ['FORBIDDEN']
+    }, (req, res) => {
+      if (!requireAdmin(req, res)) return;
 
-      // Create conversation for this session
-      this.conversations.set(sessionId, {
-        id: sessionId,
-        messages: [],
-        systemPrompt: this.config.systemPrompt,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      });
+      const { name, template, description, variables } = req.body;
 
-      ws.on('message', async (data) => {
-        try {
-          const payload = JSON.parse(data.toString());
-          
-          if (payload.type === 'chat') {
-            await this._handleWebSocketChat(ws, sessionId, payload);
-          } else if (payload.type === 'configure') {
-            this._handleWebSocketConfigure(ws, sessionId, payload);
-          } else if (payload.type === 'clear') {
-            this._handleWebSocketClear(ws, sessionId);
-          }
-        } catch (error) {
-          ws.send(JSON.stringify({
-            type: 'error',
-            error: 'Invalid message format'
-          }));
-        }
+      res.json({
+        success: true,
+        prompt: this.prompts.register({ name, template, description, variables })
       });
+    });
 
-      ws.on('close', () => {
-        console.log(`[WebSocket] Client disconnected: ${sessionId}`);
-        // Optionally clean up conversation
-        // this.conversations.delete(sessionId);
-      });
+    // A template with all its versions
+    this._route('get', '/prompts/:name', {
+      summary: 'Get a prompt template and its versions',
+      tags: ['Prompts'],
+      response: 'PromptVersionsResponse',
+      errors: ['PROMPT_NOT_FOUND']
+    }, (req, res) => {
+      const versions = this.prompts.versions(req.params.name);
+      if (versions.length === 0) {
+        return this._sendError(res, notFound(req.params.name));
+      }
 
-      // Send welcome message
-      ws.send(JSON.stringify({
-        type: 'connected',
-        sessionId,
-        message: 'Connected to chat server'
-      }));
+      res.json({
+        success: true,
+        prompt: versions[versions.length - 1],
+        versions
+      });
     });
-  }
-
-  /**
-   * Handle WebSocket chat message
-   * @private
-   */
-  async _handleWebSocketChat(ws, sessionId, payload) {
-    const conversation = this.conversations.get(sessionId);
-    
-    if (!conversation) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        error: 'Session not found'
-      }));
-      return;
-    }
 
-    // Apply guardrails - moderate input
-    const moderation = this.guardrails.moderateInput(payload.message);
-    if (!moderation.allowed) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        error: moderation.reason,
-        code: moderation.code
-      }));
-      return;
-    }
+    // Add a version to an existing template
+    this._route('put', '/prompts/:name', {
+      summary: 'Add a prompt template version (admins)',
+      tags: ['Prompts'],
+      body: 'UpdatePromptRequest',
+      response: 'PromptResponse',
+      errors: ['FORBIDDEN', 'PROMPT_NOT_FOUND']
+    }, (req, res) => {
+      if (!requireAdmin(req, res)) return;
+
+      const { name } = req.params;
+      if (this.prompts.versions(name).length === 0) {
+        return this._sendError(res, notFound(name));
+      }
 
-    // Check rate limit
-    if (!this._checkRateLimit(sessionId)) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        error: 'Rate limit exceeded'
-      }));
-      return;
-    }
+      const { template, description, variables } = req.body;
 
-    // Add user message
-    conversation.messages.push({
-      role: 'user',
-      content: payload.message,
-      timestamp: new Date().toISOString()
+      res.json({
+        success: true,
+        prompt: this.prompts.register({ name, template, description, variables })
+      });
     });
 
-    // Prepare messages
-    const apiMessages = [
-      { role: 'system', content: conversation.systemPrompt },
-      ...conversation.messages.slice(-this.config.maxConversationHistory).map(m => ({
-        role: m.role,
-        content: m.content
-      }))
-    ];
+    // Delete a template with all its versions
+    this._route('delete', '/prompts/:name', {
+      summary: 'Delete a prompt template (admins)',
+      tags: ['Prompts'],
+      response: 'DeletePromptResponse',
+      errors: ['FORBIDDEN', 'PROMPT_NOT_FOUND']
+    }, (req, res) => {
+      if (!requireAdmin(req, res)) return;
+
+      if (this.prompts.versions(req.params.name).length === 0) {
+        return this._sendError(res, notFound(req.params.name));
+      }
+      this.prompts.delete(req.params.name);
 
-    // Stream response
-    ws.send(JSON.stringify({ type: 'start' }));
+      res.json({ success: true, message: 'Prompt template deleted' });
+    });
 
-    const result = await this.chatClient.streamChat(
-      apiMessages,
-      (chunk) => {
-        ws.send(JSON.stringify({
-          type: 'chunk',
-          ...chunk
-        }));
+    // One version of a template
+    this._route('get', '/prompts/:name/versions/:version', {
+      summary: 'Get a prompt template version',
+      tags: ['Prompts'],
+      response: 'PromptResponse',
+      errors: ['PROMPT_NOT_FOUND']
+    }, (req, res) => {
+      const ref = `${req.params.name}@${req.params.version}`;
+      const prompt = this.prompts.get(ref);
+      if (!prompt) {
+        return this._sendError(res, notFound(ref));
       }
-    );
 
-    if (result.success) {
-      // Moderate output
-      const outputModeration = this.guardrails.moderateOutput(result.message.content);
-      if (!outputModeration.allowed) {
-        ws.send(JSON.stringify({
-          type: 'error',
-          error: outputModeration.reason,
-          code: outputModeration.code
-        }));
-        return;
+      res.json({ success: true, prompt });
+    });
+
+    // Delete one version of a template
+    this._route('delete', '/prompts/:name/versions/:version', {
+      summary: 'Delete a prompt template version (admins)',
+      description: 'Conversations keep the system prompt they were created with.',
+      tags: ['Prompts'],
+      response: 'DeletePromptResponse',
+      errors: ['FORBIDDEN', 'PROMPT_NOT_FOUND']
+    }, (req, res) => {
+      if (!requireAdmin(req, res)) return;
+
+      const ref = `${req.params.name}@${req.params.version}`;
+      if (!this.prompts.delete(ref)) {
+        return this._sendError(res, notFound(ref));
       }
-      
-      conversation.messages.push({
-        role: 'assistant',
-        content: result.message.content,
-        timestamp: new Date().toISOString()
-      });
-      conversation.updatedAt = new Date().toISOString();
-    }
 
-    ws.send(JSON.stringify({
-      type: 'end',
-      success: result.success
-    }));
+      res.json({ success: true, message: 'Prompt template version deleted' });
+    });
   }
 
   /**
-   * Handle WebSocket configure message
+   * Setup OpenAI-compatible routes (/v1/chat/completions, /v1/models)
    * @private
    */
-  _handleWebSocketConfigure(ws, sessionId, payload) {
-    const conversation = this.conversations.get(sessionId);
-    
-    if (conversation && payload.systemPrompt) {
-      conversation.systemPrompt = payload.systemPrompt;
-    }
+  _setupOpenAIRoutes() {
+    // List available models
+    this._route('get', '/v1/models', {
+      summary: 'List models',
+      tags: ['OpenAI'],
+      response: 'ModelList',
+      errorSchema: 'OpenAIError'
+    }, (req, res) => {
+      const created = Math.floor(Date.now() / 1000);
 
-    ws.send(JSON.stringify({
-      type: 'configured',
-      success: true
+      res.json({
+        object: 'list',
+        data: this.config.models.map(id => ({
+          id,
+          object: 'model',
+          created,
+          owned_by: 'groq'
+        }))
+      });
+    });
+
+    // Chat completions
+    this._route('post', '/v1/chat/completions', {
+      summary: 'OpenAI-compatible chat completion',
+      tags: ['OpenAI'],
+      body: 'ChatCompletionRequest',
+      response: 'ChatCompletion',
+      stream: true,
+      errorSchema: 'OpenAIError',
+      errors: [...MODEL_PARAM_ERRORS, ...GENERATION_ERRORS]
+    }, async (req, res) => {
+      const {
+        messages,
+        stream,
+        tools,
+        tool_choice,
+        provider
+      } = req.body;
+
+      // Model parameters are bounded as on /chat. No conversation here, so only
+      // per client rate limit scopes apply.
+      const { params, fields } = this._openAIModelParams(req.body);
+      const prepared = await this._prepareGeneration(req, null, { provider, params }, res);
+      if (!prepared.allowed) {
+        return this._sendOpenAIApiError(res, this._openAIParamError(prepared.error, fields));
+      }
+
+      // Apply guardrails - moderate every user message, since clients send the full history
+      const moderatedMessages = [];
+      for (const msg of messages) {
+        if (msg.role !== 'user') {
+          moderatedMessages.push(msg);
+          continue;
+        }
+
+        const text = this._textContent(msg.content);
+        const moderation = await this._moderateInput(req, null, text);
+        if (!moderation.allowed) {
+          return this._sendOpenAIError(res, 400, moderation.reason, 'invalid_request_error', moderation.code, 'messages');
+        }
+
+        moderatedMessages.push(moderation.content === text
+          ? msg
+          : { ...msg, content: this._replaceTextContent(msg.content, moderation.content) });
+      }
+
+      const extra = {};
+      for (const key of OPENAI_PASSTHROUGH_PARAMS) {
+        if (req.body[key] !== undefined) extra[key] = req.body[key];
+      }
+
+      // Abort the model call if the client goes away before it finishes
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+      });
+
+      const modelOptions = this.modelParams.chatOptions(params);
+      const options = this.chatClient.requestContext({
+        ...modelOptions,
+        tools,
+        toolChoice: tool_choice,
+        provider,
+        extra: { ...extra, ...modelOptions.extra },
+        signal: controller.signal
+      });
+
+      // PII is masked or replaced with placeholders before it reaches the model
+      const vault = this.guardrails.createPiiVault();
+      const promptMessages = this.guardrails.protectMessages(moderatedMessages, vault);
+
+      // System prompt the model sees, so replies that leak it are caught
+      const systemMessages = moderatedMessages.filter(msg => msg.role === 'system');
+      const systemPrompt = systemMessages.length > 0
+        ? systemMessages.map(msg => this._textContent(msg.content)).join('\n')
+        : options.systemPrompt;
+
+      const id = `chatcmpl-${uuidv4()}`;
+      const created = Math.floor(Date.now() / 1000);
+
+      // Handle streaming response
+      if (stream) {
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+
+        // Report the model actually used, which differs after a fallback
+        let usedModel = options.model;
+        let started = false;
+
+        const sendChunk = (delta, finishReason = null) => {
+          res.write(`data: ${JSON.stringify({
+            id,
+            object: 'chat.completion.chunk',
+            created,
+            model: usedModel,
+            choices: [{ index: 0, delta, finish_reason: finishReason }]
+          })}\n\n`);
+        };
+
+        const start = () => {
+          if (!started) {
+            started = true;
+            sendChunk({ role: 'assistant', content: '' });
+          }
+        };
+
+        // Output is moderated as it streams; a violation ends the stream
+        // with finish_reason 'content_filter'
+        const moderator = this.guardrails.createStreamModerator({
+          vault,
+          systemPrompt,
+          onModelCall: this._sideCallRecorder(req, null, { judge: true })
+        });
+        const startedAt = Date.now();
+        const result = await this._moderatedStream(promptMessages, options, moderator, {
+          vault,
+          onChunk: (chunk) => {
+            if (chunk.model) usedModel = chunk.model;
+            // The done chunk carries the text the moderator held back, sent as a last delta
+            if (chunk.content) {
+              start();
+              sendChunk({ content: chunk.content });
+            }
+          }
+        });
+
+        this._auditModelCall(req, null, result, startedAt, { stream: true });
+        this._recordStreamModeration(req, null, moderator, result);
+
+        // The client is gone; only the tokens used so far are left to account for.
+        // A moderation stop aborts the model call too, but still gets its last chunk.
+        if (result.cancelled && !moderator.violation) {
+          this._recordUsage(req, null, promptMessages, result);
+          res.end();
+          return;
+        }
+
+        if (!result.success && !moderator.violation) {
+          res.write(`data: ${JSON.stringify(this._openAIError(result.error.message, 'api_error', result.error.code))}\n\n`);
+          res.end();
+          return;
+        }
+
+        const record = this._recordUsage(req, null, promptMessages, result);
+
+        start();
+
+        if (moderator.violation) {
+          sendChunk({}, 'content_filter');
+        } else {
+          if (result.message.tool_calls) {
+            sendChunk({
+              tool_calls: result.message.tool_calls.map((toolCall, index) => ({ index, ...toolCall }))
+            });
+          }
+
+          sendChunk({}, result.finishReason || (result.message.tool_calls ? 'tool_calls' : 'stop'));
+        }
+
+        // Final usage chunk, as requested with stream_options.include_usage
+        if (req.body.stream_options?.include_usage) {
+          res.write(`data: ${JSON.stringify({
+            id,
+            object: 'chat.completion.chunk',
+            created,
+            model: usedModel,
+            choices: [],
+            usage: {
+              prompt_tokens: record.promptTokens,
+              completion_tokens: record.completionTokens,
+              total_tokens: record.totalTokens
+            }
+          })}\n\n`);
+        }
+
+        res.write('data: [DONE]\n\n');
+        res.end();
+        return;
+      }
+
+      // Non-streaming response
+      const startedAt = Date.now();
+      const result = this._unmaskReply(await this.chatClient.chat(promptMessages, options), vault);
+      this._auditModelCall(req, null, result, startedAt);
+
+      // The client is gone; the prompt was still sent upstream
+      if (result.cancelled) {
+        this._recordUsage(req, null, promptMessages, result);
+        return;
+      }
+
+      if (!result.success) {
+        return this._sendOpenAIError(res, result.error.status || 500, result.error.message, 'api_error', result.error.code);
+      }
+
+      this._recordUsage(req, null, promptMessages, result);
+
+      // Moderate output (tool-call-only replies have no content)
+      const outputModeration = result.message.content
+        ? await this._moderateOutput(req, null, result.message.content, { systemPrompt })
+        : { allowed: true, content: result.message.content };
+      if (!outputModeration.allowed) {
+        return this._sendOpenAIError(res, 400, outputModeration.reason, 'content_filter', outputModeration.code);
+      }
+
+      res.json({
+        id: result.id || id,
+        object: 'chat.completion',
+        created,
+        model: result.model || options.model,
+        choices: [{
+          index: 0,
+          message: { ...result.message, content: outputModeration.content },
+          finish_reason: result.finishReason || 'stop'
+        }],
+        usage: result.usage
+      });
+    });
+  }
+
+  /**
+   * Setup admin routes (/admin/audit), for admin principals only
+   * @private
+   */
+  _setupAdminRoutes() {
+    // Recent audit events, filtered by type, conversation, code, caller or time range
+    this._route('get', '/admin/audit', {
+      summary: 'Audit events (admins)',
+      tags: ['Admin'],
+      query: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', description: `Event type, e.g. ${AuditLog.EVENT_TYPES.join(', ')}` },
+          conversationId: { type: 'string' },
+          code: { type: 'string' },
+          from: { type: 'string', description: 'Start time (ISO 8601)' },
+          to: { type: 'string', description: 'End time (ISO 8601)' },
+          tenantId: { type: 'string' },
+          userId: { type: 'string' },
+          keyId: { type: 'string' },
+          limit: { type: 'integer', minimum: 1, description: 'Latest events returned (default: 100, at most 1000)' }
+        }
+      },
+      response: 'AuditResponse',
+      errors: ['FORBIDDEN']
+    }, (req, res) => {
+      if (!this.auth.isAdmin(req.auth)) {
+        return this._sendError(res, new ApiError('FORBIDDEN', 'Admin access required'));
+      }
+
+      const { type, conversationId, code, from, to, tenantId, userId, keyId } = req.query;
+      const limit = Math.min(req.query.limit || 100, 1000);
+      let events;
+
+      try {
+        events = this.audit.query({ type, conversationId, code, from, to, tenantId, userId, keyId, limit });
+      } catch (error) {
+        return this._sendError(res, new ApiError('VALIDATION_ERROR', error.message));
+      }
+
+      res.json({
+        success: true,
+        count: events.length,
+        events
+      });
+    });
+  }
+
+  /**
+   * Setup the Prometheus metrics route. It is open when its path is in
+   * `auth.publicPaths`, and for admin principals only otherwise.
+   * @private
+   */
+  _setupMetricsRoute() {
+    if (!this.config.metrics.enabled) return;
+
+    this._route('get', this.config.metrics.path, {
+      summary: 'Prometheus metrics',
+      tags: ['Server'],
+      operationId: 'getMetrics',
+      response: { type: 'string' },
+      responseType: 'text/plain',
+      errors: ['FORBIDDEN']
+    }, (req, res) => {
+      if (!this.auth.isPublicPath(req.path) && !this.auth.isAdmin(req.auth)) {
+        return this._sendError(res, new ApiError('FORBIDDEN', 'Admin access required'));
+      }
+
+      res.type('text/plain; version=0.0.4; charset=utf-8').send(this.metrics.render());
+    });
+  }
+
+  /**
+   * Setup the route serving the OpenAPI document of the registered routes
+   * @private
+   */
+  _setupOpenApiRoute() {
+    if (!this.config.openapi.enabled) return;
+
+    this._route('get', this.config.openapi.path, {
+      summary: 'OpenAPI document',
+      tags: ['Server'],
+      operationId: 'getOpenApi',
+      response: { type: 'object' }
+    }, (req, res) => {
+      res.json(this.getOpenApiDocument());
+    });
+  }
+
+  /**
+   * Generate the assistant reply for a conversation ending with a user turn,
+   * and send it as JSON or server-sent events
+   * @private
+   * @param {Object} req - Express request (for the caller principal)
+   * @param {Object} res - Express response
+   * @param {Object} conversation - Conversation to answer
+   * @param {Object} options - { stream, provider, params, responseSchema, requestId, warnings, extra },
+   *   `params` are the request's model parameters, `warnings` the input moderation warnings and
+   *   `extra` is merged into responses
+   */
+  async _sendReply(req, res, conversation, options = {}) {
+    const conversationId = conversation.id;
+    const { stream, provider, responseSchema, requestId, warnings = [], extra = {} } = options;
+    const cache = options.cache || ResponseCache.mode(req.headers['cache-control']);
+    const params = ModelParams.merge(conversation.params, options.params);
+
+    // Abort the generation if the client goes away before it finishes
+    const generation = this._beginGeneration(requestId || req.id, conversationId, req.auth);
+    res.on('close', () => {
+      if (!res.writableFinished) generation.controller.abort();
+    });
+
+    // Prepare messages for API
+    const vault = this.guardrails.createPiiVault();
+    const apiMessages = await this._buildApiMessages(conversation, params, {
+      req, provider, signal: generation.controller.signal, vault
+    });
+
+    // Handle streaming response
+    if (stream) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+
+      const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+      send({ type: 'start', requestId: generation.id, conversationId, warnings, ...extra });
+
+      const result = await this._generateReply(conversationId, apiMessages, {
+        chatOptions: { provider, signal: generation.controller.signal },
+        params,
+        req,
+        systemPrompt: conversation.systemPrompt,
+        stream: true,
+        onChunk: send,
+        onToolEvent: send,
+        onModeration: send,
+        cache
+      });
+      this._endGeneration(generation.id);
+
+      // Output moderation stopped the generation, nothing is saved
+      if (result.blocked) {
+        if (!res.writableEnded && !res.destroyed) {
+          send({
+            done: true,
+            blocked: true,
+            error: result.error.message,
+            code: result.error.code,
+            conversationId,
+            requestId: generation.id,
+            ...extra
+          });
+          res.end();
+        }
+        return;
+      }
+
+      if (result.cancelled) {
+        if (!res.writableEnded && !res.destroyed) {
+          send({ done: true, cancelled: true, conversationId, requestId: generation.id, ...extra });
+          res.end();
+        }
+        return;
+      }
+
+      // Output was moderated while streaming
+      let reply = null;
+      if (result.success) {
+        reply = this._createMessage({
+          role: 'assistant',
+          content: result.message.content,
+          params: this.modelParams.effective(params, result.model)
+        });
+        await this.store.append(conversationId, reply);
+      }
+
+      res.write(`data: ${JSON.stringify({
+        done: true,
+        conversationId,
+        ...(reply && { messageId: reply.id }),
+        model: result.model,
+        usage: result.usage,
+        ...(result.cached && { cached: true }),
+        ...(!result.success && this._modelError(result.error).toJSON()),
+        warnings: [...warnings, ...(result.warnings || [])],
+        ...extra
+      })}\n\n`);
+      res.end();
+    } else {
+      // Non-streaming response
+      const result = await this._generateReply(conversationId, apiMessages, {
+        chatOptions: { provider, responseSchema, signal: generation.controller.signal },
+        params,
+        req,
+        systemPrompt: conversation.systemPrompt,
+        cache
+      });
+      this._endGeneration(generation.id);
+      if (this.cache) res.setHeader('X-Cache', this._cacheStatus(cache, result));
+
+      if (result.cancelled) {
+        if (res.destroyed) return;
+        return res.json({
+          success: false,
+          cancelled: true,
+          conversationId,
+          requestId: generation.id,
+          error: result.error.message,
+          code: result.error.code,
+          ...extra
+        });
+      }
+
+      if (result.success) {
+        // Moderate output
+        const outputModeration = await this._moderateOutput(req, conversationId, result.message.content, {
+          systemPrompt: conversation.systemPrompt
+        });
+        if (!outputModeration.allowed) {
+          return this._sendError(res, this._moderationError(outputModeration));
+        }
+        
+        const reply = this._createMessage({
+          role: 'assistant',
+          content: outputModeration.content,
+          params: this.modelParams.effective(params, result.model)
+        });
+        await this.store.append(conversationId, reply);
+
+        res.json({
+          success: true,
+          conversationId,
+          requestId: generation.id,
+          messageId: reply.id,
+          message: { ...result.message, content: outputModeration.content },
+          ...(responseSchema && { data: this._structuredData(outputModeration.content, responseSchema) }),
+          model: result.model,
+          usage: result.usage,
+          ...(result.cached && { cached: true }),
+          warnings: [...warnings, ...outputModeration.warnings],
+          ...extra
+        });
+      } else {
+        this._sendError(res, this._modelError(result.error));
+      }
+    }
+  }
+
+  /**
+   * Build an error body in the OpenAI format
+   * @private
+   */
+  _openAIError(message, type, code = null, param = null) {
+    return {
+      error: { message, type, param, code }
+    };
+  }
+
+  /**
+   * Send an error response in the OpenAI format
+   * @private
+   */
+  _sendOpenAIError(res, status, message, type, code, param) {
+    return res.status(status).json(this._openAIError(message, type, code, param));
+  }
+
+  /**
+   * Model parameters of a /v1/chat/completions request. OpenAI clients always
+   * send `model`, so naming the server's own model is not counted as a choice.
+   * @private
+   * @param {Object} body - Request body
+   * @returns {Object} - { params, fields }: the parameters by their ModelParams name, and
+   *   the request field each one came from
+   */
+  _openAIModelParams(body) {
+    const params = {};
+    const fields = {};
+
+    for (const [field, name] of Object.entries(OPENAI_MODEL_PARAMS)) {
+      if (body[field] === undefined || name in params) continue;
+      if (field === 'model' && body.model === this.config.model) continue;
+      params[name] = body[field];
+      fields[name] = field;
+    }
+
+    return { params, fields };
+  }
+
+  /**
+   * A model parameter error naming the parameter by its /v1 request field
+   * @private
+   * @param {ApiError} error - Error from _prepareGeneration
+   * @param {Object} fields - Request field of each parameter, from _openAIModelParams
+   */
+  _openAIParamError(error, fields) {
+    const name = error.details && error.details.param;
+    if (!MODEL_PARAM_ERRORS.includes(error.code) || !fields[name]) return error;
+
+    return new ApiError(error.code, error.message.replace(name, fields[name]), {
+      details: { param: fields[name] }
+    });
+  }
+
+  /**
+   * Send an ApiError in the OpenAI format
+   * @private
+   */
+  _sendOpenAIApiError(res, apiError) {
+    const { type, code } = {
+      type: OPENAI_ERROR_TYPES[apiError.status] || 'api_error',
+      code: apiError.code,
+      ...OPENAI_ERRORS[apiError.code]
+    };
+
+    const problem = Array.isArray(apiError.details) ? apiError.details[0] : apiError.details;
+    const param = problem && (problem.param || (problem.path && problem.path.split(/[.[]/)[0])) || null;
+
+    return this._sendOpenAIError(res, apiError.status, apiError.message, type, code, param);
+  }
+
+  /**
+   * Error for a request naming a provider that isn't configured
+   * @private
+   */
+  _unknownProviderError(provider) {
+    return new ApiError('UNKNOWN_PROVIDER', `Unknown provider: ${provider}`, { details: { param: 'provider' } });
+  }
+
+  /**
+   * Error for model parameters the server doesn't allow
+   * @private
+   * @param {Object} check - ModelParams#check result
+   */
+  _modelParamsError(check) {
+    return new ApiError(check.code, check.reason, { details: { param: check.param } });
+  }
+
+  /**
+   * Error for a prompt template that could not be rendered
+   * @private
+   * @param {Object} result - PromptRegistry#render result
+   */
+  _promptError(result) {
+    return new ApiError(result.code, result.error, {
+      ...(result.problems && { details: result.problems })
+    });
+  }
+
+  /**
+   * A system prompt comes from `systemPrompt` or from `template`, and
+   * `variables` only go with a template
+   * @private
+   * @param {Object} fields - Request body or WebSocket message
+   * @param {string} location - 'body' or 'message'
+   */
+  _checkPromptFields(fields, location) {
+    if (fields.template && fields.systemPrompt) {
+      throw this._validationError(location, [{ path: 'systemPrompt', message: 'cannot be used with template' }]);
+    }
+    if (fields.variables && !fields.template) {
+      throw this._validationError(location, [{ path: 'variables', message: 'can only be used with template' }]);
+    }
+  }
+
+  /**
+   * Send an error in the standard envelope, with the request id
+   * @private
+   * @param {Object} res - Express response
+   * @param {ApiError} error
+   */
+  _sendError(res, error) {
+    return res.status(error.status).json({ ...error.toJSON(), requestId: res.req.id });
+  }
+
+  /**
+   * Error for a message or reply rejected by the guardrails
+   * @private
+   * @param {Object} moderation - Rejecting Guardrails result
+   * @returns {ApiError}
+   */
+  _moderationError(moderation) {
+    return new ApiError(moderation.code || 'POLICY_VIOLATION', moderation.reason, {
+      details: moderation.violations || moderation.matches,
+      fields: { checks: moderation.checks }
+    });
+  }
+
+  /**
+   * Error for a failed model call. The provider's own code, which differs
+   * between providers, is kept in `details`.
+   * @private
+   * @param {Object} error - ChatClient result error: { message, code, status }
+   * @returns {ApiError}
+   */
+  _modelError(error) {
+    if (error.code === 'UNKNOWN_PROVIDER') {
+      return new ApiError('UNKNOWN_PROVIDER', error.message);
+    }
+    if (error.code === 'SCHEMA_REPAIR_FAILED') {
+      return new ApiError('SCHEMA_REPAIR_FAILED', error.message, { details: error.problems });
+    }
+    return new ApiError('MODEL_ERROR', error.message, {
+      details: { code: error.code, status: error.status }
+    });
+  }
+
+  /**
+   * A structured reply as sent to the client: parsed from the final text,
+   * after PII placeholders were restored and output moderation ran
+   * @private
+   * @param {string} content - Reply text
+   * @param {Object} schema - responseSchema of the request
+   * @returns {*} - The parsed reply, null if moderation left no valid JSON
+   */
+  _structuredData(content, schema) {
+    const { data } = ChatClient.parseStructured(content, schema);
+    return data === undefined ? null : data;
+  }
+
+  /**
+   * Answer an error thrown while handling a request: ApiErrors as they are,
+   * body parser errors with their meaning and anything else as
+   * INTERNAL_ERROR. Routes under /v1/ answer in the OpenAI format.
+   * @private
+   */
+  _handleError(error, req, res) {
+    const apiError = this._reportError(error, req, null, 'http');
+
+    // Already streaming: end the stream with the error
+    if (res.headersSent) {
+      if (!res.writableEnded) {
+        if (String(res.getHeader('Content-Type')).startsWith('text/event-stream')) {
+          res.write(`data: ${JSON.stringify({ done: true, ...apiError.toJSON(), requestId: req.id })}\n\n`);
+        }
+        res.end();
+      }
+      return;
+    }
+
+    if (req.path.startsWith('/v1/')) {
+      return this._sendOpenAIApiError(res, apiError);
+    }
+
+    this._sendError(res, apiError);
+  }
+
+  /**
+   * Log and audit an error thrown while handling an HTTP request or
+   * WebSocket message
+   * @private
+   * @param {Error} error - Thrown error
+   * @param {Object} req - HTTP or WebSocket upgrade request
+   * @param {string|null} conversationId - Conversation the request belongs to
+   * @param {string} source - 'http' or 'websocket'
+   * @returns {ApiError} - Error to answer with
+   */
+  _reportError(error, req, conversationId, source) {
+    const apiError = ApiError.from(error);
+
+    if (apiError.code === 'INTERNAL_ERROR') {
+      this.logger.error('Request failed', { error: error.message, stack: error.stack });
+    }
+    this._audit('error', req, conversationId, {
+      source,
+      code: apiError.code,
+      message: error.message,
+      ...(req.path && { path: req.path })
+    });
+
+    return apiError;
+  }
+
+  /**
+   * Error for request problems found by validate()
+   * @private
+   * @param {string} location - 'body', 'query' or 'message'
+   * @param {Array} problems - { path, message }
+   * @returns {ApiError}
+   */
+  _validationError(location, problems) {
+    const details = problems.map(problem => ({ location, ...problem }));
+    const [first] = details;
+
+    return new ApiError('VALIDATION_ERROR', `${first.path || location} ${first.message}`, { details });
+  }
+
+  /**
+   * Register a route with its schemas. The request query and body are
+   * validated before the handler runs, errors it throws (or rejects with)
+   * are answered in the error envelope, and the route is described in the
+   * OpenAPI document.
+   * @private
+   * @param {string} method - 'get', 'post', 'put', 'patch' or 'delete'
+   * @param {string} path - Express path
+   * @param {Object} spec - { summary, description, tags, operationId, query, body, response,
+   *   responseType, stream, errors, errorSchema }; `query`, `body` and `response` are
+   *   schemas or names of schemas in src/api/schemas.js
+   * @param {Function} handler - Express handler, may be async
+   */
+  _route(method, path, spec, handler) {
+    this.routes.push({ method, path, ...spec });
+
+    this.app[method](path, async (req, res, next) => {
+      try {
+        this._validateRequest(req, spec);
+        await handler(req, res, next);
+      } catch (error) {
+        this._handleError(error, req, res);
+      }
+    });
+  }
+
+  /**
+   * Check the query and body of a request against the schemas of its route
+   * @private
+   * @throws {ApiError} - VALIDATION_ERROR listing the problems
+   */
+  _validateRequest(req, spec) {
+    if (spec.query) {
+      const schema = typeof spec.query === 'string' ? schemas[spec.query] : spec.query;
+      const problems = validate(schema, coerceQuery(schema, req.query), { schemas });
+      if (problems.length > 0) throw this._validationError('query', problems);
+    }
+
+    if (spec.body) {
+      const schema = typeof spec.body === 'string' ? { $ref: `#/components/schemas/${spec.body}` } : spec.body;
+      const problems = validate(schema, req.body, { schemas });
+      if (problems.length > 0) throw this._validationError('body', problems);
+    }
+  }
+
+  /**
+   * Check a WebSocket message against the schema of its type
+   * @private
+   * @param {*} payload - Parsed message, undefined if it was not JSON
+   * @throws {ApiError} - INVALID_JSON or VALIDATION_ERROR
+   */
+  _validateWebSocketMessage(payload) {
+    if (payload === undefined) {
+      throw new ApiError('INVALID_JSON', 'Message is not valid JSON');
+    }
+
+    let problems = validate(schemas.WebSocketMessage, payload, { schemas });
+    if (problems.length === 0) {
+      problems = validate(schemas[WEBSOCKET_MESSAGES[payload.type]], payload, { schemas });
+    }
+    if (problems.length > 0) {
+      throw this._validationError('message', problems);
+    }
+  }
+
+  /**
+   * Extract plain text from string or multi-part message content
+   * @private
+   */
+  _textContent(content) {
+    if (Array.isArray(content)) {
+      return content
+        .filter(part => part && part.type === 'text')
+        .map(part => part.text)
+        .join('\n');
+    }
+    return content;
+  }
+
+  /**
+   * Replace the text of string or multi-part message content, keeping
+   * non-text parts
+   * @private
+   */
+  _replaceTextContent(content, text) {
+    if (Array.isArray(content)) {
+      return [
+        { type: 'text', text },
+        ...content.filter(part => !part || part.type !== 'text')
+      ];
+    }
+    return text;
+  }
+
+  /**
+   * Setup WebSocket server for real-time streaming
+   * @private
+   */
+  _setupWebSocket() {
+    this.wss = new WebSocketServer({ 
+      server: this.server,
+      path: this.config.wsPath,
+      verifyClient: (info, callback) => {
+        const result = this.auth.authenticate(info.req);
+        if (!result.authenticated) {
+          this._audit('error', info.req, null, { source: 'auth', code: result.code, message: result.reason, path: this.config.wsPath });
+          return callback(false, 401, result.reason);
+        }
+
+        info.req.auth = result.principal;
+        callback(true);
+      }
+    });
+
+    this.wss.on('connection', (ws, req) => {
+      const sessionId = uuidv4();
+      req.id = this._requestId(req.headers['x-request-id']);
+      this.logger.withContext({ requestId: req.id, sessionId }, () => this._handleWebSocketConnection(ws, req, sessionId));
+    });
+  }
+
+  /**
+   * Handle a new WebSocket connection
+   * @private
+   */
+  async _handleWebSocketConnection(ws, req, sessionId) {
+    this.logger.info('WebSocket client connected', { sessionId });
+    this.instruments.websocketConnections.inc();
+
+    // Create conversation for this session
+    const ready = this._createConversation(sessionId, null, req.auth);
+
+    ws.on('message', async (data) => {
+      let payload;
+      try {
+        payload = JSON.parse(data.toString());
+      } catch (error) {
+        // Answered with an error below
+      }
+
+      // Each message gets its own request id. Generating messages may choose
+      // it, like requestId on POST /chat; for cancel it names the target.
+      const chosenId = payload && payload.type !== 'cancel' ? payload.requestId : null;
+      const requestId = this._requestId(chosenId);
+
+      await this.logger.withContext({ requestId, sessionId }, async () => {
+        try {
+          this._validateWebSocketMessage(payload);
+          await ready;
+          this._audit('request', req, sessionId, { method: 'WS', path: this.config.wsPath, messageType: payload.type });
+
+          const message = payload.type === 'cancel' ? payload : { ...payload, requestId };
+          if (message.type === 'chat') {
+            await this._handleWebSocketChat(ws, sessionId, message, req);
+          } else if (message.type === 'configure') {
+            await this._handleWebSocketConfigure(ws, sessionId, message);
+          } else if (message.type === 'clear') {
+            await this._handleWebSocketClear(ws, sessionId);
+          } else if (message.type === 'cancel') {
+            this._handleWebSocketCancel(ws, sessionId, message);
+          } else if (message.type === 'regenerate') {
+            await this._handleWebSocketRegenerate(ws, sessionId, message, req);
+          } else if (message.type === 'edit') {
+            await this._handleWebSocketEdit(ws, sessionId, message, req);
+          }
+        } catch (error) {
+          this._sendWebSocketError(ws, this._reportError(error, req, sessionId, 'websocket'));
+        }
+      });
+    });
+
+    ws.on('close', () => {
+      this.logger.info('WebSocket client disconnected', { sessionId });
+      this.instruments.websocketConnections.dec();
+      // Stop generating for a client that is gone
+      this._cancelGenerations(g => g.sessionId === sessionId);
+      // Optionally clean up conversation
+      // this.store.delete(sessionId);
+    });
+
+    try {
+      await ready;
+    } catch (error) {
+      this._audit('error', req, sessionId, { source: 'websocket', code: 'SESSION_FAILED', message: error.message });
+      this._sendWebSocketError(ws, new ApiError('SESSION_FAILED', 'Failed to create session'));
+      ws.close();
+      return;
+    }
+
+    // Send welcome message
+    this._sendWebSocket(ws, {
+      type: 'connected',
+      sessionId,
+      message: 'Connected to chat server'
+    });
+  }
+
+  /**
+   * Send an event to a WebSocket client, tagged with the id of the request
+   * it answers
+   * @private
+   */
+  _sendWebSocket(ws, event) {
+    ws.send(JSON.stringify({ ...event, requestId: event.requestId ?? this.logger.context().requestId }));
+  }
+
+  /**
+   * Send an error event in the standard envelope
+   * @private
+   * @param {WebSocket} ws - Client socket
+   * @param {ApiError} error
+   */
+  _sendWebSocketError(ws, error) {
+    this._sendWebSocket(ws, { type: 'error', ...error.toJSON() });
+  }
+
+  /**
+   * Handle WebSocket chat message
+   * @private
+   */
+  async _handleWebSocketChat(ws, sessionId, payload, req) {
+    let conversation = await this.store.get(sessionId);
+    
+    if (!conversation) {
+      this._sendWebSocketError(ws, new ApiError('SESSION_NOT_FOUND', 'Session not found'));
+      return;
+    }
+
+    const prepared = await this._prepareGeneration(req, sessionId, payload);
+    if (!prepared.allowed) {
+      this._sendWebSocketError(ws, prepared.error);
+      return;
+    }
+    const { moderation } = prepared;
+
+    // Add user message
+    conversation = await this.store.append(sessionId, this._createMessage({
+      role: 'user',
+      content: moderation.content
+    }));
+
+    await this._streamWebSocketReply(ws, conversation, payload, req, {}, moderation.warnings);
+  }
+
+  /**
+   * Handle WebSocket regenerate message
+   * @private
+   */
+  async _handleWebSocketRegenerate(ws, sessionId, payload, req) {
+    const conversation = await this.store.get(sessionId);
+
+    if (!conversation) {
+      this._sendWebSocketError(ws, new ApiError('SESSION_NOT_FOUND', 'Session not found'));
+      return;
+    }
+
+    const point = await this._branchPoint(conversation, payload.messageId, 'regenerate');
+    if (!point.success) {
+      this._sendWebSocketError(ws, new ApiError(point.code, point.error));
+      return;
+    }
+
+    const prepared = await this._prepareGeneration(req, sessionId, payload);
+    if (!prepared.allowed) {
+      this._sendWebSocketError(ws, prepared.error);
+      return;
+    }
+
+    const branch = await this._regenerateBranch(point);
+
+    // A regenerated answer should be a new one, so the cache is skipped
+    await this._streamWebSocketReply(ws, branch.conversation, { ...payload, cacheControl: 'no-store' }, req, {
+      branchId: branch.branchId
+    });
+  }
+
+  /**
+   * Handle WebSocket edit message
+   * @private
+   */
+  async _handleWebSocketEdit(ws, sessionId, payload, req) {
+    const conversation = await this.store.get(sessionId);
+
+    if (!conversation) {
+      this._sendWebSocketError(ws, new ApiError('SESSION_NOT_FOUND', 'Session not found'));
+      return;
+    }
+
+    const point = await this._branchPoint(conversation, payload.messageId, 'edit');
+    if (!point.success) {
+      this._sendWebSocketError(ws, new ApiError(point.code, point.error));
+      return;
+    }
+
+    const prepared = await this._prepareGeneration(req, sessionId, payload);
+    if (!prepared.allowed) {
+      this._sendWebSocketError(ws, prepared.error);
+      return;
+    }
+    const { moderation } = prepared;
+
+    const branch = await this._editBranch(point, moderation.content);
+
+    await this._streamWebSocketReply(ws, branch.conversation, payload, req, {
+      branchId: branch.branchId
+    }, moderation.warnings);
+  }
+
+  /**
+   * Stream the assistant reply for a session conversation ending with a user turn
+   * @private
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} conversation - Session conversation
+   * @param {Object} payload - Client message ({ provider, params, requestId, cacheControl })
+   * @param {Object} req - WebSocket upgrade request (caller principal and address)
+   * @param {Object} extra - Fields merged into the start and end events
+   * @param {Array} warnings - Input moderation warnings, sent with the start event
+   */
+  async _streamWebSocketReply(ws, conversation, payload, req, extra = {}, warnings = []) {
+    const sessionId = conversation.id;
+    const params = ModelParams.merge(conversation.params, payload.params);
+
+    const generation = this._beginGeneration(payload.requestId, sessionId, conversation, sessionId);
+
+    // Prepare messages
+    const vault = this.guardrails.createPiiVault();
+    const apiMessages = await this._buildApiMessages(conversation, params, {
+      req, provider: payload.provider, signal: generation.controller.signal, vault
+    });
+
+    // Stream response
+    this._sendWebSocket(ws, { type: 'start', requestId: generation.id, warnings, ...extra });
+
+    const result = await this._generateReply(sessionId, apiMessages, {
+      chatOptions: { provider: payload.provider, signal: generation.controller.signal },
+      params,
+      req,
+      systemPrompt: conversation.systemPrompt,
+      stream: true,
+      onChunk: (chunk) => {
+        this._sendWebSocket(ws, {
+          type: 'chunk',
+          ...chunk
+        });
+      },
+      onToolEvent: (event) => {
+        this._sendWebSocket(ws, event);
+      },
+      onModeration: (event) => {
+        this._sendWebSocket(ws, event);
+      },
+      cache: ResponseCache.mode(payload.cacheControl)
+    });
+    this._endGeneration(generation.id);
+
+    // Output moderation stopped the generation, nothing is saved
+    if (result.blocked) {
+      this._sendWebSocket(ws, {
+        type: 'end',
+        success: false,
+        blocked: true,
+        error: result.error.message,
+        code: result.error.code,
+        requestId: generation.id,
+        model: result.model,
+        usage: result.usage,
+        ...extra
+      });
+      return;
+    }
+
+    if (result.cancelled) {
+      this._sendWebSocket(ws, {
+        type: 'end',
+        success: false,
+        cancelled: true,
+        requestId: generation.id,
+        model: result.model,
+        ...extra
+      });
+      return;
+    }
+
+    // Output was moderated while streaming
+    let reply = null;
+    if (result.success) {
+      reply = this._createMessage({
+        role: 'assistant',
+        content: result.message.content,
+        params: this.modelParams.effective(params, result.model)
+      });
+      await this.store.append(sessionId, reply);
+    }
+
+    this._sendWebSocket(ws, {
+      type: 'end',
+      success: result.success,
+      requestId: generation.id,
+      ...(reply && { messageId: reply.id }),
+      model: result.model,
+      usage: result.usage,
+      ...(result.cached && { cached: true }),
+      ...(!result.success && this._modelError(result.error).toJSON()),
+      warnings: result.warnings || [],
+      ...extra
+    });
+  }
+
+  /**
+   * Handle WebSocket configure message
+   * @private
+   */
+  async _handleWebSocketConfigure(ws, sessionId, payload) {
+    this._checkPromptFields(payload, 'message');
+
+    const paramsCheck = this.modelParams.check(payload.params);
+    if (!paramsCheck.allowed) {
+      this._sendWebSocketError(ws, this._modelParamsError(paramsCheck));
+      return;
+    }
+
+    const changes = {};
+
+    if (payload.systemPrompt) {
+      changes.systemPrompt = payload.systemPrompt;
+      changes.template = null;
+    }
+
+    if (payload.template) {
+      const prompt = this.prompts.render(payload.template, payload.variables);
+      if (!prompt.success) {
+        this._sendWebSocketError(ws, this._promptError(prompt));
+        return;
+      }
+      changes.systemPrompt = prompt.text;
+      changes.template = prompt.template;
+    }
+
+    if (payload.params) {
+      changes.params = payload.params;
+    }
+
+    if (Object.keys(changes).length > 0) {
+      await this.store.update(sessionId, changes);
+    }
+
+    this._sendWebSocket(ws, {
+      type: 'configured',
+      success: true
+    });
+  }
+
+  /**
+   * Handle WebSocket cancel message. Stops the given request, or every
+   * generation running for the session when no requestId is sent.
+   * @private
+   */
+  _handleWebSocketCancel(ws, sessionId, payload) {
+    const cancelled = this._cancelGenerations(g =>
+      g.sessionId === sessionId && (!payload.requestId || g.id === payload.requestId)
+    );
+
+    this._sendWebSocket(ws, {
+      type: 'cancelled',
+      success: cancelled.length > 0,
+      requestIds: cancelled
+    });
+  }
+
+  /**
+   * Handle WebSocket clear message
+   * @private
+   */
+  async _handleWebSocketClear(ws, sessionId) {
+    await this.store.update(sessionId, {
+      messages: [],
+      summary: null,
+      branches: null,
+      activeBranch: null
+    });
+
+    this._sendWebSocket(ws, {
+      type: 'cleared',
+      success: true
+    });
+  }
+
+  /**
+   * Build the message list sent to the model for a conversation,
+   * trimmed to fit the context window of the model that answers
+   * @private
+   * @param {Object} conversation
+   * @param {Object} params - Model parameters of the request
+   * @param {Object} options - { req, provider, signal, vault } of the request. Summaries of
+   *   older messages are written on its provider, from PII protected with its vault, and
+   *   their usage is recorded for its caller.
+   */
+  async _buildApiMessages(conversation, params = {}, { req = null, provider, signal, vault = null } = {}) {
+    const context = await this.contextManager.build(conversation, {
+      model: params.model || this.config.model,
+      maxTokens: params.maxTokens || this.config.maxTokens,
+      provider,
+      signal,
+      protect: (text) => this.guardrails.protectPii(text, vault),
+      restore: (text) => this.guardrails.restorePii(text, vault),
+      onResult: this._sideCallRecorder(req, conversation.id, { summary: true })
+    });
+
+    if (context.summaryChanged) {
+      await this.store.update(conversation.id, { summary: context.summary });
+    }
+
+    return context.messages;
+  }
+
+  /**
+   * Generate an assistant reply, running the tool-call loop when tools are registered.
+   * Tool turns are persisted on the conversation as they happen.
+   * @private
+   * @param {string} conversationId - Conversation to persist tool turns to
+   * @param {Array} apiMessages - Messages to send to the model
+   * @param {Object} options
+   * @param {Object} options.chatOptions - Per-request ChatClient options (provider, signal, ...)
+   * @param {Object} options.params - Model parameters of the request, recorded on assistant messages
+   * @param {Object} options.req - Request being answered, usage of every model call is recorded for its caller
+   * @param {Object} options.vault - PII vault of the request (default: a new one)
+   * @param {string} options.systemPrompt - Conversation system prompt, replies leaking it are moderated
+   * @param {boolean} options.stream - Use streaming responses
+   * @param {Function} options.onChunk - Called with each streamed chunk
+   * @param {Function} options.onToolEvent - Called with tool_call / tool_result events
+   * @param {Function} options.onModeration - Called with streaming moderation (redact / terminate) events
+   * @param {string} options.cache - Response cache mode: 'default', 'no-cache' or 'no-store'
+   * @returns {Promise<Object>} - Result of the final model call, `blocked: true` if moderation stopped
+   *   it, `cached: true` if it was answered from the response cache
+   */
+  async _generateReply(conversationId, apiMessages, options = {}) {
+    const {
+      params = {},
+      req = null,
+      systemPrompt = null,
+      stream = false,
+      onChunk = () => {},
+      onToolEvent = () => {},
+      onModeration = () => {},
+      cache = 'default'
+    } = options;
+    // Settings of this request, every model call of it uses the same frozen context
+    const context = this.chatClient.requestContext({
+      ...options.chatOptions,
+      ...(systemPrompt && { systemPrompt }),
+      ...this.modelParams.chatOptions(params)
+    });
+
+    // PII is masked or replaced with placeholders before it reaches the model
+    const vault = options.vault || this.guardrails.createPiiVault();
+    const messages = this.guardrails.protectMessages(apiMessages, vault);
+    const tools = this.tools.definitions();
+    const cached = await this._checkCache(req, cache, messages, context, vault);
+    let iterations = 0;
+    let usage = null;
+
+    while (true) {
+      const requestOptions = { ...context };
+      if (tools.length > 0) {
+        requestOptions.tools = tools;
+        // Force a plain answer once the iteration limit is reached
+        if (iterations >= this.config.maxToolIterations) {
+          requestOptions.toolChoice = 'none';
+        }
+      }
+
+      // Streamed text is moderated as it arrives, see _moderatedStream
+      const moderator = stream ? this.guardrails.createStreamModerator({
+        vault,
+        systemPrompt,
+        onModelCall: this._sideCallRecorder(req, conversationId, { judge: true })
+      }) : null;
+      const replay = iterations === 0 ? cached.entry : null;
+      const startedAt = Date.now();
+      let result;
+      if (stream) {
+        result = await this._moderatedStream(messages, requestOptions, moderator, { onChunk, onModeration, vault, replay });
+      } else {
+        result = this._unmaskReply(replay ? this.cache.toResult(replay) : await this.chatClient.chat(messages, requestOptions), vault);
+      }
+
+      if (!result.cached) this._auditModelCall(req, conversationId, result, startedAt, { stream });
+      if (moderator) this._recordStreamModeration(req, conversationId, moderator, result);
+
+      // Cached answers cost no tokens. Failed schema repairs used tokens too.
+      if ((result.success || result.cancelled || result.usage) && !result.cached) {
+        const record = this._recordUsage(req, conversationId, messages, result);
+        usage = this._addUsage(usage, result.usage || {
+          prompt_tokens: record.promptTokens,
+          completion_tokens: record.completionTokens,
+          total_tokens: record.totalTokens
+        });
+      }
+
+      if (moderator && moderator.violation) {
+        return {
+          success: false,
+          blocked: true,
+          model: result.model,
+          usage,
+          error: {
+            message: moderator.violation.reason,
+            code: moderator.violation.code,
+            status: 400
+          }
+        };
+      }
+
+      if (result.cancelled) {
+        await this._saveCancelledReply(req, conversationId, result, systemPrompt, params);
+        return usage ? { ...result, usage } : result;
+      }
+
+      const toolCalls = result.success ? result.message.tool_calls : null;
+
+      if (!toolCalls || toolCalls.length === 0) {
+        // Answers that needed tools depend on more than the request, they are not cached
+        if (cached.key && iterations === 0 && result.success && !result.cached) {
+          this.cache.set(cached.key, result);
+        }
+        return usage ? { ...result, usage } : result;
+      }
+
+      iterations++;
+
+      const assistantMessage = {
+        role: 'assistant',
+        content: result.message.content || null,
+        tool_calls: toolCalls
+      };
+      messages.push(...this.guardrails.protectMessages([assistantMessage], vault));
+      await this.store.append(conversationId, this._createMessage({
+        ...assistantMessage,
+        params: this.modelParams.effective(params, result.model)
+      }));
+
+      for (const toolCall of toolCalls) {
+        const name = toolCall.function?.name;
+
+        onToolEvent({
+          type: 'tool_call',
+          id: toolCall.id,
+          name,
+          arguments: toolCall.function?.arguments
+        });
+
+        const output = await this.tools.execute(toolCall, { conversationId, signal: context.signal });
+
+        const toolMessage = {
+          role: 'tool',
+          tool_call_id: toolCall.id,
+          name,
+          content: output.content
+        };
+        messages.push(...this.guardrails.protectMessages([toolMessage], vault));
+        await this.store.append(conversationId, this._createMessage(toolMessage));
+
+        onToolEvent({
+          type: 'tool_result',
+          id: toolCall.id,
+          name,
+          result: output.content,
+          ...(output.error && { error: output.error })
+        });
+      }
+
+      // Don't start another model call after a cancel during tool execution
+      if (context.signal && context.signal.aborted) {
+        return {
+          success: false,
+          cancelled: true,
+          model: result.model,
+          usage,
+          error: { message: 'Request cancelled', code: 'CANCELLED', status: 499 }
+        };
+      }
+    }
+  }
+
+  /**
+   * Stream one model call through a StreamModerator. Chunks only carry text
+   * the moderator released, and a violation aborts the upstream request at
+   * once. The result's content is what the client saw (with redactions and
+   * PII placeholders restored).
+   * @private
+   */
+  async _moderatedStream(messages, requestOptions, moderator, { onChunk, onModeration = () => {}, vault = null, replay = null }) {
+    // Own abort controller, so moderation can stop the request too
+    const controller = new AbortController();
+    const signal = requestOptions.signal;
+    const abort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) abort();
+      signal.addEventListener('abort', abort, { once: true });
+    }
+
+    const report = (moderated) => {
+      for (const redaction of moderated.redactions) {
+        onModeration({ type: 'moderation', action: 'redact', ...redaction });
+      }
+      if (moderated.violation) {
+        onModeration({
+          type: 'moderation',
+          action: 'terminate',
+          reason: moderated.violation.reason,
+          code: moderated.violation.code
+        });
+        controller.abort();
+      }
+    };
+
+    // The last chunk waits for the (possibly async) check of the complete response
+    let lastChunk = null;
+
+    // A cached answer goes through the same moderation as a live one
+    const streamReply = replay
+      ? (handleChunk, options) => this.cache.replay(replay, handleChunk, options)
+      : (handleChunk, options) => this.chatClient.streamChat(messages, handleChunk, options);
+
+    const result = await streamReply((chunk) => {
+      if (moderator.violation) return;
+
+      if (chunk.error) {
+        onChunk(chunk);
+        return;
+      }
+
+      if (!chunk.done) {
+        const moderated = moderator.push(chunk.content);
+        report(moderated);
+        if (moderated.content) onChunk({ ...chunk, content: moderated.content });
+        return;
+      }
+
+      if (chunk.cancelled) {
+        onChunk({ ...chunk, fullContent: moderator.releasedText });
+        return;
+      }
+
+      lastChunk = chunk;
+    }, { ...requestOptions, signal: controller.signal });
+
+    if (lastChunk) {
+      const moderated = await moderator.end();
+      report(moderated);
+
+      if (!moderated.violation) {
+        // The model is not done yet if it asked for tools
+        if (lastChunk.toolCalls) {
+          if (moderated.content) onChunk({ content: moderated.content, done: false, model: lastChunk.model });
+        } else {
+          onChunk({ ...lastChunk, content: moderated.content, fullContent: moderator.fullText });
+        }
+      }
+    }
+
+    if (signal) signal.removeEventListener('abort', abort);
+
+    if (result.message) {
+      const content = result.cancelled ? moderator.releasedText : moderator.fullText;
+      return {
+        ...result,
+        message: this._restoreMessage({ ...result.message, content }, vault),
+        warnings: moderator.warnings
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Look up a request in the response cache. Answers are only shared
+   * between callers who could see each other's conversations.
+   * @private
+   * @param {Object} req - Request being answered (its caller owns the answer)
+   * @param {string} mode - 'default', 'no-cache' (don't read, store the answer) or 'no-store' (skip the cache)
+   * @param {Array} messages - Messages sent to the model
+   * @param {Object} context - ChatClient request context (see ChatClient#requestContext)
+   * @param {Object} vault - PII vault of the request
+   * @returns {Promise<Object>} - { key, entry }: key is null if the answer must not be cached,
+   *   entry is the cached answer, if any
+   */
+  async _checkCache(req, mode, messages, context, vault) {
+    if (!this.cache) return { key: null, entry: null };
+
+    // Placeholders of tokenized PII stand for different values in every request
+    if (mode === 'no-store' || vault.tokens.size > 0) {
+      this.instruments.cacheRequests.inc({ result: 'bypass' });
+      return { key: null, entry: null };
+    }
+
+    const key = this.cache.key({
+      provider: context.provider,
+      model: context.model,
+      temperature: context.temperature,
+      maxTokens: context.maxTokens,
+      extra: context.extra,
+      responseSchema: context.responseSchema,
+      systemPrompt: messages.some(m => m.role === 'system') ? null : context.systemPrompt,
+      tools: this.tools.definitions(),
+      owner: this.auth.ownerFilter(req ? req.auth : Auth.ANONYMOUS),
+      messages
+    });
+
+    if (mode === 'no-cache') {
+      this.instruments.cacheRequests.inc({ result: 'bypass' });
+      return { key, entry: null };
+    }
+
+    const entry = await this.cache.get(key);
+    this.instruments.cacheRequests.inc({ result: entry ? 'hit' : 'miss' });
+    return { key, entry };
+  }
+
+  /**
+   * X-Cache header value of a response: HIT, MISS or BYPASS
+   * @private
+   */
+  _cacheStatus(mode, result) {
+    if (result.cached) return 'HIT';
+    return mode === 'default' ? 'MISS' : 'BYPASS';
+  }
+
+  /**
+   * Mask PII the model wrote in a reply that was not streamed, and restore
+   * the placeholders it repeated
+   * @private
+   */
+  _unmaskReply(result, vault) {
+    if (!result.message) return result;
+
+    const { content } = this.guardrails.maskPii(result.message.content);
+    return { ...result, message: this._restoreMessage({ ...result.message, content }, vault) };
+  }
+
+  /**
+   * Restore PII placeholders in a model message and its tool call arguments
+   * @private
+   */
+  _restoreMessage(message, vault) {
+    const restored = { ...message, content: this.guardrails.restorePii(message.content, vault) };
+
+    if (message.tool_calls) {
+      restored.tool_calls = message.tool_calls.map(toolCall => ({
+        ...toolCall,
+        function: {
+          ...toolCall.function,
+          arguments: this.guardrails.restorePii(toolCall.function?.arguments, vault)
+        }
+      }));
+    }
+
+    return restored;
+  }
+
+  /**
+   * Track an in-flight generation so it can be cancelled
+   * @private
+   * @param {string} requestId - Client-chosen id, a new one is generated if missing or taken
+   * @param {string} conversationId - Conversation the reply belongs to
+   * @param {Object} owner - Principal or conversation carrying tenantId / userId
+   * @param {string} sessionId - WebSocket session running the generation
+   * @returns {Object} - { id, controller, conversationId, tenantId, userId, sessionId }
+   */
+  _beginGeneration(requestId, conversationId, owner, sessionId = null) {
+    const id = requestId && !this.generations.has(String(requestId))
+      ? String(requestId)
+      : uuidv4();
+
+    const generation = {
+      id,
+      controller: new AbortController(),
+      conversationId,
+      tenantId: owner.tenantId,
+      userId: owner.userId,
+      sessionId
+    };
+
+    this.generations.set(id, generation);
+    return generation;
+  }
+
+  /**
+   * Stop tracking a finished generation
+   * @private
+   */
+  _endGeneration(id) {
+    this.generations.delete(id);
+  }
+
+  /**
+   * Abort every in-flight generation matching a predicate
+   * @private
+   * @returns {Array<string>} - Ids of the cancelled generations
+   */
+  _cancelGenerations(predicate) {
+    const cancelled = [];
+
+    for (const generation of this.generations.values()) {
+      if (predicate(generation)) {
+        generation.controller.abort();
+        cancelled.push(generation.id);
+      }
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Save the partial reply of a cancelled generation, if it passes moderation
+   * @private
+   */
+  async _saveCancelledReply(req, conversationId, result, systemPrompt = null, params = {}) {
+    const content = result.message && result.message.content;
+    if (!content) return;
+
+    const moderation = await this.guardrails.moderateOutput(content, {
+      systemPrompt,
+      onModelCall: this._sideCallRecorder(req, conversationId, { judge: true })
+    });
+    if (!moderation.allowed) return;
+
+    await this.store.append(conversationId, this._createMessage({
+      role: 'assistant',
+      content: moderation.content,
+      cancelled: true,
+      params: this.modelParams.effective(params, result.model)
     }));
   }
 
   /**
-   * Handle WebSocket clear message
+   * Record the token usage of a model call and charge it to token rate limits.
+   * Usage the provider didn't report (e.g. cancelled streams) is estimated
+   * from the prompt and reply.
+   * @private
+   * @param {Object} req - Request (HTTP or WebSocket upgrade) of the caller
+   * @param {string|null} conversationId - Conversation the call belongs to
+   * @param {Array} promptMessages - Messages sent to the model
+   * @param {Object} result - ChatClient result
+   * @returns {Object} - Usage record
+   */
+  _recordUsage(req, conversationId, promptMessages, result) {
+    let usage = result.usage;
+
+    if (!usage) {
+      const promptTokens = promptMessages.reduce(
+        (sum, m) => sum + this.contextManager.estimateMessageTokens(m),
+        0
+      );
+      const completionTokens = this.contextManager.estimateTokens(result.message?.content);
+      usage = {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      };
+    }
+
+    const record = this.usage.record({
+      principal: req ? req.auth : Auth.ANONYMOUS,
+      conversationId,
+      model: result.model,
+      provider: result.provider,
+      usage,
+      estimated: !result.usage
+    });
+
+    this._audit('usage', req, conversationId, {
+      model: record.model,
+      provider: record.provider,
+      promptTokens: record.promptTokens,
+      completionTokens: record.completionTokens,
+      totalTokens: record.totalTokens,
+      cost: record.cost,
+      estimated: record.estimated
+    });
+
+    if (req) {
+      this.rateLimiter.recordTokens(this._rateLimitContext(req, conversationId), record.totalTokens)
+        .catch(error => this.logger.error('Failed to record tokens for rate limiting', { error: error.message }));
+    }
+
+    return record;
+  }
+
+  /**
+   * Request id from a header or client message, or a new one if it's missing
+   * or not usable
    * @private
    */
-  _handleWebSocketClear(ws, sessionId) {
-    const conversation = this.conversations.get(sessionId);
-    
-    if (conversation) {
-      conversation.messages = [];
-      conversation.updatedAt = new Date().toISOString();
+  _requestId(value) {
+    const id = value === undefined || value === null ? '' : String(value);
+    return REQUEST_ID_PATTERN.test(id) ? id : uuidv4();
+  }
+
+  /**
+   * Record an audit event for a request; error events are logged as well
+   * @private
+   * @param {string} type - Event type
+   * @param {Object|null} req - HTTP or WebSocket upgrade request, for the caller and address
+   * @param {string|null} conversationId - Conversation the event belongs to
+   * @param {Object} data - Event fields
+   */
+  _audit(type, req, conversationId, data) {
+    if (type === 'error') {
+      this.logger.warn(`${data.source} error: ${data.message}`, {
+        code: data.code,
+        status: data.status,
+        conversationId: conversationId || undefined
+      });
     }
 
-    ws.send(JSON.stringify({
-      type: 'cleared',
-      success: true
+    const context = req ? this._rateLimitContext(req, conversationId) : { conversationId };
+    return this.audit.record(type, data, context);
+  }
+
+  /**
+   * Checks every generation passes before the model is called: the provider
+   * and model parameters, the rate limits and the token quota, then input
+   * moderation of the new message. Moderation comes last since policies may
+   * call a model themselves.
+   * @private
+   * @param {Object} req - HTTP or WebSocket upgrade request (caller principal and address)
+   * @param {string|null} conversationId - Conversation the reply belongs to
+   * @param {Object} request - { provider, params, message }, `message` being the new user message, if any
+   * @param {Object} res - HTTP response to set the RateLimit-* and Retry-After headers on
+   * @returns {Promise<Object>} - { allowed: true, moderation } or { allowed: false, error: ApiError };
+   *   `moderation` is null without a message
+   */
+  async _prepareGeneration(req, conversationId, { provider, params, message }, res = null) {
+    const deny = (error) => ({ allowed: false, error });
+
+    if (provider && !this.chatClient.hasProvider(provider)) {
+      return deny(this._unknownProviderError(provider));
+    }
+
+    const paramsCheck = this.modelParams.check(params);
+    if (!paramsCheck.allowed) {
+      return deny(this._modelParamsError(paramsCheck));
+    }
+
+    const rateLimit = await this._checkRateLimit(req, conversationId, res);
+    if (!rateLimit.allowed) {
+      return deny(this._rateLimitError(rateLimit));
+    }
+
+    // Check token quota before calling the model
+    const quota = this.usage.checkQuota(req.auth);
+    if (!quota.allowed) {
+      if (res) this._setQuotaRetryAfter(res, quota);
+      return deny(this._quotaError(quota));
+    }
+
+    // Apply guardrails - moderate input
+    let moderation = null;
+    if (message !== undefined) {
+      moderation = await this._moderateInput(req, conversationId, message);
+      if (!moderation.allowed) {
+        return deny(this._moderationError(moderation));
+      }
+    }
+
+    return { allowed: true, moderation };
+  }
+
+  /**
+   * Moderate a user message and record the decision
+   * @private
+   */
+  async _moderateInput(req, conversationId, message) {
+    const moderation = await this.guardrails.moderateInput(message, {
+      onModelCall: this._sideCallRecorder(req, conversationId, { judge: true })
+    });
+    this._recordModeration(req, conversationId, 'input', moderation);
+    return moderation;
+  }
+
+  /**
+   * Moderate a complete reply and record the decision
+   * @private
+   */
+  async _moderateOutput(req, conversationId, content, options = {}) {
+    const moderation = await this.guardrails.moderateOutput(content, {
+      ...options,
+      onModelCall: this._sideCallRecorder(req, conversationId, { judge: true })
+    });
+    this._recordModeration(req, conversationId, 'output', moderation);
+    return moderation;
+  }
+
+  /**
+   * Record a moderation decision in the audit log and metrics. Only codes
+   * and check names are kept, not the content or what matched in it.
+   * @private
+   */
+  _recordModeration(req, conversationId, stage, moderation, extra = {}) {
+    if (!moderation.allowed) {
+      this.instruments.guardrailRejections.inc({ stage, code: moderation.code || 'UNKNOWN' });
+    }
+
+    this._audit('moderation', req, conversationId, {
+      stage,
+      action: moderation.action || (moderation.allowed ? 'allow' : 'reject'),
+      allowed: moderation.allowed,
+      code: moderation.code || null,
+      reason: moderation.reason || null,
+      checks: (moderation.checks || []).map(({ check, code, severity, action }) => ({ check, code, severity, action })),
+      ...extra
+    });
+  }
+
+  /**
+   * Record the moderation decision of a streamed reply
+   * @private
+   */
+  _recordStreamModeration(req, conversationId, moderator, result) {
+    if (!moderator.violation && !result.success) return;
+
+    // Stream violations always stop the reply, whatever the check's action
+    const decision = moderator.violation ? { ...moderator.violation, allowed: false, action: 'reject' } : {
+      allowed: true,
+      action: moderator.redactions.length > 0 ? 'sanitize' : (moderator.warnings.length > 0 ? 'warn' : 'allow'),
+      checks: moderator.warnings
+    };
+
+    this._recordModeration(req, conversationId, 'output', decision, {
+      stream: true,
+      redactions: moderator.redactions.length
+    });
+  }
+
+  /**
+   * Callback for model calls made on the side of a generation (history
+   * summaries, LLM judge verdicts): they are audited and their usage is
+   * charged to the caller like the reply's
+   * @private
+   * @returns {Function} - (result, messages, startedAt) => void
+   */
+  _sideCallRecorder(req, conversationId, extra = {}) {
+    return (result, messages, startedAt) => {
+      this._auditModelCall(req, conversationId, result, startedAt, extra);
+      if (result.success || result.usage) this._recordUsage(req, conversationId, messages, result);
+    };
+  }
+
+  /**
+   * Record a model call, and an error event if it failed
+   * @private
+   * @param {Object|null} req - Request the call was made for
+   * @param {string|null} conversationId - Conversation the call belongs to
+   * @param {Object} result - ChatClient result
+   * @param {number} startedAt - Time the call started, in ms
+   * @param {Object} extra - Extra event fields, e.g. { stream: true }
+   */
+  _auditModelCall(req, conversationId, result, startedAt, extra = {}) {
+    const error = result.success || result.cancelled ? null : (result.error || {});
+
+    this._audit('model_call', req, conversationId, {
+      model: result.model || null,
+      provider: result.provider || null,
+      success: !!result.success,
+      cancelled: !!result.cancelled,
+      finishReason: result.finishReason || null,
+      durationMs: Date.now() - startedAt,
+      ...(error && { code: error.code || null }),
+      ...extra
+    });
+
+    if (error) {
+      this._audit('error', req, conversationId, {
+        source: 'model',
+        code: error.code || null,
+        status: error.status || null,
+        message: error.message || null,
+        model: result.model || null,
+        provider: result.provider || null
+      });
+    }
+  }
+
+  /**
+   * Error for a request whose token quota is used up
+   * @private
+   */
+  _quotaError(check) {
+    return new ApiError(check.code, check.reason, { fields: { quota: check.quota } });
+  }
+
+  /**
+   * Tell the client when an exceeded quota resets
+   * @private
+   */
+  _setQuotaRetryAfter(res, check) {
+    const seconds = Math.ceil((Date.parse(check.quota.resetAt) - Date.now()) / 1000);
+    res.setHeader('Retry-After', String(Math.max(seconds, 1)));
+  }
+
+  /**
+   * Sum token usage across model calls
+   * @private
+   */
+  _addUsage(total, usage) {
+    if (!usage) return total;
+    if (!total) return { ...usage };
+
+    for (const key of ['prompt_tokens', 'completion_tokens', 'total_tokens']) {
+      if (usage[key] !== undefined) {
+        total[key] = (total[key] || 0) + usage[key];
+      }
+    }
+    return total;
+  }
+
+  /**
+   * Build a stored message with a stable id and a timestamp
+   * @private
+   */
+  _createMessage(fields) {
+    return {
+      id: uuidv4(),
+      ...fields,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Give ids to messages stored before messages had ids
+   * @private
+   */
+  async _ensureMessageIds(conversation) {
+    if (conversation.messages.every(m => m.id)) {
+      return conversation;
+    }
+
+    const messages = conversation.messages.map(m => (m.id ? m : { id: uuidv4(), ...m }));
+    return this.store.update(conversation.id, { messages });
+  }
+
+  /**
+   * Get the branches of a conversation. Every conversation starts on a 'main' branch.
+   * The active branch's messages are `conversation.messages`, the others keep
+   * their own copy.
+   * @private
+   * @returns {Object} - { activeBranch, branches } where branches is a copy keyed by id
+   */
+  _branches(conversation) {
+    const activeBranch = conversation.activeBranch || 'main';
+    const branches = conversation.branches
+      ? { ...conversation.branches }
+      : {
+        main: {
+          id: 'main',
+          parentBranch: null,
+          forkMessageId: null,
+          createdAt: conversation.createdAt
+        }
+      };
+
+    return { activeBranch, branches };
+  }
+
+  /**
+   * Summarize the branches of a conversation for API responses
+   * @private
+   */
+  _listBranches(conversation) {
+    const { activeBranch, branches } = this._branches(conversation);
+
+    return Object.values(branches).map(branch => ({
+      id: branch.id,
+      parentBranch: branch.parentBranch,
+      forkMessageId: branch.forkMessageId,
+      messageCount: branch.id === activeBranch
+        ? conversation.messages.length
+        : branch.messages.length,
+      active: branch.id === activeBranch,
+      createdAt: branch.createdAt
     }));
   }
 
   /**
-   * Check rate limit for a session
+   * Start a new branch that shares the messages before `index` with the
+   * active branch, and make it the active one
    * @private
+   * @param {Object} conversation - Conversation to fork
+   * @param {number} index - Position of the first message that is not shared
+   * @param {Array} messages - Messages that start the new branch
+   * @returns {Promise<Object>} - Updated conversation
    */
-  _checkRateLimit(sessionId) {
-    const now = Date.now();
-    const windowMs = 60000; // 1 minute window
-    
-    if (!this.rateLimits.has(sessionId)) {
-      this.rateLimits.set(sessionId, []);
+  async _forkConversation(conversation, index, messages = []) {
+    const { activeBranch, branches } = this._branches(conversation);
+    const id = uuidv4();
+
+    branches[activeBranch] = {
+      ...branches[activeBranch],
+      messages: conversation.messages,
+      summary: conversation.summary || null
+    };
+    branches[id] = {
+      id,
+      parentBranch: activeBranch,
+      forkMessageId: conversation.messages[index].id,
+      createdAt: new Date().toISOString()
+    };
+
+    // A summary that covers replaced messages no longer matches the history
+    const summary = conversation.summary && conversation.summary.messageCount <= index
+      ? conversation.summary
+      : null;
+
+    return this.store.update(conversation.id, {
+      messages: [...conversation.messages.slice(0, index), ...messages],
+      summary,
+      branches,
+      activeBranch: id
+    });
+  }
+
+  /**
+   * Make another branch the active one
+   * @private
+   * @returns {Promise<Object|null>} - Updated conversation, or null if the branch doesn't exist
+   */
+  async _switchBranch(conversation, branchId) {
+    const { activeBranch, branches } = this._branches(conversation);
+
+    if (!Object.hasOwn(branches, branchId)) return null;
+    if (branchId === activeBranch) return conversation;
+
+    branches[activeBranch] = {
+      ...branches[activeBranch],
+      messages: conversation.messages,
+      summary: conversation.summary || null
+    };
+
+    const { messages, summary, ...branch } = branches[branchId];
+    branches[branchId] = branch;
+
+    return this.store.update(conversation.id, {
+      messages,
+      summary: summary || null,
+      branches,
+      activeBranch: branchId
+    });
+  }
+
+  /**
+   * Find where a regenerate or edit request branches off, before anything
+   * is charged for it. To regenerate, that is the user turn the message
+   * answers (or the message itself, if it is a user turn); only user
+   * messages can be edited.
+   * @private
+   * @param {Object} conversation - Conversation the message belongs to
+   * @param {string} messageId - Message to regenerate the reply to, or to edit
+   * @param {string} action - 'regenerate' or 'edit'
+   * @returns {Promise<Object>} - { success, conversation, index, error, code }
+   */
+  async _branchPoint(conversation, messageId, action) {
+    conversation = await this._ensureMessageIds(conversation);
+    const messages = conversation.messages;
+    const index = messages.findIndex(m => m.id === messageId);
+
+    if (index === -1) {
+      return { success: false, error: 'Message not found', code: 'MESSAGE_NOT_FOUND' };
     }
 
-    const timestamps = this.rateLimits.get(sessionId);
-    
-    // Remove old timestamps
-    const validTimestamps = timestamps.filter(t => now - t < windowMs);
-    
-    if (validTimestamps.length >= this.config.rateLimit) {
-      return false;
+    if (action === 'edit') {
+      if (messages[index].role !== 'user') {
+        return { success: false, error: 'Only user messages can be edited', code: 'INVALID_MESSAGE' };
+      }
+      return { success: true, conversation, index };
+    }
+
+    let userIndex = index;
+    while (userIndex >= 0 && messages[userIndex].role !== 'user') {
+      userIndex--;
+    }
+
+    if (userIndex === -1) {
+      return { success: false, error: 'Message does not answer a user message', code: 'INVALID_MESSAGE' };
+    }
+
+    return { success: true, conversation, index: userIndex };
+  }
+
+  /**
+   * Fork a conversation so the reply to a user turn can be generated again.
+   * The new branch ends with that user turn.
+   * @private
+   * @param {Object} point - _branchPoint result for 'regenerate'
+   * @returns {Promise<Object>} - { conversation, branchId }
+   */
+  async _regenerateBranch({ conversation, index }) {
+    // No reply to replace (e.g. the last one failed), answer on the active branch
+    if (index === conversation.messages.length - 1) {
+      return { conversation, branchId: this._branches(conversation).activeBranch };
+    }
+
+    const forked = await this._forkConversation(conversation, index + 1);
+    return { conversation: forked, branchId: forked.activeBranch };
+  }
+
+  /**
+   * Fork a conversation at a user message and replace it with new content
+   * @private
+   * @param {Object} point - _branchPoint result for 'edit'
+   * @param {string} content - New (moderated) content of the message
+   * @returns {Promise<Object>} - { conversation, branchId }
+   */
+  async _editBranch({ conversation, index }, content) {
+    const edited = this._createMessage({ role: 'user', content });
+    const forked = await this._forkConversation(conversation, index, [edited]);
+    return { conversation: forked, branchId: forked.activeBranch };
+  }
+
+  /**
+   * Create and store a new conversation owned by the given principal
+   * @private
+   * @param {string} id - Conversation id
+   * @param {string} systemPrompt - System prompt (default: the configured one)
+   * @param {Object} principal - Owner
+   * @param {Object} fields - Other fields to store, e.g. template and params
+   */
+  _createConversation(id, systemPrompt, principal = Auth.ANONYMOUS, fields = {}) {
+    const now = new Date().toISOString();
+
+    return this.store.create({
+      id,
+      messages: [],
+      systemPrompt: systemPrompt || this.config.systemPrompt,
+      ...fields,
+      tenantId: principal.tenantId,
+      userId: principal.userId,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * Check and charge the rate limits that apply to a request
+   * @private
+   * @param {Object} req - HTTP or WebSocket upgrade request
+   * @param {string|null} conversationId - Conversation the request belongs to
+   * @param {Object} res - HTTP response to set RateLimit-* headers on
+   * @returns {Promise<Object>} - RateLimiter#check result
+   */
+  async _checkRateLimit(req, conversationId, res = null) {
+    const check = await this.rateLimiter.check(this._rateLimitContext(req, conversationId));
+
+    if (res) {
+      res.set(this.rateLimiter.headers(check));
+    }
+
+    return check;
+  }
+
+  /**
+   * Error for a rate limited request
+   * @private
+   */
+  _rateLimitError(check) {
+    return new ApiError(check.code, check.reason, {
+      fields: {
+        scope: check.scope,
+        retryAfter: Number(this.rateLimiter.headers(check)['Retry-After'])
+      }
+    });
+  }
+
+  /**
+   * Describe who a request comes from, for rate limit scopes
+   * @private
+   */
+  _rateLimitContext(req, conversationId) {
+    return {
+      ip: this._clientIp(req),
+      principal: req.auth || Auth.ANONYMOUS,
+      conversationId
+    };
+  }
+
+  /**
+   * Client address of an HTTP or WebSocket upgrade request. Express resolves
+   * `req.ip` with the `trustProxy` setting; upgrade requests only honor
+   * X-Forwarded-For when `trustProxy` is on.
+   * @private
+   */
+  _clientIp(req) {
+    if (req.ip) return req.ip;
+
+    const forwarded = req.headers && req.headers['x-forwarded-for'];
+    if (this.config.trustProxy && forwarded) {
+      return forwarded.split(',')[0].trim();
     }
 
-    validTimestamps.push(now);
-    this.rateLimits.set(sessionId, validTimestamps);
-    return true;
+    return req.socket ? req.socket.remoteAddress : null;
+  }
+
+  /**
+   * Register a tool the model can call
+   * @param {Object} tool - { name, description, parameters, handler }
+   */
+  registerTool(tool) {
+    this.tools.register(tool);
+    return this;
   }
 
   /**
@@ -559,10 +3232,19 @@ class ChatServer {
   }
 
   /**
-   * Add custom route
+   * Add custom route. With a spec, the query and body are validated and the
+   * route is described in the OpenAPI document; errors thrown by the handler
+   * are answered in the error envelope either way.
+   * @param {string} method - HTTP method
+   * @param {string} path - Express path
+   * @param {Object} spec - Optional: { summary, description, tags, query, body, response, errors }
+   * @param {Function} handler - Express handler, may be async
    */
-  route(method, path, handler) {
-    this.app[method.toLowerCase()](path, handler);
+  route(method, path, spec, handler) {
+    if (typeof spec === 'function') {
+      [spec, handler] = [{}, spec];
+    }
+    this._route(method.toLowerCase(), path, spec, handler);
   }
 
   /**
@@ -572,16 +3254,16 @@ class ChatServer {
     const port = this.config.port;
     const host = this.config.host;
 
+    this._setupFallbackHandlers();
+
     this.server.listen(port, host, () => {
-      console.log(`🚀 Chat server running at http://${host}:${port}`);
-      console.log(`📡 WebSocket available at ws://${host}:${port}${this.config.wsPath}`);
-      console.log(`\nEndpoints:`);
-      console.log(`  POST /chat          - Send a message`);
-      console.log(`  POST /chat/simple   - Single-turn chat`);
-      console.log(`  POST /conversation  - Create conversation`);
-      console.log(`  GET  /conversation/:id - Get conversation`);
-      console.log(`  GET  /conversations - List conversations`);
-      console.log(`  GET  /health        - Health check`);
+      this.logger.info('Chat server listening', {
+        url: `http://${host}:${port}`,
+        websocket: this.config.enableWebSocket ? `ws://${host}:${port}${this.config.wsPath}` : undefined
+      });
+      for (const [method, path, description] of this._endpoints()) {
+        this.logger.debug('Endpoint', { method, path, description });
+      }
       
       if (callback) callback();
     });
@@ -589,6 +3271,30 @@ class ChatServer {
     return this.server;
   }
 
+  /**
+   * Registered endpoints: [method, path, description]
+   * @private
+   */
+  _endpoints() {
+    return this.routes.map(route => [route.method.toUpperCase(), route.path, route.summary]);
+  }
+
+  /**
+   * Answer unknown routes, and errors of middleware and routes added with
+   * getApp(), in the error envelope. Added when the server starts, so they
+   * come after custom routes.
+   * @private
+   */
+  _setupFallbackHandlers() {
+    if (this._fallbackHandlers) return;
+    this._fallbackHandlers = true;
+
+    this.app.use((req, res, next) => {
+      next(new ApiError('NOT_FOUND', `Cannot ${req.method} ${req.path}`));
+    });
+    this.app.use((error, req, res, next) => this._handleError(error, req, res));
+  }
+
   /**
    * Stop the server
    */
@@ -596,9 +3302,43 @@ class ChatServer {
     if (this.wss) {
       this.wss.close();
     }
+    this.rateLimiter.close().catch(error => {
+      this.logger.error('Failed to close rate limit store', { error: error.message });
+    });
+    this.audit.close();
+    if (this.cache) {
+      this.cache.close().catch(error => {
+        this.logger.error('Failed to close response cache', { error: error.message });
+      });
+    }
+    this.tracer.close().catch(error => {
+      this.logger.error('Failed to export spans', { error: error.message });
+    });
     this.server.close(callback);
   }
 
+  /**
+   * OpenAPI 3.1 document of the registered routes, with the WebSocket
+   * messages in an `x-websocket` extension
+   * @returns {Object}
+   */
+  getOpenApiDocument() {
+    return buildOpenApiDocument({
+      info: {
+        title: 'groq-server-sdk',
+        version,
+        ...this.config.openapi.info
+      },
+      routes: this.routes,
+      schemas,
+      auth: this.auth.enabled,
+      isPublic: path => this.auth.isPublicPath(path),
+      websocket: this.config.enableWebSocket
+        ? { path: this.config.wsPath, messages: WEBSOCKET_MESSAGES }
+        : null
+    });
+  }
+
   /**
    * Get the Express app instance for custom configuration
    */
@@ -619,6 +3359,83 @@ class ChatServer {
   getGuardrails() {
     return this.guardrails;
   }
+
+  /**
+   * Get the ToolRegistry instance
+   */
+  getTools() {
+    return this.tools;
+  }
+
+  /**
+   * Get the Auth instance
+   */
+  getAuth() {
+    return this.auth;
+  }
+
+  /**
+   * Get the ContextManager instance
+   */
+  getContextManager() {
+    return this.contextManager;
+  }
+
+  /**
+   * Get the UsageTracker instance
+   */
+  getUsage() {
+    return this.usage;
+  }
+
+  /**
+   * Get the RateLimiter instance
+   */
+  getRateLimiter() {
+    return this.rateLimiter;
+  }
+
+  /**
+   * Get the ConversationStore instance
+   */
+  getStore() {
+    return this.store;
+  }
+
+  /**
+   * Get the AuditLog instance
+   */
+  getAudit() {
+    return this.audit;
+  }
+
+  /**
+   * Get the ResponseCache instance (null when caching is off)
+   */
+  getCache() {
+    return this.cache;
+  }
+
+  /**
+   * Get the Metrics registry
+   */
+  getMetrics() {
+    return this.metrics;
+  }
+
+  /**
+   * Get the Tracer instance
+   */
+  getTracer() {
+    return this.tracer;
+  }
+
+  /**
+   * Get the server's Logger
+   */
+  getLogger() {
+    return this.logger;
+  }
 }
 
 module.exports = ChatServer;
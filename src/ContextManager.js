@@ -0,0 +1,350 @@
+/**
+ * Context window sizes (in tokens) for known models
+ */
+const MODEL_CONTEXT_LIMITS = {
+  'llama-3.3-70b-versatile': 131072,
+  'llama-3.1-70b-versatile': 131072,
+  'llama-3.1-8b-instant': 131072,
+  'mixtral-8x7b-32768': 32768,
+  'gemma2-9b-it': 8192
+};
+
+// Approximate per-message overhead for role and formatting tokens
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+const SUMMARY_PROMPT = 'Summarize the following conversation so that it can replace the original messages ' +
+  'as context for continuing the conversation. Keep names, facts, decisions, open questions and ' +
+  'user preferences. Be concise and write in the third person.';
+
+/**
+ * ContextManager - Fits conversation history into the model context window
+ *
+ * Estimates tokens per message, reserves room for the response and trims the
+ * history with a pluggable strategy:
+ *   - 'drop-oldest'      Drop the oldest messages first
+ *   - 'keep-first-last'  Keep the first `keepFirst` messages and as many recent ones as fit
+ *   - 'summarize'        Replace overflowing messages with a model-written summary
+ *   - function           Custom strategy (see README)
+ */
+class ContextManager {
+  constructor(options = {}) {
+    const { chatClient, estimateTokens, ...settings } = options;
+
+    this.config = {
+      ...settings,
+      strategy: options.strategy || 'drop-oldest',
+      contextLimits: { ...MODEL_CONTEXT_LIMITS, ...options.contextLimits },
+      defaultContextLimit: options.defaultContextLimit || 8192,
+      safetyMargin: options.safetyMargin ?? 256,
+      maxMessages: options.maxMessages || null,
+      keepFirst: options.keepFirst ?? 2,
+      summaryModel: options.summaryModel || null,
+      summaryMaxTokens: options.summaryMaxTokens || 512,
+      summaryPrompt: options.summaryPrompt || SUMMARY_PROMPT
+    };
+
+    this.chatClient = chatClient || null;
+
+    if (typeof estimateTokens === 'function') {
+      this.estimateTokens = estimateTokens;
+    }
+  }
+
+  /**
+   * Estimate the number of tokens in a piece of text (~4 characters per token)
+   * @param {string} text
+   * @returns {number}
+   */
+  estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(String(text).length / 4);
+  }
+
+  /**
+   * Estimate the number of tokens a message uses in the prompt
+   * @param {Object} message - Message with role, content and optional tool_calls
+   * @returns {number}
+   */
+  estimateMessageTokens(message) {
+    let tokens = MESSAGE_OVERHEAD_TOKENS + this.estimateTokens(message.content);
+
+    for (const toolCall of message.tool_calls || []) {
+      tokens += this.estimateTokens(toolCall.function?.name);
+      tokens += this.estimateTokens(toolCall.function?.arguments);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Get the context window size for a model
+   * @param {string} model - Model name
+   * @returns {number}
+   */
+  getContextLimit(model) {
+    return this.config.contextLimits[model] || this.config.defaultContextLimit;
+  }
+
+  /**
+   * Build the prompt messages for a conversation
+   * @param {Object} conversation - Conversation with messages, systemPrompt and optional summary
+   * @param {Object} options
+   * @param {string} options.model - Model the prompt is sent to
+   * @param {number} options.maxTokens - Tokens reserved for the response
+   * @param {string} options.provider - Provider for summaries (default: the client's)
+   * @param {AbortSignal} options.signal - Cancels the summary model call
+   * @param {Function} options.protect - (text) => text as the model may see it, e.g. with PII
+   *   replaced; applied to everything sent for summaries and to the summary in the prompt
+   * @param {Function} options.restore - (text) => text, undoes `protect` in a new summary
+   * @param {Function} options.onResult - (result, messages, startedAt) => void, called with each summary model call
+   * @returns {Promise<Object>} - { messages, summary, summaryChanged, trimmed, tokens }
+   */
+  async build(conversation, options = {}) {
+    const systemMessage = { role: 'system', content: conversation.systemPrompt };
+    const limit = this.getContextLimit(options.model);
+    const budget = limit - (options.maxTokens || 0) - this.config.safetyMargin -
+      this.estimateMessageTokens(systemMessage);
+
+    // Messages already covered by a stored summary are never sent again
+    const summary = conversation.summary || null;
+    const history = conversation.messages.slice(summary ? summary.messageCount : 0);
+
+    const strategy = this._resolveStrategy();
+    const result = await strategy({
+      units: this._groupUnits(history),
+      messages: history,
+      budget,
+      maxMessages: this.config.maxMessages,
+      summary,
+      conversation,
+      options,
+      manager: this
+    });
+
+    const units = result.units;
+    const activeSummary = result.summary !== undefined ? result.summary : summary;
+    const selected = units.flat();
+
+    const messages = [systemMessage];
+    if (activeSummary) {
+      messages.push(this._summaryMessage(activeSummary, options.protect));
+    }
+    messages.push(...selected.map(m => ContextManager.toApiMessage(m)));
+
+    return {
+      messages,
+      summary: activeSummary,
+      summaryChanged: activeSummary !== summary,
+      trimmed: history.length - selected.length,
+      tokens: messages.reduce((sum, m) => sum + this.estimateMessageTokens(m), 0)
+    };
+  }
+
+  /**
+   * Count the tokens used by a list of message units
+   */
+  countUnits(units) {
+    return units.reduce(
+      (sum, unit) => sum + unit.reduce((s, m) => s + this.estimateMessageTokens(m), 0),
+      0
+    );
+  }
+
+  /**
+   * Check if message units fit the token budget and message limit
+   */
+  fits(units, budget, maxMessages) {
+    if (maxMessages && units.flat().length > maxMessages) return false;
+    return this.countUnits(units) <= budget;
+  }
+
+  /**
+   * Summarize messages (plus an earlier summary) with the model
+   * @param {Array} messages - Messages to summarize
+   * @param {Object} previous - Earlier summary to fold in
+   * @param {Object} options - { model, provider, signal, protect, restore, onResult }, see build
+   * @returns {Promise<string|null>} - Summary text, or null if the model call failed
+   */
+  async summarize(messages, previous, options = {}) {
+    if (!this.chatClient) {
+      throw new Error('ContextManager needs a chatClient to summarize');
+    }
+
+    const { protect = text => text, restore = text => text } = options;
+
+    const transcript = messages
+      .filter(m => m.content)
+      .map(m => `${m.role}: ${protect(m.content)}`)
+      .join('\n');
+
+    const content = previous
+      ? `Earlier summary:\n${protect(previous.content)}\n\nNew messages:\n${transcript}`
+      : transcript;
+
+    const prompt = [
+      { role: 'system', content: this.config.summaryPrompt },
+      { role: 'user', content }
+    ];
+    const startedAt = Date.now();
+    const result = await this.chatClient.chat(prompt, {
+      provider: options.provider,
+      signal: options.signal,
+      model: this.config.summaryModel || options.model,
+      maxTokens: this.config.summaryMaxTokens,
+      temperature: 0.2
+    });
+
+    if (options.onResult) options.onResult(result, prompt, startedAt);
+
+    return result.success ? restore(result.message.content) : null;
+  }
+
+  /**
+   * Strip a stored message down to the fields the API accepts
+   * @param {Object} message - Stored message
+   * @returns {Object}
+   */
+  static toApiMessage(message) {
+    const apiMessage = {
+      role: message.role,
+      content: message.content
+    };
+
+    if (message.tool_calls) apiMessage.tool_calls = message.tool_calls;
+    if (message.tool_call_id) apiMessage.tool_call_id = message.tool_call_id;
+    if (message.name) apiMessage.name = message.name;
+
+    return apiMessage;
+  }
+
+  /**
+   * Build the system message carrying a conversation summary
+   * @private
+   */
+  _summaryMessage(summary, protect = text => text) {
+    return {
+      role: 'system',
+      content: `Summary of the earlier conversation:\n${protect(summary.content)}`
+    };
+  }
+
+  /**
+   * Group messages so an assistant tool request always stays with its tool results
+   * @private
+   */
+  _groupUnits(messages) {
+    const units = [];
+
+    for (const message of messages) {
+      const previous = units[units.length - 1];
+      if (message.role === 'tool' && previous && previous[0].tool_calls) {
+        previous.push(message);
+      } else if (message.role === 'tool') {
+        // A tool result without its request is invalid, drop it
+        continue;
+      } else {
+        units.push([message]);
+      }
+    }
+
+    return units;
+  }
+
+  /**
+   * Resolve the configured strategy into a function
+   * @private
+   */
+  _resolveStrategy() {
+    const strategy = this.config.strategy;
+
+    if (typeof strategy === 'function') {
+      return strategy;
+    }
+    if (!STRATEGIES[strategy]) {
+      throw new Error(`Unknown context strategy: ${strategy}`);
+    }
+    return STRATEGIES[strategy];
+  }
+}
+
+/**
+ * Drop the oldest message units until the rest fit. The latest unit is always kept.
+ */
+function dropOldest({ units, budget, maxMessages, manager }) {
+  let start = 0;
+  while (start < units.length - 1 && !manager.fits(units.slice(start), budget, maxMessages)) {
+    start++;
+  }
+  return { units: units.slice(start) };
+}
+
+/**
+ * Keep the first `keepFirst` message units, then as many recent units as fit
+ */
+function keepFirstLast({ units, budget, maxMessages, manager }) {
+  if (manager.fits(units, budget, maxMessages)) {
+    return { units };
+  }
+
+  const first = units.slice(0, manager.config.keepFirst);
+  const rest = units.slice(first.length);
+
+  let start = 0;
+  while (start < rest.length - 1 && !manager.fits([...first, ...rest.slice(start)], budget, maxMessages)) {
+    start++;
+  }
+
+  const selected = [...first, ...rest.slice(start)];
+
+  // Even the pinned messages don't fit, fall back to dropping the oldest
+  if (!manager.fits(selected, budget, maxMessages)) {
+    return dropOldest({ units, budget, maxMessages, manager });
+  }
+
+  return { units: selected };
+}
+
+/**
+ * Summarize the units that don't fit. The summary is stored on the conversation
+ * and replaces those messages in later prompts.
+ */
+async function summarize({ units, messages, budget, maxMessages, summary, options, manager }) {
+  const summaryTokens = manager.config.summaryMaxTokens + MESSAGE_OVERHEAD_TOKENS;
+  const available = budget - summaryTokens;
+
+  if (manager.fits(units, budget - (summary ? summaryTokens : 0), maxMessages)) {
+    return { units };
+  }
+
+  const { units: kept } = dropOldest({ units, budget: available, maxMessages, manager });
+  const overflow = units.slice(0, units.length - kept.length).flat();
+
+  const content = await manager.summarize(overflow, summary, options);
+  if (!content) {
+    // Summarization failed, keep the old summary and just drop the overflow
+    return { units: kept };
+  }
+
+  // Count covered messages by position in the stored history
+  const covered = messages.indexOf(kept[0][0]);
+
+  return {
+    units: kept,
+    summary: {
+      content,
+      messageCount: (summary ? summary.messageCount : 0) + covered,
+      updatedAt: new Date().toISOString()
+    }
+  };
+}
+
+const STRATEGIES = {
+  'drop-oldest': dropOldest,
+  'keep-first-last': keepFirstLast,
+  summarize
+};
+
+ContextManager.MODEL_CONTEXT_LIMITS = MODEL_CONTEXT_LIMITS;
+ContextManager.STRATEGIES = STRATEGIES;
+
+module.exports = ContextManager;
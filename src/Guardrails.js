@@ -1,3 +1,36 @@
+const StreamModerator = require('./StreamModerator');
+const PiiDetector = require('./PiiDetector');
+const InjectionDetector = require('./InjectionDetector');
+const Tracer = require('./telemetry/Tracer');
+const Logger = require('./Logger');
+
+// Severity reported for each check, from most to least severe
+const SEVERITY_ORDER = ['high', 'medium', 'low'];
+const DEFAULT_SEVERITY = {
+  validation: 'medium',
+  blockedPattern: 'high',
+  allowedPattern: 'medium',
+  profanity: 'low',
+  harmfulContent: 'high',
+  pii: 'high',
+  promptInjection: 'high',
+  systemPromptLeak: 'high',
+  policy: 'medium',
+  responseLength: 'medium'
+};
+
+// Log entry type per check
+const LOG_TYPES = {
+  blockedPattern: 'blocked_pattern',
+  profanity: 'profanity',
+  harmfulContent: 'harmful_content',
+  pii: 'pii',
+  promptInjection: 'prompt_injection',
+  systemPromptLeak: 'system_prompt_leak',
+  policy: 'policy_violation',
+  responseLength: 'response_length'
+};
+
 /**
  * Guardrails - Content moderation and policy enforcement
  */
@@ -16,18 +49,43 @@ class Guardrails {
       // Profanity filtering
       enableProfanityFilter: options.enableProfanityFilter !== false,
       
+      // PII detection: action per type, 'block', 'mask', 'tokenize' or false
+      // (see PiiDetector for the types and their default actions)
+      enablePiiFilter: options.enablePiiFilter === true,
+      piiActions: options.piiActions || {},
+      
+      // Prompt injection: input scoring at least `injectionThreshold` is flagged
+      // (see InjectionDetector), as are replies repeating `systemPromptLeakWindow`
+      // consecutive words of the system prompt
+      enableInjectionFilter: options.enableInjectionFilter === true,
+      injectionThreshold: options.injectionThreshold ?? 0.7,
+      injectionRules: options.injectionRules || [],
+      systemPromptLeakWindow: options.systemPromptLeakWindow || 8,
+      
       // Output moderation
       enableOutputModeration: options.enableOutputModeration !== false,
       maxResponseLength: options.maxResponseLength || 50000,
       
-      // Policy enforcement
+      // Streaming output moderation: characters held back while streaming,
+      // and what to do when held back text violates: 'terminate' or 'redact'
+      streamLookAhead: options.streamLookAhead ?? 64,
+      streamViolationAction: options.streamViolationAction || 'terminate',
+      
+      // Policy enforcement: policies may be async, each gets `policyTimeout` ms.
+      // A policy that throws or times out fails 'open' (passes) or 'closed'
       policies: options.policies || [],
+      policyTimeout: options.policyTimeout ?? 5000,
+      policyFailMode: options.policyFailMode || 'closed',
       
       // Logging
       logViolations: options.logViolations !== false,
       
-      // Action on violation
-      violationAction: options.violationAction || 'reject', // 'reject', 'warn', 'allow'
+      // Action on violation: 'reject', 'warn', 'allow' or 'sanitize'. `checkActions`
+      // overrides it per check: blockedPattern, profanity, harmfulContent, pii,
+      // promptInjection, systemPromptLeak, policy, responseLength (invalid input
+      // is always rejected)
+      violationAction: options.violationAction || 'reject',
+      checkActions: options.checkActions || {},
       
       ...options
     };
@@ -43,6 +101,13 @@ class Guardrails {
       /\b(kill|murder|suicide|bomb|terrorist|violence)\b/gi,
       // Add more patterns as needed
     ];
+
+    this.pii = new PiiDetector({ actions: this.config.piiActions });
+    this.injection = this._createInjectionDetector();
+
+    // Spans around moderation and each of its checks
+    this.tracer = options.tracer || Tracer.NOOP;
+    this.logger = (options.logger || new Logger()).child({ component: 'guardrails' });
   }
 
   /**
@@ -92,8 +157,7 @@ class Guardrails {
 
     // Check custom blocked patterns
     for (const pattern of this.config.blockedPatterns) {
-      const regex = typeof pattern === 'string' ? new RegExp(pattern, 'gi') : pattern;
-      if (regex.test(content)) {
+      if (this._freshRegex(pattern).test(content)) {
         return { 
           blocked: true, 
           pattern: pattern.toString(), 
@@ -105,10 +169,7 @@ class Guardrails {
 
     // Check allowed patterns (if specified, content must match at least one)
     if (this.config.allowedPatterns && this.config.allowedPatterns.length > 0) {
-      const matchesAny = this.config.allowedPatterns.some(pattern => {
-        const regex = typeof pattern === 'string' ? new RegExp(pattern, 'gi') : pattern;
-        return regex.test(content);
-      });
+      const matchesAny = this.config.allowedPatterns.some(pattern => this._freshRegex(pattern).test(content));
       
       if (!matchesAny) {
         return { 
@@ -176,203 +237,841 @@ class Guardrails {
   }
 
   /**
-   * Apply custom policies
+   * Check for PII whose action is 'block'. Only the types are reported,
+   * never the values.
    * @param {string} content - Content to check
-   * @param {string} context - Context (e.g., 'input', 'output')
-   * @returns {Object} - { passed: boolean, violations?: Array }
+   * @returns {Object} - { hasPii: boolean, types?: string[], match?: { index, length } }
    */
-  applyPolicies(content, context = 'input') {
-    if (!this.config.policies || this.config.policies.length === 0) {
-      return { passed: true };
+  checkPii(content) {
+    if (!this.config.enablePiiFilter) {
+      return { hasPii: false };
     }
 
-    const violations = [];
+    const findings = this.pii.detect(content).filter(f => f.action === 'block');
 
-    for (const policy of this.config.policies) {
-      const result = this._evaluatePolicy(policy, content, context);
-      if (!result.passed) {
-        violations.push({
-          policy: policy.name || 'unnamed',
-          reason: result.reason,
-          code: result.code || 'POLICY_VIOLATION'
-        });
-      }
+    if (findings.length > 0) {
+      return {
+        hasPii: true,
+        types: [...new Set(findings.map(f => f.type))],
+        match: { index: findings[0].index, length: findings[0].length },
+        reason: 'Content contains sensitive personal data',
+        code: 'PII_DETECTED'
+      };
     }
 
-    if (violations.length > 0) {
-      return { 
-        passed: false, 
-        violations,
-        reason: `Violated ${violations.length} policy/policies`,
-        code: 'POLICY_VIOLATION'
-      };
+    return { hasPii: false };
+  }
+
+  /**
+   * Create a vault for the placeholders of one model request
+   * @returns {Object}
+   */
+  createPiiVault() {
+    return this.pii.createVault();
+  }
+
+  /**
+   * Replace PII in text sent to the model: 'tokenize' types with
+   * placeholders kept in the vault, every other type with a mask
+   * @param {string} content - Text sent to the model
+   * @param {Object} vault - Vault from createPiiVault()
+   * @returns {string}
+   */
+  protectPii(content, vault = null) {
+    if (!this.config.enablePiiFilter || typeof content !== 'string') {
+      return content;
     }
 
-    return { passed: true };
+    return this.pii.replace(content, { vault }).text;
   }
 
   /**
-   * Evaluate a single policy
-   * @private
+   * Replace PII in the user, assistant and tool turns of a message list,
+   * including multi-part text and tool call arguments
+   * @param {Array} messages - Messages sent to the model
+   * @param {Object} vault - Vault from createPiiVault()
+   * @returns {Array} - New message list
    */
-  _evaluatePolicy(policy, content, context) {
-    // Policy can be a function or an object with a check function
-    if (typeof policy === 'function') {
-      try {
-        const result = policy(content, context);
-        return typeof result === 'boolean' 
-          ? { passed: result, reason: result ? null : 'Policy check failed' }
-          : result;
-      } catch (error) {
-        return { passed: false, reason: `Policy error: ${error.message}`, code: 'POLICY_ERROR' };
-      }
+  protectMessages(messages, vault = null) {
+    if (!this.config.enablePiiFilter) {
+      return [...messages];
     }
 
-    if (policy.check && typeof policy.check === 'function') {
-      try {
-        const result = policy.check(content, context);
-        return typeof result === 'boolean'
-          ? { passed: result, reason: result ? null : (policy.reason || 'Policy check failed') }
-          : result;
-      } catch (error) {
-        return { passed: false, reason: `Policy error: ${error.message}`, code: 'POLICY_ERROR' };
+    return messages.map(message => {
+      if (message.role === 'system') return message;
+
+      const content = Array.isArray(message.content)
+        ? message.content.map(part => (part && part.type === 'text'
+          ? { ...part, text: this.protectPii(part.text, vault) }
+          : part))
+        : this.protectPii(message.content, vault);
+
+      const protectedMessage = { ...message, content };
+      if (message.tool_calls) {
+        protectedMessage.tool_calls = message.tool_calls.map(toolCall => ({
+          ...toolCall,
+          function: {
+            ...toolCall.function,
+            arguments: this.protectPii(toolCall.function?.arguments, vault)
+          }
+        }));
       }
+      return protectedMessage;
+    });
+  }
+
+  /**
+   * Mask 'mask' and 'tokenize' types in model output. Values of 'block'
+   * types are left for moderateOutput to reject.
+   * @param {string} content - Model output
+   * @param {Object} options - { partial: true } leaves matches touching the end of a streamed text
+   * @returns {Object} - { content, findings: [{ type, index, length, replacement }] }
+   */
+  maskPii(content, options = {}) {
+    if (!this.config.enablePiiFilter || !this.config.enableOutputModeration || typeof content !== 'string') {
+      return { content, findings: [] };
     }
 
-    return { passed: true, reason: 'Invalid policy format' };
+    const masked = this.pii.replace(content, {
+      actions: ['mask', 'tokenize'],
+      partial: options.partial
+    });
+
+    return {
+      content: masked.text,
+      findings: masked.findings.map(({ type, index, length, replacement }) => ({ type, index, length, replacement }))
+    };
   }
 
   /**
-   * Moderate input content
-   * @param {string} message - Message to moderate
-   * @returns {Object} - { allowed: boolean, reason?: string, code?: string, details?: Object }
+   * Put the original values back in place of placeholders
+   * @param {string} content - Model output
+   * @param {Object} vault - Vault the request was protected with
+   * @returns {string}
    */
-  moderateInput(message) {
-    // Validate input
-    const validation = this.validateInput(message);
-    if (!validation.valid) {
-      this._logViolation('input_validation', validation);
-      return { 
-        allowed: false, 
-        reason: validation.reason, 
-        code: validation.code,
-        action: this.config.violationAction
+  restorePii(content, vault) {
+    return this.pii.restore(content, vault);
+  }
+
+  /**
+   * Check for prompt injection and jailbreak attempts
+   * @param {string} content - Content to check
+   * @returns {Object} - { isInjection: boolean, score?: number, signals?: Array }
+   */
+  checkPromptInjection(content) {
+    if (!this.config.enableInjectionFilter) {
+      return { isInjection: false };
+    }
+
+    const { score, detected, signals } = this.injection.detect(content);
+
+    if (detected) {
+      return {
+        isInjection: true,
+        score,
+        signals,
+        reason: 'Content looks like a prompt injection attempt',
+        code: 'PROMPT_INJECTION'
       };
     }
 
-    // Check blocked patterns
-    const blockedCheck = this.checkBlockedPatterns(message);
-    if (blockedCheck.blocked) {
-      this._logViolation('blocked_pattern', blockedCheck);
-      return { 
-        allowed: false, 
-        reason: blockedCheck.reason, 
-        code: blockedCheck.code,
-        action: this.config.violationAction
+    return { isInjection: false, score };
+  }
+
+  /**
+   * Check whether a reply repeats the system prompt
+   * @param {string} content - Reply to check
+   * @param {string} systemPrompt - System prompt of the conversation
+   * @returns {Object} - { leaked: boolean, ratio?: number, spans?: [{ index, length }] }
+   */
+  checkSystemPromptLeak(content, systemPrompt) {
+    if (!this.config.enableInjectionFilter || !systemPrompt) {
+      return { leaked: false };
+    }
+
+    const leak = InjectionDetector.findSystemPromptLeak(content, systemPrompt, this.config.systemPromptLeakWindow);
+
+    if (leak.leaked) {
+      return {
+        ...leak,
+        reason: 'Response reveals the system prompt',
+        code: 'SYSTEM_PROMPT_LEAK'
       };
     }
 
-    // Check profanity
-    const profanityCheck = this.checkProfanity(message);
-    if (profanityCheck.hasProfanity) {
-      this._logViolation('profanity', profanityCheck);
-      if (this.config.violationAction === 'reject') {
-        return { 
-          allowed: false, 
-          reason: profanityCheck.reason, 
-          code: profanityCheck.code,
-          matches: profanityCheck.matches,
-          action: this.config.violationAction
-        };
+    return { leaked: false };
+  }
+
+  /**
+   * Apply custom policies. Policies may be async; they run in parallel,
+   * each with a timeout, and a policy that throws or times out fails open
+   * or closed (`policyFailMode`, or `failMode` on the policy). A failing
+   * policy may return the `content` it would accept instead, which the
+   * 'sanitize' action uses.
+   * @param {string} content - Content to check
+   * @param {string} context - Context (e.g., 'input', 'output')
+   * @param {Object} meta - Passed to policies, with a `signal` aborted on timeout. From
+   *   moderateInput and moderateOutput it also has `protect(text)`, the text with PII
+   *   masked or replaced with placeholders for policies that send it to a model, and
+   *   the caller's `onModelCall(result, messages, startedAt)` for the calls they make.
+   * @returns {Promise<Object>} - { passed: boolean, violations?: Array, content?: string }
+   */
+  async applyPolicies(content, context = 'input', meta = {}) {
+    if (!this.config.policies || this.config.policies.length === 0) {
+      return { passed: true };
+    }
+
+    const policies = this.config.policies;
+    const results = await Promise.all(
+      policies.map(policy => this._evaluatePolicy(policy, content, context, meta))
+    );
+
+    const failed = policies
+      .map((policy, i) => ({ policy, result: results[i] }))
+      .filter(({ result }) => !result.passed);
+
+    if (failed.length === 0) {
+      return { passed: true };
+    }
+
+    // Several sanitizing policies are applied one after another
+    let sanitized = null;
+    if (failed.every(({ result }) => typeof result.content === 'string')) {
+      sanitized = failed.length === 1
+        ? failed[0].result.content
+        : await this._sanitizeWithPolicies(failed.map(f => f.policy), content, context, meta);
+    }
+
+    return this._policyViolations(failed, sanitized);
+  }
+
+  /**
+   * Apply the policies that can run on part of a streamed response: the
+   * synchronous ones. Async policies (an async function, or `async: true`
+   * on the policy) are left for the complete response.
+   * @param {string} content - Window of the response text
+   * @param {string} context - Context (e.g., 'output')
+   * @param {Object} meta - Passed to policies, e.g. { partial: true }
+   * @returns {Object} - { passed: boolean, violations?: Array }
+   */
+  applyPartialPolicies(content, context = 'output', meta = {}) {
+    const policies = (this.config.policies || []).filter(policy => !this._isAsyncPolicy(policy));
+
+    const failed = [];
+    for (const policy of policies) {
+      const result = this._evaluatePolicySync(policy, content, context, meta);
+      if (!result.passed) failed.push({ policy, result });
+    }
+
+    return failed.length === 0 ? { passed: true } : this._policyViolations(failed, null);
+  }
+
+  /**
+   * Add a policy
+   * @param {Function|Object} policy - Policy function or object with a check function
+   */
+  addPolicy(policy) {
+    this.config.policies = [...(this.config.policies || []), policy];
+    return this;
+  }
+
+  /**
+   * Build the result of failed policies
+   * @private
+   */
+  _policyViolations(failed, sanitized) {
+    const violations = failed.map(({ policy, result }) => ({
+      policy: policy.name || 'unnamed',
+      reason: result.reason,
+      code: result.code || 'POLICY_VIOLATION',
+      severity: result.severity || policy.severity || DEFAULT_SEVERITY.policy,
+      sanitized: typeof result.content === 'string',
+      ...(result.verdict && { verdict: result.verdict })
+    }));
+
+    return {
+      passed: false,
+      violations,
+      reason: `Violated ${violations.length} policy/policies`,
+      code: 'POLICY_VIOLATION',
+      ...(typeof sanitized === 'string' && { content: sanitized })
+    };
+  }
+
+  /**
+   * Run sanitizing policies one after another on the content the previous
+   * one returned
+   * @private
+   * @returns {Promise<string|null>} - Sanitized content, or null if a policy can't sanitize it
+   */
+  async _sanitizeWithPolicies(policies, content, context, meta) {
+    let current = content;
+
+    for (const policy of policies) {
+      const result = await this._evaluatePolicy(policy, current, context, meta);
+      if (result.passed) continue;
+      if (typeof result.content !== 'string') return null;
+      current = result.content;
+    }
+
+    return current;
+  }
+
+  /**
+   * Evaluate a single policy with a timeout
+   * @private
+   */
+  async _evaluatePolicy(policy, content, context, meta = {}) {
+    // Policy can be a function or an object with a check function
+    const check = this._policyCheck(policy);
+    if (!check) {
+      return { passed: true, reason: 'Invalid policy format' };
+    }
+
+    const timeout = policy.timeout ?? this.config.policyTimeout;
+    const controller = new AbortController();
+    let timer = null;
+
+    const timedOut = new Promise((resolve, reject) => {
+      if (!timeout) return;
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(Object.assign(new Error(`Policy timed out after ${timeout}ms`), { code: 'POLICY_TIMEOUT' }));
+      }, timeout);
+    });
+
+    try {
+      const result = await Promise.race([
+        Promise.resolve().then(() => check.call(policy, content, context, { ...meta, signal: controller.signal })),
+        timedOut
+      ]);
+      return this._policyResult(policy, result);
+    } catch (error) {
+      return this._policyError(policy, error);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Evaluate a synchronous policy
+   * @private
+   */
+  _evaluatePolicySync(policy, content, context, meta = {}) {
+    const check = this._policyCheck(policy);
+    if (!check) {
+      return { passed: true, reason: 'Invalid policy format' };
+    }
+
+    try {
+      const result = check.call(policy, content, context, meta);
+
+      // A promise can't be waited for here, the complete response is checked later
+      if (result && typeof result.then === 'function') {
+        result.then(null, () => {});
+        return { passed: true };
       }
+
+      return this._policyResult(policy, result);
+    } catch (error) {
+      return this._policyError(policy, error);
     }
+  }
 
-    // Check harmful content
-    const harmfulCheck = this.checkHarmfulContent(message);
-    if (harmfulCheck.isHarmful) {
-      this._logViolation('harmful_content', harmfulCheck);
-      return { 
-        allowed: false, 
-        reason: harmfulCheck.reason, 
-        code: harmfulCheck.code,
-        action: this.config.violationAction
+  /**
+   * Check function of a policy, or null for an invalid policy
+   * @private
+   */
+  _policyCheck(policy) {
+    if (typeof policy === 'function') return policy;
+    if (policy && typeof policy.check === 'function') return policy.check;
+    return null;
+  }
+
+  /**
+   * Whether a policy has to be awaited
+   * @private
+   */
+  _isAsyncPolicy(policy) {
+    const check = this._policyCheck(policy);
+    return policy.async === true || (check && check[Symbol.toStringTag] === 'AsyncFunction');
+  }
+
+  /**
+   * Normalize what a policy returned
+   * @private
+   */
+  _policyResult(policy, result) {
+    if (typeof result === 'boolean') {
+      return {
+        passed: result,
+        reason: result ? null : ((typeof policy === 'object' && policy.reason) || 'Policy check failed')
       };
     }
+    return result || { passed: true };
+  }
 
-    // Apply custom policies
-    const policyCheck = this.applyPolicies(message, 'input');
-    if (!policyCheck.passed) {
-      this._logViolation('policy_violation', policyCheck);
-      return { 
-        allowed: false, 
-        reason: policyCheck.reason, 
-        code: policyCheck.code,
-        violations: policyCheck.violations,
-        action: this.config.violationAction
-      };
+  /**
+   * Result of a policy that threw or timed out, by its fail mode
+   * @private
+   */
+  _policyError(policy, error) {
+    const failMode = policy.failMode || this.config.policyFailMode;
+    const code = error.code === 'POLICY_TIMEOUT' ? 'POLICY_TIMEOUT' : 'POLICY_ERROR';
+
+    this._logViolation('policy_error', {
+      policy: policy.name || 'unnamed',
+      error: error.message,
+      code,
+      failMode
+    });
+
+    if (failMode === 'open') {
+      return { passed: true };
     }
 
-    return { allowed: true };
+    return { passed: false, reason: `Policy error: ${error.message}`, code };
+  }
+
+  /**
+   * Get the action for a check: its entry in `checkActions`, else `violationAction`
+   * @param {string} check - Check name, e.g. 'profanity'
+   * @returns {string} - 'reject', 'warn', 'allow' or 'sanitize'
+   */
+  getAction(check) {
+    return this.config.checkActions[check] || this.config.violationAction || 'reject';
+  }
+
+  /**
+   * Moderate input content. Every check runs and reports what it found in
+   * `checks`; the action of each check decides whether the message is
+   * rejected, passed with a warning, passed silently or sanitized.
+   * @param {string} message - Message to moderate
+   * @param {Object} options - { onModelCall } for model calls made by policies
+   * @returns {Promise<Object>} - { allowed, content, action, checks, warnings, reason?, code?, ... }
+   */
+  async moderateInput(message, options = {}) {
+    return this._traceModeration('input', () => {
+      // Invalid messages are always rejected
+      const validation = this.validateInput(message);
+      if (!validation.valid) {
+        this._logViolation('input_validation', validation);
+        return this._moderationResult(message, message, [{
+          check: 'validation',
+          code: validation.code,
+          reason: validation.reason,
+          severity: DEFAULT_SEVERITY.validation,
+          action: 'reject'
+        }]);
+      }
+
+      return this._runChecks(message, 'input', [
+        ['blockedPattern', content => this._findBlockedPattern(content)],
+        ['profanity', content => this._findProfanity(content)],
+        ['harmfulContent', content => this._findHarmfulContent(content)],
+        ['pii', content => this._findPii(content)],
+        ['promptInjection', content => this._findPromptInjection(content)],
+        ['policy', content => this._findPolicyViolation(content, 'input', options)]
+      ]);
+    });
   }
 
   /**
-   * Moderate output content
+   * Moderate output content, with the same per-check actions as input
    * @param {string} content - Response content to moderate
-   * @returns {Object} - { allowed: boolean, reason?: string, code?: string }
+   * @param {Object} options - { systemPrompt } of the conversation, to check for leaks, and
+   *   { onModelCall } for model calls made by policies
+   * @returns {Promise<Object>} - { allowed, content, action, checks, warnings, reason?, code?, ... }
    */
-  moderateOutput(content) {
+  async moderateOutput(content, options = {}) {
+    if (!this.config.enableOutputModeration) {
+      return this._moderationResult(content, content, []);
+    }
+
+    return this._traceModeration('output', () => this._runChecks(content, 'output', [
+      ['responseLength', text => this._findLongResponse(text)],
+      ['blockedPattern', text => this._findBlockedPattern(text)],
+      ['pii', text => this._findPii(text)],
+      ['systemPromptLeak', text => this._findSystemPromptLeak(text, options.systemPrompt)],
+      ['policy', text => this._findPolicyViolation(text, 'output', options)]
+    ]));
+  }
+
+  /**
+   * Moderate part of a response that is still being streamed. Only the
+   * checks that can fail on partial text run: blocked patterns, PII, system
+   * prompt leaks and synchronous policies (called with `{ partial: true }`).
+   * Checks whose action is 'warn' or 'allow' are skipped here, their warnings
+   * come from the final moderateOutput. Blocked pattern, PII and leak results
+   * include the `match` position so it can be redacted.
+   * @param {string} content - Window of the response text
+   * @param {Object} options - { systemPrompt } of the conversation, to check for leaks
+   * @returns {Object} - { allowed: boolean, reason?, code?, action?, match?: { index, length } }
+   */
+  moderatePartialOutput(content, options = {}) {
     if (!this.config.enableOutputModeration) {
       return { allowed: true };
     }
 
-    // Length check
-    if (content.length > this.config.maxResponseLength) {
-      return { 
-        allowed: false, 
-        reason: `Response too long. Maximum length: ${this.config.maxResponseLength}`, 
-        code: 'RESPONSE_TOO_LONG' 
-      };
+    const enforced = (check) => ['reject', 'sanitize'].includes(this.getAction(check));
+
+    if (this.config.enableContentFilter && enforced('blockedPattern')) {
+      for (const pattern of this.config.blockedPatterns) {
+        // Fresh non-global regex so earlier lastIndex state can't skip a match
+        const match = this._freshRegex(pattern).exec(content);
+        if (match) {
+          const result = {
+            allowed: false,
+            reason: 'Content matches blocked pattern',
+            code: 'BLOCKED_PATTERN',
+            match: { index: match.index, length: match[0].length },
+            action: this.getAction('blockedPattern')
+          };
+          this._logViolation('output_blocked_pattern', { pattern: pattern.toString(), ...result });
+          return result;
+        }
+      }
     }
 
-    // Check blocked patterns
-    const blockedCheck = this.checkBlockedPatterns(content);
-    if (blockedCheck.blocked) {
-      this._logViolation('output_blocked_pattern', blockedCheck);
-      return { 
-        allowed: false, 
-        reason: blockedCheck.reason, 
-        code: blockedCheck.code,
-        action: this.config.violationAction
-      };
+    if (enforced('pii')) {
+      const piiCheck = this.checkPii(content);
+      if (piiCheck.hasPii) {
+        const result = {
+          allowed: false,
+          reason: piiCheck.reason,
+          code: piiCheck.code,
+          match: piiCheck.match,
+          action: this.getAction('pii')
+        };
+        this._logViolation('output_pii', { types: piiCheck.types, code: piiCheck.code });
+        return result;
+      }
     }
 
-    // Apply custom policies
-    const policyCheck = this.applyPolicies(content, 'output');
-    if (!policyCheck.passed) {
-      this._logViolation('output_policy_violation', policyCheck);
-      return { 
-        allowed: false, 
-        reason: policyCheck.reason, 
-        code: policyCheck.code,
-        violations: policyCheck.violations,
-        action: this.config.violationAction
-      };
+    if (enforced('systemPromptLeak')) {
+      const leakCheck = this.checkSystemPromptLeak(content, options.systemPrompt);
+      if (leakCheck.leaked) {
+        const result = {
+          allowed: false,
+          reason: leakCheck.reason,
+          code: leakCheck.code,
+          match: leakCheck.spans[0],
+          action: this.getAction('systemPromptLeak')
+        };
+        this._logViolation('output_system_prompt_leak', { ratio: leakCheck.ratio, code: leakCheck.code });
+        return result;
+      }
+    }
+
+    if (enforced('policy')) {
+      const policyCheck = this.applyPartialPolicies(content, 'output', { partial: true });
+      if (!policyCheck.passed) {
+        this._logViolation('output_policy_violation', policyCheck);
+        // Policies report no position, so there is nothing to redact
+        return {
+          allowed: false,
+          reason: policyCheck.reason,
+          code: policyCheck.code,
+          violations: policyCheck.violations,
+          action: 'reject'
+        };
+      }
     }
 
     return { allowed: true };
   }
 
+  /**
+   * Run checks in order. Sanitizing checks hand the cleaned content to the
+   * checks after them.
+   * @private
+   * @param {string} content - Content to moderate
+   * @param {string} context - 'input' or 'output', used in log entries
+   * @param {Array} checks - [name, content => finding or null]
+   */
+  async _runChecks(content, context, checks) {
+    const fired = [];
+    let current = content;
+
+    for (const [name, find] of checks) {
+      const finding = await this.tracer.trace(`guardrails.check.${name}`, {}, async (span) => {
+        const found = await find(current);
+        span.setAttribute('guardrails.fired', !!found);
+        return found;
+      });
+      if (!finding) continue;
+
+      const { sanitize, log, ...details } = finding;
+      let action = this.getAction(name);
+
+      // Checks that can't clean up their findings reject instead
+      if (action === 'sanitize') {
+        const sanitized = sanitize ? sanitize(current) : null;
+        if (typeof sanitized === 'string') {
+          current = sanitized;
+        } else {
+          action = 'reject';
+        }
+      }
+
+      fired.push({ check: name, severity: DEFAULT_SEVERITY[name], ...details, action });
+
+      if (action !== 'allow') {
+        const prefix = context === 'output' ? 'output_' : '';
+        this._logViolation(`${prefix}${LOG_TYPES[name]}`, { action, ...(log || details) });
+      }
+    }
+
+    return this._moderationResult(content, current, fired);
+  }
+
+  /**
+   * Run a moderation in a span that reports its outcome
+   * @private
+   */
+  async _traceModeration(stage, run) {
+    return this.tracer.trace(`guardrails.moderate_${stage}`, {
+      attributes: { 'guardrails.stage': stage }
+    }, async (span) => {
+      const result = await run();
+      span.setAttributes({
+        'guardrails.action': result.action,
+        'guardrails.allowed': result.allowed,
+        'guardrails.code': result.code,
+        'guardrails.checks': result.checks.length > 0 ? result.checks.map(c => c.check) : undefined
+      });
+      return result;
+    });
+  }
+
+  /**
+   * Build a moderation result. A rejecting check's reason, code and
+   * details are also set on the result itself.
+   * @private
+   */
+  _moderationResult(original, content, checks) {
+    const rejected = checks.find(c => c.action === 'reject');
+    const warnings = checks.filter(c => c.action === 'warn');
+    const sanitized = content !== original;
+
+    let action = 'allow';
+    if (rejected) action = 'reject';
+    else if (sanitized) action = 'sanitize';
+    else if (warnings.length > 0) action = 'warn';
+
+    const result = {
+      allowed: !rejected,
+      content,
+      action,
+      sanitized,
+      checks,
+      warnings
+    };
+
+    if (rejected) {
+      const { check, severity, action: _action, ...details } = rejected;
+      Object.assign(result, details);
+    }
+
+    return result;
+  }
+
+  /**
+   * Blocked or not allowed pattern finding
+   * @private
+   */
+  _findBlockedPattern(content) {
+    const check = this.checkBlockedPatterns(content);
+    if (!check.blocked) return null;
+
+    // Content outside the allowed patterns can't be cleaned up
+    if (check.code === 'NOT_ALLOWED_PATTERN') {
+      return { code: check.code, reason: check.reason, severity: DEFAULT_SEVERITY.allowedPattern };
+    }
+
+    return {
+      code: check.code,
+      reason: check.reason,
+      log: { pattern: check.pattern, code: check.code },
+      sanitize: text => this._replacePatterns(text, this.config.blockedPatterns, () => StreamModerator.REDACTED)
+    };
+  }
+
+  /**
+   * Profanity finding
+   * @private
+   */
+  _findProfanity(content) {
+    const check = this.checkProfanity(content);
+    if (!check.hasProfanity) return null;
+
+    return {
+      code: check.code,
+      reason: check.reason,
+      matches: check.matches,
+      sanitize: text => this._replacePatterns(text, this.profanityPatterns, word => '*'.repeat(word.length))
+    };
+  }
+
+  /**
+   * Harmful content finding
+   * @private
+   */
+  _findHarmfulContent(content) {
+    const check = this.checkHarmfulContent(content);
+    if (!check.isHarmful) return null;
+
+    return {
+      code: check.code,
+      reason: check.reason,
+      sanitize: text => this._replacePatterns(text, this.harmfulPatterns, word => '*'.repeat(word.length))
+    };
+  }
+
+  /**
+   * PII finding for 'block' types. Sanitizing masks them.
+   * @private
+   */
+  _findPii(content) {
+    const check = this.checkPii(content);
+    if (!check.hasPii) return null;
+
+    return {
+      code: check.code,
+      reason: check.reason,
+      matches: check.types,
+      sanitize: text => this.pii.replace(text, { actions: ['block'] }).text
+    };
+  }
+
+  /**
+   * Prompt injection finding. The intent of a message can't be cleaned up,
+   * so sanitizing rejects it.
+   * @private
+   */
+  _findPromptInjection(content) {
+    const check = this.checkPromptInjection(content);
+    if (!check.isInjection) return null;
+
+    return {
+      code: check.code,
+      reason: check.reason,
+      score: check.score,
+      matches: check.signals.map(signal => signal.rule),
+      log: { score: check.score, signals: check.signals, code: check.code }
+    };
+  }
+
+  /**
+   * System prompt leak finding. Sanitizing redacts the repeated parts.
+   * @private
+   */
+  _findSystemPromptLeak(content, systemPrompt) {
+    const check = this.checkSystemPromptLeak(content, systemPrompt);
+    if (!check.leaked) return null;
+
+    return {
+      code: check.code,
+      reason: check.reason,
+      ratio: check.ratio,
+      sanitize: text => {
+        const { spans } = InjectionDetector.findSystemPromptLeak(text, systemPrompt, this.config.systemPromptLeakWindow);
+        return spans.reduceRight(
+          (result, span) => result.slice(0, span.index) + StreamModerator.REDACTED + result.slice(span.index + span.length),
+          text
+        );
+      }
+    };
+  }
+
+  /**
+   * Policy finding. Sanitizing uses the content the policies returned.
+   * @private
+   */
+  async _findPolicyViolation(content, context, options = {}) {
+    // Policies see the content as given; what they send on has PII protected
+    const vault = this.createPiiVault();
+    const check = await this.applyPolicies(content, context, {
+      protect: text => this.protectPii(text, vault),
+      ...(options.onModelCall && { onModelCall: options.onModelCall })
+    });
+    if (check.passed) return null;
+
+    const severities = check.violations.map(v => v.severity);
+    return {
+      code: check.code,
+      reason: check.reason,
+      severity: SEVERITY_ORDER.find(severity => severities.includes(severity)) || DEFAULT_SEVERITY.policy,
+      violations: check.violations,
+      sanitize: () => check.content
+    };
+  }
+
+  /**
+   * Response length finding. Sanitizing truncates the response.
+   * @private
+   */
+  _findLongResponse(content) {
+    const maxLength = this.config.maxResponseLength;
+    if (content.length <= maxLength) return null;
+
+    return {
+      code: 'RESPONSE_TOO_LONG',
+      reason: `Response too long. Maximum length: ${maxLength}`,
+      sanitize: text => text.slice(0, maxLength)
+    };
+  }
+
+  /**
+   * Replace every match of a list of patterns
+   * @private
+   */
+  _replacePatterns(content, patterns, replacement) {
+    return patterns.reduce((text, pattern) => {
+      const regex = this._freshRegex(pattern);
+      return text.replace(new RegExp(regex.source, `${regex.flags}g`), replacement);
+    }, content);
+  }
+
+  /**
+   * Non-global copy of a pattern, case-insensitive for strings
+   * @private
+   */
+  _freshRegex(pattern) {
+    return typeof pattern === 'string'
+      ? new RegExp(pattern, 'i')
+      : new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+  }
+
+  /**
+   * Injection detector for the configured threshold and extra rules
+   * @private
+   */
+  _createInjectionDetector() {
+    return new InjectionDetector({
+      threshold: this.config.injectionThreshold,
+      rules: this.config.injectionRules
+    });
+  }
+
+  /**
+   * Create a moderator for one streamed response
+   * @param {Object} options - { lookAhead, action } overriding the stream settings,
+   *   the PII `vault` of the request so placeholders are restored, and the
+   *   conversation's `systemPrompt` so leaks of it are caught
+   * @returns {StreamModerator}
+   */
+  createStreamModerator(options = {}) {
+    return new StreamModerator(this, options);
+  }
+
   /**
    * Log policy violations
    * @private
    */
   _logViolation(type, details) {
     if (this.config.logViolations) {
-      console.warn(`[Guardrails] Violation: ${type}`, {
-        timestamp: new Date().toISOString(),
-        type,
-        details
-      });
+      this.logger.warn(`Violation: ${type}`, { type, details });
     }
   }
 
@@ -387,6 +1086,12 @@ class Guardrails {
     if (options.harmfulPatterns) {
       this.harmfulPatterns = options.harmfulPatterns;
     }
+    if (options.piiActions) {
+      this.pii = new PiiDetector({ actions: options.piiActions });
+    }
+    if (options.injectionThreshold !== undefined || options.injectionRules) {
+      this.injection = this._createInjectionDetector();
+    }
   }
 }
 
@@ -0,0 +1,227 @@
+/**
+ * Heuristic rules, each with a weight between 0 and 1 for how strongly a
+ * match suggests an injection attempt
+ */
+const RULES = [
+  // Overriding the instructions
+  { id: 'ignore_instructions', category: 'override', weight: 0.8,
+    pattern: /\b(?:ignore|disregard|forget|skip|override)\s+(?:all\s+|any\s+|the\s+|your\s+|my\s+)*(?:(?:previous|prior|above|earlier|preceding|original|initial|system)\s+(?:instructions?|prompts?|rules|directions|guidelines|messages?|context)|(?:the\s+)?user(?:'s)?\s+(?:instructions?|requests?|messages?|questions?)|(?:(?:the\s+)?user|(?:the\s+)?(?:above|previous|prior)|everything(?:\s+(?:above|before|you(?:'ve|\s+(?:were|have\s+been))\s+told))?)\s*(?:and\b|[,.;:!]|$))/im },
+  { id: 'new_instructions', category: 'override', weight: 0.5,
+    pattern: /\b(?:new|updated|real|actual)\s+(?:instructions?|system\s+prompt|rules)\s*[:-]/i },
+  { id: 'from_now_on', category: 'override', weight: 0.3,
+    pattern: /\bfrom\s+now\s+on,?\s+(?:you|your|ignore|respond|answer)\b/i },
+  { id: 'bypass_safety', category: 'override', weight: 0.7,
+    pattern: /\b(?:bypass|disable|override|turn\s+off|ignore)\s+(?:your\s+|all\s+|the\s+|any\s+)*(?:safety|content|ethical|moderation)?\s*(?:filters?|guidelines|restrictions|guardrails|policies|safeguards)/i },
+
+  // Extracting the system prompt
+  { id: 'prompt_extraction', category: 'extraction', weight: 0.8,
+    pattern: /\b(?:reveal|show|print|repeat|output|display|tell\s+me|give\s+me|what\s+(?:is|are|was|were))\s+(?:me\s+)?(?:your\s+(?:full\s+|exact\s+|original\s+|hidden\s+|initial\s+)*(?:system\s+prompt|system\s+message|instructions|initial\s+prompt|prompt)|the\s+(?:full\s+|exact\s+)?(?:system\s+prompt|system\s+message|initial\s+prompt|(?:original|hidden|initial)\s+(?:instructions|prompt)))\b/i },
+  { id: 'secret_exfiltration', category: 'extraction', weight: 0.5,
+    pattern: /\b(?:output|reveal|print|show|give|tell|send|leak|share|display|dump|list|expose)\s+(?:me\s+|us\s+)?(?:all\s+|the\s+|your\s+|any\s+)*(?:admin(?:istrator)?\s+|root\s+|secret\s+|hidden\s+|internal\s+|master\s+|stored\s+)*(?:passwords?|credentials|api[\s_-]?keys?|secret\s+keys?|access\s+tokens?|auth(?:entication)?\s+tokens?|private\s+keys?|secrets)\b/i },
+  { id: 'repeat_above', category: 'extraction', weight: 0.6,
+    pattern: /\b(?:repeat|print|output)\s+(?:everything|all|the\s+text|the\s+words)\s+(?:above|before|preceding)/i },
+
+  // Role-play jailbreaks
+  { id: 'dan', category: 'jailbreak', weight: 0.5,
+    pattern: /\bDAN\b/ },
+  { id: 'jailbreak_mode', category: 'jailbreak', weight: 0.8,
+    pattern: /\b(?:do\s+anything\s+now|developer\s+mode|jailbreak(?:ed)?(?:\s+mode)?|god\s+mode)\b/i },
+  { id: 'unrestricted_persona', category: 'jailbreak', weight: 0.7,
+    pattern: /\b(?:pretend|act|behave|roleplay|role-play|imagine)\s+(?:to\s+be\s+|as\s+(?:if\s+you\s+(?:are|were)\s+)?|you\s+are\s+|that\s+you\s+are\s+)?(?:an?\s+)?[\w\s-]{0,40}?(?:without|with\s+no|free\s+of|that\s+ignores?)\s+(?:any\s+)?(?:restrictions|rules|limits|filters|guidelines|ethics|morals)/i },
+  { id: 'no_longer_bound', category: 'jailbreak', weight: 0.6,
+    pattern: /\byou\s+(?:are|will\s+be)\s+(?:no\s+longer|not)\s+(?:bound|restricted|limited)\s+by\b/i },
+
+  // Fake conversation roles and chat template tokens
+  { id: 'role_delimiter', category: 'delimiter', weight: 0.6,
+    pattern: /(?:^|\n)\s*(?:#{1,6}\s*)?(?:system|assistant)\s*(?:prompt|message)?\s*:/i },
+  { id: 'template_token', category: 'delimiter', weight: 0.8,
+    pattern: /<\|(?:im_start|im_end|system|assistant|endoftext|eot_id|start_header_id)\|>|\[\/?INST\]|<<\/?SYS>>/i },
+  { id: 'json_role', category: 'delimiter', weight: 0.6,
+    pattern: /["']role["']\s*:\s*["']system["']/i },
+
+  // Instructions hidden in pasted documents
+  { id: 'addressed_to_ai', category: 'hidden', weight: 0.6,
+    pattern: /\b(?:if\s+you\s+are\s+an?\s+(?:ai|llm|language\s+model|assistant)|note\s+to\s+(?:the\s+)?(?:ai|llm|assistant|model)|(?:ai|llm)\s+(?:assistant\s+)?reading\s+this)\b/i },
+  { id: 'html_comment_instruction', category: 'hidden', weight: 0.7,
+    pattern: /<!--[\s\S]{0,500}?\b(?:ignore|instruction|assistant|system|prompt|you\s+must)\b[\s\S]{0,500}?-->/i }
+];
+
+// Encoding tricks
+const ZERO_WIDTH = /[\u200B-\u200D\u2060\uFEFF\u00AD]/g;
+const BASE64_BLOB = /(?:[A-Za-z0-9+/]{4}){5,}(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?/g;
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+
+// Extra weight when a rule only matches once the text is decoded
+const ENCODING_WEIGHTS = {
+  zeroWidth: 0.4,
+  base64: 0.5,
+  leetspeak: 0.3
+};
+
+/**
+ * InjectionDetector - Scores text for prompt-injection and jailbreak attempts
+ *
+ * Rules are matched against the text and against decoded variants of it
+ * (zero-width characters removed, leetspeak undone, base64 blobs decoded).
+ * Rule weights combine into a score between 0 and 1:
+ * `1 - (1 - w1) * (1 - w2) * ...`, so several weak signals add up.
+ */
+class InjectionDetector {
+  /**
+   * @param {Object} options
+   * @param {number} options.threshold - Score at which text counts as an injection (default: 0.7)
+   * @param {Array} options.rules - Extra rules: { id, pattern, weight, category }
+   * @param {Array<string>} options.disabledRules - Ids of built-in rules to skip
+   */
+  constructor(options = {}) {
+    const disabled = new Set(options.disabledRules || []);
+
+    this.threshold = options.threshold ?? 0.7;
+    this.rules = [
+      ...RULES.filter(rule => !disabled.has(rule.id)),
+      ...(options.rules || []).map(rule => ({ category: 'custom', weight: 0.5, ...rule }))
+    ];
+  }
+
+  /**
+   * Score text
+   * @param {string} text
+   * @returns {Object} - { score, detected, signals: [{ rule, category, weight, encoding? }] }
+   */
+  detect(text) {
+    if (typeof text !== 'string' || !text) {
+      return { score: 0, detected: false, signals: [] };
+    }
+
+    const signals = [];
+    const seen = new Set();
+
+    for (const { encoding, text: variant } of this._variants(text)) {
+      for (const rule of this.rules) {
+        if (seen.has(rule.id)) continue;
+
+        const regex = new RegExp(rule.pattern.source, rule.pattern.flags.replace(/[gy]/g, ''));
+        if (!regex.test(variant)) continue;
+
+        seen.add(rule.id);
+        signals.push({
+          rule: rule.id,
+          category: rule.category,
+          weight: rule.weight,
+          ...(encoding && { encoding })
+        });
+
+        // Hiding a rule behind an encoding is a signal of its own
+        if (encoding && !seen.has(encoding)) {
+          seen.add(encoding);
+          signals.push({ rule: encoding, category: 'encoding', weight: ENCODING_WEIGHTS[encoding] });
+        }
+      }
+    }
+
+    const score = 1 - signals.reduce((rest, signal) => rest * (1 - signal.weight), 1);
+    const rounded = Math.round(score * 1000) / 1000;
+
+    return {
+      score: rounded,
+      detected: rounded >= this.threshold,
+      signals
+    };
+  }
+
+  /**
+   * The text and its decoded variants
+   * @private
+   */
+  _variants(text) {
+    const variants = [{ encoding: null, text }];
+
+    const visible = text.replace(ZERO_WIDTH, '');
+    if (visible !== text) {
+      variants.push({ encoding: 'zeroWidth', text: visible });
+    }
+
+    const unleet = visible.replace(/[013457@$!]/g, char => LEET[char]);
+    if (unleet !== visible) {
+      variants.push({ encoding: 'leetspeak', text: unleet });
+    }
+
+    const decoded = [];
+    for (const [blob] of visible.matchAll(BASE64_BLOB)) {
+      const value = Buffer.from(blob, 'base64').toString('utf8');
+      // Only blobs that decode to readable text
+      if (/^[\x20-\x7E\s]+$/.test(value)) decoded.push(value);
+    }
+    if (decoded.length > 0) {
+      variants.push({ encoding: 'base64', text: decoded.join('\n') });
+    }
+
+    return variants;
+  }
+}
+
+/**
+ * Find where a reply repeats the system prompt: every run of `window`
+ * consecutive prompt words that appears in the reply, compared without case
+ * and punctuation
+ * @param {string} content - Reply text
+ * @param {string} systemPrompt - Conversation system prompt
+ * @param {number} window - Words per run (default: 8)
+ * @returns {Object} - { leaked, ratio: share of the prompt's runs found, spans: [{ index, length }] }
+ */
+function findSystemPromptLeak(content, systemPrompt, window = 8) {
+  const none = { leaked: false, ratio: 0, spans: [] };
+  if (typeof content !== 'string' || typeof systemPrompt !== 'string') return none;
+
+  const promptWords = words(systemPrompt).map(w => w.word);
+  if (promptWords.length < window) return none;
+
+  const runs = new Set();
+  for (let i = 0; i + window <= promptWords.length; i++) {
+    runs.add(promptWords.slice(i, i + window).join(' '));
+  }
+
+  const replyWords = words(content);
+  const found = new Set();
+  const spans = [];
+
+  for (let i = 0; i + window <= replyWords.length; i++) {
+    const run = replyWords.slice(i, i + window).map(w => w.word).join(' ');
+    if (!runs.has(run)) continue;
+
+    found.add(run);
+    const first = replyWords[i];
+    const last = replyWords[i + window - 1];
+    const span = { index: first.index, length: last.index + last.length - first.index };
+
+    // Merge overlapping runs into one span
+    const previous = spans[spans.length - 1];
+    if (previous && span.index <= previous.index + previous.length) {
+      previous.length = Math.max(previous.length, span.index + span.length - previous.index);
+    } else {
+      spans.push(span);
+    }
+  }
+
+  return {
+    leaked: spans.length > 0,
+    ratio: Math.round((found.size / runs.size) * 1000) / 1000,
+    spans
+  };
+}
+
+/**
+ * Lowercased words with their position in the text
+ */
+function words(text) {
+  return [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({
+    word: match[0].toLowerCase(),
+    index: match.index,
+    length: match[0].length
+  }));
+}
+
+InjectionDetector.RULES = RULES;
+InjectionDetector.findSystemPromptLeak = findSystemPromptLeak;
+
+module.exports = InjectionDetector;
@@ -0,0 +1,203 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Severity of each level; a logger writes its own level and above
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Fields holding conversation content or credentials, written as [REDACTED]
+const REDACTED_FIELDS = [
+  'content', 'messages', 'prompt', 'systemPrompt', 'text', 'match', 'matches',
+  'apiKey', 'api_key', 'authorization', 'x-api-key', 'password', 'secret', 'token'
+];
+
+// Credentials recognised inside any string: provider keys, bearer tokens and JWTs
+const SECRET_PATTERNS = [
+  /\b(?:gsk|sk|sk-proj|xai)[-_][A-Za-z0-9_-]{16,}/g,
+  /\bBearer\s+[A-Za-z0-9._~+/-]+=*/gi,
+  /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g
+];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Logger - Leveled logger writing text or JSON lines
+ *
+ * Fields set with withContext() follow async calls (AsyncLocalStorage), so
+ * every line written while handling a request carries its request id,
+ * including lines from ChatClient and Guardrails.
+ */
+class Logger {
+  /**
+   * @param {Object} options
+   * @param {string} options.level - 'debug', 'info', 'warn', 'error' or 'silent' (default: 'info')
+   * @param {string} options.format - 'text' or 'json' (default: 'text')
+   * @param {boolean} options.redact - Hide message content and credentials (default: true)
+   * @param {Array<string>} options.redactFields - More field names to hide
+   * @param {Array<string>} options.secrets - Exact values to hide wherever they appear, e.g. API keys
+   * @param {Function} options.output - (line, entry) => void, receives every line (default: stdout, stderr for warn and error)
+   * @param {Object} options.bindings - Fields of every line, e.g. { component: 'server' }
+   */
+  constructor(options = {}) {
+    if (options.level && !(options.level in LEVELS)) {
+      throw new Error(`Unknown log level: ${options.level}`);
+    }
+
+    this.level = options.level || 'info';
+    this.format = options.format || 'text';
+    this.redact = options.redact !== false;
+    this.redactFields = new Set([...REDACTED_FIELDS, ...(options.redactFields || [])].map(f => f.toLowerCase()));
+    this.secrets = (options.secrets || []).filter(secret => typeof secret === 'string' && secret.length >= 8);
+    this.output = options.output || writeLine;
+    this.bindings = options.bindings || {};
+    this.storage = options.storage || new AsyncLocalStorage();
+  }
+
+  /**
+   * A logger adding fields to every line, sharing this one's settings and context
+   * @param {Object} bindings - e.g. { component: 'guardrails' }
+   * @returns {Logger}
+   */
+  child(bindings) {
+    const child = Object.create(Logger.prototype);
+    Object.assign(child, this, { bindings: { ...this.bindings, ...bindings } });
+    return child;
+  }
+
+  /**
+   * Run a function with fields added to every line logged during it
+   * @param {Object} fields - e.g. { requestId }
+   * @param {Function} fn
+   * @returns {*} - What fn returns
+   */
+  withContext(fields, fn) {
+    return this.storage.run({ ...this.context(), ...fields }, fn);
+  }
+
+  /**
+   * Fields of the current context
+   * @returns {Object}
+   */
+  context() {
+    return this.storage.getStore() || {};
+  }
+
+  /**
+   * Whether lines of a level are written
+   * @param {string} level
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * Write a line
+   * @param {string} level
+   * @param {string} message
+   * @param {Object} fields - Extra fields; undefined ones are left out
+   */
+  log(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    let entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...this.bindings,
+      ...this.context(),
+      ...fields
+    };
+    if (this.redact) {
+      entry = this._redact(entry);
+    }
+
+    this.output(this.format === 'json' ? JSON.stringify(entry) : formatText(entry), entry);
+  }
+
+  /**
+   * Copy of a value with content fields and credentials hidden
+   * @private
+   */
+  _redact(value, depth = 0) {
+    if (typeof value === 'string') return this._redactString(value);
+    if (value instanceof Error) return this._redactString(value.message);
+    if (!value || typeof value !== 'object' || depth > 5) return value;
+    if (Array.isArray(value)) return value.map(item => this._redact(item, depth + 1));
+
+    const copy = {};
+    for (const [key, field] of Object.entries(value)) {
+      copy[key] = this.redactFields.has(key.toLowerCase()) && field != null
+        ? REDACTED
+        : this._redact(field, depth + 1);
+    }
+    return copy;
+  }
+
+  /**
+   * @private
+   */
+  _redactString(text) {
+    let result = text;
+    for (const secret of this.secrets) {
+      result = result.split(secret).join(REDACTED);
+    }
+    for (const pattern of SECRET_PATTERNS) {
+      result = result.replace(pattern, REDACTED);
+    }
+    return result;
+  }
+}
+
+/**
+ * Default output: info and below to stdout, warnings and errors to stderr
+ */
+function writeLine(line, entry) {
+  const stream = LEVELS[entry.level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(line + '\n');
+}
+
+/**
+ * `time LEVEL [component] msg key=value ...`
+ */
+function formatText(entry) {
+  const { time, level, msg, component, ...fields } = entry;
+  const pairs = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${formatValue(value)}`);
+
+  return [
+    time,
+    level.toUpperCase().padEnd(5),
+    component ? `[${component}]` : null,
+    msg,
+    ...pairs
+  ].filter(part => part !== null).join(' ');
+}
+
+/**
+ * Text form of a field: bare if it has no spaces or quotes, JSON otherwise
+ */
+function formatValue(value) {
+  if (typeof value === 'string' && /^[^\s"=]+$/.test(value)) return value;
+  return JSON.stringify(value);
+}
+
+Logger.LEVELS = LEVELS;
+Logger.SILENT = new Logger({ level: 'silent' });
+
+module.exports = Logger;
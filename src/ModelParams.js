@@ -0,0 +1,156 @@
+/**
+ * Parameters clients may set, and the ChatClient option each maps to.
+ * Options under `extra` are sent to the provider as they are.
+ */
+const PARAMS = {
+  model: 'model',
+  temperature: 'temperature',
+  maxTokens: 'maxTokens',
+  topP: 'extra.top_p',
+  stop: 'extra.stop',
+  seed: 'extra.seed',
+  responseFormat: 'extra.response_format'
+};
+
+// Parameters with a { min, max } range
+const RANGED_PARAMS = ['temperature', 'topP', 'maxTokens'];
+
+/**
+ * ModelParams - Model parameters chosen by clients
+ *
+ * Clients can set the model, temperature, top_p, max tokens, stop sequences,
+ * seed and response format of a request, or of a conversation for all its
+ * requests. Parameters are bounded by the server: only allowed parameters
+ * are accepted, the model must be one of the allowed models and values must
+ * be in their configured range.
+ */
+class ModelParams {
+  /**
+   * @param {Object} options
+   * @param {Array} options.allow - Parameters clients may set (default: all)
+   * @param {Array} options.models - Models clients may choose
+   * @param {Object} options.temperature - Allowed range: { min, max }
+   * @param {Object} options.topP - Allowed range: { min, max }
+   * @param {Object} options.maxTokens - Allowed range: { min, max }
+   * @param {number} options.maxStop - Most stop sequences per request
+   * @param {Array} options.responseFormats - Allowed response format types, e.g. 'json_object'
+   * @param {Object} options.defaults - Server settings used for unset parameters:
+   *   { model, temperature, maxTokens }
+   */
+  constructor(options = {}) {
+    this.config = {
+      ...options,
+      allow: options.allow || Object.keys(PARAMS),
+      models: options.models || [],
+      temperature: options.temperature || { min: 0, max: 2 },
+      topP: options.topP || { min: 0, max: 1 },
+      maxStop: options.maxStop ?? 4,
+      responseFormats: options.responseFormats || ['text', 'json_object'],
+      defaults: options.defaults || {}
+    };
+  }
+
+  /**
+   * Combine parameter sets, later ones winning (e.g. conversation, then request)
+   * @param {...Object} sources - Parameter sets, null ones are skipped
+   * @returns {Object}
+   */
+  static merge(...sources) {
+    const params = {};
+    for (const source of sources) {
+      for (const [name, value] of Object.entries(source || {})) {
+        if (value !== undefined) params[name] = value;
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Check parameters against the allowlist and ranges
+   * @param {Object} params - Client parameters
+   * @returns {Object} - { allowed, code, reason, param }
+   */
+  check(params) {
+    if (!params) return { allowed: true };
+
+    for (const name of Object.keys(params)) {
+      if (!this.config.allow.includes(name)) {
+        return this._deny('PARAM_NOT_ALLOWED', `Parameter not allowed: ${name}`, name);
+      }
+    }
+
+    if (params.model !== undefined && !this.config.models.includes(params.model)) {
+      return this._deny('MODEL_NOT_ALLOWED', `Model not allowed: ${params.model}`, 'model');
+    }
+
+    for (const name of RANGED_PARAMS) {
+      const range = this.config[name];
+      const value = params[name];
+      if (value === undefined || !range) continue;
+
+      if ((range.min !== undefined && value < range.min) || (range.max !== undefined && value > range.max)) {
+        return this._deny('PARAM_OUT_OF_RANGE', `${name} must be between ${range.min ?? '-∞'} and ${range.max ?? '∞'}`, name);
+      }
+    }
+
+    if (Array.isArray(params.stop) && params.stop.length > this.config.maxStop) {
+      return this._deny('PARAM_OUT_OF_RANGE', `stop allows at most ${this.config.maxStop} sequences`, 'stop');
+    }
+
+    if (params.responseFormat && !this.config.responseFormats.includes(params.responseFormat.type)) {
+      return this._deny('PARAM_NOT_ALLOWED', `Response format not allowed: ${params.responseFormat.type}`, 'responseFormat');
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * ChatClient options for parameters
+   * @param {Object} params - Checked parameters
+   * @returns {Object} - { model, temperature, maxTokens, extra }, only with the parameters set
+   */
+  chatOptions(params) {
+    const options = {};
+    const extra = {};
+
+    for (const [name, value] of Object.entries(params || {})) {
+      const option = PARAMS[name];
+      if (value === undefined || !option) continue;
+
+      if (option.startsWith('extra.')) {
+        extra[option.slice('extra.'.length)] = value;
+      } else {
+        options[option] = value;
+      }
+    }
+
+    if (Object.keys(extra).length > 0) options.extra = extra;
+    return options;
+  }
+
+  /**
+   * Parameters a reply was generated with, server defaults filled in
+   * @param {Object} params - Parameters of the request
+   * @param {string} model - Model that answered, which differs from the requested one after a fallback
+   * @returns {Object}
+   */
+  effective(params = {}, model = null) {
+    const { defaults } = this.config;
+
+    return {
+      ...params,
+      model: model || params.model || defaults.model,
+      temperature: params.temperature ?? defaults.temperature,
+      maxTokens: params.maxTokens ?? defaults.maxTokens
+    };
+  }
+
+  /**
+   * @private
+   */
+  _deny(code, reason, param) {
+    return { allowed: false, code, reason, param };
+  }
+}
+
+module.exports = ModelParams;
@@ -0,0 +1,271 @@
+/**
+ * Built-in PII detectors, in priority order: when matches overlap, the
+ * earlier detector wins. `group` selects the capture group holding the
+ * sensitive value, `validate` rejects matches that only look right.
+ */
+const DETECTORS = [
+  {
+    type: 'secret',
+    label: 'SECRET',
+    patterns: [
+      /\b(?:sk|pk|rk)-(?:proj-|live-|test-)?[A-Za-z0-9_-]{20,}/g,
+      /\bgsk_[A-Za-z0-9]{20,}/g,
+      /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+      /\bgh[pousr]_[A-Za-z0-9]{30,}/g,
+      /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+      /\bAIza[0-9A-Za-z_-]{35}/g,
+      /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g,
+      { pattern: /\b(?:api[_-]?key|secret|token|password|passwd)\b["']?\s*[:=]\s*["']?([A-Za-z0-9_\-/+=.]{11,}[A-Za-z0-9_\-/+=])/gi, group: 1 }
+    ]
+  },
+  {
+    type: 'email',
+    label: 'EMAIL',
+    patterns: [/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g]
+  },
+  {
+    type: 'iban',
+    label: 'IBAN',
+    patterns: [/\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g],
+    validate: isValidIban
+  },
+  {
+    type: 'creditCard',
+    label: 'CREDIT_CARD',
+    patterns: [/\b\d(?:[ -]?\d){12,18}\b/g],
+    validate: isValidCardNumber
+  },
+  {
+    type: 'ssn',
+    label: 'SSN',
+    patterns: [/\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g]
+  },
+  {
+    type: 'ipAddress',
+    label: 'IP_ADDRESS',
+    patterns: [
+      /\b(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\b/g,
+      /(?<![\w:])(?:[A-Fa-f0-9]{1,4}:){7}[A-Fa-f0-9]{1,4}(?![\w:])/g,
+      /(?<![\w:])(?:[A-Fa-f0-9]{1,4}:){1,6}:(?:[A-Fa-f0-9]{1,4}(?::[A-Fa-f0-9]{1,4}){0,5})?(?![\w:])/g
+    ]
+  },
+  {
+    type: 'phone',
+    label: 'PHONE',
+    patterns: [/(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,4}(?![\w])/g],
+    validate: isValidPhone
+  }
+];
+
+// Action per type when none is configured
+const DEFAULT_ACTIONS = {
+  secret: 'block',
+  creditCard: 'block',
+  ssn: 'block',
+  iban: 'mask',
+  ipAddress: 'mask',
+  email: 'tokenize',
+  phone: 'tokenize'
+};
+
+// Placeholders, and what may be the start of one at the end of a text
+const PLACEHOLDER = /\[([A-Z][A-Z_]*)_(\d+)\]/g;
+const PARTIAL_PLACEHOLDER = /\[[A-Z0-9_]{0,30}$/;
+
+/**
+ * PiiDetector - Finds personal data and secrets in text
+ *
+ * Every type has an action:
+ *   - 'block'     The content is rejected (see Guardrails#checkPii)
+ *   - 'mask'      The value is replaced with a label such as `[EMAIL]`
+ *   - 'tokenize'  The value is replaced with a numbered placeholder such as
+ *                 `[EMAIL_1]`, kept in a vault so it can be restored later
+ *   - false       The type is not detected
+ */
+class PiiDetector {
+  /**
+   * @param {Object} options
+   * @param {Object} options.actions - Action per type, merged with DEFAULT_ACTIONS
+   */
+  constructor(options = {}) {
+    this.actions = { ...DEFAULT_ACTIONS, ...options.actions };
+  }
+
+  /**
+   * Find PII in text
+   * @param {string} text
+   * @returns {Array<Object>} - [{ type, label, action, value, index, length }] by position, without overlaps
+   */
+  detect(text) {
+    if (typeof text !== 'string' || !text) return [];
+
+    const findings = [];
+
+    for (const detector of DETECTORS) {
+      const action = this.actions[detector.type];
+      if (!action) continue;
+
+      for (const entry of detector.patterns) {
+        const { pattern, group = 0 } = entry instanceof RegExp ? { pattern: entry } : entry;
+        const regex = new RegExp(pattern.source, pattern.flags);
+
+        for (const match of text.matchAll(regex)) {
+          const value = match[group];
+          if (!value) continue;
+          if (detector.validate && !detector.validate(value)) continue;
+
+          const index = match.index + match[0].lastIndexOf(value);
+          const end = index + value.length;
+          if (findings.some(f => index < f.index + f.length && f.index < end)) continue;
+
+          findings.push({
+            type: detector.type,
+            label: detector.label,
+            action,
+            value,
+            index,
+            length: value.length
+          });
+        }
+      }
+    }
+
+    return findings.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Create a vault for placeholders. Use one vault per model request, so the
+   * same value gets the same placeholder in every message.
+   * @returns {Object}
+   */
+  createVault() {
+    return { tokens: new Map(), placeholders: new Map(), counts: {} };
+  }
+
+  /**
+   * Replace PII in text with masks or placeholders
+   * @param {string} text
+   * @param {Object} options
+   * @param {Object} options.vault - Vault for 'tokenize' types (without one they are masked)
+   * @param {Array<string>} options.actions - Actions to replace (default: all)
+   * @param {boolean} options.partial - Text may continue, leave findings that touch its end
+   * @returns {Object} - { text, findings: replaced findings with their new `replacement` }
+   */
+  replace(text, options = {}) {
+    const { vault = null, actions = null, partial = false } = options;
+    const findings = this.detect(text).filter(f =>
+      (!actions || actions.includes(f.action)) &&
+      (!partial || f.index + f.length < text.length)
+    );
+
+    if (findings.length === 0) {
+      return { text, findings };
+    }
+
+    let result = '';
+    let position = 0;
+
+    for (const finding of findings) {
+      finding.replacement = finding.action === 'tokenize' && vault
+        ? this._placeholder(vault, finding)
+        : `[${finding.label}]`;
+      result += text.slice(position, finding.index) + finding.replacement;
+      position = finding.index + finding.length;
+    }
+
+    return { text: result + text.slice(position), findings };
+  }
+
+  /**
+   * Put the original values back in place of placeholders
+   * @param {string} text
+   * @param {Object} vault
+   * @returns {string}
+   */
+  restore(text, vault) {
+    if (typeof text !== 'string' || !vault || vault.tokens.size === 0) return text;
+    return text.replace(PLACEHOLDER, (placeholder) => vault.tokens.get(placeholder) ?? placeholder);
+  }
+
+  /**
+   * Length of text that can be restored without splitting a placeholder
+   * that may still be completed by text that follows
+   * @param {string} text
+   * @returns {number}
+   */
+  safeLength(text) {
+    const partial = PARTIAL_PLACEHOLDER.exec(text);
+    return partial ? partial.index : text.length;
+  }
+
+  /**
+   * Get or assign the placeholder of a value
+   * @private
+   */
+  _placeholder(vault, finding) {
+    const key = `${finding.type}:${finding.value}`;
+    let placeholder = vault.placeholders.get(key);
+
+    if (!placeholder) {
+      vault.counts[finding.label] = (vault.counts[finding.label] || 0) + 1;
+      placeholder = `[${finding.label}_${vault.counts[finding.label]}]`;
+      vault.placeholders.set(key, placeholder);
+      vault.tokens.set(placeholder, finding.value);
+    }
+
+    return placeholder;
+  }
+}
+
+/**
+ * Luhn checksum of a 13-19 digit card number
+ */
+function isValidCardNumber(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * ISO 13616 mod-97 check of an IBAN
+ */
+function isValidIban(value) {
+  const iban = value.replace(/ /g, '');
+  if (iban.length < 15 || iban.length > 34) return false;
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+
+  return remainder === 1;
+}
+
+/**
+ * Phone numbers have 10 to 15 digits and a country code or separators, so
+ * plain long numbers (order ids, timestamps) are not taken for one
+ */
+function isValidPhone(value) {
+  const digits = value.replace(/\D/g, '');
+  return digits.length >= 10 && digits.length <= 15 && /[+\s().-]/.test(value);
+}
+
+PiiDetector.DEFAULT_ACTIONS = DEFAULT_ACTIONS;
+PiiDetector.TYPES = DETECTORS.map(d => d.type);
+
+module.exports = PiiDetector;
@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+
+// Template names: letters, digits, '_', '.' and '-', without '@'
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,99}$/;
+
+// {{variable}} placeholders, spaces inside the braces allowed
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Files loadDirectory() reads: JSON definitions and plain text templates
+const TEXT_EXTENSIONS = ['.txt', '.md'];
+
+/**
+ * PromptRegistry - Named, versioned system prompt templates
+ *
+ * Templates are text with `{{variable}}` placeholders. Variables can have a
+ * default, or be required. Every change registers a new version and
+ * existing versions never change, so a conversation that records
+ * `support-agent@3` can always be traced back to the prompt it used.
+ * Version numbers are not reused, not even after the version is deleted.
+ */
+class PromptRegistry {
+  /**
+   * @param {Object} options
+   * @param {Array} options.templates - Template definitions to register (see register)
+   * @param {string} options.directory - Directory to load templates from (see loadDirectory)
+   */
+  constructor(options = {}) {
+    // Versions of each template by name, oldest first
+    this.templates = new Map();
+
+    // Every version number each name has had, deleted ones included
+    this.usedVersions = new Map();
+
+    for (const definition of options.templates || []) {
+      this.register(definition);
+    }
+
+    if (options.directory) {
+      this.loadDirectory(options.directory);
+    }
+  }
+
+  /**
+   * Split a reference like 'support-agent@3' into name and version
+   * @param {string} ref - 'name' (latest version) or 'name@version'
+   * @returns {Object} - { name, version }, version is null for the latest
+   */
+  static parseRef(ref) {
+    const at = String(ref).lastIndexOf('@');
+    if (at === -1) return { name: String(ref), version: null };
+
+    const version = Number(ref.slice(at + 1));
+    return {
+      name: ref.slice(0, at),
+      version: Number.isInteger(version) && version > 0 ? version : NaN
+    };
+  }
+
+  /**
+   * Register a template, as the next version of its name unless `version` is given
+   * @param {Object} definition
+   * @param {string} definition.name - Template name
+   * @param {string} definition.template - Text with {{variable}} placeholders
+   * @param {string} definition.description - What the prompt is for
+   * @param {Object} definition.variables - { name: { default, required, description } }.
+   *   Placeholders not listed here are required.
+   * @param {number} definition.version - Version number (default: one past the highest
+   *   the name has had, deleted versions included)
+   * @returns {Object} - The stored template
+   */
+  register(definition) {
+    if (!definition || !definition.name) {
+      throw new Error('Prompt template name is required');
+    }
+
+    const { name } = definition;
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid prompt template name: ${name}`);
+    }
+    if (typeof definition.template !== 'string') {
+      throw new Error(`Prompt template "${name}" must have a template string`);
+    }
+
+    const versions = this.templates.get(name) || [];
+    const used = this.usedVersions.get(name) || new Set();
+    const version = definition.version ?? Math.max(0, ...used) + 1;
+
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`Invalid version of prompt template "${name}": ${version}`);
+    }
+    if (versions.some(t => t.version === version)) {
+      throw new Error(`Prompt template ${name}@${version} already exists`);
+    }
+    if (used.has(version)) {
+      throw new Error(`Prompt template ${name}@${version} was deleted, its version can't be reused`);
+    }
+
+    const template = Object.freeze({
+      name,
+      version,
+      description: definition.description || '',
+      template: definition.template,
+      variables: this._variables(definition.template, definition.variables),
+      createdAt: new Date().toISOString()
+    });
+
+    versions.push(template);
+    versions.sort((a, b) => a.version - b.version);
+    this.templates.set(name, versions);
+    used.add(version);
+    this.usedVersions.set(name, used);
+
+    return template;
+  }
+
+  /**
+   * Find a template
+   * @param {string} ref - 'name' for the latest version, or 'name@version'
+   * @returns {Object|null}
+   */
+  get(ref) {
+    const { name, version } = PromptRegistry.parseRef(ref);
+    const versions = this.templates.get(name);
+    if (!versions) return null;
+
+    if (version === null) return versions[versions.length - 1];
+    return versions.find(t => t.version === version) || null;
+  }
+
+  /**
+   * All versions of a template, oldest first
+   * @param {string} name
+   * @returns {Array}
+   */
+  versions(name) {
+    return [...(this.templates.get(name) || [])];
+  }
+
+  /**
+   * Latest version of every template
+   * @returns {Array}
+   */
+  list() {
+    return Array.from(this.templates.values()).map(versions => versions[versions.length - 1]);
+  }
+
+  /**
+   * Remove a template version, or all versions of a template
+   * @param {string} ref - 'name' for all versions, or 'name@version'
+   * @returns {boolean} - True if something was removed
+   */
+  delete(ref) {
+    const { name, version } = PromptRegistry.parseRef(ref);
+    const versions = this.templates.get(name);
+    if (!versions) return false;
+
+    if (version === null) {
+      return this.templates.delete(name);
+    }
+
+    const remaining = versions.filter(t => t.version !== version);
+    if (remaining.length === versions.length) return false;
+
+    if (remaining.length > 0) {
+      this.templates.set(name, remaining);
+    } else {
+      this.templates.delete(name);
+    }
+    return true;
+  }
+
+  /**
+   * Fill in a template
+   * @param {string} ref - 'name' for the latest version, or 'name@version'
+   * @param {Object} variables - Variable values; numbers and booleans are turned into text
+   * @returns {Object} - { success, text, template: { name, version, variables } }, or
+   *   { success: false, code, error, problems } with code PROMPT_NOT_FOUND or INVALID_PROMPT_VARIABLES
+   */
+  render(ref, variables = {}) {
+    const template = this.get(ref);
+    if (!template) {
+      return { success: false, code: 'PROMPT_NOT_FOUND', error: `Prompt template not found: ${ref}` };
+    }
+
+    // Only own properties count: names like 'constructor' must not reach Object.prototype
+    const values = Object.create(null);
+    const problems = [];
+
+    for (const [name, spec] of Object.entries(template.variables)) {
+      if (Object.hasOwn(variables, name) && variables[name] !== undefined && variables[name] !== null) {
+        values[name] = String(variables[name]);
+      } else if (spec.default !== undefined) {
+        values[name] = String(spec.default);
+      } else if (spec.required) {
+        problems.push({ variable: name, message: 'is required' });
+      } else {
+        values[name] = '';
+      }
+    }
+
+    for (const name of Object.keys(variables)) {
+      if (!Object.hasOwn(template.variables, name)) {
+        problems.push({ variable: name, message: `is not a variable of ${template.name}@${template.version}` });
+      }
+    }
+
+    if (problems.length > 0) {
+      const [first] = problems;
+      return {
+        success: false,
+        code: 'INVALID_PROMPT_VARIABLES',
+        error: `${first.variable} ${first.message}`,
+        problems
+      };
+    }
+
+    return {
+      success: true,
+      text: template.template.replace(PLACEHOLDER, (match, name) => values[name]),
+      template: { name: template.name, version: template.version, variables: values }
+    };
+  }
+
+  /**
+   * Register the templates of a directory. Each `.json` file holds a
+   * definition or an array of them, named after the file unless they have a
+   * `name`. Each `.txt` or `.md` file is a template named after the file,
+   * e.g. `support-agent.txt`, or `support-agent@2.txt` for a given version.
+   * Files are read in name order, so unnumbered versions follow that order.
+   * @param {string} directory
+   * @returns {number} - Number of templates registered
+   */
+  loadDirectory(directory) {
+    let count = 0;
+
+    for (const file of fs.readdirSync(directory).sort()) {
+      const extension = path.extname(file).toLowerCase();
+      const base = path.basename(file, path.extname(file));
+      const content = () => fs.readFileSync(path.join(directory, file), 'utf8');
+
+      let definitions;
+      if (extension === '.json') {
+        let parsed;
+        try {
+          parsed = JSON.parse(content());
+        } catch (error) {
+          throw new Error(`Invalid prompt template file ${file}: ${error.message}`);
+        }
+        definitions = [].concat(parsed).map(definition => ({ name: base, ...definition }));
+      } else if (TEXT_EXTENSIONS.includes(extension)) {
+        const { name, version } = PromptRegistry.parseRef(base);
+        definitions = [{ name, template: content(), ...(version !== null && { version }) }];
+      } else {
+        continue;
+      }
+
+      for (const definition of definitions) {
+        this.register(definition);
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Variables of a template: the declared ones, and required ones for
+   * placeholders that aren't declared
+   * @private
+   */
+  _variables(text, declared = {}) {
+    const variables = Object.create(null);
+
+    for (const [name, spec] of Object.entries(declared || {})) {
+      variables[name] = Object.freeze({
+        ...(spec.description && { description: spec.description }),
+        ...(spec.default !== undefined && { default: spec.default }),
+        required: spec.default === undefined && spec.required !== false
+      });
+    }
+
+    for (const [, name] of text.matchAll(PLACEHOLDER)) {
+      if (!Object.hasOwn(variables, name)) variables[name] = Object.freeze({ required: true });
+    }
+
+    return Object.freeze(variables);
+  }
+}
+
+module.exports = PromptRegistry;
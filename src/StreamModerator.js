@@ -0,0 +1,216 @@
+const REDACTED = '[redacted]';
+
+/**
+ * StreamModerator - Moderates a response while it is being streamed
+ *
+ * Text is released to the client only once it is `lookAhead` characters
+ * behind the newest text, and every chunk is checked against a rolling
+ * window that reaches back `lookAhead` characters into released text. A
+ * blocked pattern or policy therefore fires before the text it matches is
+ * sent. On a violation the stream is either terminated, or, for blocked
+ * patterns with `action: 'redact'`, the match is replaced and streaming
+ * goes on.
+ *
+ * PII is masked in held back text. With a `vault`, placeholders the model
+ * writes are replaced with the original values as text is released; `text`
+ * keeps the model's own version.
+ */
+class StreamModerator {
+  /**
+   * @param {Guardrails} guardrails - Guardrails whose output checks are applied
+   * @param {Object} options
+   * @param {number} options.lookAhead - Characters held back (default: guardrails `streamLookAhead`)
+   * @param {string} options.action - 'terminate' or 'redact' (default: guardrails `streamViolationAction`)
+   * @param {Object} options.vault - PII vault of the request, to restore placeholders
+   * @param {string} options.systemPrompt - System prompt of the conversation, to catch leaks
+   * @param {Function} options.onModelCall - Called with model calls made by policies
+   */
+  constructor(guardrails, options = {}) {
+    const config = guardrails.config;
+
+    this.guardrails = guardrails;
+    this.enabled = config.enableOutputModeration;
+    this.lookAhead = this.enabled ? (options.lookAhead ?? config.streamLookAhead ?? 64) : 0;
+    this.action = options.action || config.streamViolationAction || 'terminate';
+    this.vault = options.vault || null;
+    this.systemPrompt = options.systemPrompt || null;
+    this.onModelCall = options.onModelCall || null;
+
+    this.text = '';
+    this.released = 0;
+    this.violation = null;
+    this.redactions = [];
+    this.warnings = [];
+    this.truncated = false;
+  }
+
+  /**
+   * Text sent to the client so far
+   * @returns {string}
+   */
+  get releasedText() {
+    return this.guardrails.restorePii(this.text.slice(0, this.released), this.vault);
+  }
+
+  /**
+   * Complete response text, with placeholders restored
+   * @returns {string}
+   */
+  get fullText() {
+    return this.guardrails.restorePii(this.text, this.vault);
+  }
+
+  /**
+   * Add a chunk of generated text
+   * @param {string} content - New text
+   * @returns {Object} - { content: text safe to send now, violation?, redactions: new redactions }
+   */
+  push(content) {
+    if (this.violation) {
+      return { content: '', violation: this.violation, redactions: [] };
+    }
+
+    // Text past a truncated response's end is dropped
+    if (this.truncated) {
+      return { content: '', redactions: [] };
+    }
+
+    this.text += content;
+    if (!this.enabled) {
+      return this._release(this.text.length, []);
+    }
+
+    const redactions = [];
+    if (!this._moderateWindow(redactions)) {
+      return { content: '', violation: this.violation, redactions };
+    }
+
+    return this._release(Math.max(this.released, this.text.length - this.lookAhead), redactions);
+  }
+
+  /**
+   * Finish the stream: check the complete response and release the rest.
+   * Sanitizing is only possible where it leaves released text as it was.
+   * @returns {Promise<Object>} - { content, violation?, redactions, warnings }
+   */
+  async end() {
+    if (this.violation) {
+      return { content: '', violation: this.violation, redactions: [] };
+    }
+
+    const redactions = [];
+    if (this.enabled) {
+      this._maskPii(redactions, false);
+
+      const moderation = await this.guardrails.moderateOutput(this.text, {
+        systemPrompt: this.systemPrompt,
+        onModelCall: this.onModelCall
+      });
+      const released = this.text.slice(0, this.released);
+      if (moderation.allowed && !moderation.content.startsWith(released)) {
+        const { code, reason } = moderation.checks.find(c => c.action === 'sanitize');
+        Object.assign(moderation, { allowed: false, action: 'reject', code, reason });
+      }
+
+      if (!moderation.allowed) {
+        this.violation = moderation;
+        return { content: '', violation: moderation, redactions, warnings: [] };
+      }
+
+      this.text = moderation.content;
+      this.warnings = moderation.warnings;
+    }
+
+    return { ...this._release(this.text.length, redactions, true), warnings: this.warnings };
+  }
+
+  /**
+   * Check the window of text that may still contain a new match
+   * @private
+   * @returns {boolean} - false once the stream has to be terminated
+   */
+  _moderateWindow(redactions) {
+    const maxLength = this.guardrails.config.maxResponseLength;
+    const lengthAction = this.guardrails.getAction('responseLength');
+    if (this.text.length > maxLength && lengthAction === 'sanitize') {
+      this.text = this.text.slice(0, maxLength);
+      this.truncated = true;
+    } else if (this.text.length > maxLength && lengthAction === 'reject') {
+      this.violation = {
+        allowed: false,
+        reason: `Response too long. Maximum length: ${maxLength}`,
+        code: 'RESPONSE_TOO_LONG'
+      };
+      return false;
+    }
+
+    this._maskPii(redactions, true);
+
+    while (true) {
+      const start = Math.max(0, this.released - this.lookAhead);
+      const moderation = this.guardrails.moderatePartialOutput(this.text.slice(start), { systemPrompt: this.systemPrompt });
+      if (moderation.allowed) return true;
+
+      // Released text can't be taken back, only redact what is still held
+      const match = moderation.match;
+      const from = match ? Math.max(start + match.index, this.released) : -1;
+      const to = match ? start + match.index + match.length : -1;
+
+      const redact = this.action === 'redact' || moderation.action === 'sanitize';
+      if (!redact || !match || to <= from || this.text.slice(from, to).includes(REDACTED)) {
+        this.violation = moderation;
+        return false;
+      }
+
+      this.text = this.text.slice(0, from) + REDACTED + this.text.slice(to);
+      const redaction = { code: moderation.code, offset: from, length: REDACTED.length };
+      this.redactions.push(redaction);
+      redactions.push(redaction);
+    }
+  }
+
+  /**
+   * Mask PII in text that is still held back
+   * @private
+   * @param {Array} redactions - Collects a redaction per masked value
+   * @param {boolean} partial - More text may follow, leave matches that touch the end
+   */
+  _maskPii(redactions, partial) {
+    const masked = this.guardrails.maskPii(this.text.slice(this.released), { partial });
+    if (masked.findings.length === 0) return;
+
+    this.text = this.text.slice(0, this.released) + masked.content;
+
+    let shift = this.released;
+    for (const finding of masked.findings) {
+      const redaction = {
+        code: 'PII_MASKED',
+        piiType: finding.type,
+        offset: finding.index + shift,
+        length: finding.replacement.length
+      };
+      shift += finding.replacement.length - finding.length;
+      this.redactions.push(redaction);
+      redactions.push(redaction);
+    }
+  }
+
+  /**
+   * Release text up to `end`. Unless the stream is over, a placeholder that
+   * may still be incomplete is held back so it can be restored whole.
+   * @private
+   */
+  _release(end, redactions, final = false) {
+    if (this.vault && !final && end > this.released) {
+      end = this.released + this.guardrails.pii.safeLength(this.text.slice(this.released, end));
+    }
+
+    const content = this.guardrails.restorePii(this.text.slice(this.released, end), this.vault);
+    this.released = Math.max(this.released, end);
+    return { content, redactions };
+  }
+}
+
+StreamModerator.REDACTED = REDACTED;
+
+module.exports = StreamModerator;
@@ -0,0 +1,121 @@
+/**
+ * ToolRegistry - Registry of tools (functions) the model can call
+ */
+class ToolRegistry {
+  constructor(tools = []) {
+    this.tools = new Map();
+
+    for (const tool of tools) {
+      this.register(tool);
+    }
+  }
+
+  /**
+   * Register a tool
+   * @param {Object} tool - Tool definition
+   * @param {string} tool.name - Unique tool name
+   * @param {string} tool.description - What the tool does (shown to the model)
+   * @param {Object} tool.parameters - JSON schema of the tool arguments
+   * @param {Function} tool.handler - async (args, context) => result
+   */
+  register(tool) {
+    if (!tool || !tool.name) {
+      throw new Error('Tool name is required');
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Tool "${tool.name}" must have a handler function`);
+    }
+
+    this.tools.set(tool.name, {
+      name: tool.name,
+      description: tool.description || '',
+      parameters: tool.parameters || { type: 'object', properties: {} },
+      handler: tool.handler
+    });
+
+    return this;
+  }
+
+  /**
+   * Remove a tool
+   * @param {string} name - Tool name
+   * @returns {boolean} - True if the tool existed
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * Get a tool by name
+   */
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  /**
+   * Number of registered tools
+   */
+  get size() {
+    return this.tools.size;
+  }
+
+  /**
+   * Tool definitions in the format expected by the chat completions API
+   * @returns {Array}
+   */
+  definitions() {
+    return Array.from(this.tools.values()).map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+  }
+
+  /**
+   * Execute a tool call returned by the model
+   * @param {Object} toolCall - { id, function: { name, arguments } }
+   * @param {Object} context - Extra context passed to the handler
+   * @returns {Promise<Object>} - { content: string, result?: any, error?: string }
+   */
+  async execute(toolCall, context = {}) {
+    const name = toolCall.function?.name;
+    const tool = this.tools.get(name);
+
+    if (!tool) {
+      return this._errorResult(`Unknown tool: ${name}`);
+    }
+
+    let args;
+    try {
+      args = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
+    } catch (error) {
+      return this._errorResult(`Invalid arguments for tool "${name}": ${error.message}`);
+    }
+
+    try {
+      const result = await tool.handler(args, { ...context, toolCall });
+      return {
+        content: typeof result === 'string' ? result : JSON.stringify(result ?? null),
+        result
+      };
+    } catch (error) {
+      return this._errorResult(error.message);
+    }
+  }
+
+  /**
+   * Build an error result that is fed back to the model
+   * @private
+   */
+  _errorResult(message) {
+    return {
+      content: JSON.stringify({ error: message }),
+      error: message
+    };
+  }
+}
+
+module.exports = ToolRegistry;
@@ -0,0 +1,295 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Approximate list prices in USD per million tokens
+ */
+const DEFAULT_PRICES = {
+  'llama-3.3-70b-versatile': { prompt: 0.59, completion: 0.79 },
+  'llama-3.1-70b-versatile': { prompt: 0.59, completion: 0.79 },
+  'llama-3.1-8b-instant': { prompt: 0.05, completion: 0.08 },
+  'mixtral-8x7b-32768': { prompt: 0.24, completion: 0.24 },
+  'gemma2-9b-it': { prompt: 0.20, completion: 0.20 }
+};
+
+/**
+ * UsageTracker - Token usage accounting and quotas
+ *
+ * Records the tokens used by every model call with who made it, for which
+ * conversation and with which model, and enforces daily / monthly token
+ * quotas per API key (or per tenant). Records are kept in memory for
+ * `retentionDays`.
+ */
+class UsageTracker {
+  /**
+   * @param {Object} options
+   * @param {Object} options.prices - { model: { prompt, completion } } in USD per million tokens
+   * @param {Object} options.quotas - Default token quotas: { daily, monthly }
+   * @param {string} options.quotaScope - Who a quota applies to: 'key' or 'tenant'
+   * @param {number} options.retentionDays - How long records are kept (default: 90)
+   */
+  constructor(options = {}) {
+    this.config = {
+      ...options,
+      prices: { ...DEFAULT_PRICES, ...options.prices },
+      quotas: options.quotas || null,
+      quotaScope: options.quotaScope || 'key',
+      retentionDays: options.retentionDays || 90
+    };
+
+    this.records = [];
+    this.prunedDay = null;
+
+    // Tokens used per quota subject and period, e.g. 'key:prod|2024-05-01'
+    this.counters = new Map();
+  }
+
+  /**
+   * Record the usage of a model call
+   * @param {Object} entry
+   * @param {Object} entry.principal - Caller principal (tenantId, userId, keyId)
+   * @param {string} entry.conversationId - Conversation the call belongs to, if any
+   * @param {string} entry.model - Model that answered
+   * @param {string} entry.provider - Provider name
+   * @param {Object} entry.usage - { prompt_tokens, completion_tokens, total_tokens }
+   * @param {boolean} entry.estimated - Token counts are estimates, not provider-reported
+   * @returns {Object} - The stored record
+   */
+  record(entry) {
+    const usage = entry.usage || {};
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    const principal = entry.principal || {};
+    const now = new Date();
+
+    const record = {
+      timestamp: now.toISOString(),
+      tenantId: principal.tenantId ?? null,
+      userId: principal.userId ?? null,
+      keyId: principal.keyId ?? null,
+      conversationId: entry.conversationId || null,
+      model: entry.model || null,
+      provider: entry.provider || null,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.total_tokens || promptTokens + completionTokens,
+      cost: this.estimateCost(entry.model, promptTokens, completionTokens),
+      estimated: !!entry.estimated
+    };
+
+    this.records.push(record);
+    this._prune(now);
+
+    const subject = this.subject(principal);
+    for (const period of this._periods(now)) {
+      const key = `${subject}|${period.id}`;
+      this.counters.set(key, (this.counters.get(key) || 0) + record.totalTokens);
+    }
+
+    return record;
+  }
+
+  /**
+   * Estimated cost in USD of a model call
+   * @param {string} model - Model name
+   * @param {number} promptTokens
+   * @param {number} completionTokens
+   * @returns {number}
+   */
+  estimateCost(model, promptTokens, completionTokens) {
+    const price = this.config.prices[model];
+    if (!price) return 0;
+
+    return (promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0)) / 1e6;
+  }
+
+  /**
+   * Find usage records
+   * @param {Object} filter
+   * @param {string|Date} filter.from - Earliest timestamp (inclusive)
+   * @param {string|Date} filter.to - Latest timestamp (inclusive, a bare date covers the whole day)
+   * @param {string} filter.tenantId / filter.userId / filter.keyId / filter.conversationId / filter.model
+   * @returns {Array<Object>}
+   */
+  query(filter = {}) {
+    const from = filter.from ? this._parseDate(filter.from, false) : null;
+    const to = filter.to ? this._parseDate(filter.to, true) : null;
+    const fields = ['tenantId', 'userId', 'keyId', 'conversationId', 'model'];
+
+    return this.records.filter(record => {
+      const time = Date.parse(record.timestamp);
+      if (from !== null && time < from) return false;
+      if (to !== null && time > to) return false;
+
+      return fields.every(field => filter[field] === undefined || record[field] === filter[field]);
+    });
+  }
+
+  /**
+   * Aggregate usage records into totals, per model, per conversation and per key
+   * @param {Object} filter - Same as query()
+   * @returns {Object} - { totals, byModel, byConversation, byKey }
+   */
+  summarize(filter = {}) {
+    const summary = { totals: this._emptyTotals(), byModel: {}, byConversation: {}, byKey: {} };
+
+    for (const record of this.query(filter)) {
+      this._addTo(summary.totals, record);
+      this._addTo(summary.byModel[record.model] ??= this._emptyTotals(), record);
+      if (record.conversationId) {
+        this._addTo(summary.byConversation[record.conversationId] ??= this._emptyTotals(), record);
+      }
+      if (record.keyId) {
+        this._addTo(summary.byKey[record.keyId] ??= this._emptyTotals(), record);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Check if a principal still has tokens left in its quotas.
+   * Runs before the model call, so a request is rejected once the limit is reached.
+   * @param {Object} principal - Caller principal
+   * @returns {Object} - { allowed, quota?, reason?, code? } where quota is { period, limit, used, resetAt }
+   */
+  checkQuota(principal) {
+    for (const quota of this.getQuotas(principal)) {
+      if (quota.used >= quota.limit) {
+        return {
+          allowed: false,
+          quota,
+          reason: `${quota.period === 'daily' ? 'Daily' : 'Monthly'} token quota exceeded`,
+          code: 'QUOTA_EXCEEDED'
+        };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Current state of a principal's quotas
+   * @param {Object} principal - Caller principal
+   * @returns {Array<Object>} - [{ period, limit, used, remaining, resetAt }]
+   */
+  getQuotas(principal) {
+    const limits = principal.quota || this.config.quotas;
+    if (!limits) return [];
+
+    const subject = this.subject(principal);
+
+    return this._periods(new Date())
+      .filter(period => limits[period.name])
+      .map(period => {
+        const used = this.counters.get(`${subject}|${period.id}`) || 0;
+        return {
+          period: period.name,
+          limit: limits[period.name],
+          used,
+          remaining: Math.max(0, limits[period.name] - used),
+          resetAt: period.resetAt
+        };
+      });
+  }
+
+  /**
+   * Identify who a quota is counted against
+   * @param {Object} principal - Caller principal
+   * @returns {string}
+   */
+  subject(principal = {}) {
+    if (this.config.quotaScope === 'tenant' && principal.tenantId != null) {
+      return `tenant:${principal.tenantId}`;
+    }
+    if (principal.keyId) return `key:${principal.keyId}`;
+    if (principal.userId) return `user:${principal.tenantId ?? ''}:${principal.userId}`;
+    return 'anonymous';
+  }
+
+  /**
+   * Quota periods containing a point in time (UTC days and months)
+   * @private
+   */
+  _periods(now) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    const day = now.toISOString().slice(0, 10);
+
+    return [
+      {
+        name: 'daily',
+        id: day,
+        resetAt: new Date(Date.parse(day) + DAY_MS).toISOString()
+      },
+      {
+        name: 'monthly',
+        id: day.slice(0, 7),
+        resetAt: new Date(Date.UTC(year, month + 1, 1)).toISOString()
+      }
+    ];
+  }
+
+  /**
+   * Drop records and counters older than the retention period
+   * @private
+   */
+  _prune(now) {
+    const cutoff = now.getTime() - this.config.retentionDays * DAY_MS;
+
+    let expired = 0;
+    while (expired < this.records.length && Date.parse(this.records[expired].timestamp) < cutoff) {
+      expired++;
+    }
+    if (expired > 0) {
+      this.records.splice(0, expired);
+    }
+
+    // Only the current periods are ever checked, drop the others once a day
+    const day = now.toISOString().slice(0, 10);
+    if (day === this.prunedDay) return;
+    this.prunedDay = day;
+
+    const current = new Set(this._periods(now).map(period => period.id));
+    for (const key of this.counters.keys()) {
+      if (!current.has(key.slice(key.lastIndexOf('|') + 1))) {
+        this.counters.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Parse a filter date. A bare date (YYYY-MM-DD) as upper bound covers the whole day.
+   * @private
+   */
+  _parseDate(value, endOfDay) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid date: ${value}`);
+    }
+
+    const bareDate = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    return bareDate && endOfDay ? time + DAY_MS - 1 : time;
+  }
+
+  /**
+   * @private
+   */
+  _emptyTotals() {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+  }
+
+  /**
+   * @private
+   */
+  _addTo(totals, record) {
+    totals.requests++;
+    totals.promptTokens += record.promptTokens;
+    totals.completionTokens += record.completionTokens;
+    totals.totalTokens += record.totalTokens;
+    totals.cost += record.cost;
+  }
+}
+
+UsageTracker.DEFAULT_PRICES = DEFAULT_PRICES;
+
+module.exports = UsageTracker;
@@ -0,0 +1,67 @@
+const { ERROR_CODES } = require('./errorCodes');
+
+/**
+ * ApiError - An error sent to clients in the standard envelope:
+ *   { success: false, error, code, details?, requestId, ...fields }
+ *
+ * Route handlers can throw it; the server answers with its status and body.
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} code - Stable error code, see ERROR_CODES
+   * @param {string} message - Human-readable message
+   * @param {Object} options
+   * @param {number} options.status - HTTP status (default: the status of the code, or 500)
+   * @param {*} options.details - Machine-readable details, e.g. validation problems
+   * @param {Object} options.fields - Extra fields merged into the body, e.g. { quota }
+   */
+  constructor(code, message, options = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = options.status || (ERROR_CODES[code] ? ERROR_CODES[code].status : 500);
+    this.details = options.details;
+    this.fields = options.fields || {};
+  }
+
+  /**
+   * Response body of the error
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      ...(this.details != null && { details: this.details }),
+      ...this.fields
+    };
+  }
+
+  /**
+   * Convert anything thrown while handling a request. Body parser errors
+   * keep their meaning; other errors become INTERNAL_ERROR, without their
+   * message, which may contain internals.
+   * @param {Error} error
+   * @returns {ApiError}
+   */
+  static from(error) {
+    if (error instanceof ApiError) {
+      return error;
+    }
+
+    if (error && error.type === 'entity.parse.failed') {
+      return new ApiError('INVALID_JSON', 'Request body is not valid JSON');
+    }
+    if (error && error.type === 'entity.too.large') {
+      return new ApiError('PAYLOAD_TOO_LARGE', 'Request body is too large');
+    }
+    if (error && error.expose && error.status >= 400 && error.status < 500) {
+      return new ApiError('INVALID_REQUEST', error.message, { status: error.status });
+    }
+
+    return new ApiError('INTERNAL_ERROR', 'Internal server error');
+  }
+}
+
+module.exports = ApiError;
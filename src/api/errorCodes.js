@@ -0,0 +1,77 @@
+/**
+ * Error codes returned by the API, with their HTTP status
+ *
+ * Codes are stable: clients can branch on them, while `error` messages may
+ * change. Groups are used to document the codes a route can return.
+ */
+const ERROR_CODES = {
+  // Malformed requests
+  VALIDATION_ERROR: { status: 400, group: 'request', description: 'The request does not match its schema; `details` lists the problems' },
+  INVALID_JSON: { status: 400, group: 'request', description: 'The body or WebSocket message is not valid JSON' },
+  INVALID_REQUEST: { status: 400, group: 'request', description: 'The request could not be read' },
+  PAYLOAD_TOO_LARGE: { status: 413, group: 'request', description: 'The request body is too large' },
+  UNKNOWN_PROVIDER: { status: 400, group: 'request', description: 'The requested provider is not configured' },
+  INVALID_MESSAGE: { status: 400, group: 'request', description: 'The message cannot be edited or regenerated' },
+  MODEL_NOT_ALLOWED: { status: 400, group: 'request', description: 'The requested model is not in the allowed models' },
+  PARAM_NOT_ALLOWED: { status: 400, group: 'request', description: 'Clients may not set this model parameter or value; `details.param` names it' },
+  PARAM_OUT_OF_RANGE: { status: 400, group: 'request', description: 'A model parameter is outside its allowed range; `details.param` names it' },
+
+  // Missing resources
+  NOT_FOUND: { status: 404, group: 'request', description: 'No route matches the method and path' },
+  CONVERSATION_NOT_FOUND: { status: 404, group: 'request', description: 'The conversation does not exist or belongs to someone else' },
+  MESSAGE_NOT_FOUND: { status: 404, group: 'request', description: 'The message is not in the conversation' },
+  BRANCH_NOT_FOUND: { status: 404, group: 'request', description: 'The branch is not in the conversation' },
+  GENERATION_NOT_FOUND: { status: 404, group: 'request', description: 'No generation with that request id is running' },
+  SESSION_NOT_FOUND: { status: 404, group: 'request', description: 'The WebSocket session has no conversation' },
+  PROMPT_NOT_FOUND: { status: 404, group: 'request', description: 'No prompt template has that name and version' },
+  INVALID_PROMPT_VARIABLES: { status: 400, group: 'request', description: 'Prompt template variables are missing or unknown; `details` lists them' },
+
+  // Authentication
+  AUTH_REQUIRED: { status: 401, group: 'auth', description: 'No API key or bearer token was sent' },
+  INVALID_API_KEY: { status: 401, group: 'auth', description: 'The API key is not known' },
+  INVALID_TOKEN: { status: 401, group: 'auth', description: 'The bearer token is malformed, badly signed or not accepted' },
+  TOKEN_EXPIRED: { status: 401, group: 'auth', description: 'The bearer token has expired' },
+  FORBIDDEN: { status: 403, group: 'auth', description: 'The caller is not allowed to use this route' },
+
+  // Limits
+  RATE_LIMIT_EXCEEDED: { status: 429, group: 'limits', description: 'A rate limit was hit; see the Retry-After header' },
+  QUOTA_EXCEEDED: { status: 429, group: 'limits', description: 'The token quota is used up; see the Retry-After header' },
+
+  // Guardrails, on input and output
+  INVALID_TYPE: { status: 400, group: 'moderation', description: 'The message is not a string' },
+  EMPTY_MESSAGE: { status: 400, group: 'moderation', description: 'The message is empty or only whitespace' },
+  MESSAGE_TOO_SHORT: { status: 400, group: 'moderation', description: 'The message is shorter than the minimum length' },
+  MESSAGE_TOO_LONG: { status: 400, group: 'moderation', description: 'The message is longer than the maximum length' },
+  BLOCKED_PATTERN: { status: 400, group: 'moderation', description: 'The text matches a blocked pattern' },
+  NOT_ALLOWED_PATTERN: { status: 400, group: 'moderation', description: 'The text matches none of the allowed patterns' },
+  PROFANITY_DETECTED: { status: 400, group: 'moderation', description: 'The text contains profanity' },
+  HARMFUL_CONTENT: { status: 400, group: 'moderation', description: 'The text looks harmful' },
+  PII_DETECTED: { status: 400, group: 'moderation', description: 'The text contains personal data; `details` lists the types' },
+  PROMPT_INJECTION: { status: 400, group: 'moderation', description: 'The message looks like a prompt injection' },
+  SYSTEM_PROMPT_LEAK: { status: 400, group: 'moderation', description: 'The reply repeats the system prompt' },
+  RESPONSE_TOO_LONG: { status: 400, group: 'moderation', description: 'The reply is longer than the maximum length' },
+  POLICY_VIOLATION: { status: 400, group: 'moderation', description: 'A custom policy rejected the text' },
+  POLICY_TIMEOUT: { status: 400, group: 'moderation', description: 'A policy did not answer in time (policyFailMode: closed)' },
+  POLICY_ERROR: { status: 400, group: 'moderation', description: 'A policy failed (policyFailMode: closed)' },
+  LLM_JUDGE_BLOCKED: { status: 400, group: 'moderation', description: 'The LLM judge rejected the text' },
+
+  // Failures
+  MODEL_ERROR: { status: 502, group: 'server', description: 'The model provider failed; `details` has its error code and status' },
+  SCHEMA_REPAIR_FAILED: { status: 502, group: 'server', description: 'The reply did not match `responseSchema`, even after re-prompting; `details` lists the problems' },
+  INTERNAL_ERROR: { status: 500, group: 'server', description: 'Something went wrong in the server' },
+  SESSION_FAILED: { status: 500, group: 'server', description: 'The WebSocket session could not be created' }
+};
+
+/**
+ * Codes of a group, e.g. 'moderation'
+ * @param {string} group
+ * @returns {string[]}
+ */
+function errorCodesIn(group) {
+  return Object.keys(ERROR_CODES).filter(code => ERROR_CODES[code].group === group);
+}
+
+module.exports = {
+  ERROR_CODES,
+  errorCodesIn
+};
@@ -0,0 +1,16 @@
+const ApiError = require('./ApiError');
+const { ERROR_CODES, errorCodesIn } = require('./errorCodes');
+const { validate, coerceQuery } = require('./validate');
+const { components, WEBSOCKET_MESSAGES } = require('./schemas');
+const { buildOpenApiDocument } = require('./openapi');
+
+module.exports = {
+  ApiError,
+  ERROR_CODES,
+  errorCodesIn,
+  validate,
+  coerceQuery,
+  schemas: components,
+  WEBSOCKET_MESSAGES,
+  buildOpenApiDocument
+};
@@ -0,0 +1,188 @@
+const { ERROR_CODES } = require('./errorCodes');
+const { ref } = require('./schemas');
+
+/**
+ * Build an OpenAPI 3.1 document describing registered routes
+ * @param {Object} options
+ * @param {Object} options.info - { title, version, description }
+ * @param {Array} options.routes - Route specs: { method, path, summary, description, tags,
+ *   operationId, query, body, response, responseType, stream, errors, errorSchema }
+ * @param {Object} options.schemas - Named schemas, published as components.schemas
+ * @param {boolean} options.auth - Whether requests need an API key or bearer token
+ * @param {Function} options.isPublic - Whether a path is open without credentials
+ * @param {Object} options.websocket - { path, messages: { type: schemaName } }, or null
+ * @returns {Object}
+ */
+function buildOpenApiDocument(options) {
+  const { info, routes, schemas, auth = false, isPublic = () => false, websocket = null } = options;
+  const paths = {};
+
+  for (const route of routes) {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    const secured = auth && !isPublic(route.path);
+
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = {
+      operationId: route.operationId || operationId(route.method, route.path),
+      ...(route.summary && { summary: route.summary }),
+      ...(route.description && { description: route.description }),
+      ...(route.tags && { tags: route.tags }),
+      ...(!secured && auth && { security: [] }),
+      parameters: [...pathParameters(route.path), ...queryParameters(route.query, schemas)],
+      ...(route.body && { requestBody: requestBody(route.body, schemas) }),
+      responses: {
+        200: successResponse(route),
+        ...errorResponses(route, secured)
+      }
+    };
+  }
+
+  const document = {
+    openapi: '3.1.0',
+    info,
+    paths,
+    components: { schemas }
+  };
+
+  if (auth) {
+    document.components.securitySchemes = {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      bearer: { type: 'http', scheme: 'bearer', description: 'API key or JWT' }
+    };
+    document.security = [{ apiKey: [] }, { bearer: [] }];
+  }
+
+  // OpenAPI has no way to describe WebSocket messages, so they are listed in an extension
+  if (websocket) {
+    document['x-websocket'] = {
+      path: websocket.path,
+      messages: Object.fromEntries(
+        Object.entries(websocket.messages).map(([type, name]) => [type, ref(name)])
+      )
+    };
+  }
+
+  return document;
+}
+
+/**
+ * Schema object for a schema name or inline schema
+ * @private
+ */
+function schemaOf(schema) {
+  return typeof schema === 'string' ? ref(schema) : schema;
+}
+
+/**
+ * e.g. 'post', '/conversation/:id/branches' -> 'postConversationByIdBranches'
+ * @private
+ */
+function operationId(method, path) {
+  const words = path.split(/[/.-]/).filter(Boolean).map(segment => (segment.startsWith(':')
+    ? `By${capitalize(segment.slice(1))}`
+    : capitalize(segment)));
+  return method + words.join('');
+}
+
+/**
+ * @private
+ */
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * @private
+ */
+function pathParameters(path) {
+  return (path.match(/:\w+/g) || []).map(param => ({
+    name: param.slice(1),
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  }));
+}
+
+/**
+ * @private
+ */
+function queryParameters(query, schemas) {
+  if (!query) return [];
+  const schema = typeof query === 'string' ? schemas[query] : query;
+  const required = schema.required || [];
+
+  return Object.entries(schema.properties || {}).map(([name, property]) => ({
+    name,
+    in: 'query',
+    required: required.includes(name),
+    ...(property.description && { description: property.description }),
+    schema: property
+  }));
+}
+
+/**
+ * @private
+ */
+function requestBody(body, schemas) {
+  const schema = typeof body === 'string' ? schemas[body] : body;
+
+  return {
+    required: !!(schema.required && schema.required.length > 0),
+    content: { 'application/json': { schema: schemaOf(body) } }
+  };
+}
+
+/**
+ * @private
+ */
+function successResponse(route) {
+  const content = {};
+  if (route.response) {
+    content[route.responseType || 'application/json'] = { schema: schemaOf(route.response) };
+  }
+  if (route.stream) {
+    content['text/event-stream'] = {
+      schema: { type: 'string', description: 'Server-sent events, when `stream` is true' }
+    };
+  }
+
+  return {
+    description: 'OK',
+    ...(Object.keys(content).length > 0 && { content })
+  };
+}
+
+/**
+ * Error responses grouped by status, each listing its codes
+ * @private
+ */
+function errorResponses(route, secured) {
+  const codes = new Set(route.errors || []);
+  if (route.body || route.query) codes.add('VALIDATION_ERROR');
+  if (route.body) codes.add('INVALID_JSON');
+  if (secured) {
+    for (const code of ['AUTH_REQUIRED', 'INVALID_API_KEY', 'INVALID_TOKEN', 'TOKEN_EXPIRED']) {
+      codes.add(code);
+    }
+  }
+  codes.add('INTERNAL_ERROR');
+
+  const byStatus = {};
+  for (const code of codes) {
+    const status = ERROR_CODES[code].status;
+    (byStatus[status] = byStatus[status] || []).push(code);
+  }
+
+  const responses = {};
+  for (const status of Object.keys(byStatus).sort()) {
+    responses[status] = {
+      description: byStatus[status].join(', '),
+      content: { 'application/json': { schema: ref(route.errorSchema || 'Error') } }
+    };
+  }
+  return responses;
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
@@ -0,0 +1,616 @@
+const { ERROR_CODES } = require('./errorCodes');
+
+/**
+ * JSON Schemas of the API: request bodies, responses and WebSocket messages
+ *
+ * Routes refer to them by name. They are validated with validate() and
+ * published as `components.schemas` of the OpenAPI document.
+ */
+
+/**
+ * Reference to a named schema
+ * @param {string} name
+ * @returns {Object}
+ */
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+// Schema of each WebSocket message type
+const WEBSOCKET_MESSAGES = {
+  chat: 'WebSocketChat',
+  configure: 'WebSocketConfigure',
+  clear: 'WebSocketClear',
+  cancel: 'WebSocketCancel',
+  regenerate: 'WebSocketRegenerate',
+  edit: 'WebSocketEdit'
+};
+
+const provider = { type: 'string', description: 'Named provider to answer with (see `providers`)' };
+const stream = { type: 'boolean', description: 'Answer with server-sent events' };
+const cacheControl = { type: 'string', description: "Response cache mode: 'no-cache' or 'no-store'" };
+const message = { type: 'string', minLength: 1, description: 'User message' };
+const timestamp = { type: 'string', format: 'date-time' };
+const responseSchema = {
+  type: 'object',
+  description: 'JSON Schema the reply must match. The reply is requested in JSON mode, checked, re-prompted with the problems if needed, and returned parsed as `data`'
+};
+const data = { description: 'The reply parsed as JSON, when `responseSchema` was set' };
+const promptVariables = {
+  type: 'object',
+  additionalProperties: { type: ['string', 'number', 'boolean'] },
+  description: 'Values of the template variables'
+};
+const params = { ...ref('ModelParams'), description: 'Model parameters of this request, over those of the conversation' };
+
+const components = {
+  // Errors
+  Error: {
+    type: 'object',
+    required: ['success', 'error', 'code'],
+    properties: {
+      success: { const: false },
+      error: { type: 'string', description: 'Human-readable message' },
+      code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'Stable error code' },
+      details: { description: 'Machine-readable details, e.g. validation problems or PII types' },
+      requestId: { type: 'string' }
+    }
+  },
+  ValidationProblem: {
+    type: 'object',
+    properties: {
+      location: { type: 'string', enum: ['body', 'query', 'message'] },
+      path: { type: 'string', description: "Field, e.g. 'messages[0].role'" },
+      message: { type: 'string' }
+    }
+  },
+  OpenAIError: {
+    type: 'object',
+    properties: {
+      error: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          type: { type: 'string' },
+          param: { type: ['string', 'null'] },
+          code: { type: ['string', 'null'] }
+        }
+      }
+    }
+  },
+
+  // Shared
+  RequestId: {
+    type: 'string',
+    pattern: '^[\\x21-\\x7e]{1,128}$',
+    description: 'Client-chosen id of the generation, to cancel it (visible ASCII, at most 128 characters)'
+  },
+  ModelParams: {
+    type: 'object',
+    additionalProperties: false,
+    description: 'Model parameters, within the ranges and models the server allows (see `modelParams`)',
+    properties: {
+      model: { type: 'string', minLength: 1 },
+      temperature: { type: 'number', minimum: 0, maximum: 2 },
+      topP: { type: 'number', minimum: 0, maximum: 1 },
+      maxTokens: { type: 'integer', minimum: 1 },
+      stop: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+      seed: { type: 'integer' },
+      responseFormat: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { type: 'string', description: "e.g. 'text' or 'json_object'" }
+        }
+      }
+    }
+  },
+  Usage: {
+    type: 'object',
+    properties: {
+      prompt_tokens: { type: 'integer' },
+      completion_tokens: { type: 'integer' },
+      total_tokens: { type: 'integer' }
+    }
+  },
+  Message: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      role: { type: 'string', enum: ['system', 'user', 'assistant', 'tool'] },
+      content: { type: ['string', 'null'] },
+      tool_calls: { type: 'array', items: { type: 'object' } },
+      tool_call_id: { type: 'string' },
+      cancelled: { type: 'boolean' },
+      params: { ...ref('ModelParams'), description: 'Parameters an assistant reply was generated with' },
+      timestamp
+    }
+  },
+  Conversation: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      systemPrompt: { type: 'string' },
+      template: { anyOf: [ref('ConversationTemplate'), { type: 'null' }] },
+      params: ref('ModelParams'),
+      messages: { type: 'array', items: ref('Message') },
+      summary: { type: ['string', 'null'] },
+      activeBranch: { type: ['string', 'null'] },
+      tenantId: { type: ['string', 'null'] },
+      userId: { type: ['string', 'null'] },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+  },
+  ConversationTemplate: {
+    type: 'object',
+    description: 'Prompt template the system prompt was made from',
+    properties: {
+      name: { type: 'string' },
+      version: { type: 'integer' },
+      variables: { type: 'object', additionalProperties: { type: 'string' } }
+    }
+  },
+  Branch: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      parentBranch: { type: ['string', 'null'] },
+      forkMessageId: { type: ['string', 'null'] },
+      messageCount: { type: 'integer' },
+      active: { type: 'boolean' },
+      createdAt: timestamp
+    }
+  },
+
+  // Conversations
+  CreateConversationRequest: {
+    type: 'object',
+    properties: {
+      systemPrompt: { type: 'string' },
+      template: { type: 'string', minLength: 1, description: "Prompt template for the system prompt: 'name' (latest version) or 'name@version'" },
+      variables: promptVariables,
+      params: { ...ref('ModelParams'), description: 'Model parameters of every request in the conversation' }
+    }
+  },
+  CreateConversationResponse: {
+    type: 'object',
+    properties: {
+      success: { const: true },
+      conversationId: { type: 'string' },
+      template: ref('ConversationTemplate'),
+      message: { type: 'string' }
+    }
+  },
+  ConversationResponse: {
+    type: 'object',
+    properties: {
+      success: { const: true },
+      conversation: ref('Conversation')
+    }
+  },
+  ConversationListResponse: {
+    type: 'object',
+    properties: {
+      success: { const: true },
+      conversations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            messageCount: { type: 'integer' },
+            createdAt: timestamp,
+            updatedAt: timestamp
+          }
+        }
+      }
+    }
+  },
+  DeleteConversationResponse: {
+    type: 'object',
+    properties: {
+      success: { const: true },
+      message: { type: 'string' }
+    }
+  },
+  BranchListResponse: {
+    type: 'object',
+    properties: {
+      success: { const: true },
+      activeBranch: { type: 'string' },
+      branches: { type: 'array', items: ref('Branch') }
+    }
+  },
+  SwitchBranchResponse: {
+    type: 'object',
+    properties: {
+      success: { const: true },
+      activeBranch: { type: 'string' },
+      conversation: ref('Conversation')
+    }
+  },
+
+  // Chat
+  ChatRequest: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message,
+      conversationId: { type: 'string', description: 'Conversation to continue; a new one is started if missing or unknown' },
+      stream: { ...stream, description: 'Answer with server-sent events (not with `responseSchema`)' },
+      provider,
+      params,
+      responseSchema,
+      requestId: ref('RequestId')
+    }
+  },
+  RegenerateRequest: {
+    type: 'object',
+    properties: {
+      stream,
+      provider,
+      params,
+      requestId: ref('RequestId')
+    }
+  },
+  EditRequest: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { ...message, description: 'New content of the message' },
+      stream,
+      provider,
+      params,
+      requestId: ref('RequestId')
+    }
+  },
+  ChatResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      conversationId: { type: 'string' },
+      requestId: { type: 'string' },
+      messageId: { type: 'string' },
+      branchId: { type: 'string' },
+      message: ref('Message'),
+      data,
+      model: { type: 'string' },
+      usage: ref('Usage'),
+      cached: { type: 'boolean', description: 'Answered from the response cache' },
+      cancelled: { type: 'boolean' },
+      warnings: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  SimpleChatRequest: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message,
+      systemPrompt: { type: 'string', description: 'System prompt for this request (default: the configured one)' },
+      provider,
+      params: { ...ref('ModelParams'), description: 'Model parameters of this request' },
+      responseSchema
+    }
+  },
+  SimpleChatResponse: {
+    type: 'object',
+    properties: {
+      success: { const: true },
+      message: ref('Message'),
+      data,
+      model: { type: 'string' },
+      usage: ref('Usage'),
+      cached: { type: 'boolean' },
+      warnings: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  CancelResponse: {
+    type: 'object',
+    properties: {
+      success: { const: true },
+      requestId: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+
+  // Prompt templates
+  PromptName: {
+    type: 'string',
+    pattern: '^[A-Za-z0-9][A-Za-z0-9_.-]{0,99}$',
+    description: "Letters, digits, '_', '.' and '-'"
+  },
+  PromptVariable: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      description: { type: 'string' },
+      default: { type: ['string', 'number', 'boolean'] },
+      required: { type: 'boolean', description: 'Variables without a default are required unless this is false' }
+    }
+  },
+  PromptTemplate: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      version: { type: 'integer' },
+      description: { type: 'string' },
+      template: { type: 'string', description: 'Text with {{variable}} placeholders' },
+      variables: { type: 'object', additionalProperties: ref('PromptVariable') },
+      createdAt: timestamp
+    }
+  },
+  CreatePromptRequest: {
+    type: 'object',
+    required: ['name', 'template'],
+    additionalProperties: false,
+    properties: {
+      name: ref('PromptName'),
+      template: { type: 'string', minLength: 1, description: 'Text with {{variable}} placeholders' },
+      description: { type: 'string' },
+      variables: { type: 'object', additionalProperties: ref('PromptVariable') }
+    }
+  },
+  UpdatePromptRequest: {
+    type: 'object',
+    required: ['template'],
+    additionalProperties: false,
+    properties: {
+      template: { type: 'string', minLength: 1, description: 'Text with {{variable}} placeholders' },
+      description: { type: 'string' },
+      variables: { type: 'object', additionalProperties: ref('PromptVariable') }
+    }
+  },
+  PromptResponse: {
+    type: 'object',
+    properties: {
+      success: { const: true },
+      prompt: ref('PromptTemplate')
+    }
+  },
+  PromptVersionsResponse: {
+    type: 'object',
+    properties: {
+      success: { const: true },
+      prompt: { ...ref('PromptTemplate'), description: 'Latest version' },
+      versions: { type: 'array', items: ref('PromptTemplate') }
+    }
+  },
+  PromptListResponse: {
+    type: 'object',
+    properties: {
+      success: { const: true },
+      prompts: { type: 'array', items: ref('PromptTemplate'), description: 'Latest version of each template' }
+    }
+  },
+  DeletePromptResponse: {
+    type: 'object',
+    properties: {
+      success: { const: true },
+      message: { type: 'string' }
+    }
+  },
+
+  // Usage and audit
+  UsageTotals: {
+    type: 'object',
+    properties: {
+      requests: { type: 'integer' },
+      promptTokens: { type: 'integer' },
+      completionTokens: { type: 'integer' },
+      totalTokens: { type: 'integer' },
+      cost: { type: 'number', description: 'USD' }
+    }
+  },
+  UsageResponse: {
+    type: 'object',
+    properties: {
+      success: { const: true },
+      from: { type: ['string', 'null'] },
+      to: { type: ['string', 'null'] },
+      totals: ref('UsageTotals'),
+      byModel: { type: 'object', additionalProperties: ref('UsageTotals') },
+      byConversation: { type: 'object', additionalProperties: ref('UsageTotals') },
+      byKey: { type: 'object', additionalProperties: ref('UsageTotals') },
+      quotas: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            period: { type: 'string', enum: ['daily', 'monthly'] },
+            limit: { type: 'integer' },
+            used: { type: 'integer' },
+            resetAt: timestamp
+          }
+        }
+      }
+    }
+  },
+  AuditResponse: {
+    type: 'object',
+    properties: {
+      success: { const: true },
+      count: { type: 'integer' },
+      events: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            timestamp,
+            type: { type: 'string' },
+            conversationId: { type: ['string', 'null'] },
+            tenantId: { type: ['string', 'null'] },
+            userId: { type: ['string', 'null'] },
+            keyId: { type: ['string', 'null'] },
+            ip: { type: ['string', 'null'] }
+          }
+        }
+      }
+    }
+  },
+  HealthResponse: {
+    type: 'object',
+    properties: {
+      status: { const: 'ok' },
+      timestamp
+    }
+  },
+
+  // OpenAI-compatible API
+  ChatCompletionMessage: {
+    type: 'object',
+    required: ['role'],
+    properties: {
+      role: { type: 'string', enum: ['system', 'developer', 'user', 'assistant', 'tool'] },
+      content: {
+        anyOf: [
+          { type: 'string' },
+          { type: 'array', items: { type: 'object', required: ['type'], properties: { type: { type: 'string' } } } },
+          { type: 'null' }
+        ]
+      },
+      name: { type: 'string' },
+      tool_calls: { type: 'array', items: { type: 'object' } },
+      tool_call_id: { type: 'string' }
+    }
+  },
+  ChatCompletionRequest: {
+    type: 'object',
+    required: ['messages'],
+    properties: {
+      messages: { type: 'array', minItems: 1, items: ref('ChatCompletionMessage') },
+      model: { type: 'string', minLength: 1 },
+      stream: { type: 'boolean' },
+      stream_options: { type: 'object', properties: { include_usage: { type: 'boolean' } } },
+      temperature: { type: 'number', minimum: 0, maximum: 2 },
+      max_tokens: { type: 'integer', minimum: 1 },
+      max_completion_tokens: { type: 'integer', minimum: 1 },
+      top_p: { type: 'number', minimum: 0, maximum: 1 },
+      stop: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }, { type: 'null' }] },
+      seed: { type: 'integer' },
+      frequency_penalty: { type: 'number', minimum: -2, maximum: 2 },
+      presence_penalty: { type: 'number', minimum: -2, maximum: 2 },
+      response_format: { type: 'object' },
+      tools: { type: 'array', items: { type: 'object' } },
+      tool_choice: { anyOf: [{ type: 'string' }, { type: 'object' }] },
+      user: { type: 'string' },
+      provider
+    }
+  },
+  ChatCompletion: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      object: { const: 'chat.completion' },
+      created: { type: 'integer' },
+      model: { type: 'string' },
+      choices: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer' },
+            message: ref('ChatCompletionMessage'),
+            finish_reason: { type: 'string' }
+          }
+        }
+      },
+      usage: ref('Usage')
+    }
+  },
+  ModelList: {
+    type: 'object',
+    properties: {
+      object: { const: 'list' },
+      data: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            object: { const: 'model' },
+            created: { type: 'integer' },
+            owned_by: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+
+  // WebSocket messages
+  WebSocketMessage: {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: { type: 'string', enum: Object.keys(WEBSOCKET_MESSAGES) }
+    }
+  },
+  WebSocketChat: {
+    type: 'object',
+    required: ['type', 'message'],
+    properties: {
+      type: { const: 'chat' },
+      message,
+      provider,
+      params,
+      requestId: ref('RequestId'),
+      cacheControl
+    }
+  },
+  WebSocketConfigure: {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: { const: 'configure' },
+      systemPrompt: { type: 'string' },
+      template: { type: 'string', minLength: 1, description: "Prompt template for the system prompt: 'name' or 'name@version'" },
+      variables: promptVariables,
+      params: { ...ref('ModelParams'), description: 'Model parameters of the session, replacing those set before' }
+    }
+  },
+  WebSocketClear: {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: { const: 'clear' }
+    }
+  },
+  WebSocketCancel: {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: { const: 'cancel' },
+      requestId: { ...ref('RequestId'), description: 'Generation to stop; all of the session if missing' }
+    }
+  },
+  WebSocketRegenerate: {
+    type: 'object',
+    required: ['type', 'messageId'],
+    properties: {
+      type: { const: 'regenerate' },
+      messageId: { type: 'string', minLength: 1 },
+      provider,
+      params,
+      requestId: ref('RequestId')
+    }
+  },
+  WebSocketEdit: {
+    type: 'object',
+    required: ['type', 'messageId', 'message'],
+    properties: {
+      type: { const: 'edit' },
+      messageId: { type: 'string', minLength: 1 },
+      message,
+      provider,
+      params,
+      requestId: ref('RequestId')
+    }
+  }
+};
+
+module.exports = {
+  components,
+  WEBSOCKET_MESSAGES,
+  ref
+};
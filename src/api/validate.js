@@ -0,0 +1,203 @@
+/**
+ * JSON Schema validation for request bodies, query strings and WebSocket
+ * messages
+ *
+ * Supports the keywords the API schemas use: type, enum, const, properties,
+ * required, additionalProperties, items, minItems, maxItems, minLength,
+ * maxLength, pattern, minimum, maximum, anyOf and $ref to
+ * `#/components/schemas/<name>`. Other keywords (description, format,
+ * examples, ...) are documentation only.
+ */
+
+const REF_PREFIX = '#/components/schemas/';
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {Object} options
+ * @param {Object} options.schemas - Named schemas `$ref`s point to
+ * @param {string} options.path - Path of the value, prefixed to problem paths
+ * @returns {Array} - Problems as { path, message }, empty if the value is valid
+ */
+function validate(schema, value, options = {}) {
+  const problems = [];
+  check(schema, value, options.path || '', problems, options.schemas || {});
+  return problems;
+}
+
+/**
+ * Convert query string values to the number, integer or boolean types their
+ * schema declares, in place. Values that don't convert are left for
+ * validate() to report.
+ * @param {Object} schema - Object schema of the query
+ * @param {Object} query - Parsed query string
+ * @returns {Object} - The query
+ */
+function coerceQuery(schema, query) {
+  const properties = (schema && schema.properties) || {};
+
+  for (const [name, property] of Object.entries(properties)) {
+    const value = query[name];
+    if (typeof value !== 'string') continue;
+
+    const types = [].concat(property.type || []);
+    if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !isNaN(Number(value))) {
+      query[name] = Number(value);
+    } else if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+      query[name] = value === 'true';
+    }
+  }
+
+  return query;
+}
+
+/**
+ * @private
+ */
+function check(schema, value, path, problems, schemas) {
+  if (!schema || schema === true) return;
+
+  if (schema.$ref) {
+    const target = schemas[schema.$ref.slice(REF_PREFIX.length)];
+    if (!schema.$ref.startsWith(REF_PREFIX) || !target) {
+      throw new Error(`Unknown schema reference: ${schema.$ref}`);
+    }
+    check(target, value, path, problems, schemas);
+    return;
+  }
+
+  const report = (message, at = path) => problems.push({ path: at, message });
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => validate(option, value, { schemas }).length === 0);
+    if (!matches) {
+      report(`must be ${schema.anyOf.map(describe).join(' or ')}`);
+      return;
+    }
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => isType(value, type))) {
+      report(`must be ${types.map(article).join(' or ')}`);
+      return;
+    }
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    report(`must be ${JSON.stringify(schema.const)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    report(`must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      report(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      report(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(schema.items, item, `${path}[${index}]`, problems, schemas));
+    }
+  }
+
+  if (isType(value, 'object')) {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        report('is required', join(path, name));
+      }
+    }
+
+    for (const [name, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+
+      if (properties[name]) {
+        check(properties[name], item, join(path, name), problems, schemas);
+      } else if (schema.additionalProperties === false) {
+        report('is not allowed', join(path, name));
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, item, join(path, name), problems, schemas);
+      }
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function isType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Short description of a schema for anyOf messages, e.g. 'a string'
+ * @private
+ */
+function describe(schema) {
+  if (schema.type) return [].concat(schema.type).map(article).join(' or ');
+  if ('const' in schema) return JSON.stringify(schema.const);
+  if (schema.$ref) return article(schema.$ref.slice(REF_PREFIX.length));
+  return 'a valid value';
+}
+
+/**
+ * @private
+ */
+function article(type) {
+  if (type === 'null') return 'null';
+  return /^[aeiouAEIOU]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+/**
+ * @private
+ */
+function join(path, name) {
+  return path ? `${path}.${name}` : name;
+}
+
+module.exports = {
+  validate,
+  coerceQuery
+};
@@ -0,0 +1,162 @@
+const { v4: uuidv4 } = require('uuid');
+const Logger = require('../Logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Event types recorded by ChatServer
+const EVENT_TYPES = ['request', 'moderation', 'model_call', 'usage', 'error'];
+
+/**
+ * AuditLog - Structured event bus for requests, moderation decisions,
+ * model calls, usage and errors
+ *
+ * Every event is kept in memory (the latest `maxEvents`) so it can be
+ * queried, and handed to each sink. Events carry who caused them and the
+ * conversation they belong to, never message content.
+ */
+class AuditLog {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - Record events (default: true)
+   * @param {number} options.maxEvents - Events kept in memory for query() (default: 1000)
+   * @param {Array<AuditSink>} options.sinks - Where events are written as well
+   * @param {Logger} options.logger - Logger for sink failures
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.maxEvents = options.maxEvents ?? 1000;
+    this.sinks = options.sinks || [];
+    this.events = [];
+    this.logger = (options.logger || new Logger()).child({ component: 'audit' });
+  }
+
+  /**
+   * Record an event
+   * @param {string} type - 'request', 'moderation', 'model_call', 'usage', 'error' or a custom type
+   * @param {Object} data - Event fields
+   * @param {Object} context - { principal, conversationId, ip } of the request
+   * @returns {Object|null} - The event, or null when the log is disabled
+   */
+  record(type, data = {}, context = {}) {
+    if (!this.enabled) return null;
+
+    const principal = context.principal || {};
+    const event = {
+      id: uuidv4(),
+      timestamp: new Date().toISOString(),
+      type,
+      conversationId: context.conversationId ?? null,
+      tenantId: principal.tenantId ?? null,
+      userId: principal.userId ?? null,
+      keyId: principal.keyId ?? null,
+      ip: context.ip ?? null,
+      ...data
+    };
+
+    if (this.maxEvents > 0) {
+      this.events.push(event);
+      if (this.events.length > this.maxEvents) {
+        this.events.splice(0, this.events.length - this.maxEvents);
+      }
+    }
+
+    for (const sink of this.sinks) {
+      if (sink.accepts && !sink.accepts(event)) continue;
+
+      try {
+        Promise.resolve(sink.write(event)).catch(error => this._sinkFailed(sink, error));
+      } catch (error) {
+        this._sinkFailed(sink, error);
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Find recent events, newest first
+   * @param {Object} filter
+   * @param {string} filter.type - Event type
+   * @param {string} filter.conversationId - Conversation
+   * @param {string} filter.code - Code of the event or of one of its moderation checks
+   * @param {string|Date} filter.from - Earliest timestamp (inclusive)
+   * @param {string|Date} filter.to - Latest timestamp (inclusive, a bare date covers the whole day)
+   * @param {string} filter.tenantId / filter.userId / filter.keyId
+   * @param {number} filter.limit - Max events returned (default: 100)
+   * @returns {Array<Object>}
+   */
+  query(filter = {}) {
+    const from = filter.from ? this._parseDate(filter.from, false) : null;
+    const to = filter.to ? this._parseDate(filter.to, true) : null;
+    const limit = filter.limit ?? 100;
+    const fields = ['type', 'conversationId', 'tenantId', 'userId', 'keyId'];
+    const results = [];
+
+    for (let i = this.events.length - 1; i >= 0 && results.length < limit; i--) {
+      const event = this.events[i];
+      const time = Date.parse(event.timestamp);
+
+      if (from !== null && time < from) continue;
+      if (to !== null && time > to) continue;
+      if (!fields.every(field => filter[field] === undefined || event[field] === filter[field])) continue;
+      if (filter.code !== undefined && !this._hasCode(event, filter.code)) continue;
+
+      results.push(event);
+    }
+
+    return results;
+  }
+
+  /**
+   * Add a sink
+   * @param {AuditSink} sink
+   */
+  addSink(sink) {
+    this.sinks = [...this.sinks, sink];
+    return this;
+  }
+
+  /**
+   * Flush and close every sink
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const results = await Promise.allSettled(this.sinks.map(async sink => sink.close && sink.close()));
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') this._sinkFailed(this.sinks[i], result.reason);
+    });
+  }
+
+  /**
+   * Whether an event or one of its checks has a code
+   * @private
+   */
+  _hasCode(event, code) {
+    if (event.code === code) return true;
+    return Array.isArray(event.checks) && event.checks.some(check => check.code === code);
+  }
+
+  /**
+   * @private
+   */
+  _sinkFailed(sink, error) {
+    this.logger.error('Sink failed', { sink: sink.constructor.name, error: error.message });
+  }
+
+  /**
+   * @private
+   */
+  _parseDate(value, endOfDay) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid date: ${value}`);
+    }
+
+    const bareDate = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    return bareDate && endOfDay ? time + DAY_MS - 1 : time;
+  }
+}
+
+AuditLog.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = AuditLog;
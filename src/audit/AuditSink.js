@@ -0,0 +1,41 @@
+/**
+ * AuditSink - Base interface for audit event destinations
+ *
+ * Sinks receive every event the AuditLog records (or the `events` types
+ * they subscribe to). A sink that fails is reported and skipped, it never
+ * fails the request that produced the event.
+ */
+class AuditSink {
+  /**
+   * @param {Object} options
+   * @param {Array<string>} options.events - Event types to receive (default: all)
+   */
+  constructor(options = {}) {
+    this.events = options.events || null;
+  }
+
+  /**
+   * Whether the sink wants an event
+   * @param {Object} event - Audit event
+   * @returns {boolean}
+   */
+  accepts(event) {
+    return !this.events || this.events.includes(event.type);
+  }
+
+  /**
+   * Write an event
+   * @param {Object} event - Audit event
+   * @returns {Promise<void>|void}
+   */
+  async write(event) {
+    throw new Error(`${this.constructor.name} does not implement write()`);
+  }
+
+  /**
+   * Flush buffered events and release files or timers held by the sink
+   */
+  async close() {}
+}
+
+module.exports = AuditSink;
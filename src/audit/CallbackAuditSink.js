@@ -0,0 +1,27 @@
+const AuditSink = require('./AuditSink');
+
+/**
+ * CallbackAuditSink - Hands every event to a function in the same process
+ */
+class CallbackAuditSink extends AuditSink {
+  /**
+   * @param {Object} options
+   * @param {Function} options.callback - Called with each event, may return a promise
+   * @param {Array<string>} options.events - Event types to receive (default: all)
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (typeof options.callback !== 'function') {
+      throw new Error('CallbackAuditSink needs a callback function');
+    }
+
+    this.callback = options.callback;
+  }
+
+  async write(event) {
+    await this.callback(event);
+  }
+}
+
+module.exports = CallbackAuditSink;
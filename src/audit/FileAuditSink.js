@@ -0,0 +1,116 @@
+const fs = require('fs/promises');
+const path = require('path');
+const AuditSink = require('./AuditSink');
+
+/**
+ * FileAuditSink - Appends events to a JSON-lines file
+ *
+ * When the file would grow past `maxSize` bytes it is rotated: `audit.jsonl`
+ * becomes `audit.jsonl.1`, `.1` becomes `.2` and so on, keeping `maxFiles`
+ * rotated files. Writes are queued, so lines never interleave.
+ */
+class FileAuditSink extends AuditSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - File to write to (default: ./data/audit.jsonl)
+   * @param {number} options.maxSize - Bytes before the file is rotated (default: 10 MB)
+   * @param {number} options.maxFiles - Rotated files kept (default: 5)
+   * @param {Array<string>} options.events - Event types to receive (default: all)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.path = path.resolve(options.path || './data/audit.jsonl');
+    this.maxSize = options.maxSize || 10 * 1024 * 1024;
+    this.maxFiles = options.maxFiles ?? 5;
+
+    this._size = null;
+    this._queue = Promise.resolve();
+  }
+
+  write(event) {
+    const line = `${JSON.stringify(event)}\n`;
+    const write = this._queue.then(() => this._append(line));
+
+    // Keep the queue going after a failed write
+    this._queue = write.catch(() => {});
+    return write;
+  }
+
+  async close() {
+    await this._queue;
+  }
+
+  /**
+   * Append a line, rotating first if it doesn't fit
+   * @private
+   */
+  async _append(line) {
+    const bytes = Buffer.byteLength(line);
+
+    if (this._size === null) {
+      await fs.mkdir(path.dirname(this.path), { recursive: true });
+      this._size = await this._currentSize();
+    }
+
+    if (this._size > 0 && this._size + bytes > this.maxSize) {
+      await this._rotate();
+    }
+
+    await fs.appendFile(this.path, line, 'utf8');
+    this._size += bytes;
+  }
+
+  /**
+   * Shift rotated files up by one and move the current file to `.1`
+   * @private
+   */
+  async _rotate() {
+    if (this.maxFiles > 0) {
+      await this._unlink(`${this.path}.${this.maxFiles}`);
+      for (let i = this.maxFiles - 1; i >= 1; i--) {
+        await this._rename(`${this.path}.${i}`, `${this.path}.${i + 1}`);
+      }
+      await this._rename(this.path, `${this.path}.1`);
+    } else {
+      await this._unlink(this.path);
+    }
+
+    this._size = 0;
+  }
+
+  /**
+   * @private
+   */
+  async _currentSize() {
+    try {
+      return (await fs.stat(this.path)).size;
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _rename(from, to) {
+    try {
+      await fs.rename(from, to);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _unlink(file) {
+    try {
+      await fs.unlink(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = FileAuditSink;
@@ -0,0 +1,103 @@
+const AuditSink = require('./AuditSink');
+const Logger = require('../Logger');
+
+/**
+ * WebhookAuditSink - POSTs events to a URL in batches
+ *
+ * Events are sent as `{ "events": [...] }` once `batchSize` are waiting or
+ * `flushInterval` ms after the first one arrived. A batch that fails is
+ * reported and dropped.
+ */
+class WebhookAuditSink extends AuditSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Endpoint to POST to
+   * @param {Object} options.headers - Extra request headers, e.g. authorization
+   * @param {number} options.batchSize - Events per request (default: 20)
+   * @param {number} options.flushInterval - Max ms an event waits to be sent (default: 5000)
+   * @param {number} options.timeout - Request timeout in ms (default: 10000)
+   * @param {Array<string>} options.events - Event types to receive (default: all)
+   * @param {Logger} options.logger - Logger for batches that fail in the background
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (!options.url) {
+      throw new Error('WebhookAuditSink needs a url');
+    }
+
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.batchSize = options.batchSize || 20;
+    this.flushInterval = options.flushInterval ?? 5000;
+    this.timeout = options.timeout || 10000;
+    this.logger = (options.logger || new Logger()).child({ component: 'audit' });
+
+    this._buffer = [];
+    this._timer = null;
+    this._pending = new Set();
+  }
+
+  write(event) {
+    this._buffer.push(event);
+
+    if (this._buffer.length >= this.batchSize) {
+      return this.flush();
+    }
+
+    if (!this._timer) {
+      this._timer = setTimeout(() => {
+        this.flush().catch(error => this.logger.error('Webhook failed', { error: error.message }));
+      }, this.flushInterval);
+      // Don't keep the process alive just to flush
+      if (this._timer.unref) this._timer.unref();
+    }
+  }
+
+  /**
+   * Send the waiting events now
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    if (this._buffer.length === 0) return;
+
+    const events = this._buffer;
+    this._buffer = [];
+
+    const request = this._send(events);
+    this._pending.add(request);
+    try {
+      await request;
+    } finally {
+      this._pending.delete(request);
+    }
+  }
+
+  async close() {
+    const results = await Promise.allSettled([this.flush(), ...this._pending]);
+    const failed = results.find(r => r.status === 'rejected');
+    if (failed) throw failed.reason;
+  }
+
+  /**
+   * POST a batch
+   * @private
+   */
+  async _send(events) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify({ events }),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status} (${events.length} events dropped)`);
+    }
+  }
+}
+
+module.exports = WebhookAuditSink;
@@ -0,0 +1,44 @@
+const AuditLog = require('./AuditLog');
+const AuditSink = require('./AuditSink');
+const FileAuditSink = require('./FileAuditSink');
+const WebhookAuditSink = require('./WebhookAuditSink');
+const CallbackAuditSink = require('./CallbackAuditSink');
+
+/**
+ * Resolve an entry of the audit `sinks` option into an AuditSink instance
+ * @param {string|Function|Object} sink - 'file', a callback function, an
+ *   object with a write() method, or { type: 'file'|'webhook'|'callback', ...options }
+ * @param {Object} defaults - Options for sinks built here, e.g. { logger }
+ * @returns {AuditSink}
+ */
+function createAuditSink(sink, defaults = {}) {
+  if (sink && typeof sink.write === 'function') {
+    return sink;
+  }
+
+  if (typeof sink === 'function') {
+    return new CallbackAuditSink({ callback: sink });
+  }
+
+  const { type, ...options } = { ...defaults, ...(typeof sink === 'string' ? { type: sink } : sink) };
+
+  switch (type) {
+    case 'file':
+      return new FileAuditSink(options);
+    case 'webhook':
+      return new WebhookAuditSink(options);
+    case 'callback':
+      return new CallbackAuditSink(options);
+    default:
+      throw new Error(`Unknown audit sink: ${type}`);
+  }
+}
+
+module.exports = {
+  AuditLog,
+  AuditSink,
+  FileAuditSink,
+  WebhookAuditSink,
+  CallbackAuditSink,
+  createAuditSink
+};
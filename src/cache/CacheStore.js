@@ -0,0 +1,61 @@
+/**
+ * CacheStore - Base interface for response cache backends
+ *
+ * Stores keep a JSON-serializable value per key until it expires, and evict
+ * the least recently used entries to stay within their limits.
+ */
+class CacheStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Entries kept before evicting the least recently used (default: 1000)
+   * @param {number} options.maxSize - Bytes of serialized values kept (default: 50 MB)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.maxSize = options.maxSize || 50 * 1024 * 1024;
+  }
+
+  /**
+   * Get a value, if it is there and not expired
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>}
+   */
+  async get(key) {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {Object} value - JSON-serializable value
+   * @param {number} ttl - Time to live in ms
+   * @returns {Promise<boolean>} - false if the value is larger than maxSize
+   */
+  async set(key, value, ttl) {
+    throw new Error(`${this.constructor.name} does not implement set()`);
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} - Whether it was there
+   */
+  async delete(key) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  /**
+   * Remove every value
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    throw new Error(`${this.constructor.name} does not implement clear()`);
+  }
+
+  /**
+   * Release timers or handles held by the store
+   */
+  async close() {}
+}
+
+module.exports = CacheStore;
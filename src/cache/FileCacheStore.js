@@ -0,0 +1,173 @@
+const fs = require('fs/promises');
+const path = require('path');
+const CacheStore = require('./CacheStore');
+
+// Keys are used as file names, so only allow safe characters
+const SAFE_KEY = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * FileCacheStore - Keeps each cached response in a JSON file, so the cache
+ * survives restarts
+ *
+ * Files are written atomically (write to a temp file, then rename). The
+ * modification time of a file records its last use; on first use the store
+ * reads the directory to rebuild its recency order, and limits are then
+ * enforced per process.
+ */
+class FileCacheStore extends CacheStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory to store responses in (default: ./data/cache)
+   * @param {number} options.maxEntries - See CacheStore
+   * @param {number} options.maxSize - See CacheStore
+   */
+  constructor(options = {}) {
+    super(options);
+    this.directory = path.resolve(options.directory || './data/cache');
+
+    // key -> size, in recency order
+    this.entries = new Map();
+    this.size = 0;
+    this._ready = null;
+  }
+
+  async get(key) {
+    const file = this._filePath(key);
+    if (!file) return null;
+    await this._load();
+
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this._forget(key);
+        return null;
+      }
+      throw error;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+
+    this._track(key, this.entries.get(key) ?? 0);
+    const now = new Date();
+    fs.utimes(file, now, now).catch(() => {});
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    const file = this._filePath(key);
+    if (!file) {
+      throw new Error(`Invalid cache key: ${key}`);
+    }
+    await this._load();
+
+    const data = JSON.stringify({ key, expiresAt: Date.now() + ttl, value });
+    const size = Buffer.byteLength(data);
+    if (size > this.maxSize) return false;
+
+    const tmpFile = `${file}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`;
+    await fs.writeFile(tmpFile, data);
+    await fs.rename(tmpFile, file);
+    this._track(key, size);
+
+    const evicted = [];
+    while (this.entries.size > this.maxEntries || this.size > this.maxSize) {
+      const oldest = this.entries.keys().next().value;
+      this._forget(oldest);
+      evicted.push(oldest);
+    }
+    await Promise.all(evicted.map(k => this._unlink(k)));
+    return true;
+  }
+
+  async delete(key) {
+    if (!this._filePath(key)) return false;
+    await this._load();
+
+    this._forget(key);
+    return this._unlink(key);
+  }
+
+  async clear() {
+    await this._load();
+
+    const keys = [...this.entries.keys()];
+    this.entries.clear();
+    this.size = 0;
+    await Promise.all(keys.map(k => this._unlink(k)));
+  }
+
+  /**
+   * Move a key to the most recently used end
+   * @private
+   */
+  _track(key, size) {
+    this._forget(key);
+    this.entries.set(key, size);
+    this.size += size;
+  }
+
+  /**
+   * @private
+   */
+  _forget(key) {
+    if (!this.entries.has(key)) return;
+    this.size -= this.entries.get(key);
+    this.entries.delete(key);
+  }
+
+  /**
+   * @private
+   */
+  async _unlink(key) {
+    try {
+      await fs.unlink(this._filePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the file path for a key
+   * @private
+   */
+  _filePath(key) {
+    if (typeof key !== 'string' || !SAFE_KEY.test(key)) return null;
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  /**
+   * Create the directory and read the existing entries, oldest first, on first use
+   * @private
+   */
+  _load() {
+    if (!this._ready) {
+      this._ready = (async () => {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        const files = (await fs.readdir(this.directory)).filter(f => f.endsWith('.json'));
+        const stats = await Promise.all(files.map(async (f) => {
+          try {
+            const stat = await fs.stat(path.join(this.directory, f));
+            return { key: path.basename(f, '.json'), size: stat.size, usedAt: stat.mtimeMs };
+          } catch (error) {
+            return null;
+          }
+        }));
+
+        for (const entry of stats.filter(Boolean).sort((a, b) => a.usedAt - b.usedAt)) {
+          this._track(entry.key, entry.size);
+        }
+      })();
+    }
+    return this._ready;
+  }
+}
+
+module.exports = FileCacheStore;
@@ -0,0 +1,65 @@
+const CacheStore = require('./CacheStore');
+
+/**
+ * MemoryCacheStore - Keeps cached responses in process memory (default)
+ */
+class MemoryCacheStore extends CacheStore {
+  constructor(options = {}) {
+    super(options);
+
+    // Map iteration order doubles as recency order
+    this.entries = new Map();
+    this.size = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this._remove(key);
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    const size = Buffer.byteLength(JSON.stringify(value));
+    if (size > this.maxSize) return false;
+
+    this._remove(key);
+    this.entries.set(key, { value, size, expiresAt: Date.now() + ttl });
+    this.size += size;
+
+    while (this.entries.size > this.maxEntries || this.size > this.maxSize) {
+      this._remove(this.entries.keys().next().value);
+    }
+    return true;
+  }
+
+  async delete(key) {
+    return this._remove(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.size = 0;
+  }
+
+  /**
+   * @private
+   */
+  _remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.size -= entry.size;
+    return true;
+  }
+}
+
+module.exports = MemoryCacheStore;
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const Logger = require('../Logger');
+
+// Usage reported for cached answers: no tokens were generated
+const NO_USAGE = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+/**
+ * ResponseCache - Answers identical requests with a stored reply
+ *
+ * Requests are identical when they go to the same provider and model with
+ * the same temperature, token limit, system prompt, tools and messages
+ * (compared after trimming and collapsing whitespace). Cached answers can
+ * be returned whole or replayed as a stream of chunks.
+ */
+class ResponseCache {
+  /**
+   * @param {Object} options
+   * @param {CacheStore} options.store - Where answers are kept
+   * @param {number} options.ttl - Time an answer is kept, in ms (default: 1 hour)
+   * @param {number} options.streamChunkSize - Characters per replayed chunk (default: 16)
+   * @param {number} options.streamDelay - Ms between replayed chunks (default: 0)
+   * @param {Logger} options.logger - Logger for store errors
+   */
+  constructor(options = {}) {
+    if (!options.store) {
+      throw new Error('ResponseCache needs a store');
+    }
+
+    this.store = options.store;
+    this.ttl = options.ttl || 60 * 60 * 1000;
+    this.streamChunkSize = options.streamChunkSize || 16;
+    this.streamDelay = options.streamDelay || 0;
+    this.logger = (options.logger || new Logger()).child({ component: 'cache' });
+  }
+
+  /**
+   * Cache key of a request
+   * @param {Object} request
+   * @param {string} request.provider - Provider name
+   * @param {string} request.model - Model
+   * @param {number} request.temperature - Temperature
+   * @param {number} request.maxTokens - Token limit
+   * @param {Object} request.extra - Other parameters sent to the provider (top_p, stop, seed, ...)
+   * @param {Object} request.responseSchema - JSON Schema the reply must match
+   * @param {string} request.systemPrompt - System prompt added to messages without one
+   * @param {Array} request.tools - Tool definitions
+   * @param {Object} request.owner - Who may share the answer ({ tenantId, userId }, see Auth#ownerFilter)
+   * @param {Array} request.messages - Messages sent to the model
+   * @returns {string} - Hex digest
+   */
+  key(request) {
+    const normalized = {
+      provider: request.provider || null,
+      model: request.model || null,
+      temperature: request.temperature ?? null,
+      maxTokens: request.maxTokens ?? null,
+      // Only present when set, so keys of requests without them don't change
+      ...(request.extra && Object.keys(request.extra).length > 0 && { extra: request.extra }),
+      ...(request.responseSchema && { responseSchema: request.responseSchema }),
+      ...(request.owner && Object.keys(request.owner).length > 0 && { owner: request.owner }),
+      systemPrompt: normalizeContent(request.systemPrompt ?? null),
+      tools: request.tools || [],
+      messages: (request.messages || []).map(message => ({
+        role: message.role,
+        content: normalizeContent(message.content),
+        ...(message.name && { name: message.name }),
+        ...(message.tool_calls && { tool_calls: message.tool_calls }),
+        ...(message.tool_call_id && { tool_call_id: message.tool_call_id })
+      }))
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+  }
+
+  /**
+   * Cached answer for a key. Store errors count as a miss.
+   * @param {string} key
+   * @returns {Promise<Object|null>} - { message, model, provider, finishReason, usage, cachedAt }
+   */
+  async get(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      this.logger.error('Cache read failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Store a successful ChatClient result. Store errors are logged, not thrown.
+   * @param {string} key
+   * @param {Object} result - ChatClient result
+   * @returns {Promise<boolean>} - Whether it was stored
+   */
+  async set(key, result) {
+    const entry = {
+      message: { role: 'assistant', content: result.message.content },
+      model: result.model,
+      provider: result.provider,
+      finishReason: result.finishReason || null,
+      usage: result.usage || null,
+      cachedAt: new Date().toISOString()
+    };
+
+    try {
+      return await this.store.set(key, entry, this.ttl);
+    } catch (error) {
+      this.logger.error('Cache write failed', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * A cached answer as a ChatClient chat() result, with `cached: true` and
+   * no token usage
+   * @param {Object} entry - From get()
+   * @returns {Object}
+   */
+  toResult(entry) {
+    return {
+      success: true,
+      cached: true,
+      cachedAt: entry.cachedAt,
+      message: { ...entry.message },
+      finishReason: entry.finishReason,
+      usage: { ...NO_USAGE },
+      model: entry.model,
+      provider: entry.provider,
+      attempts: 0
+    };
+  }
+
+  /**
+   * Replay a cached answer like ChatClient.streamChat(), in chunks of
+   * `streamChunkSize` characters
+   * @param {Object} entry - From get()
+   * @param {Function} onChunk - Called with each chunk
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Stops the replay (result has `cancelled: true`)
+   * @returns {Promise<Object>} - Same shape as a streamChat() result
+   */
+  async replay(entry, onChunk, options = {}) {
+    const content = entry.message.content || '';
+    const model = entry.model;
+    let sent = '';
+
+    for (let i = 0; i < content.length; i += this.streamChunkSize) {
+      // Let earlier chunks reach the client, and a cancel arrive
+      await new Promise(resolve => setTimeout(resolve, this.streamDelay));
+
+      if (options.signal && options.signal.aborted) {
+        onChunk({ content: '', done: true, cancelled: true, fullContent: sent, model });
+        return {
+          success: false,
+          cancelled: true,
+          cached: true,
+          message: { role: 'assistant', content: sent },
+          model,
+          error: { message: 'Request cancelled', code: 'CANCELLED', status: 499 }
+        };
+      }
+
+      const chunk = content.slice(i, i + this.streamChunkSize);
+      sent += chunk;
+      onChunk({ content: chunk, done: false, model });
+    }
+
+    const result = this.toResult(entry);
+    onChunk({ content: '', done: true, fullContent: content, model, usage: result.usage });
+    return result;
+  }
+
+  /**
+   * Read a Cache-Control header (or WebSocket `cacheControl` field)
+   * @param {string} value - e.g. 'no-cache' or 'no-store'
+   * @returns {string} - 'no-store' (don't read or write the cache), 'no-cache'
+   *   (don't read it, store the new answer) or 'default'
+   */
+  static mode(value) {
+    const directives = String(value || '').toLowerCase().split(',').map(d => d.trim());
+    if (directives.includes('no-store')) return 'no-store';
+    if (directives.includes('no-cache')) return 'no-cache';
+    return 'default';
+  }
+
+  async close() {
+    await this.store.close();
+  }
+}
+
+/**
+ * Message content with whitespace trimmed and collapsed, including the text
+ * of multi-part content
+ */
+function normalizeContent(content) {
+  if (typeof content === 'string') {
+    return content.normalize('NFC').replace(/\s+/g, ' ').trim();
+  }
+  if (Array.isArray(content)) {
+    return content.map(part => (part && part.type === 'text'
+      ? { ...part, text: normalizeContent(part.text) }
+      : part));
+  }
+  return content;
+}
+
+ResponseCache.NO_USAGE = NO_USAGE;
+
+module.exports = ResponseCache;
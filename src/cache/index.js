@@ -0,0 +1,33 @@
+const ResponseCache = require('./ResponseCache');
+const CacheStore = require('./CacheStore');
+const MemoryCacheStore = require('./MemoryCacheStore');
+const FileCacheStore = require('./FileCacheStore');
+
+/**
+ * Resolve the cache `store` option into a CacheStore instance
+ * @param {string|Object} store - 'memory', 'file' or a store instance
+ * @param {Object} options - Options passed to built-in stores
+ * @returns {CacheStore}
+ */
+function createCacheStore(store = 'memory', options = {}) {
+  if (store && typeof store === 'object') {
+    return store;
+  }
+
+  switch (store) {
+    case 'memory':
+      return new MemoryCacheStore(options);
+    case 'file':
+      return new FileCacheStore(options);
+    default:
+      throw new Error(`Unknown cache store: ${store}`);
+  }
+}
+
+module.exports = {
+  ResponseCache,
+  CacheStore,
+  MemoryCacheStore,
+  FileCacheStore,
+  createCacheStore
+};
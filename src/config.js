@@ -2,15 +2,63 @@
  * Default configuration for the ChatServer
  */
 const defaultConfig = {
+  // LLM provider: 'groq', a name from `providers`, or a Provider instance
+  provider: 'groq',
+  
+  // Named providers selectable per request, e.g.
+  // { local: { type: 'openai', baseURL: 'http://localhost:11434/v1' } }
+  providers: {},
+  
   // Groq settings
   model: 'llama-3.3-70b-versatile',
   temperature: 0.7,
   maxTokens: 2048,
   
+  // Resilience: request timeout (ms), retries with backoff and fallback models
+  timeout: 60000,
+  retry: {
+    maxRetries: 2,
+    baseDelay: 500,
+    maxDelay: 8000,
+    maxRetryAfter: 30000
+  },
+  fallbackModels: [],
+  
+  // Models listed on /v1/models
+  models: [
+    'llama-3.3-70b-versatile',
+    'llama-3.1-70b-versatile',
+    'llama-3.1-8b-instant',
+    'mixtral-8x7b-32768',
+    'gemma2-9b-it'
+  ],
+  
+  // Model parameters clients may set per request or per conversation
+  // (false = none of them)
+  modelParams: {
+    // Any of: model, temperature, topP, maxTokens, stop, seed, responseFormat
+    allow: ['model', 'temperature', 'topP', 'maxTokens', 'stop', 'seed', 'responseFormat'],
+    
+    // Models clients may choose (null = `model` and `models`)
+    models: null,
+    
+    // Allowed ranges
+    temperature: { min: 0, max: 2 },
+    topP: { min: 0, max: 1 },
+    maxTokens: { min: 1, max: 8192 },
+    
+    // Most stop sequences per request, and the allowed response format types
+    maxStop: 4,
+    responseFormats: ['text', 'json_object']
+  },
+  
   // Server settings
   port: 3000,
   host: 'localhost',
   
+  // Trust X-Forwarded-For for client addresses (set when behind a reverse proxy)
+  trustProxy: false,
+  
   // CORS settings
   corsOrigins: '*',
   
@@ -18,12 +66,171 @@ const defaultConfig = {
   systemPrompt: 'You are a helpful assistant.',
   maxConversationHistory: 50,
   
+  // System prompt templates conversations can be created from
+  prompts: {
+    // Template definitions: { name, template, description, variables, version }
+    templates: [],
+    
+    // Directory of .json, .txt and .md templates loaded at startup
+    directory: null
+  },
+  
+  // Context window management
+  context: {
+    // 'drop-oldest', 'keep-first-last', 'summarize' or a custom function
+    strategy: 'drop-oldest',
+    
+    // Context window sizes per model (merged with built-in defaults)
+    contextLimits: {},
+    defaultContextLimit: 8192,
+    
+    // Tokens kept free on top of maxTokens
+    safetyMargin: 256,
+    
+    // 'keep-first-last': number of opening messages to always keep
+    keepFirst: 2,
+    
+    // 'summarize': model and token limit for summaries (model defaults to the chat model)
+    summaryModel: null,
+    summaryMaxTokens: 512
+  },
+  
+  // Conversation storage: 'memory', 'file', 'sqlite' or a ConversationStore instance
+  store: 'memory',
+  storeOptions: {},
+  
+  // Tool calling
+  tools: [],
+  maxToolIterations: 5,
+  
+  // Structured output: re-prompts when a reply doesn't match its responseSchema
+  maxSchemaRepairs: 2,
+  
   // WebSocket settings
   enableWebSocket: true,
   wsPath: '/ws',
   
-  // Rate limiting (messages per minute per session)
-  rateLimit: 60,
+  // Authentication (enabled automatically when apiKeys or jwt are set)
+  auth: {
+    // Static API keys: 'key' or { key, tenantId, userId, name, quota: { daily, monthly }, admin }
+    apiKeys: [],
+    
+    // HMAC-signed JWTs: { secret, algorithms, issuer, audience, tenantClaim, userClaim, adminClaim }
+    jwt: null,
+    
+    // Paths that don't require credentials
+    publicPaths: ['/health']
+  },
+  
+  // Token usage accounting and quotas
+  usage: {
+    // USD per million tokens: { model: { prompt, completion } } (merged with built-in prices)
+    prices: {},
+    
+    // Default token quotas per API key: { daily, monthly } (null = unlimited)
+    quotas: null,
+    
+    // Count quotas per 'key' or per 'tenant'
+    quotaScope: 'key',
+    
+    // Days usage records are kept
+    retentionDays: 90
+  },
+  
+  // Audit log of requests, moderation decisions, model calls, usage and errors
+  audit: {
+    enabled: true,
+    
+    // Latest events kept in memory for GET /admin/audit
+    maxEvents: 1000,
+    
+    // Where events are written as well: { type: 'file', path, maxSize, maxFiles },
+    // { type: 'webhook', url, headers, batchSize, flushInterval }, a callback
+    // function or an AuditSink; any of them with `events: [types]` to filter
+    sinks: []
+  },
+  
+  // Response cache: identical requests are answered with a stored reply
+  cache: {
+    enabled: false,
+    
+    // How long an answer is kept, in ms
+    ttl: 60 * 60 * 1000,
+    
+    // Limits, past which the least recently used answers are evicted
+    maxEntries: 1000,
+    maxSize: 50 * 1024 * 1024,
+    
+    // 'memory', 'file' or a CacheStore instance
+    store: 'memory',
+    
+    // Options for the built-in stores, e.g. { directory: './data/cache' } for 'file'
+    storeOptions: {},
+    
+    // Cached answers are replayed to streaming clients in chunks of this many characters
+    streamChunkSize: 16,
+    streamDelay: 0
+  },
+  
+  // Logging (false = off), or a Logger instance
+  logger: {
+    // 'debug', 'info', 'warn', 'error' or 'silent'
+    level: 'info',
+    
+    // 'text' or 'json' lines
+    format: 'text',
+    
+    // Hide message content, API keys and tokens
+    redact: true
+  },
+  
+  // Prometheus metrics (false = off)
+  metrics: {
+    enabled: true,
+    
+    // Route serving the metrics; open if listed in auth.publicPaths, admins only otherwise
+    path: '/metrics',
+    
+    // Prepended to every metric name
+    prefix: ''
+  },
+  
+  // Trace spans of requests, model calls, guardrails and store access
+  // (recorded when an exporter is set, or with enabled: true)
+  tracing: {
+    serviceName: 'groq-server-sdk',
+    
+    // { type: 'otlp', url, headers, batchSize, flushInterval } for an
+    // OTLP/HTTP collector, or any object with export(spans)
+    exporter: null
+  },
+  
+  // OpenAPI document of the HTTP routes (false = off)
+  openapi: {
+    enabled: true,
+    path: '/openapi.json',
+    
+    // Merged into the document's info, e.g. { title, version, description }
+    info: {}
+  },
+  
+  // Rate limiting. A number limits messages per minute per client address
+  // and per conversation; false disables rate limiting
+  rateLimit: {
+    // Where counters are kept: 'memory', 'redis' or a RateLimitStore instance
+    store: 'memory',
+    storeOptions: {},
+    
+    // [{ scope: 'ip'|'key'|'conversation'|'global', type: 'requests'|'tokens',
+    //    algorithm: 'sliding-window'|'token-bucket', limit, window (ms), burst }]
+    rules: [
+      { scope: 'ip', limit: 120, window: 60000 },
+      { scope: 'conversation', limit: 60, window: 60000 }
+    ],
+    
+    // Allow requests when the store is unreachable
+    failOpen: true
+  },
   
   // Guardrails settings
   guardrails: {
@@ -39,18 +246,45 @@ const defaultConfig = {
     // Profanity filtering
     enableProfanityFilter: true,
     
+    // PII detection: action per type, 'block', 'mask', 'tokenize' or false
+    // (merged with the defaults, see PiiDetector)
+    enablePiiFilter: false,
+    piiActions: {},
+    
+    // Prompt injection: inputs scoring injectionThreshold or more are flagged,
+    // as are replies repeating systemPromptLeakWindow words of the system prompt
+    enableInjectionFilter: false,
+    injectionThreshold: 0.7,
+    injectionRules: [],
+    systemPromptLeakWindow: 8,
+    
     // Output moderation
     enableOutputModeration: true,
     maxResponseLength: 50000,
     
-    // Policy enforcement
+    // Streaming output moderation: characters held back while streaming,
+    // and 'terminate' or 'redact' when streamed text violates
+    streamLookAhead: 64,
+    streamViolationAction: 'terminate',
+    
+    // Policy enforcement: policies may be async and get policyTimeout ms each.
+    // Policies that throw or time out fail 'open' (pass) or 'closed' (reject)
     policies: [],
+    policyTimeout: 5000,
+    policyFailMode: 'closed',
+    
+    // Built-in LLM judge policy: { model, provider, rubric, contexts, threshold, ... }
+    llmJudge: null,
     
     // Logging
     logViolations: true,
     
-    // Action on violation: 'reject', 'warn', 'allow'
-    violationAction: 'reject'
+    // Action on violation: 'reject', 'warn', 'allow' or 'sanitize'
+    violationAction: 'reject',
+    
+    // Action per check, overriding violationAction: blockedPattern, profanity,
+    // harmfulContent, pii, promptInjection, systemPromptLeak, policy, responseLength
+    checkActions: {}
   }
 };
 
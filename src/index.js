@@ -1,12 +1,102 @@
 const ChatServer = require('./ChatServer');
 const ChatClient = require('./ChatClient');
 const Guardrails = require('./Guardrails');
+const StreamModerator = require('./StreamModerator');
+const PiiDetector = require('./PiiDetector');
+const InjectionDetector = require('./InjectionDetector');
+const LlmJudgePolicy = require('./LlmJudgePolicy');
+const Auth = require('./Auth');
+const ToolRegistry = require('./ToolRegistry');
+const PromptRegistry = require('./PromptRegistry');
+const ContextManager = require('./ContextManager');
+const UsageTracker = require('./UsageTracker');
+const ModelParams = require('./ModelParams');
+const Logger = require('./Logger');
 const { defaultConfig } = require('./config');
+const {
+  Provider,
+  GroqProvider,
+  OpenAICompatibleProvider,
+  MockProvider
+} = require('./providers');
+const {
+  ConversationStore,
+  MemoryConversationStore,
+  FileConversationStore,
+  SqliteConversationStore
+} = require('./stores');
+const {
+  RateLimiter,
+  RateLimitStore,
+  MemoryRateLimitStore,
+  RedisRateLimitStore
+} = require('./ratelimit');
+const {
+  AuditLog,
+  AuditSink,
+  FileAuditSink,
+  WebhookAuditSink,
+  CallbackAuditSink
+} = require('./audit');
+const {
+  ResponseCache,
+  CacheStore,
+  MemoryCacheStore,
+  FileCacheStore
+} = require('./cache');
+const {
+  Metrics,
+  Tracer,
+  OtlpHttpExporter
+} = require('./telemetry');
+const {
+  ApiError,
+  ERROR_CODES,
+  validate
+} = require('./api');
 
 module.exports = {
   ChatServer,
   ChatClient,
   Guardrails,
+  StreamModerator,
+  PiiDetector,
+  InjectionDetector,
+  LlmJudgePolicy,
+  Auth,
+  ToolRegistry,
+  PromptRegistry,
+  ContextManager,
+  UsageTracker,
+  ModelParams,
+  Logger,
+  Provider,
+  GroqProvider,
+  OpenAICompatibleProvider,
+  MockProvider,
+  ConversationStore,
+  MemoryConversationStore,
+  FileConversationStore,
+  SqliteConversationStore,
+  RateLimiter,
+  RateLimitStore,
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  AuditLog,
+  AuditSink,
+  FileAuditSink,
+  WebhookAuditSink,
+  CallbackAuditSink,
+  ResponseCache,
+  CacheStore,
+  MemoryCacheStore,
+  FileCacheStore,
+  Metrics,
+  Tracer,
+  OtlpHttpExporter,
+  ApiError,
+  ERROR_CODES,
+  validate,
   defaultConfig
 };
 
@@ -0,0 +1,31 @@
+const Groq = require('groq-sdk');
+const Provider = require('./Provider');
+
+/**
+ * GroqProvider - Groq API via the official groq-sdk
+ */
+class GroqProvider extends Provider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Groq API key
+   */
+  constructor(options = {}) {
+    super({ name: 'groq', ...options });
+
+    if (!options.apiKey) {
+      throw new Error('Groq API key is required');
+    }
+
+    // Retries are handled by ChatClient so they can honour fallbacks and stream starts
+    this.groq = new Groq({
+      apiKey: options.apiKey,
+      maxRetries: 0
+    });
+  }
+
+  async complete(params, requestOptions = {}) {
+    return this.groq.chat.completions.create(params, { signal: requestOptions.signal });
+  }
+}
+
+module.exports = GroqProvider;
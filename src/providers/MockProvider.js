@@ -0,0 +1,176 @@
+const Provider = require('./Provider');
+
+/**
+ * MockProvider - Deterministic scripted provider for tests and offline development
+ *
+ * Each call consumes the next entry of `responses`. An entry can be:
+ *   - a string: the assistant reply
+ *   - an object: { content, tool_calls, usage, finish_reason, delay, chunkDelay,
+ *                  error: { status, message, code, headers } }
+ *   - a function: (params, callIndex) => entry
+ * Without a script (or a `respond` function) the provider echoes the last user message.
+ * Every request is recorded in `calls`.
+ */
+class MockProvider extends Provider {
+  /**
+   * @param {Object} options
+   * @param {Array} options.responses - Scripted responses, consumed in order
+   * @param {Function} options.respond - (params, callIndex) => entry, used when no script is left
+   * @param {number} options.chunkSize - Characters per streamed chunk (default: 8)
+   */
+  constructor(options = {}) {
+    super({ name: 'mock', ...options });
+
+    this.responses = [...(options.responses || [])];
+    this.respond = options.respond || null;
+    this.chunkSize = options.chunkSize || 8;
+    this.calls = [];
+  }
+
+  async complete(params, requestOptions = {}) {
+    const callIndex = this.calls.length;
+    this.calls.push(params);
+
+    const entry = this._normalize(await this._nextEntry(params, callIndex));
+
+    if (entry.delay) {
+      await this._sleep(entry.delay, requestOptions.signal);
+    }
+
+    if (entry.error) {
+      throw Object.assign(new Error(entry.error.message || 'Mock provider error'), entry.error);
+    }
+
+    const id = `mock-${callIndex + 1}`;
+    const model = params.model;
+
+    if (params.stream) {
+      return this._stream(entry, id, model, requestOptions.signal);
+    }
+
+    const message = { role: 'assistant', content: entry.content };
+    if (entry.tool_calls) message.tool_calls = entry.tool_calls;
+
+    return {
+      id,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model,
+      choices: [{ index: 0, message, finish_reason: entry.finish_reason }],
+      usage: entry.usage
+    };
+  }
+
+  /**
+   * Add responses to the end of the script
+   * @param {...(string|Object|Function)} responses
+   */
+  enqueue(...responses) {
+    this.responses.push(...responses);
+    return this;
+  }
+
+  /**
+   * Clear the script and recorded calls
+   */
+  reset() {
+    this.responses = [];
+    this.calls = [];
+    return this;
+  }
+
+  /**
+   * Pick the entry for the current call
+   * @private
+   */
+  async _nextEntry(params, callIndex) {
+    if (this.responses.length > 0) {
+      const entry = this.responses.shift();
+      return typeof entry === 'function' ? entry(params, callIndex) : entry;
+    }
+
+    if (this.respond) {
+      return this.respond(params, callIndex);
+    }
+
+    const lastUser = [...params.messages].reverse().find(m => m.role === 'user');
+    return `Mock response to: ${lastUser ? lastUser.content : ''}`;
+  }
+
+  /**
+   * Fill in defaults for a script entry
+   * @private
+   */
+  _normalize(entry) {
+    const value = typeof entry === 'string' ? { content: entry } : { ...entry };
+
+    if (value.content === undefined) {
+      value.content = value.tool_calls ? null : '';
+    }
+    if (!value.finish_reason) {
+      value.finish_reason = value.tool_calls ? 'tool_calls' : 'stop';
+    }
+    if (!value.usage) {
+      const completion = Math.ceil((value.content || '').length / 4);
+      value.usage = { prompt_tokens: 0, completion_tokens: completion, total_tokens: completion };
+    }
+
+    return value;
+  }
+
+  /**
+   * Stream an entry as chunks of `chunkSize` characters
+   * @private
+   */
+  async *_stream(entry, id, model, signal) {
+    const chunk = (delta, finishReason = null) => ({
+      id,
+      object: 'chat.completion.chunk',
+      created: Math.floor(Date.now() / 1000),
+      model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }]
+    });
+
+    const content = entry.content || '';
+    for (let i = 0; i < content.length; i += this.chunkSize) {
+      if (signal && signal.aborted) {
+        throw Object.assign(new Error('Request was aborted'), { name: 'AbortError' });
+      }
+      if (entry.chunkDelay) {
+        await this._sleep(entry.chunkDelay, signal);
+      }
+      yield chunk({ content: content.slice(i, i + this.chunkSize) });
+    }
+
+    if (entry.tool_calls) {
+      yield chunk({
+        tool_calls: entry.tool_calls.map((toolCall, index) => ({ index, ...toolCall }))
+      });
+    }
+
+    // Usage comes with the last chunk, as with OpenAI's stream_options.include_usage
+    yield { ...chunk({}, entry.finish_reason), usage: entry.usage };
+  }
+
+  /**
+   * Wait, rejecting early if the signal aborts
+   * @private
+   */
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(Object.assign(new Error('Request was aborted'), { name: 'AbortError' }));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,110 @@
+const Provider = require('./Provider');
+
+/**
+ * OpenAICompatibleProvider - Any server implementing the OpenAI Chat Completions API
+ * (llama.cpp, vLLM, Ollama, LM Studio, ...)
+ */
+class OpenAICompatibleProvider extends Provider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseURL - API base URL, e.g. 'http://localhost:11434/v1'
+   * @param {string} options.apiKey - Optional bearer token
+   * @param {Object} options.headers - Extra request headers
+   */
+  constructor(options = {}) {
+    super({ name: 'openai', ...options });
+
+    if (!options.baseURL) {
+      throw new Error('baseURL is required for the OpenAI-compatible provider');
+    }
+
+    this.baseURL = options.baseURL.replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+    this.headers = options.headers || {};
+  }
+
+  async complete(params, requestOptions = {}) {
+    // Ask for token usage on the last chunk of streamed responses
+    if (params.stream && !params.stream_options) {
+      params = { ...params, stream_options: { include_usage: true } };
+    }
+
+    const response = await fetch(`${this.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+        ...this.headers
+      },
+      body: JSON.stringify(params),
+      signal: requestOptions.signal
+    });
+
+    if (!response.ok) {
+      throw await this._responseError(response);
+    }
+
+    if (params.stream) {
+      return this._readStream(response.body);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Parse a server-sent events body into chunk objects
+   * @private
+   */
+  async *_readStream(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const bytes of body) {
+      buffer += decoder.decode(bytes, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const event = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        for (const line of event.split('\n')) {
+          if (!line.startsWith('data:')) continue;
+
+          const data = line.slice(5).trim();
+          if (data === '[DONE]') return;
+
+          const chunk = JSON.parse(data);
+          if (chunk.error) {
+            throw Object.assign(new Error(chunk.error.message || 'Stream error'), {
+              code: chunk.error.code
+            });
+          }
+          yield chunk;
+        }
+      }
+    }
+  }
+
+  /**
+   * Build an error from a non-2xx response
+   * @private
+   */
+  async _responseError(response) {
+    let body = null;
+    try {
+      body = await response.json();
+    } catch (error) {
+      // Not JSON, keep the status text
+    }
+
+    const message = body?.error?.message || `${response.status} ${response.statusText}`;
+    return Object.assign(new Error(message), {
+      status: response.status,
+      headers: response.headers,
+      code: body?.error?.code || undefined,
+      error: body
+    });
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
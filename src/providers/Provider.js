@@ -0,0 +1,29 @@
+/**
+ * Provider - Base interface for LLM backends used by ChatClient
+ *
+ * Providers speak the OpenAI Chat Completions format: `complete()` receives
+ * the request body (model, messages, temperature, max_tokens, tools, stream, ...)
+ * and returns a completion object, or an async iterable of chunk objects
+ * when `params.stream` is true.
+ *
+ * Errors should carry `status` (HTTP status) and, when available, `headers`
+ * so that ChatClient can decide whether to retry.
+ */
+class Provider {
+  constructor(options = {}) {
+    this.name = options.name || 'provider';
+  }
+
+  /**
+   * Create a chat completion
+   * @param {Object} params - Chat completions request body
+   * @param {Object} requestOptions
+   * @param {AbortSignal} requestOptions.signal - Aborts the request
+   * @returns {Promise<Object|AsyncIterable>} - Completion, or chunk stream if params.stream
+   */
+  async complete(params, requestOptions = {}) {
+    throw new Error(`${this.constructor.name} does not implement complete()`);
+  }
+}
+
+module.exports = Provider;
@@ -0,0 +1,40 @@
+const Provider = require('./Provider');
+const GroqProvider = require('./GroqProvider');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const MockProvider = require('./MockProvider');
+
+/**
+ * Resolve a provider definition into a Provider instance
+ * @param {string|Object} definition - 'groq', 'openai', 'mock', { type, ...options } or a provider instance
+ * @param {Object} defaults - Options merged into built-in provider options (e.g. apiKey)
+ * @returns {Provider}
+ */
+function createProvider(definition, defaults = {}) {
+  if (definition && typeof definition.complete === 'function') {
+    return definition;
+  }
+
+  const { type, ...options } = typeof definition === 'string'
+    ? { type: definition }
+    : definition;
+
+  switch (type) {
+    case 'groq':
+      return new GroqProvider({ ...defaults, ...options });
+    case 'openai':
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider(options);
+    case 'mock':
+      return new MockProvider(options);
+    default:
+      throw new Error(`Unknown provider type: ${type}`);
+  }
+}
+
+module.exports = {
+  Provider,
+  GroqProvider,
+  OpenAICompatibleProvider,
+  MockProvider,
+  createProvider
+};
@@ -0,0 +1,66 @@
+const RateLimitStore = require('./RateLimitStore');
+const { ALGORITHMS } = require('./algorithms');
+
+/**
+ * MemoryRateLimitStore - Keeps rate limit state in process memory (default)
+ *
+ * Expired keys are swept periodically, and the least recently used keys are
+ * evicted once `maxKeys` is reached, so memory stays bounded no matter how
+ * many clients show up. Limits are per process.
+ */
+class MemoryRateLimitStore extends RateLimitStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxKeys - Keys kept before evicting the least recently used (default: 10000)
+   * @param {number} options.sweepInterval - Minimum ms between sweeps of expired keys (default: 60000)
+   */
+  constructor(options = {}) {
+    super();
+    this.maxKeys = options.maxKeys || 10000;
+    this.sweepInterval = options.sweepInterval || 60000;
+
+    // Map iteration order doubles as recency order
+    this.entries = new Map();
+    this.lastSweep = 0;
+  }
+
+  async consume(key, rule, cost, options = {}) {
+    const now = Date.now();
+    const algorithm = ALGORITHMS[rule.algorithm];
+    this._sweep(now);
+
+    const entry = this.entries.get(key);
+    const current = entry && entry.expiresAt > now ? entry.state : null;
+    const { state, allowed } = algorithm.step(current, rule, cost, now, options.force);
+
+    this.entries.delete(key);
+    this.entries.set(key, { state, expiresAt: now + algorithm.ttl(state, rule, now) });
+
+    while (this.entries.size > this.maxKeys) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    return algorithm.describe(state, rule, cost, allowed, now);
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Drop expired keys, at most once per sweep interval
+   * @private
+   */
+  _sweep(now) {
+    if (now - this.lastSweep < this.sweepInterval) return;
+    this.lastSweep = now;
+
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryRateLimitStore;
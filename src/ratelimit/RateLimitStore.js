@@ -0,0 +1,37 @@
+/**
+ * RateLimitStore - Base interface for rate limit state
+ *
+ * Stores keep one small state object per key and must run an algorithm step
+ * atomically, so that several server processes can share limits.
+ */
+class RateLimitStore {
+  /**
+   * Charge `cost` against a key
+   * @param {string} key - Rate limit key (rule and scope value)
+   * @param {Object} rule - { algorithm, limit, window, burst }
+   * @param {number} cost - Units to charge (0 only checks that some are left,
+   *   a negative cost with `force` gives units back)
+   * @param {Object} options
+   * @param {boolean} options.force - Charge even if the limit is exceeded
+   * @returns {Promise<Object>} - { allowed, limit, remaining, resetMs, retryAfterMs }
+   */
+  async consume(key, rule, cost, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement consume()`);
+  }
+
+  /**
+   * Forget the state of a key
+   * @param {string} key - Rate limit key
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    throw new Error(`${this.constructor.name} does not implement reset()`);
+  }
+
+  /**
+   * Release connections or timers held by the store
+   */
+  async close() {}
+}
+
+module.exports = RateLimitStore;
@@ -0,0 +1,216 @@
+const { ALGORITHMS } = require('./algorithms');
+const Logger = require('../Logger');
+
+/**
+ * How each scope identifies who a rule counts against
+ */
+const SCOPES = {
+  ip: (context) => context.ip || null,
+  key: (context) => {
+    const principal = context.principal || {};
+    if (principal.keyId) return principal.keyId;
+    if (principal.userId) return `${principal.tenantId ?? ''}:${principal.userId}`;
+    return null;
+  },
+  conversation: (context) => context.conversationId || null,
+  global: () => 'all'
+};
+
+/**
+ * RateLimiter - Applies rate limit rules to requests
+ *
+ * A rule limits one scope ('ip', 'key', 'conversation' or 'global') to
+ * `limit` requests or tokens per `window` ms, using the 'sliding-window' or
+ * 'token-bucket' algorithm. Rules whose scope doesn't apply to a request
+ * (e.g. 'key' for anonymous callers) are skipped.
+ *
+ * Request rules are charged when a request is checked, and given back if a
+ * later rule denies it, so a denied request costs nothing. Token rules are
+ * only checked up front and charged with the real usage after the model call.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {Array} options.rules - [{ name, scope, type, algorithm, limit, window, burst }]
+   * @param {RateLimitStore} options.store - Where counters are kept
+   * @param {string} options.prefix - Prefix for store keys (default: 'ratelimit')
+   * @param {boolean} options.failOpen - Allow requests when the store fails (default: true)
+   * @param {Logger} options.logger - Logger for store errors
+   */
+  constructor(options = {}) {
+    if (!options.store) {
+      throw new Error('RateLimiter needs a store');
+    }
+
+    this.store = options.store;
+    this.prefix = options.prefix || 'ratelimit';
+    this.failOpen = options.failOpen ?? true;
+    this.rules = (options.rules || []).map(rule => RateLimiter.normalizeRule(rule));
+    this.logger = (options.logger || new Logger()).child({ component: 'ratelimit' });
+  }
+
+  /**
+   * Fill in rule defaults and validate a rule
+   * @param {Object} rule
+   * @returns {Object}
+   */
+  static normalizeRule(rule) {
+    const normalized = {
+      scope: 'ip',
+      type: 'requests',
+      algorithm: 'sliding-window',
+      window: 60000,
+      ...rule
+    };
+
+    if (!SCOPES[normalized.scope]) {
+      throw new Error(`Unknown rate limit scope: ${normalized.scope}`);
+    }
+    if (!ALGORITHMS[normalized.algorithm]) {
+      throw new Error(`Unknown rate limit algorithm: ${normalized.algorithm}`);
+    }
+    if (!['requests', 'tokens'].includes(normalized.type)) {
+      throw new Error(`Unknown rate limit type: ${normalized.type}`);
+    }
+    if (!(normalized.limit > 0) || !(normalized.window > 0)) {
+      throw new Error('Rate limit rules need a positive limit and window');
+    }
+
+    normalized.name = normalized.name || `${normalized.scope}-${normalized.type}`;
+    return normalized;
+  }
+
+  /**
+   * Check a request against every rule, charging one request to request
+   * rules. A denied request is not charged to any rule.
+   * @param {Object} context - { ip, principal, conversationId }
+   * @returns {Promise<Object>} - { allowed, rule?, results, reason?, code? }
+   *   where results are [{ rule, allowed, limit, remaining, resetMs, retryAfterMs }]
+   */
+  async check(context) {
+    const results = [];
+    const charged = [];
+
+    for (const rule of this.rules) {
+      const cost = rule.type === 'requests' ? 1 : 0;
+      const result = await this._consume(rule, context, cost);
+      if (!result) continue;
+
+      results.push(result);
+      if (!result.allowed) {
+        await this._refund(charged, context);
+        return {
+          allowed: false,
+          rule: rule.name,
+          scope: rule.scope,
+          results,
+          reason: rule.type === 'tokens'
+            ? 'Token rate limit exceeded. Please wait before sending more messages.'
+            : 'Rate limit exceeded. Please wait before sending more messages.',
+          code: 'RATE_LIMIT_EXCEEDED'
+        };
+      }
+      if (cost > 0) charged.push(rule);
+    }
+
+    return { allowed: true, results };
+  }
+
+  /**
+   * Charge tokens used by a model call to the token rules
+   * @param {Object} context - { ip, principal, conversationId }
+   * @param {number} tokens - Tokens used
+   */
+  async recordTokens(context, tokens) {
+    if (!tokens) return;
+
+    for (const rule of this.rules) {
+      if (rule.type === 'tokens') {
+        await this._consume(rule, context, tokens, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Standard rate limit headers for a check result, describing the rule
+   * closest to its limit
+   * @param {Object} check - Result of check()
+   * @returns {Object} - Header name → value
+   */
+  headers(check) {
+    if (!check.results.length) return {};
+
+    const blocked = check.results.find(result => !result.allowed);
+    const result = blocked || check.results.reduce((closest, candidate) =>
+      candidate.remaining / candidate.limit < closest.remaining / closest.limit ? candidate : closest
+    );
+
+    const headers = {
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+      'RateLimit-Policy': check.results
+        .map(r => `${r.limit};w=${Math.ceil(r.rule.window / 1000)}`)
+        .join(', ')
+    };
+
+    if (blocked) {
+      headers['Retry-After'] = String(Math.max(1, Math.ceil(blocked.retryAfterMs / 1000)));
+    }
+
+    return headers;
+  }
+
+  /**
+   * Release the store
+   */
+  close() {
+    return this.store.close();
+  }
+
+  /**
+   * Charge one rule, skipping rules whose scope doesn't apply
+   * @private
+   */
+  async _consume(rule, context, cost, options = {}) {
+    const value = SCOPES[rule.scope](context);
+    if (value === null) return null;
+
+    try {
+      const result = await this.store.consume(this._key(rule, context), rule, cost, options);
+      return { rule, ...result };
+    } catch (error) {
+      if (!this.failOpen) throw error;
+
+      this.logger.error('Store error, allowing request', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Give back the request charged to each rule. Failures are only logged:
+   * the request is denied either way.
+   * @private
+   */
+  async _refund(rules, context) {
+    await Promise.all(rules.map(async (rule) => {
+      try {
+        await this.store.consume(this._key(rule, context), rule, -1, { force: true });
+      } catch (error) {
+        this.logger.error('Store error, could not give back a request', { error: error.message });
+      }
+    }));
+  }
+
+  /**
+   * Store key of a rule for the scope value of a request
+   * @private
+   */
+  _key(rule, context) {
+    return `${this.prefix}:${rule.name}:${SCOPES[rule.scope](context)}`;
+  }
+}
+
+RateLimiter.SCOPES = SCOPES;
+
+module.exports = RateLimiter;
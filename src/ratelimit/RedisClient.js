@@ -0,0 +1,207 @@
+const net = require('net');
+
+/**
+ * RedisClient - Minimal Redis (RESP2) client
+ *
+ * Just enough of the protocol to run commands and scripts, so the Redis
+ * rate limit store works without extra dependencies. Commands are pipelined
+ * over one connection, which is opened on first use and again after errors.
+ */
+class RedisClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - redis://[:password@]host[:port][/db] (default: redis://127.0.0.1:6379)
+   * @param {number} options.connectTimeout - Connection timeout in ms (default: 5000)
+   */
+  constructor(options = {}) {
+    const url = new URL(options.url || 'redis://127.0.0.1:6379');
+
+    this.host = url.hostname || '127.0.0.1';
+    this.port = Number(url.port) || 6379;
+    this.username = decodeURIComponent(url.username || '');
+    this.password = decodeURIComponent(url.password || '');
+    this.db = Number(url.pathname.slice(1)) || 0;
+    this.connectTimeout = options.connectTimeout || 5000;
+
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+  }
+
+  /**
+   * Run a command
+   * @param {...(string|number)} args - Command name and arguments
+   * @returns {Promise<*>} - Reply (string, number, array or null); error replies reject
+   */
+  async call(...args) {
+    await this._connect();
+    return this._send(args);
+  }
+
+  /**
+   * Close the connection
+   */
+  async quit() {
+    if (!this.socket) return;
+
+    try {
+      await this._send(['QUIT']);
+    } catch (error) {
+      // Already closed
+    }
+    this.socket.destroy();
+    this.socket = null;
+  }
+
+  /**
+   * Open the connection and authenticate
+   * @private
+   */
+  _connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      socket.setTimeout(this.connectTimeout);
+
+      socket.once('timeout', () => socket.destroy(new Error('Redis connection timed out')));
+      socket.once('connect', async () => {
+        socket.setTimeout(0);
+        this.socket = socket;
+
+        try {
+          if (this.password) {
+            await this._send(this.username
+              ? ['AUTH', this.username, this.password]
+              : ['AUTH', this.password]);
+          }
+          if (this.db) {
+            await this._send(['SELECT', this.db]);
+          }
+          resolve();
+        } catch (error) {
+          socket.destroy(error);
+        }
+      });
+
+      let lastError = null;
+      socket.on('data', (data) => this._onData(data));
+      socket.once('close', () => {
+        const error = lastError || new Error('Redis connection closed');
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        for (const request of this.pending.splice(0)) {
+          request.reject(error);
+        }
+        reject(error);
+      });
+      socket.on('error', (error) => {
+        // Reported through 'close'
+        lastError = error;
+      });
+    }).finally(() => {
+      this.connecting = null;
+    });
+
+    return this.connecting;
+  }
+
+  /**
+   * Write a command and wait for its reply
+   * @private
+   */
+  _send(args) {
+    return new Promise((resolve, reject) => {
+      const parts = [`*${args.length}\r\n`];
+      for (const arg of args) {
+        const value = String(arg);
+        parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+      }
+
+      this.pending.push({ resolve, reject });
+      this.socket.write(parts.join(''));
+    });
+  }
+
+  /**
+   * Parse complete replies out of the receive buffer
+   * @private
+   */
+  _onData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    while (this.buffer.length > 0) {
+      let parsed;
+      try {
+        parsed = this._parse(this.buffer, 0);
+      } catch (error) {
+        // Out of sync with the server, start over on a new connection
+        this.socket.destroy();
+        return;
+      }
+      if (!parsed) return;
+
+      this.buffer = this.buffer.subarray(parsed.offset);
+      const request = this.pending.shift();
+      if (!request) continue;
+
+      if (parsed.value instanceof Error) {
+        request.reject(parsed.value);
+      } else {
+        request.resolve(parsed.value);
+      }
+    }
+  }
+
+  /**
+   * Parse one RESP value starting at `offset`
+   * @private
+   * @returns {Object|null} - { value, offset } or null if the reply is incomplete
+   */
+  _parse(buffer, offset) {
+    const end = buffer.indexOf('\r\n', offset);
+    if (end === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, end);
+    const next = end + 2;
+
+    switch (type) {
+      case '+':
+        return { value: line, offset: next };
+      case '-': {
+        const error = new Error(line);
+        error.code = line.split(' ')[0];
+        return { value: error, offset: next };
+      }
+      case ':':
+        return { value: Number(line), offset: next };
+      case '$': {
+        const length = Number(line);
+        if (length === -1) return { value: null, offset: next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+      }
+      case '*': {
+        const count = Number(line);
+        if (count === -1) return { value: null, offset: next };
+
+        const values = [];
+        let position = next;
+        for (let i = 0; i < count; i++) {
+          const item = this._parse(buffer, position);
+          if (!item) return null;
+          values.push(item.value);
+          position = item.offset;
+        }
+        return { value: values, offset: position };
+      }
+      default:
+        throw new Error(`Unexpected Redis reply type: ${type}`);
+    }
+  }
+}
+
+module.exports = RedisClient;
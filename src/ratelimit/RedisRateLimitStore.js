@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const RateLimitStore = require('./RateLimitStore');
+const RedisClient = require('./RedisClient');
+const { ALGORITHMS } = require('./algorithms');
+
+// Lua versions of the algorithm steps in ./algorithms.js. They run atomically
+// on the server and return the new state, which is described in JavaScript.
+const SCRIPTS = {
+  'token-bucket': `
+    local capacity = tonumber(ARGV[1])
+    local rate = tonumber(ARGV[2]) / tonumber(ARGV[3])
+    local cost = tonumber(ARGV[4])
+    local now = tonumber(ARGV[5])
+    local force = ARGV[6] == '1'
+
+    local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+    local tokens = capacity
+    if state[1] then
+      tokens = math.min(capacity, tonumber(state[1]) + (now - tonumber(state[2])) * rate)
+    end
+
+    local allowed
+    if cost > 0 then allowed = tokens >= cost else allowed = tokens > 0 end
+    if allowed or force then tokens = math.min(capacity, tokens - cost) end
+
+    redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', ARGV[5])
+    redis.call('PEXPIRE', KEYS[1], math.max(1, math.ceil((capacity - tokens) / rate)))
+    return { allowed and 1 or 0, tostring(tokens), ARGV[5] }
+  `,
+  'sliding-window': `
+    local limit = tonumber(ARGV[1])
+    local window = tonumber(ARGV[2])
+    local cost = tonumber(ARGV[3])
+    local now = tonumber(ARGV[4])
+    local force = ARGV[5] == '1'
+
+    local index = math.floor(now / window)
+    local current = 0
+    local previous = 0
+    local state = redis.call('HMGET', KEYS[1], 'index', 'current', 'previous')
+    if state[1] then
+      local stored = tonumber(state[1])
+      if stored == index then
+        current = tonumber(state[2])
+        previous = tonumber(state[3])
+      elseif stored == index - 1 then
+        previous = tonumber(state[2])
+      end
+    end
+
+    local elapsed = now - index * window
+    local count = previous * (window - elapsed) / window + current
+    local allowed
+    if cost > 0 then allowed = count + cost <= limit else allowed = count < limit end
+    if allowed or force then current = math.max(0, current + cost) end
+
+    redis.call('HSET', KEYS[1], 'index', tostring(index), 'current', tostring(current), 'previous', tostring(previous))
+    redis.call('PEXPIRE', KEYS[1], 2 * window - elapsed)
+    return { allowed and 1 or 0, tostring(index), tostring(current), tostring(previous) }
+  `
+};
+
+/**
+ * RedisRateLimitStore - Shares rate limits between processes through Redis
+ *
+ * Works with any server speaking the Redis protocol and Lua scripting
+ * (Redis, Valkey, KeyDB, Dragonfly). Uses the built-in RedisClient by
+ * default, or an existing `ioredis` / `redis` client.
+ */
+class RedisRateLimitStore extends RateLimitStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Redis URL for the built-in client (default: redis://127.0.0.1:6379)
+   * @param {Object} options.client - Existing client with call(...args) (ioredis) or sendCommand(args) (redis)
+   */
+  constructor(options = {}) {
+    super();
+    this.client = options.client || new RedisClient(options);
+    this.ownsClient = !options.client;
+    this.hashes = {};
+
+    for (const [name, script] of Object.entries(SCRIPTS)) {
+      this.hashes[name] = crypto.createHash('sha1').update(script).digest('hex');
+    }
+  }
+
+  async consume(key, rule, cost, options = {}) {
+    const now = Date.now();
+    const force = options.force ? '1' : '0';
+    let reply;
+    let state;
+
+    if (rule.algorithm === 'token-bucket') {
+      reply = await this._eval(rule.algorithm, key, [
+        rule.burst || rule.limit, rule.limit, rule.window, cost, now, force
+      ]);
+      state = { tokens: Number(reply[1]), updatedAt: Number(reply[2]) };
+    } else {
+      reply = await this._eval(rule.algorithm, key, [rule.limit, rule.window, cost, now, force]);
+      state = { index: Number(reply[1]), current: Number(reply[2]), previous: Number(reply[3]) };
+    }
+
+    return ALGORITHMS[rule.algorithm].describe(state, rule, cost, Number(reply[0]) === 1, now);
+  }
+
+  async reset(key) {
+    await this._call(['DEL', key]);
+  }
+
+  async close() {
+    if (this.ownsClient) {
+      await this.client.quit();
+    }
+  }
+
+  /**
+   * Run a script by hash, loading it on first use
+   * @private
+   */
+  async _eval(name, key, args) {
+    try {
+      return await this._call(['EVALSHA', this.hashes[name], 1, key, ...args]);
+    } catch (error) {
+      if (!String(error.message).startsWith('NOSCRIPT')) throw error;
+      return this._call(['EVAL', SCRIPTS[name], 1, key, ...args]);
+    }
+  }
+
+  /**
+   * Send a command through whichever client API is available
+   * @private
+   */
+  _call(args) {
+    if (typeof this.client.call === 'function') {
+      return this.client.call(...args);
+    }
+    return this.client.sendCommand(args.map(String));
+  }
+}
+
+module.exports = RedisRateLimitStore;
@@ -0,0 +1,133 @@
+/**
+ * Rate limiting algorithms
+ *
+ * Each algorithm works on a small state object, so stores only need to load,
+ * run and save it atomically:
+ *   - step(state, rule, cost, now, force) -> { state, allowed }
+ *   - ttl(state, rule, now)               -> ms until the state can be dropped
+ *   - describe(state, rule, cost, allowed, now)
+ *       -> { allowed, limit, remaining, resetMs, retryAfterMs }
+ *
+ * A cost of 0 only checks that something is left (used for token limits,
+ * which are charged after the model call). With `force` the cost is charged
+ * even when the limit is exceeded, and a negative forced cost gives back an
+ * earlier charge.
+ */
+
+/**
+ * Token bucket: holds up to `burst` (default: `limit`) tokens and refills
+ * `limit` tokens per `window`.
+ */
+const tokenBucket = {
+  step(state, rule, cost, now, force) {
+    const capacity = rule.burst || rule.limit;
+    const rate = rule.limit / rule.window;
+
+    let tokens = capacity;
+    if (state) {
+      tokens = Math.min(capacity, state.tokens + (now - state.updatedAt) * rate);
+    }
+
+    const allowed = cost > 0 ? tokens >= cost : tokens > 0;
+    if (allowed || force) {
+      tokens = Math.min(capacity, tokens - cost);
+    }
+
+    return { state: { tokens, updatedAt: now }, allowed };
+  },
+
+  ttl(state, rule) {
+    const capacity = rule.burst || rule.limit;
+    const rate = rule.limit / rule.window;
+    return Math.max(1, Math.ceil((capacity - state.tokens) / rate));
+  },
+
+  describe(state, rule, cost, allowed) {
+    const capacity = rule.burst || rule.limit;
+    const rate = rule.limit / rule.window;
+
+    return {
+      allowed,
+      limit: capacity,
+      remaining: Math.max(0, Math.floor(state.tokens)),
+      resetMs: Math.max(0, Math.ceil((capacity - state.tokens) / rate)),
+      retryAfterMs: allowed ? 0 : Math.ceil((Math.max(cost, 1) - state.tokens) / rate)
+    };
+  }
+};
+
+/**
+ * Sliding window counter: weighs the previous fixed window by how much of it
+ * still overlaps the sliding window, which approximates a true sliding log
+ * with two numbers per key.
+ */
+const slidingWindow = {
+  step(state, rule, cost, now, force) {
+    const index = Math.floor(now / rule.window);
+    let current = 0;
+    let previous = 0;
+
+    if (state && state.index === index) {
+      current = state.current;
+      previous = state.previous;
+    } else if (state && state.index === index - 1) {
+      previous = state.current;
+    }
+
+    const count = slidingWindow._count({ index, current, previous }, rule, now);
+    const allowed = cost > 0 ? count + cost <= rule.limit : count < rule.limit;
+    if (allowed || force) {
+      // A charge given back after the window moved on stays in the previous one
+      current = Math.max(0, current + cost);
+    }
+
+    return { state: { index, current, previous }, allowed };
+  },
+
+  ttl(state, rule, now) {
+    // The current window still counts, weighted, until the next one ends
+    return 2 * rule.window - (now - state.index * rule.window);
+  },
+
+  describe(state, rule, cost, allowed, now) {
+    const elapsed = now - state.index * rule.window;
+    const remainingInWindow = rule.window - elapsed;
+    const used = slidingWindow._count(state, rule, now);
+
+    let retryAfterMs = 0;
+    if (!allowed) {
+      const needed = Math.max(cost, 1);
+      const room = rule.limit - needed - state.current;
+
+      if (room >= 0 && state.previous > 0) {
+        // Wait until enough of the previous window has slid out
+        retryAfterMs = remainingInWindow - (rule.window * room) / state.previous;
+      } else if (state.current > 0 && rule.limit >= needed) {
+        // Wait for the next window, then until enough of this one has slid out
+        retryAfterMs = remainingInWindow + rule.window * (1 - (rule.limit - needed) / state.current);
+      } else {
+        retryAfterMs = remainingInWindow + rule.window;
+      }
+    }
+
+    return {
+      allowed,
+      limit: rule.limit,
+      remaining: Math.max(0, Math.floor(rule.limit - used)),
+      resetMs: remainingInWindow,
+      retryAfterMs: Math.max(allowed ? 0 : 1, Math.ceil(retryAfterMs))
+    };
+  },
+
+  _count(state, rule, now) {
+    const elapsed = now - state.index * rule.window;
+    return state.previous * ((rule.window - elapsed) / rule.window) + state.current;
+  }
+};
+
+const ALGORITHMS = {
+  'token-bucket': tokenBucket,
+  'sliding-window': slidingWindow
+};
+
+module.exports = { ALGORITHMS };
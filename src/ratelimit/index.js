@@ -0,0 +1,35 @@
+const RateLimiter = require('./RateLimiter');
+const RateLimitStore = require('./RateLimitStore');
+const MemoryRateLimitStore = require('./MemoryRateLimitStore');
+const RedisRateLimitStore = require('./RedisRateLimitStore');
+const RedisClient = require('./RedisClient');
+
+/**
+ * Resolve the rate limit `store` option into a RateLimitStore instance
+ * @param {string|Object} store - 'memory', 'redis' or a store instance
+ * @param {Object} options - Options passed to built-in stores
+ * @returns {RateLimitStore}
+ */
+function createRateLimitStore(store = 'memory', options = {}) {
+  if (store && typeof store === 'object') {
+    return store;
+  }
+
+  switch (store) {
+    case 'memory':
+      return new MemoryRateLimitStore(options);
+    case 'redis':
+      return new RedisRateLimitStore(options);
+    default:
+      throw new Error(`Unknown rate limit store: ${store}`);
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  RateLimitStore,
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  RedisClient,
+  createRateLimitStore
+};
@@ -0,0 +1,79 @@
+/**
+ * ConversationStore - Base interface for conversation persistence
+ *
+ * Adapters extend this class and implement every method. All methods are
+ * async so that adapters can be backed by files, databases or remote services.
+ *
+ * A conversation has the shape:
+ *   { id, messages: [], systemPrompt, tenantId, userId, createdAt, updatedAt }
+ */
+class ConversationStore {
+  /**
+   * Get a conversation by id
+   * @param {string} id - Conversation id
+   * @returns {Promise<Object|null>} - The conversation, or null if not found
+   */
+  async get(id) {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  /**
+   * Create a new conversation
+   * @param {Object} conversation - Conversation object (must include id)
+   * @returns {Promise<Object>} - The stored conversation
+   */
+  async create(conversation) {
+    throw new Error(`${this.constructor.name} does not implement create()`);
+  }
+
+  /**
+   * Append a message to a conversation
+   * @param {string} id - Conversation id
+   * @param {Object} message - Message object with role and content
+   * @returns {Promise<Object|null>} - The updated conversation, or null if not found
+   */
+  async append(id, message) {
+    throw new Error(`${this.constructor.name} does not implement append()`);
+  }
+
+  /**
+   * Update fields of a conversation
+   * @param {string} id - Conversation id
+   * @param {Object} changes - Fields to merge into the conversation
+   * @returns {Promise<Object|null>} - The updated conversation, or null if not found
+   */
+  async update(id, changes) {
+    throw new Error(`${this.constructor.name} does not implement update()`);
+  }
+
+  /**
+   * List conversations
+   * @param {Object} filter - Only return conversations whose fields equal these values
+   *   (e.g. { tenantId, userId })
+   * @returns {Promise<Array>} - Array of conversations
+   */
+  async list(filter = {}) {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+
+  /**
+   * Delete a conversation
+   * @param {string} id - Conversation id
+   * @returns {Promise<boolean>} - True if the conversation existed
+   */
+  async delete(id) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  /**
+   * Check if a conversation matches a list filter
+   * @param {Object} conversation - Conversation to check
+   * @param {Object} filter - Field values to match
+   * @returns {boolean}
+   */
+  static matches(conversation, filter = {}) {
+    return Object.entries(filter).every(([key, value]) => conversation[key] === value);
+  }
+}
+
+module.exports = ConversationStore;
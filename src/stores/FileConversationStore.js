@@ -0,0 +1,219 @@
+const fs = require('fs/promises');
+const path = require('path');
+const ConversationStore = require('./ConversationStore');
+
+// Conversation ids are used as file names, so only allow safe characters
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+// Delay between attempts to take a lock held by another process
+const LOCK_RETRY_MS = 10;
+
+/**
+ * FileConversationStore - Stores each conversation as a JSON file
+ *
+ * Files are written atomically (write to a temp file, then rename), and
+ * every change (create, append, update, delete) holds a lock file
+ * (`<id>.json.lock`, created exclusively), so a delete can't be undone by
+ * a concurrent rewrite and several processes can share the same directory.
+ * A lock older than `staleLockTimeout` is taken to belong to a crashed
+ * process and removed.
+ */
+class FileConversationStore extends ConversationStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory to store conversations in
+   * @param {number} options.lockTimeout - Ms to wait for another process's lock (default: 5000)
+   * @param {number} options.staleLockTimeout - Ms after which a lock is removed as stale (default: 30000)
+   */
+  constructor(options = {}) {
+    super();
+    this.directory = path.resolve(options.directory || './data/conversations');
+    this.lockTimeout = options.lockTimeout ?? 5000;
+    this.staleLockTimeout = options.staleLockTimeout ?? 30000;
+    this._ready = null;
+    this._locks = new Map();
+  }
+
+  async get(id) {
+    const file = this._filePath(id);
+    if (!file) return null;
+
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async create(conversation) {
+    if (!this._filePath(conversation.id)) {
+      throw new Error(`Invalid conversation id: ${conversation.id}`);
+    }
+
+    return this._withLock(conversation.id, async () => {
+      await this._write(conversation);
+      return conversation;
+    });
+  }
+
+  async append(id, message) {
+    return this._withLock(id, async () => {
+      const conversation = await this.get(id);
+      if (!conversation) return null;
+
+      conversation.messages.push(message);
+      conversation.updatedAt = new Date().toISOString();
+      await this._write(conversation);
+      return conversation;
+    });
+  }
+
+  async update(id, changes) {
+    return this._withLock(id, async () => {
+      const conversation = await this.get(id);
+      if (!conversation) return null;
+
+      Object.assign(conversation, changes, {
+        id,
+        updatedAt: new Date().toISOString()
+      });
+      await this._write(conversation);
+      return conversation;
+    });
+  }
+
+  async list(filter = {}) {
+    await this._ensureDirectory();
+
+    const files = (await fs.readdir(this.directory)).filter(f => f.endsWith('.json'));
+    const conversations = await Promise.all(
+      files.map(f => this.get(path.basename(f, '.json')))
+    );
+
+    return conversations.filter(c => c && ConversationStore.matches(c, filter));
+  }
+
+  async delete(id) {
+    const file = this._filePath(id);
+    if (!file) return false;
+
+    return this._withLock(id, async () => {
+      try {
+        await fs.unlink(file);
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Resolve the file path for a conversation id
+   * @private
+   */
+  _filePath(id) {
+    if (typeof id !== 'string' || !SAFE_ID.test(id)) return null;
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  /**
+   * Serialize read-modify-write cycles for a conversation: in this process
+   * by chaining them, across processes with a lock file
+   * @private
+   */
+  _withLock(id, fn) {
+    const locked = () => this._withFileLock(id, fn);
+    const previous = this._locks.get(id) || Promise.resolve();
+    const next = previous.then(locked, locked);
+    const tail = next.catch(() => {});
+    this._locks.set(id, tail);
+    tail.then(() => {
+      if (this._locks.get(id) === tail) this._locks.delete(id);
+    });
+    return next;
+  }
+
+  /**
+   * Run fn while holding the lock file of a conversation
+   * @private
+   */
+  async _withFileLock(id, fn) {
+    const file = this._filePath(id);
+    if (!file) return fn();
+
+    await this._ensureDirectory();
+
+    const lockFile = `${file}.lock`;
+    const deadline = Date.now() + this.lockTimeout;
+
+    let handle;
+    while (!handle) {
+      try {
+        handle = await fs.open(lockFile, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        if (await this._removeStaleLock(lockFile)) continue;
+        if (Date.now() >= deadline) {
+          throw new Error(`Timed out waiting for the lock of conversation ${id}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+
+    try {
+      await handle.writeFile(String(process.pid));
+      await handle.close();
+      return await fn();
+    } finally {
+      await fs.unlink(lockFile).catch(() => {});
+    }
+  }
+
+  /**
+   * Remove a lock file left behind by a crashed process
+   * @private
+   * @returns {Promise<boolean>} - True if the lock was stale and removed
+   */
+  async _removeStaleLock(lockFile) {
+    try {
+      const { mtimeMs } = await fs.stat(lockFile);
+      if (Date.now() - mtimeMs < this.staleLockTimeout) return false;
+
+      await fs.unlink(lockFile);
+      return true;
+    } catch (error) {
+      // Released in the meantime: try again right away
+      if (error.code === 'ENOENT') return true;
+      throw error;
+    }
+  }
+
+  /**
+   * Write a conversation to disk atomically
+   * @private
+   */
+  async _write(conversation) {
+    await this._ensureDirectory();
+
+    const file = this._filePath(conversation.id);
+    const tmpFile = `${file}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(conversation, null, 2));
+    await fs.rename(tmpFile, file);
+  }
+
+  /**
+   * Create the storage directory on first use
+   * @private
+   */
+  _ensureDirectory() {
+    if (!this._ready) {
+      this._ready = fs.mkdir(this.directory, { recursive: true });
+    }
+    return this._ready;
+  }
+}
+
+module.exports = FileConversationStore;
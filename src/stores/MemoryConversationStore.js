@@ -0,0 +1,56 @@
+const ConversationStore = require('./ConversationStore');
+
+/**
+ * MemoryConversationStore - In-memory conversation storage (default)
+ *
+ * Conversations are lost when the process exits. Returned objects are
+ * copies, so callers must write changes back through the store.
+ */
+class MemoryConversationStore extends ConversationStore {
+  constructor() {
+    super();
+    this.conversations = new Map();
+  }
+
+  async get(id) {
+    const conversation = this.conversations.get(id);
+    return conversation ? structuredClone(conversation) : null;
+  }
+
+  async create(conversation) {
+    this.conversations.set(conversation.id, structuredClone(conversation));
+    return structuredClone(conversation);
+  }
+
+  async append(id, message) {
+    const conversation = this.conversations.get(id);
+    if (!conversation) return null;
+
+    conversation.messages.push(structuredClone(message));
+    conversation.updatedAt = new Date().toISOString();
+    return structuredClone(conversation);
+  }
+
+  async update(id, changes) {
+    const conversation = this.conversations.get(id);
+    if (!conversation) return null;
+
+    Object.assign(conversation, structuredClone(changes), {
+      id,
+      updatedAt: new Date().toISOString()
+    });
+    return structuredClone(conversation);
+  }
+
+  async list(filter = {}) {
+    return Array.from(this.conversations.values())
+      .filter(c => ConversationStore.matches(c, filter))
+      .map(c => structuredClone(c));
+  }
+
+  async delete(id) {
+    return this.conversations.delete(id);
+  }
+}
+
+module.exports = MemoryConversationStore;
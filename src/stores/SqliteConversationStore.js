@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const ConversationStore = require('./ConversationStore');
+
+/**
+ * SqliteConversationStore - Stores conversations in a SQLite database
+ *
+ * Uses `better-sqlite3` when it is installed, otherwise the built-in
+ * `node:sqlite` module (Node.js 22.5+). Writes run inside immediate
+ * transactions, so several processes can share the same database file.
+ */
+class SqliteConversationStore extends ConversationStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filename - Path to the database file (or ':memory:')
+   * @param {Object} options.database - An already opened database handle
+   * @param {string} options.table - Table name (default: 'conversations')
+   */
+  constructor(options = {}) {
+    super();
+    this.table = options.table || 'conversations';
+
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(this.table)) {
+      throw new Error(`Invalid table name: ${this.table}`);
+    }
+
+    this.db = options.database || this._open(options.filename || './data/conversations.db');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ${this.table} (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    this.statements = {
+      get: this.db.prepare(`SELECT data FROM ${this.table} WHERE id = ?`),
+      insert: this.db.prepare(
+        `INSERT INTO ${this.table} (id, data, created_at, updated_at) VALUES (?, ?, ?, ?)`
+      ),
+      update: this.db.prepare(
+        `UPDATE ${this.table} SET data = ?, updated_at = ? WHERE id = ?`
+      ),
+      list: this.db.prepare(`SELECT data FROM ${this.table} ORDER BY created_at`),
+      delete: this.db.prepare(`DELETE FROM ${this.table} WHERE id = ?`)
+    };
+  }
+
+  async get(id) {
+    const row = this.statements.get.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async create(conversation) {
+    this.statements.insert.run(
+      conversation.id,
+      JSON.stringify(conversation),
+      conversation.createdAt,
+      conversation.updatedAt
+    );
+    return conversation;
+  }
+
+  async append(id, message) {
+    return this._modify(id, conversation => {
+      conversation.messages.push(message);
+    });
+  }
+
+  async update(id, changes) {
+    return this._modify(id, conversation => {
+      Object.assign(conversation, changes, { id });
+    });
+  }
+
+  async list(filter = {}) {
+    return this.statements.list.all()
+      .map(row => JSON.parse(row.data))
+      .filter(c => ConversationStore.matches(c, filter));
+  }
+
+  async delete(id) {
+    return this.statements.delete.run(id).changes > 0;
+  }
+
+  /**
+   * Close the underlying database
+   */
+  close() {
+    this.db.close();
+  }
+
+  /**
+   * Read, modify and write back a conversation in a single transaction
+   * @private
+   */
+  _modify(id, mutate) {
+    this.db.exec('BEGIN IMMEDIATE');
+
+    try {
+      const row = this.statements.get.get(id);
+      if (!row) {
+        this.db.exec('COMMIT');
+        return null;
+      }
+
+      const conversation = JSON.parse(row.data);
+      mutate(conversation);
+      conversation.updatedAt = new Date().toISOString();
+
+      this.statements.update.run(JSON.stringify(conversation), conversation.updatedAt, id);
+      this.db.exec('COMMIT');
+      return conversation;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Open a database with the first available driver
+   * @private
+   */
+  _open(filename) {
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+
+    try {
+      const Database = require('better-sqlite3');
+      return new Database(filename);
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    }
+
+    try {
+      const { DatabaseSync } = require('node:sqlite');
+      return new DatabaseSync(filename);
+    } catch (error) {
+      throw new Error(
+        'SQLite store requires the "better-sqlite3" package or Node.js 22.5+ (node:sqlite)'
+      );
+    }
+  }
+}
+
+module.exports = SqliteConversationStore;
@@ -0,0 +1,35 @@
+const ConversationStore = require('./ConversationStore');
+const MemoryConversationStore = require('./MemoryConversationStore');
+const FileConversationStore = require('./FileConversationStore');
+const SqliteConversationStore = require('./SqliteConversationStore');
+
+/**
+ * Resolve the `store` option into a ConversationStore instance
+ * @param {string|Object} store - 'memory', 'file', 'sqlite' or a store instance
+ * @param {Object} options - Options passed to built-in adapters
+ * @returns {ConversationStore}
+ */
+function createConversationStore(store = 'memory', options = {}) {
+  if (store && typeof store === 'object') {
+    return store;
+  }
+
+  switch (store) {
+    case 'memory':
+      return new MemoryConversationStore(options);
+    case 'file':
+      return new FileConversationStore(options);
+    case 'sqlite':
+      return new SqliteConversationStore(options);
+    default:
+      throw new Error(`Unknown conversation store: ${store}`);
+  }
+}
+
+module.exports = {
+  ConversationStore,
+  MemoryConversationStore,
+  FileConversationStore,
+  SqliteConversationStore,
+  createConversationStore
+};
@@ -0,0 +1,246 @@
+// Latency buckets in seconds, from 5 ms to 1 minute
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Base of the metric types: values per label set
+ * @private
+ */
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  /**
+   * Key of a label set, in `labelNames` order
+   * @private
+   */
+  _key(labels = {}) {
+    return JSON.stringify(this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+  }
+
+  /**
+   * Label pairs of a key, e.g. `{route="/chat",status="200"}`
+   * @private
+   */
+  _labels(key, extra = []) {
+    const pairs = JSON.parse(key).map((value, i) => [this.labelNames[i], value]);
+    const all = [...pairs, ...extra];
+    if (all.length === 0) return '';
+    return `{${all.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+  }
+
+  /**
+   * @private
+   */
+  _header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+/**
+ * Counter - Value that only goes up
+ */
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount to add (default: 1)
+   */
+  inc(labels = {}, value = 1) {
+    const key = this._key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  render() {
+    const lines = this._header();
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${this._labels(key)} ${formatNumber(value)}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Gauge - Value that goes up and down
+ */
+class Gauge extends Counter {
+  get type() {
+    return 'gauge';
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount to subtract (default: 1)
+   */
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - New value
+   */
+  set(labels = {}, value) {
+    this.values.set(this._key(labels), value);
+  }
+}
+
+/**
+ * Histogram - Distribution of observed values in cumulative buckets
+ */
+class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels = {}, value) {
+    if (!Number.isFinite(value)) return;
+
+    const key = this._key(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) entry.counts[index]++;
+    entry.sum += value;
+    entry.count++;
+  }
+
+  render() {
+    const lines = this._header();
+    for (const [key, entry] of this.values) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, i) => {
+        cumulative += entry.counts[i];
+        lines.push(`${this.name}_bucket${this._labels(key, [['le', formatNumber(bound)]])} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${this._labels(key, [['le', '+Inf']])} ${entry.count}`);
+      lines.push(`${this.name}_sum${this._labels(key)} ${formatNumber(entry.sum)}`);
+      lines.push(`${this.name}_count${this._labels(key)} ${entry.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Metrics - Registry of counters, gauges and histograms, rendered in the
+ * Prometheus text exposition format
+ *
+ * Asking for a metric that is already registered returns the existing one,
+ * so several components can share it.
+ */
+class Metrics {
+  /**
+   * @param {Object} options
+   * @param {string} options.prefix - Prepended to every metric name, e.g. 'chat_'
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || '';
+    this.metrics = new Map();
+  }
+
+  /**
+   * Get or register a counter
+   * @param {string} name - Metric name (without prefix)
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Label names
+   * @returns {Counter}
+   */
+  counter(name, help, labelNames = []) {
+    return this._register(Counter, name, help, labelNames);
+  }
+
+  /**
+   * Get or register a gauge
+   * @returns {Gauge}
+   */
+  gauge(name, help, labelNames = []) {
+    return this._register(Gauge, name, help, labelNames);
+  }
+
+  /**
+   * Get or register a histogram
+   * @param {Array<number>} buckets - Upper bounds (default: latency buckets from 5 ms to 60 s)
+   * @returns {Histogram}
+   */
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this._register(Histogram, name, help, labelNames, buckets);
+  }
+
+  /**
+   * Every metric in the Prometheus text format
+   * @returns {string}
+   */
+  render() {
+    return [...this.metrics.values()].map(metric => metric.render()).join('\n\n') + '\n';
+  }
+
+  /**
+   * Forget all recorded values
+   */
+  reset() {
+    for (const metric of this.metrics.values()) {
+      metric.values.clear();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _register(Type, name, help, labelNames, ...args) {
+    const fullName = this.prefix + name;
+    const existing = this.metrics.get(fullName);
+
+    if (existing) {
+      if (existing.constructor !== Type) {
+        throw new Error(`Metric ${fullName} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+
+    const metric = new Type(fullName, help, labelNames, ...args);
+    this.metrics.set(fullName, metric);
+    return metric;
+  }
+}
+
+/**
+ * Escape a label value: backslash, double quote and newline
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample value
+ */
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+Metrics.Counter = Counter;
+Metrics.Gauge = Gauge;
+Metrics.Histogram = Histogram;
+Metrics.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+
+module.exports = Metrics;
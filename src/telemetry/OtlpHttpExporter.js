@@ -0,0 +1,157 @@
+const Tracer = require('./Tracer');
+const Logger = require('../Logger');
+
+/**
+ * OtlpHttpExporter - Sends spans to an OpenTelemetry collector over OTLP/HTTP
+ * with JSON encoding
+ *
+ * Spans are sent in batches, once `batchSize` are waiting or `flushInterval`
+ * ms after the first one finished. A batch that fails is reported and dropped.
+ */
+class OtlpHttpExporter {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Traces endpoint (default: http://localhost:4318/v1/traces)
+   * @param {Object} options.headers - Extra request headers, e.g. an API key
+   * @param {number} options.batchSize - Spans per request (default: 100)
+   * @param {number} options.flushInterval - Max ms a span waits to be sent (default: 5000)
+   * @param {number} options.timeout - Request timeout in ms (default: 10000)
+   * @param {Logger} options.logger - Logger for batches that fail in the background
+   */
+  constructor(options = {}) {
+    this.url = options.url || 'http://localhost:4318/v1/traces';
+    this.headers = options.headers || {};
+    this.batchSize = options.batchSize || 100;
+    this.flushInterval = options.flushInterval ?? 5000;
+    this.timeout = options.timeout || 10000;
+    this.logger = (options.logger || new Logger()).child({ component: 'tracing' });
+
+    this._buffer = [];
+    this._resource = {};
+    this._timer = null;
+    this._pending = new Set();
+  }
+
+  /**
+   * Queue finished spans
+   * @param {Array<Span>} spans
+   * @param {Tracer} tracer - Tracer the spans come from, for the resource attributes
+   */
+  export(spans, tracer) {
+    if (tracer) this._resource = tracer.resource;
+    this._buffer.push(...spans);
+
+    if (this._buffer.length >= this.batchSize) {
+      return this.flush();
+    }
+
+    if (!this._timer) {
+      this._timer = setTimeout(() => {
+        this.flush().catch(error => this.logger.error('Failed to export spans', { error: error.message }));
+      }, this.flushInterval);
+      // Don't keep the process alive just to flush
+      if (this._timer.unref) this._timer.unref();
+    }
+  }
+
+  /**
+   * Send the waiting spans now
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    if (this._buffer.length === 0) return;
+
+    const spans = this._buffer;
+    this._buffer = [];
+
+    const request = this._send(spans);
+    this._pending.add(request);
+    try {
+      await request;
+    } finally {
+      this._pending.delete(request);
+    }
+  }
+
+  async shutdown() {
+    const results = await Promise.allSettled([this.flush(), ...this._pending]);
+    const failed = results.find(r => r.status === 'rejected');
+    if (failed) throw failed.reason;
+  }
+
+  /**
+   * OTLP/JSON request body for spans
+   * @param {Array<Span>} spans
+   * @returns {Object}
+   */
+  encode(spans) {
+    return {
+      resourceSpans: [{
+        resource: { attributes: encodeAttributes(this._resource) },
+        scopeSpans: [{
+          scope: { name: 'groq-server-sdk' },
+          spans: spans.map(span => ({
+            traceId: span.traceId,
+            spanId: span.spanId,
+            ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+            name: span.name,
+            kind: Tracer.SPAN_KIND[span.kind] || Tracer.SPAN_KIND.internal,
+            startTimeUnixNano: String(span.startTime),
+            endTimeUnixNano: String(span.endTime),
+            attributes: encodeAttributes(span.attributes),
+            events: span.events.map(event => ({
+              name: event.name,
+              timeUnixNano: String(event.time),
+              attributes: encodeAttributes(event.attributes)
+            })),
+            status: {
+              code: Tracer.STATUS[span.status.code] || Tracer.STATUS.unset,
+              ...(span.status.message && { message: span.status.message })
+            }
+          }))
+        }]
+      }]
+    };
+  }
+
+  /**
+   * POST a batch
+   * @private
+   */
+  async _send(spans) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(this.encode(spans)),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Collector responded with ${response.status} (${spans.length} spans dropped)`);
+    }
+  }
+}
+
+/**
+ * OTLP key-value list of attributes
+ */
+function encodeAttributes(attributes = {}) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: encodeValue(value) }));
+}
+
+/**
+ * OTLP AnyValue of a JavaScript value
+ */
+function encodeValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(encodeValue) } };
+  return { stringValue: String(value) };
+}
+
+module.exports = OtlpHttpExporter;
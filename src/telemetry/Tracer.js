@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const Logger = require('../Logger');
+
+// Span kinds and status codes, numbered as in OTLP
+const SPAN_KIND = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+const STATUS = { unset: 0, ok: 1, error: 2 };
+
+// W3C trace context header: version-traceid-spanid-flags
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+/**
+ * Span - One timed operation of a trace
+ */
+class Span {
+  constructor(tracer, name, options = {}) {
+    const parent = options.parent || null;
+
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = options.kind || 'internal';
+    this.traceId = parent ? parent.traceId : randomId(16);
+    this.spanId = randomId(8);
+    this.parentSpanId = parent ? parent.spanId : null;
+    this.startTime = nowNanos();
+    this.endTime = null;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: 'unset', message: null };
+
+    this.setAttributes(options.attributes);
+  }
+
+  /**
+   * Rename the span, e.g. once the route of a request is known
+   * @param {string} name
+   */
+  updateName(name) {
+    this.name = name;
+    return this;
+  }
+
+  /**
+   * Set an attribute. Undefined and null values are skipped.
+   * @param {string} key
+   * @param {string|number|boolean} value
+   */
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  /**
+   * Set several attributes
+   * @param {Object} attributes
+   */
+  setAttributes(attributes = {}) {
+    for (const [key, value] of Object.entries(attributes || {})) {
+      this.setAttribute(key, value);
+    }
+    return this;
+  }
+
+  /**
+   * Record a point in time during the span
+   * @param {string} name
+   * @param {Object} attributes
+   */
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: nowNanos(), attributes });
+    return this;
+  }
+
+  /**
+   * @param {string} code - 'ok' or 'error'
+   * @param {string} message - Error description
+   */
+  setStatus(code, message = null) {
+    this.status = { code, message };
+    return this;
+  }
+
+  /**
+   * Mark the span as failed with an error
+   * @param {Error|Object} error - Error, or { message, code }
+   */
+  recordError(error) {
+    this.addEvent('exception', {
+      'exception.type': error.code || error.name || 'Error',
+      'exception.message': error.message
+    });
+    return this.setStatus('error', error.message);
+  }
+
+  /**
+   * End the span and hand it to the exporter. Later calls do nothing.
+   */
+  end() {
+    if (this.endTime !== null) return;
+    this.endTime = nowNanos();
+    this.tracer._export(this);
+  }
+
+  /**
+   * W3C `traceparent` header value, to continue the trace in another service
+   * @returns {string}
+   */
+  get traceparent() {
+    return `00-${this.traceId}-${this.spanId}-01`;
+  }
+}
+
+/**
+ * Span of a disabled tracer: every method does nothing
+ * @private
+ */
+const NOOP_SPAN = {
+  traceId: null,
+  spanId: null,
+  traceparent: null,
+  updateName() { return this; },
+  setAttribute() { return this; },
+  setAttributes() { return this; },
+  addEvent() { return this; },
+  setStatus() { return this; },
+  recordError() { return this; },
+  end() {}
+};
+
+/**
+ * Tracer - Creates spans and hands the finished ones to an exporter
+ *
+ * The active span follows async calls (AsyncLocalStorage), so spans started
+ * while another one is active become its children without passing it around.
+ */
+class Tracer {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - Record spans (default: true)
+   * @param {string} options.serviceName - `service.name` of exported spans
+   * @param {Object} options.exporter - Receives finished spans: { export(spans), shutdown() }
+   * @param {Object} options.resource - Extra resource attributes
+   * @param {Logger} options.logger - Logger for export failures
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.serviceName = options.serviceName || 'groq-server-sdk';
+    this.exporter = options.exporter || null;
+    this.resource = { 'service.name': this.serviceName, ...options.resource };
+    this.storage = new AsyncLocalStorage();
+    this.logger = (options.logger || new Logger()).child({ component: 'tracing' });
+  }
+
+  /**
+   * Start a span. It is not active until passed to withSpan().
+   * @param {string} name - Span name
+   * @param {Object} options
+   * @param {Object} options.attributes - Initial attributes
+   * @param {string} options.kind - 'internal', 'server' or 'client'
+   * @param {Object} options.parent - Parent span or { traceId, spanId } (default: the active span)
+   * @returns {Span}
+   */
+  startSpan(name, options = {}) {
+    if (!this.enabled) return NOOP_SPAN;
+
+    const parent = options.parent === undefined ? this.activeSpan() : options.parent;
+    return new Span(this, name, { ...options, parent: parent && parent.traceId ? parent : null });
+  }
+
+  /**
+   * Run a function inside a new active span. The span ends when the function
+   * returns or its promise settles, and is marked failed if it throws.
+   * @param {string} name - Span name
+   * @param {Object} options - See startSpan()
+   * @param {Function} fn - Called with the span
+   * @returns {*} - What fn returns
+   */
+  trace(name, options, fn) {
+    if (!this.enabled) return fn(NOOP_SPAN);
+
+    const span = this.startSpan(name, options);
+
+    return this.withSpan(span, () => {
+      let result;
+      try {
+        result = fn(span);
+      } catch (error) {
+        span.recordError(error);
+        span.end();
+        throw error;
+      }
+
+      if (result && typeof result.then === 'function') {
+        return result.then(
+          (value) => { span.end(); return value; },
+          (error) => { span.recordError(error); span.end(); throw error; }
+        );
+      }
+
+      span.end();
+      return result;
+    });
+  }
+
+  /**
+   * Run a function with a span as the active one
+   * @param {Span} span
+   * @param {Function} fn
+   */
+  withSpan(span, fn) {
+    if (!this.enabled || span === NOOP_SPAN) return fn();
+    return this.storage.run(span, fn);
+  }
+
+  /**
+   * The active span, if any
+   * @returns {Span|null}
+   */
+  activeSpan() {
+    return this.enabled ? this.storage.getStore() || null : null;
+  }
+
+  /**
+   * Wrap methods of an object so every call runs in a span named
+   * `<prefix>.<method>`
+   * @param {Object} target - Object to wrap
+   * @param {Array<string>} methods - Methods to trace
+   * @param {string} prefix - Span name prefix, e.g. 'store'
+   * @param {Object} attributes - Attributes of every span
+   * @returns {Object} - Proxy of the target
+   */
+  instrument(target, methods, prefix, attributes = {}) {
+    if (!this.enabled) return target;
+
+    const tracer = this;
+    return new Proxy(target, {
+      get(object, property, receiver) {
+        const value = Reflect.get(object, property, receiver);
+        if (typeof value !== 'function' || !methods.includes(property)) return value;
+
+        return function traced(...args) {
+          return tracer.trace(`${prefix}.${property}`, { attributes }, () => value.apply(object, args));
+        };
+      }
+    });
+  }
+
+  /**
+   * Read a W3C `traceparent` header into a parent for startSpan()
+   * @param {string} header
+   * @returns {Object|null} - { traceId, spanId } or null if missing or invalid
+   */
+  extract(header) {
+    const match = typeof header === 'string' ? TRACEPARENT.exec(header.trim().toLowerCase()) : null;
+    if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) return null;
+    return { traceId: match[1], spanId: match[2] };
+  }
+
+  /**
+   * Export waiting spans and stop the exporter
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.exporter && this.exporter.shutdown) {
+      await this.exporter.shutdown();
+    }
+  }
+
+  /**
+   * Hand a finished span to the exporter
+   * @private
+   */
+  _export(span) {
+    if (!this.exporter) return;
+
+    try {
+      Promise.resolve(this.exporter.export([span], this)).catch(error => this._exportFailed(error));
+    } catch (error) {
+      this._exportFailed(error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _exportFailed(error) {
+    this.logger.error('Failed to export spans', { error: error.message });
+  }
+}
+
+/**
+ * Random lowercase hex id of `bytes` bytes
+ */
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Current time in nanoseconds since the epoch
+ */
+function nowNanos() {
+  return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000)) * 1000n;
+}
+
+Tracer.Span = Span;
+Tracer.NOOP = new Tracer({ enabled: false });
+Tracer.SPAN_KIND = SPAN_KIND;
+Tracer.STATUS = STATUS;
+
+module.exports = Tracer;
@@ -0,0 +1,31 @@
+const Metrics = require('./Metrics');
+const Tracer = require('./Tracer');
+const OtlpHttpExporter = require('./OtlpHttpExporter');
+
+/**
+ * Resolve the tracing `exporter` option into an exporter
+ * @param {Object|null} exporter - null, an object with export(spans), or
+ *   { type: 'otlp', url, headers, batchSize, flushInterval, timeout }
+ * @param {Object} defaults - Options for exporters built here, e.g. { logger }
+ * @returns {Object|null}
+ */
+function createSpanExporter(exporter, defaults = {}) {
+  if (!exporter) return null;
+
+  if (typeof exporter.export === 'function') {
+    return exporter;
+  }
+
+  const { type = 'otlp', ...options } = { ...defaults, ...exporter };
+  if (type !== 'otlp') {
+    throw new Error(`Unknown span exporter: ${type}`);
+  }
+  return new OtlpHttpExporter(options);
+}
+
+module.exports = {
+  Metrics,
+  Tracer,
+  OtlpHttpExporter,
+  createSpanExporter
+};
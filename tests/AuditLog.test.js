@@ -0,0 +1,238 @@
+const { describe, test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { AuditLog, ChatServer, FileAuditSink, Logger, MockProvider, WebhookAuditSink } = require('../src');
+const { createAuditSink } = require('../src/audit');
+
+const readLines = async file => (await fs.readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+
+describe('AuditLog', () => {
+  test('records who caused an event and finds it again', () => {
+    const audit = new AuditLog();
+    const principal = { tenantId: 'acme', userId: 'jane', keyId: 'acme-key' };
+
+    const event = audit.record('moderation', { code: 'PII_DETECTED', checks: [{ check: 'pii', code: 'PII_DETECTED' }] }, {
+      principal,
+      conversationId: 'c1',
+      ip: '10.0.0.1'
+    });
+    audit.record('moderation', { code: null, checks: [{ check: 'profanity', code: 'PROFANITY_DETECTED' }] }, { principal });
+    audit.record('request', { method: 'POST', path: '/chat' });
+
+    assert.deepEqual(
+      [event.type, event.conversationId, event.tenantId, event.userId, event.keyId, event.ip],
+      ['moderation', 'c1', 'acme', 'jane', 'acme-key', '10.0.0.1']
+    );
+    assert.deepEqual(audit.query().map(e => e.type), ['request', 'moderation', 'moderation']);
+    assert.deepEqual(audit.query({ tenantId: 'acme', limit: 1 }).map(e => e.code), [null]);
+    // Codes match the event and its checks
+    assert.equal(audit.query({ code: 'PROFANITY_DETECTED' }).length, 1);
+    assert.deepEqual(audit.query({ conversationId: 'c1', code: 'PII_DETECTED' }), [event]);
+  });
+
+  test('filters by time, a bare end date covering the whole day', () => {
+    const audit = new AuditLog();
+    audit.events.push(
+      { type: 'request', timestamp: '2026-03-01T23:30:00.000Z' },
+      { type: 'request', timestamp: '2026-03-02T00:30:00.000Z' }
+    );
+
+    assert.equal(audit.query({ from: '2026-03-01', to: '2026-03-01' }).length, 1);
+    assert.equal(audit.query({ from: '2026-03-01T23:45:00Z' }).length, 1);
+    assert.throws(() => audit.query({ from: 'yesterday' }), /Invalid date: yesterday/);
+  });
+
+  test('keeps the latest maxEvents and records nothing when disabled', () => {
+    const audit = new AuditLog({ maxEvents: 2 });
+    ['a', 'b', 'c'].forEach(path => audit.record('request', { path }));
+    assert.deepEqual(audit.events.map(e => e.path), ['b', 'c']);
+
+    assert.equal(new AuditLog({ enabled: false }).record('request'), null);
+  });
+
+  test('hands events to the sinks that want them, failing sinks aside', async () => {
+    const all = [];
+    const errors = [];
+    const audit = new AuditLog({
+      logger: Logger.SILENT,
+      sinks: [
+        createAuditSink(event => all.push(event.type)),
+        createAuditSink({ type: 'callback', events: ['error'], callback: () => { throw new Error('Disk full'); } }),
+        createAuditSink({ type: 'callback', events: ['error'], callback: async () => { throw new Error('Offline'); } })
+      ]
+    });
+    audit._sinkFailed = (sink, error) => errors.push(error.message);
+
+    audit.record('request');
+    audit.record('error', { code: 'PROVIDER_ERROR' });
+    await audit.close();
+
+    assert.deepEqual(all, ['request', 'error']);
+    assert.deepEqual(errors.sort(), ['Disk full', 'Offline']);
+    assert.throws(() => createAuditSink({ type: 'syslog' }), /Unknown audit sink: syslog/);
+  });
+});
+
+describe('FileAuditSink', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('appends JSON lines in order', async () => {
+    const file = path.join(directory, 'logs', 'audit.jsonl');
+    const sink = new FileAuditSink({ path: file });
+
+    await Promise.all(Array.from({ length: 10 }, (_, i) => sink.write({ type: 'request', i })));
+    await sink.close();
+
+    assert.deepEqual((await readLines(file)).map(e => e.i), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  test('rotates files past maxSize, keeping maxFiles', async () => {
+    const file = path.join(directory, 'audit.jsonl');
+    const sink = new FileAuditSink({ path: file, maxSize: 30, maxFiles: 2 });
+
+    // Each line is 25 bytes, so every line starts a new file
+    for (let i = 0; i < 4; i++) {
+      await sink.write({ type: 'request', i });
+    }
+
+    assert.deepEqual((await fs.readdir(directory)).sort(), ['audit.jsonl', 'audit.jsonl.1', 'audit.jsonl.2']);
+    assert.deepEqual((await readLines(file)).map(e => e.i), [3]);
+    assert.deepEqual((await readLines(`${file}.2`)).map(e => e.i), [1]);
+  });
+});
+
+describe('WebhookAuditSink', () => {
+  let server;
+  let url;
+  let batches;
+  let status;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (data) => { body += data; });
+      req.on('end', () => {
+        batches.push({ authorization: req.headers.authorization, events: JSON.parse(body).events });
+        res.writeHead(status);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/audit`;
+  });
+
+  beforeEach(() => {
+    batches = [];
+    status = 200;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('posts full batches at once and the rest on close', async () => {
+    const sink = new WebhookAuditSink({ url, batchSize: 2, flushInterval: 60000, headers: { Authorization: 'Bearer t' } });
+
+    await sink.write({ type: 'request', i: 1 });
+    await sink.write({ type: 'request', i: 2 });
+    await sink.write({ type: 'request', i: 3 });
+    assert.deepEqual(batches.map(b => b.events.map(e => e.i)), [[1, 2]]);
+
+    await sink.close();
+    assert.deepEqual(batches.map(b => b.events.map(e => e.i)), [[1, 2], [3]]);
+    assert.equal(batches[0].authorization, 'Bearer t');
+  });
+
+  test('flushes after flushInterval and reports failed batches', async () => {
+    const sink = new WebhookAuditSink({ url, flushInterval: 10 });
+    sink.write({ type: 'request' });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(batches.length, 1);
+
+    status = 500;
+    sink.write({ type: 'error' });
+    sink.write({ type: 'error' });
+    await assert.rejects(sink.close(), /Webhook responded with 500 \(2 events dropped\)/);
+  });
+});
+
+describe('audit on the server', () => {
+  let server;
+  let base;
+  const written = [];
+
+  const get = async (query, key) => {
+    const response = await fetch(`${base}/admin/audit${query}`, { headers: { 'X-API-Key': key } });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    server = new ChatServer({
+      provider: new MockProvider(),
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      enableWebSocket: false,
+      guardrails: { logViolations: false, enablePiiFilter: true },
+      audit: { sinks: [{ type: 'callback', events: ['moderation'], callback: event => written.push(event) }] },
+      auth: {
+        apiKeys: [
+          { key: 'acme-key', name: 'acme', tenantId: 'acme', userId: 'backend' },
+          { key: 'admin-key', name: 'ops', tenantId: 'ops', userId: 'ops', admin: true }
+        ]
+      }
+    });
+    await new Promise(resolve => server.start(resolve));
+    base = `http://127.0.0.1:${server.server.address().port}`;
+
+    await fetch(`${base}/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': 'acme-key' },
+      body: JSON.stringify({ message: 'My card is 4111 1111 1111 1111' })
+    });
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  test('is only open to admins', async () => {
+    const { status, body } = await get('', 'acme-key');
+
+    assert.equal(status, 403);
+    assert.equal(body.code, 'FORBIDDEN');
+  });
+
+  test('returns filtered events without message content', async () => {
+    const { status, body } = await get('?type=moderation&code=PII_DETECTED&keyId=acme', 'admin-key');
+
+    assert.equal(status, 200);
+    assert.equal(body.count, 1);
+    const [event] = body.events;
+    assert.deepEqual([event.stage, event.allowed, event.tenantId], ['input', false, 'acme']);
+    assert.deepEqual(event.checks, [{ check: 'pii', code: 'PII_DETECTED', severity: 'high', action: 'reject' }]);
+    assert.ok(!JSON.stringify(body).includes('4111'));
+
+    // Sinks get the same events
+    assert.deepEqual(written.map(e => e.id), [event.id]);
+  });
+
+  test('rejects invalid time filters', async () => {
+    const { status, body } = await get('?from=yesterday', 'admin-key');
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_ERROR');
+  });
+});
@@ -0,0 +1,190 @@
+const { describe, test, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { ChatServer, MockProvider, Auth } = require('../src');
+
+const SECRET = 'test-secret';
+const NOW = 1700000000;
+
+// A request carrying the given headers
+const request = headers => ({ headers, url: '/' });
+
+// Sign a token with any header, to build tokens Auth#signToken won't
+function sign(header, claims, secret = SECRET) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const body = `${encode(header)}.${encode(claims)}`;
+  return `${body}.${crypto.createHmac('sha256', secret).update(body).digest('base64url')}`;
+}
+
+describe('Auth', () => {
+  const auth = new Auth({
+    apiKeys: ['plain-key', { key: 'acme-key', tenantId: 'acme', userId: 'backend', name: 'acme-backend', admin: true }],
+    jwt: { secret: SECRET, issuer: 'https://auth.example.com', audience: 'chat-api' }
+  });
+  const claims = { sub: 'user-1', tenant_id: 'acme', iss: 'https://auth.example.com', aud: 'chat-api' };
+  const verify = token => auth.authenticate(request({ authorization: `Bearer ${token}` }));
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('is open until credentials are configured', () => {
+    const open = new Auth();
+    assert.equal(open.enabled, false);
+    assert.deepEqual(open.authenticate(request({})), { authenticated: true, principal: Auth.ANONYMOUS });
+    assert.equal(open.canAccess({ tenantId: 'a', userId: 'b' }, Auth.ANONYMOUS), true);
+    assert.equal(open.isAdmin(Auth.ANONYMOUS), true);
+  });
+
+  test('resolves API keys from either header', () => {
+    const { principal } = auth.authenticate(request({ 'x-api-key': 'acme-key' }));
+    assert.deepEqual(principal, { type: 'api_key', keyId: 'acme-backend', tenantId: 'acme', userId: 'backend', admin: true });
+
+    const plain = auth.authenticate(request({ authorization: 'Bearer plain-key' })).principal;
+    assert.equal(plain.tenantId, null);
+    assert.match(plain.keyId, /^key_[0-9a-f]{12}$/);
+    assert.equal(auth.isAdmin(plain), false);
+
+    assert.equal(auth.authenticate(request({})).code, 'AUTH_REQUIRED');
+    assert.equal(auth.authenticate(request({ 'x-api-key': 'wrong' })).code, 'INVALID_API_KEY');
+  });
+
+  test('verifies JWT signature, issuer, audience and user', () => {
+    const { principal } = verify(auth.signToken({ ...claims, admin: true }));
+    assert.equal(principal.type, 'jwt');
+    assert.equal(principal.tenantId, 'acme');
+    assert.equal(principal.userId, 'user-1');
+    assert.equal(principal.admin, true);
+
+    const rejected = token => verify(token).reason;
+    assert.equal(rejected(auth.signToken(claims).slice(0, -2)), 'Invalid token signature');
+    assert.equal(rejected(sign({ alg: 'HS256' }, claims, 'other-secret')), 'Invalid token signature');
+    assert.equal(rejected(sign({ alg: 'none' }, claims)), 'Unsupported token algorithm');
+    assert.equal(rejected(auth.signToken({ ...claims, iss: 'https://evil.example.com' })), 'Invalid token issuer');
+    assert.equal(rejected(auth.signToken({ ...claims, aud: ['other-api'] })), 'Invalid token audience');
+    assert.equal(rejected(auth.signToken({ ...claims, sub: undefined })), 'Token has no user id');
+    assert.equal(rejected('not.a.token'), 'Malformed token');
+  });
+
+  test('rejects expired, not yet valid and non-numeric exp / nbf claims', () => {
+    mock.method(Date, 'now', () => NOW * 1000);
+
+    assert.equal(verify(auth.signToken({ ...claims, exp: NOW + 60, nbf: NOW - 60 })).authenticated, true);
+
+    const expired = verify(auth.signToken({ ...claims, exp: NOW - 1 }));
+    assert.equal(expired.code, 'TOKEN_EXPIRED');
+    assert.equal(verify(auth.signToken({ ...claims, nbf: NOW + 60 })).reason, 'Token not yet valid');
+
+    for (const value of ['9999999999', null, true, {}, [NOW + 60]]) {
+      assert.deepEqual(verify(auth.signToken({ ...claims, exp: value })), {
+        authenticated: false, reason: 'Invalid exp claim', code: 'INVALID_TOKEN'
+      }, `exp: ${JSON.stringify(value)}`);
+      assert.equal(verify(auth.signToken({ ...claims, nbf: value })).reason, 'Invalid nbf claim');
+    }
+
+    // clockTolerance allows for clock skew
+    const lenient = new Auth({ jwt: { secret: SECRET, clockTolerance: 5 } });
+    const token = lenient.signToken({ sub: 'user-1', exp: NOW - 3 });
+    assert.equal(lenient.authenticate(request({ authorization: `Bearer ${token}` })).authenticated, true);
+  });
+});
+
+describe('authenticated server', () => {
+  let server;
+  let base;
+  let token;
+
+  const call = async (method, path, key, body) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(key && { Authorization: `Bearer ${key}` }) },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    server = new ChatServer({
+      provider: new MockProvider(),
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      guardrails: { logViolations: false },
+      auth: {
+        apiKeys: [
+          { key: 'acme-key', tenantId: 'acme', userId: 'backend' },
+          { key: 'globex-key', tenantId: 'globex', userId: 'backend' }
+        ],
+        jwt: { secret: SECRET }
+      }
+    });
+    await new Promise(resolve => server.start(resolve));
+    base = `http://127.0.0.1:${server.server.address().port}`;
+    token = server.auth.signToken({ sub: 'backend', tenant_id: 'acme' });
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  test('requires credentials except on public paths', async () => {
+    assert.equal((await call('GET', '/health')).status, 200);
+
+    const missing = await call('POST', '/chat', null, { message: 'Hi' });
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, 'AUTH_REQUIRED');
+
+    const v1 = await call('GET', '/v1/models', 'wrong-key');
+    assert.equal(v1.status, 401);
+    assert.deepEqual(v1.body.error, {
+      message: 'Invalid API key', type: 'authentication_error', param: null, code: 'INVALID_API_KEY'
+    });
+  });
+
+  test('keeps conversations apart per tenant', async () => {
+    const { body: { conversationId } } = await call('POST', '/chat', 'acme-key', { message: 'Our plans' });
+
+    // Same tenant and user, through a JWT
+    assert.equal((await call('GET', `/conversation/${conversationId}`, token)).status, 200);
+
+    const other = await call('GET', `/conversation/${conversationId}`, 'globex-key');
+    assert.equal(other.status, 404);
+    assert.equal(other.body.code, 'CONVERSATION_NOT_FOUND');
+
+    // Continuing someone else's conversation starts a new one
+    const reply = await call('POST', '/chat', 'globex-key', { conversationId, message: 'Show me' });
+    assert.notEqual(reply.body.conversationId, conversationId);
+    assert.equal((await call('DELETE', `/conversation/${conversationId}`, 'globex-key')).status, 404);
+
+    const ids = async key => (await call('GET', '/conversations', key)).body.conversations.map(c => c.id);
+    assert.ok((await ids('acme-key')).includes(conversationId));
+    assert.ok(!(await ids('globex-key')).includes(conversationId));
+    assert.ok((await ids('globex-key')).includes(reply.body.conversationId));
+
+    assert.equal((await call('GET', '/admin/audit', 'acme-key')).body.code, 'FORBIDDEN');
+  });
+
+  test('authenticates WebSocket upgrades from the query string', async () => {
+    const url = `${base.replace('http', 'ws')}/ws`;
+
+    const rejected = await new Promise((resolve) => {
+      const ws = new WebSocket(url);
+      ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+      ws.on('error', () => {});
+    });
+    assert.equal(rejected, 401);
+
+    const ws = new WebSocket(`${url}?token=${token}`);
+    const connected = await new Promise((resolve, reject) => {
+      ws.on('message', data => resolve(JSON.parse(data)));
+      ws.on('error', reject);
+    });
+    ws.close();
+    assert.equal(connected.type, 'connected');
+
+    const session = await server.store.get(connected.sessionId);
+    assert.deepEqual([session.tenantId, session.userId], ['acme', 'backend']);
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatClient, MockProvider } = require('../src');
+
+const MESSAGES = [{ role: 'user', content: 'Hi' }];
+const unavailable = (headers) => ({ error: { status: 503, message: 'Over capacity', ...(headers && { headers }) } });
+
+// A client whose retry waits are recorded instead of slept
+function createClient(responses, options = {}) {
+  const provider = new MockProvider({ responses });
+  const client = new ChatClient({ provider, model: 'primary', ...options });
+  const sleeps = [];
+  mock.method(client, '_sleep', async (ms) => { sleeps.push(ms); });
+  return { client, provider, sleeps };
+}
+
+describe('ChatClient retries', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('retries transient errors with exponential backoff', async () => {
+    mock.method(Math, 'random', () => 1);
+    const { client, provider, sleeps } = createClient([unavailable(), { error: { status: 429 } }, 'Hello']);
+
+    const result = await client.chat(MESSAGES);
+
+    assert.equal(result.success, true);
+    assert.equal(result.message.content, 'Hello');
+    assert.equal(result.attempts, 3);
+    assert.equal(provider.calls.length, 3);
+    assert.deepEqual(sleeps, [500, 1000]);
+  });
+
+  test('caps the backoff at maxDelay and gives up after maxRetries', async () => {
+    mock.method(Math, 'random', () => 1);
+    const { client, provider, sleeps } = createClient(
+      Array(4).fill(unavailable()),
+      { retry: { maxRetries: 3, baseDelay: 100, maxDelay: 250 } }
+    );
+
+    const result = await client.chat(MESSAGES);
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.error, {
+      message: 'Over capacity', code: 'UNKNOWN_ERROR', status: 503, model: 'primary', attempts: 4
+    });
+    assert.equal(provider.calls.length, 4);
+    assert.deepEqual(sleeps, [100, 200, 250]);
+  });
+
+  test('does not retry client errors', async () => {
+    const { client, provider } = createClient([{ error: { status: 400, message: 'Bad request', code: 'invalid' } }]);
+
+    const result = await client.chat(MESSAGES);
+
+    assert.equal(result.error.code, 'invalid');
+    assert.equal(result.error.attempts, 1);
+    assert.equal(provider.calls.length, 1);
+  });
+
+  test('waits as long as Retry-After asks', async () => {
+    mock.method(Date, 'now', () => Date.parse('2026-01-01T00:00:00Z'));
+    const { client, sleeps } = createClient([
+      unavailable({ 'retry-after-ms': '150' }),
+      unavailable({ 'retry-after': '2' }),
+      unavailable({ 'retry-after': 'Thu, 01 Jan 2026 00:00:03 GMT' }),
+      'Hello'
+    ], { retry: { maxRetries: 3 } });
+
+    const result = await client.chat(MESSAGES);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(sleeps, [150, 2000, 3000]);
+  });
+
+  test('falls back to the next model when one is out of capacity', async () => {
+    const { client, provider, sleeps } = createClient([
+      unavailable(),
+      unavailable({ 'retry-after': '120' }),
+      'From the fallback'
+    ], { fallbackModels: ['primary', 'backup'] });
+
+    const result = await client.chat(MESSAGES);
+
+    assert.equal(result.success, true);
+    assert.equal(result.model, 'backup');
+    assert.equal(result.attempts, 3);
+    // A Retry-After over maxRetryAfter moves on without waiting
+    assert.equal(sleeps.length, 1);
+    assert.deepEqual(provider.calls.map(c => c.model), ['primary', 'primary', 'backup']);
+
+    // Fallbacks can be set per request
+    provider.enqueue(unavailable(), unavailable(), unavailable(), 'Other');
+    const other = await client.chat(MESSAGES, { fallbackModels: ['other'] });
+    assert.equal(other.model, 'other');
+  });
+
+  test('times out slow requests and retries them', async () => {
+    const { client, provider } = createClient(
+      [{ content: 'Too late', delay: 1000 }, 'In time'],
+      { timeout: 20 }
+    );
+
+    const result = await client.chat(MESSAGES);
+    assert.equal(result.success, true);
+    assert.equal(result.message.content, 'In time');
+    assert.equal(provider.calls.length, 2);
+
+    provider.enqueue({ delay: 1000 });
+    const failed = await client.chat(MESSAGES, { retry: { maxRetries: 0 } });
+    assert.equal(failed.error.code, 'TIMEOUT');
+    assert.equal(failed.error.status, 504);
+  });
+
+  test('applies the timeout to the gaps between stream chunks', async () => {
+    const { client, provider } = createClient(
+      [{ content: 'Slow and steady stream', chunkDelay: 15 }],
+      { timeout: 60 }
+    );
+    provider.chunkSize = 4;
+
+    // Slower in total than the timeout, but each chunk arrives in time
+    const chunks = [];
+    const result = await client.streamChat(MESSAGES, chunk => chunks.push(chunk));
+    assert.equal(result.success, true);
+    assert.equal(result.message.content, 'Slow and steady stream');
+    assert.equal(chunks.at(-1).done, true);
+
+    provider.enqueue({ content: 'Stalls', chunkDelay: 1000 });
+    const stalled = await client.streamChat(MESSAGES, () => {}, { retry: { maxRetries: 0 } });
+    assert.equal(stalled.error.code, 'TIMEOUT');
+  });
+
+  test('stops retrying when the request is cancelled', async () => {
+    const { client, provider } = createClient([unavailable(), 'Never sent']);
+    const controller = new AbortController();
+    client._sleep.mock.mockImplementation(async () => controller.abort());
+
+    const result = await client.chat(MESSAGES, { signal: controller.signal });
+
+    assert.equal(result.cancelled, true);
+    assert.equal(result.error.code, 'CANCELLED');
+    assert.equal(provider.calls.length, 1);
+  });
+});
@@ -0,0 +1,182 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatClient, ChatServer, ContextManager, MockProvider } = require('../src');
+
+// A message of 24 estimated tokens (80 characters plus the message overhead)
+const message = (i, role = i % 2 ? 'assistant' : 'user') => ({ role, content: `${i}`.padEnd(80, '.') });
+const conversation = (count, fields = {}) => ({
+  systemPrompt: 'S',
+  messages: Array.from({ length: count }, (_, i) => message(i)),
+  ...fields
+});
+const contents = messages => messages.map(m => m.content[0]);
+
+// Budget: 200 - 100 for the reply - 5 for the system prompt = 95 tokens, three messages
+const SETTINGS = { defaultContextLimit: 200, safetyMargin: 0 };
+const OPTIONS = { model: 'tiny', maxTokens: 100 };
+
+describe('ContextManager', () => {
+  test('estimates tokens from text length', () => {
+    const manager = new ContextManager();
+
+    assert.equal(manager.estimateTokens(''), 0);
+    assert.equal(manager.estimateTokens('abcde'), 2);
+    assert.equal(manager.estimateMessageTokens(message(0)), 24);
+    assert.equal(manager.estimateMessageTokens({
+      role: 'assistant',
+      content: null,
+      tool_calls: [{ function: { name: 'lookup', arguments: '{"q":"x"}' } }]
+    }), 4 + 2 + 3);
+
+    assert.equal(manager.getContextLimit('llama-3.3-70b-versatile'), 131072);
+    assert.equal(manager.getContextLimit('tiny'), 8192);
+    assert.equal(new ContextManager({ contextLimits: { tiny: 512 } }).getContextLimit('tiny'), 512);
+  });
+
+  test('drop-oldest keeps the newest messages that fit', async () => {
+    const manager = new ContextManager(SETTINGS);
+
+    const built = await manager.build(conversation(6), OPTIONS);
+    assert.deepEqual(built.messages[0], { role: 'system', content: 'S' });
+    assert.deepEqual(contents(built.messages.slice(1)), ['3', '4', '5']);
+    assert.equal(built.trimmed, 3);
+    assert.equal(built.tokens, 5 + 3 * 24);
+
+    // Everything fits in a large window
+    const roomy = await new ContextManager().build(conversation(6), OPTIONS);
+    assert.equal(roomy.trimmed, 0);
+
+    // maxMessages limits the history too
+    const capped = await new ContextManager({ maxMessages: 2 }).build(conversation(6), OPTIONS);
+    assert.deepEqual(contents(capped.messages.slice(1)), ['4', '5']);
+  });
+
+  test('keep-first-last keeps the opening messages and the newest ones', async () => {
+    const manager = new ContextManager({ ...SETTINGS, strategy: 'keep-first-last', keepFirst: 1 });
+
+    const built = await manager.build(conversation(6), OPTIONS);
+    assert.deepEqual(contents(built.messages.slice(1)), ['0', '4', '5']);
+  });
+
+  test('keeps tool calls together with their results', async () => {
+    const manager = new ContextManager(SETTINGS);
+    const toolCall = { id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{}' } };
+
+    const built = await manager.build({
+      systemPrompt: 'S',
+      messages: [
+        { role: 'tool', tool_call_id: 'orphan', content: 'lost' },
+        message(0),
+        { role: 'assistant', content: null, tool_calls: [toolCall], params: { model: 'tiny' } },
+        { role: 'tool', tool_call_id: 'call_1', name: 'lookup', content: 'x'.repeat(120) },
+        message(1),
+        message(2, 'user')
+      ]
+    }, OPTIONS);
+
+    // The tool turn needs 45 tokens, so it goes together with the message before it
+    assert.deepEqual(built.messages.slice(1).map(m => m.role), ['assistant', 'tool', 'assistant', 'user']);
+    assert.deepEqual(built.messages[1], { role: 'assistant', content: null, tool_calls: [toolCall] });
+    assert.equal(built.messages[2].tool_call_id, 'call_1');
+  });
+
+  test('summarize replaces overflowing messages with a stored summary', async () => {
+    const provider = new MockProvider({ responses: ['The user [EMAIL_1] asked about 0 to 3.'] });
+    const manager = new ContextManager({
+      ...SETTINGS,
+      strategy: 'summarize',
+      summaryMaxTokens: 20,
+      chatClient: new ChatClient({ provider })
+    });
+    const calls = [];
+    const protect = text => text.replaceAll('bob@example.com', '[EMAIL_1]');
+    const restore = text => text.replaceAll('[EMAIL_1]', 'bob@example.com');
+
+    const history = conversation(6);
+    history.messages[0].content = `0 bob@example.com`.padEnd(80, '.');
+    const built = await manager.build(history, {
+      ...OPTIONS,
+      protect,
+      restore,
+      onResult: (result, messages) => calls.push({ result, messages })
+    });
+
+    assert.equal(built.summaryChanged, true);
+    assert.equal(built.summary.content, 'The user bob@example.com asked about 0 to 3.');
+    assert.equal(built.summary.messageCount, 4);
+    assert.deepEqual(contents(built.messages.slice(2)), ['4', '5']);
+    assert.equal(built.messages[1].content, 'Summary of the earlier conversation:\nThe user [EMAIL_1] asked about 0 to 3.');
+
+    // The model only ever sees protected text
+    const [call] = provider.calls;
+    assert.equal(call.max_tokens, 20);
+    assert.match(call.messages[1].content, /^user: 0 \[EMAIL_1\]/);
+    assert.ok(!JSON.stringify(provider.calls).includes('bob@example.com'));
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].result.success, true);
+
+    // Summarized messages are not sent again
+    const next = await manager.build({ ...history, summary: built.summary }, OPTIONS);
+    assert.equal(next.summaryChanged, false);
+    assert.deepEqual(contents(next.messages.slice(2)), ['4', '5']);
+    assert.equal(provider.calls.length, 1);
+  });
+
+  test('rejects unknown strategies and accepts custom ones', async () => {
+    await assert.rejects(new ContextManager({ strategy: 'nope' }).build(conversation(1), OPTIONS), /Unknown context strategy: nope/);
+
+    const lastOnly = ({ units }) => ({ units: units.slice(-1) });
+    const built = await new ContextManager({ strategy: lastOnly }).build(conversation(3), OPTIONS);
+    assert.deepEqual(contents(built.messages.slice(1)), ['2']);
+  });
+});
+
+describe('conversation summaries on the server', () => {
+  test('are written with the request provider, on protected text, and billed', async () => {
+    const main = new MockProvider();
+    const local = new MockProvider({
+      respond: params => (params.temperature === 0.2 ? 'The user wrote from [EMAIL_1].' : 'Noted.')
+    });
+    const server = new ChatServer({
+      provider: main,
+      providers: { local },
+      model: 'tiny',
+      maxTokens: 100,
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      enableWebSocket: false,
+      context: { strategy: 'summarize', defaultContextLimit: 700, safetyMargin: 0 },
+      guardrails: { logViolations: false, enablePiiFilter: true }
+    });
+    await new Promise(resolve => server.start(resolve));
+    const base = `http://127.0.0.1:${server.server.address().port}`;
+    const post = async body => (await fetch(`${base}/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ provider: 'local', ...body })
+    })).json();
+
+    try {
+      let reply = await post({ message: `I am bob@example.com ${'pad '.repeat(200)}` });
+      const { conversationId } = reply;
+      for (let i = 0; i < 4; i++) {
+        reply = await post({ conversationId, message: `More ${'pad '.repeat(200)}` });
+      }
+
+      assert.equal(main.calls.length, 0);
+      const summaries = local.calls.filter(c => c.temperature === 0.2);
+      assert.ok(summaries.length > 0);
+      assert.ok(!JSON.stringify(local.calls).includes('bob@example.com'));
+
+      const { summary } = await server.store.get(conversationId);
+      assert.match(summary.content, /bob@example\.com/);
+
+      const records = server.usage.records.filter(r => r.conversationId === conversationId);
+      assert.equal(records.length, local.calls.length);
+    } finally {
+      await new Promise(resolve => server.stop(resolve));
+    }
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { FileConversationStore } = require('../src');
+
+const APPENDS = 20;
+
+const conversation = id => ({
+  id,
+  messages: [],
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString()
+});
+
+const message = i => ({ role: 'user', content: `Message ${i}` });
+
+describe('FileConversationStore', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'conversations-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('keeps parallel appends', async () => {
+    const store = new FileConversationStore({ directory });
+    await store.create(conversation('c1'));
+
+    await Promise.all(Array.from({ length: APPENDS }, (_, i) => store.append('c1', message(i))));
+
+    const { messages } = await store.get('c1');
+    assert.equal(messages.length, APPENDS);
+  });
+
+  for (const processes of [1, 2]) {
+    test(`a delete racing appends stays deleted (${processes} process${processes > 1 ? 'es' : ''})`, async () => {
+      // A second store on the same directory stands in for another process
+      const writer = new FileConversationStore({ directory });
+      const deleter = processes > 1 ? new FileConversationStore({ directory }) : writer;
+      await writer.create(conversation('c1'));
+
+      const appends = Array.from({ length: APPENDS }, (_, i) => writer.append('c1', message(i)));
+      const deleted = new Promise(resolve => setTimeout(resolve, 1)).then(() => deleter.delete('c1'));
+      const results = await Promise.all([...appends, deleted]);
+
+      assert.equal(results.pop(), true);
+      // Appends after the delete find no conversation instead of recreating it
+      const applied = results.filter(Boolean).length;
+      assert.deepEqual(results.slice(applied), Array(APPENDS - applied).fill(null));
+
+      assert.equal(await writer.get('c1'), null);
+      assert.deepEqual(await fs.readdir(directory), []);
+    });
+  }
+
+  test('create waits for the lock of another process', async () => {
+    const store = new FileConversationStore({ directory });
+    await store.create(conversation('c1'));
+
+    const lock = path.join(directory, 'c1.json.lock');
+    await fs.writeFile(lock, '');
+    const created = store.create({ ...conversation('c1'), title: 'Replaced' });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal((await store.get('c1')).title, undefined);
+
+    await fs.unlink(lock);
+    await created;
+    assert.equal((await store.get('c1')).title, 'Replaced');
+  });
+
+  test('delete reports whether the conversation existed', async () => {
+    const store = new FileConversationStore({ directory });
+    await store.create(conversation('c1'));
+
+    assert.equal(await store.delete('c1'), true);
+    assert.equal(await store.delete('c1'), false);
+    assert.equal(await store.delete('../c1'), false);
+    await assert.rejects(store.create(conversation('../c1')), /Invalid conversation id/);
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatServer, Logger, MockProvider } = require('../src');
+
+// A logger collecting its entries instead of writing them
+function capture(options = {}) {
+  const lines = [];
+  const entries = [];
+  const logger = new Logger({
+    ...options,
+    output: (line, entry) => {
+      lines.push(line);
+      entries.push(entry);
+    }
+  });
+  return { logger, lines, entries };
+}
+
+describe('Logger', () => {
+  test('writes its level and above', () => {
+    const { logger, entries } = capture({ level: 'warn' });
+
+    logger.debug('Debug');
+    logger.info('Info');
+    logger.warn('Warn');
+    logger.error('Error');
+
+    assert.deepEqual(entries.map(e => e.level), ['warn', 'error']);
+    assert.equal(Logger.SILENT.isLevelEnabled('error'), false);
+    assert.throws(() => new Logger({ level: 'trace' }), /Unknown log level: trace/);
+  });
+
+  test('formats text and JSON lines', () => {
+    const text = capture();
+    text.logger.child({ component: 'server' }).info('Request completed', { status: 200, path: '/chat', note: 'two words', skipped: undefined });
+    assert.match(text.lines[0], /^\S+ INFO  \[server\] Request completed status=200 path=\/chat note="two words"$/);
+
+    const json = capture({ format: 'json' });
+    json.logger.info('Hi', { count: 2 });
+    const line = JSON.parse(json.lines[0]);
+    assert.deepEqual([line.level, line.msg, line.count], ['info', 'Hi', 2]);
+  });
+
+  test('hides content fields, configured secrets and credentials', () => {
+    const { logger, entries } = capture({ secrets: ['acme-key-123', 'short'], redactFields: ['email'] });
+
+    logger.info('Calling with acme-key-123', {
+      messages: [{ role: 'user', content: 'Hi' }],
+      request: { headers: { Authorization: 'Bearer abc.def', 'X-API-Key': 'acme-key-123' }, email: 'jane@example.com' },
+      error: new Error('Invalid key gsk_abcdefghijklmnopqrstuvwx'),
+      note: 'short stays, token eyJhbGciOi.eyJzdWIiOi.c2lnbmF0dXJl goes',
+      count: 3
+    });
+
+    assert.deepEqual(entries[0], {
+      time: entries[0].time,
+      level: 'info',
+      msg: 'Calling with [REDACTED]',
+      messages: '[REDACTED]',
+      request: { headers: { Authorization: '[REDACTED]', 'X-API-Key': '[REDACTED]' }, email: '[REDACTED]' },
+      error: 'Invalid key [REDACTED]',
+      note: 'short stays, token [REDACTED] goes',
+      count: 3
+    });
+
+    const raw = capture({ redact: false });
+    raw.logger.info('Hi', { content: 'Hello' });
+    assert.equal(raw.entries[0].content, 'Hello');
+  });
+
+  test('adds context fields to lines written inside withContext', async () => {
+    const { logger, entries } = capture();
+    const child = logger.child({ component: 'guardrails' });
+
+    await logger.withContext({ requestId: 'r1' }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      child.info('Inside');
+      logger.withContext({ sessionId: 's1' }, () => logger.info('Nested'));
+    });
+    logger.info('Outside');
+
+    assert.deepEqual(entries.map(e => [e.msg, e.requestId, e.sessionId, e.component]), [
+      ['Inside', 'r1', undefined, 'guardrails'],
+      ['Nested', 'r1', 's1', undefined],
+      ['Outside', undefined, undefined, undefined]
+    ]);
+  });
+});
+
+describe('request ids and logs on the server', () => {
+  let server;
+  let base;
+  const entries = [];
+
+  before(async () => {
+    server = new ChatServer({
+      provider: new MockProvider({ respond: () => 'Hello.' }),
+      port: 0,
+      host: '127.0.0.1',
+      rateLimit: false,
+      enableWebSocket: false,
+      logger: { level: 'debug', output: (line, entry) => entries.push(entry) },
+      guardrails: { logViolations: false },
+      auth: { apiKeys: ['acme-key-123456'] }
+    });
+    await new Promise(resolve => server.start(resolve));
+    base = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  beforeEach(() => {
+    entries.length = 0;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  const post = (body, headers = {}) => fetch(`${base}/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': 'acme-key-123456', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  test('echoes a valid X-Request-Id and tags every log line with it', async () => {
+    const response = await post({ message: 'Hi there' }, { 'X-Request-Id': 'req-42' });
+    await response.json();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(response.headers.get('x-request-id'), 'req-42');
+    const completed = entries.find(e => e.msg === 'Request completed');
+    assert.deepEqual([completed.requestId, completed.status, completed.path], ['req-42', 200, '/chat']);
+    assert.ok(entries.every(e => e.requestId === 'req-42'));
+  });
+
+  test('replaces invalid ids and puts the id in error bodies', async () => {
+    const response = await post({}, { 'X-Request-Id': 'bad id with spaces' });
+    const body = await response.json();
+
+    const id = response.headers.get('x-request-id');
+    assert.match(id, /^[0-9a-f-]{36}$/);
+    assert.equal(body.requestId, id);
+  });
+
+  test('never writes message content or the API keys', async () => {
+    await (await post({ message: 'My secret recipe' })).json();
+    await new Promise(resolve => setImmediate(resolve));
+
+    const logged = JSON.stringify(entries);
+    assert.ok(entries.length > 0);
+    assert.ok(!logged.includes('secret recipe'));
+    assert.ok(!logged.includes('acme-key-123456'));
+  });
+});
@@ -0,0 +1,178 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatServer, MockProvider, ModelParams } = require('../src');
+
+describe('ModelParams', () => {
+  const modelParams = new ModelParams({
+    allow: ['model', 'temperature', 'topP', 'maxTokens', 'stop', 'responseFormat'],
+    models: ['small-model', 'big-model'],
+    maxTokens: { min: 1, max: 1000 },
+    maxStop: 2,
+    defaults: { model: 'small-model', temperature: 0.7, maxTokens: 512 }
+  });
+  const denied = params => {
+    const { code, param } = modelParams.check(params);
+    return [code, param];
+  };
+
+  test('accepts allowed parameters within their ranges', () => {
+    assert.deepEqual(modelParams.check({ model: 'big-model', temperature: 0, topP: 1, maxTokens: 1000, stop: ['a', 'b'] }), { allowed: true });
+    assert.deepEqual(modelParams.check(undefined), { allowed: true });
+  });
+
+  test('names the parameter it rejects', () => {
+    assert.deepEqual(denied({ seed: 1 }), ['PARAM_NOT_ALLOWED', 'seed']);
+    assert.deepEqual(denied({ model: 'huge-model' }), ['MODEL_NOT_ALLOWED', 'model']);
+    assert.deepEqual(denied({ temperature: 2.5 }), ['PARAM_OUT_OF_RANGE', 'temperature']);
+    assert.deepEqual(denied({ topP: -0.1 }), ['PARAM_OUT_OF_RANGE', 'topP']);
+    assert.deepEqual(denied({ maxTokens: 1001 }), ['PARAM_OUT_OF_RANGE', 'maxTokens']);
+    assert.deepEqual(denied({ stop: ['a', 'b', 'c'] }), ['PARAM_OUT_OF_RANGE', 'stop']);
+    assert.deepEqual(denied({ responseFormat: { type: 'json_schema' } }), ['PARAM_NOT_ALLOWED', 'responseFormat']);
+
+    assert.equal(modelParams.check({ maxTokens: 1001 }).reason, 'maxTokens must be between 1 and 1000');
+  });
+
+  test('merges parameter sets and maps them to ChatClient options', () => {
+    const params = ModelParams.merge({ temperature: 0.2, seed: 7 }, null, { topP: 0.5, seed: undefined, stop: ['END'] });
+    assert.deepEqual(params, { temperature: 0.2, seed: 7, topP: 0.5, stop: ['END'] });
+
+    assert.deepEqual(modelParams.chatOptions({ ...params, maxTokens: 20, responseFormat: { type: 'json_object' } }), {
+      temperature: 0.2,
+      maxTokens: 20,
+      extra: { seed: 7, top_p: 0.5, stop: ['END'], response_format: { type: 'json_object' } }
+    });
+    assert.deepEqual(modelParams.chatOptions({}), {});
+  });
+
+  test('fills in server defaults for the parameters a reply used', () => {
+    assert.deepEqual(modelParams.effective({ topP: 0.5 }), { topP: 0.5, model: 'small-model', temperature: 0.7, maxTokens: 512 });
+    assert.equal(modelParams.effective({ model: 'big-model' }, 'small-model').model, 'small-model');
+  });
+});
+
+describe('model parameters on the server', () => {
+  let server;
+  let provider;
+  let base;
+
+  const post = async (path, body) => {
+    const response = await fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  const lastCall = () => {
+    const { messages, ...call } = provider.calls.at(-1);
+    return call;
+  };
+
+  before(async () => {
+    provider = new MockProvider();
+    server = new ChatServer({
+      provider,
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      enableWebSocket: false,
+      model: 'base-model',
+      models: ['big-model'],
+      maxTokens: 256,
+      modelParams: { maxTokens: { min: 1, max: 1000 } }
+    });
+    await new Promise(resolve => server.start(resolve));
+    base = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  beforeEach(() => {
+    provider.reset();
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  test('conversation parameters apply to every request, request ones on top', async () => {
+    const created = await post('/conversation', { params: { temperature: 0.2, seed: 7 } });
+    const { conversationId } = created.body;
+
+    const { body } = await post('/chat', { conversationId, message: 'Hi', params: { model: 'big-model', topP: 0.5, stop: ['END'] } });
+    assert.equal(body.model, 'big-model');
+    assert.deepEqual(lastCall(), { model: 'big-model', temperature: 0.2, max_tokens: 256, seed: 7, top_p: 0.5, stop: ['END'] });
+
+    await post('/chat', { conversationId, message: 'Again', params: { temperature: 1 } });
+    assert.deepEqual(lastCall(), { model: 'base-model', temperature: 1, max_tokens: 256, seed: 7 });
+
+    const { messages } = await server.store.get(conversationId);
+    assert.deepEqual(messages[1].params, { model: 'big-model', temperature: 0.2, seed: 7, topP: 0.5, stop: ['END'], maxTokens: 256 });
+  });
+
+  test('rejects parameters outside the allowlist before calling the model', async () => {
+    const { status, body } = await post('/chat', { message: 'Hi', params: { maxTokens: 5000 } });
+    assert.equal(status, 400);
+    assert.deepEqual([body.code, body.error, body.details], ['PARAM_OUT_OF_RANGE', 'maxTokens must be between 1 and 1000', { param: 'maxTokens' }]);
+
+    const conversation = await post('/conversation', { params: { model: 'huge-model' } });
+    assert.deepEqual([conversation.status, conversation.body.code], [400, 'MODEL_NOT_ALLOWED']);
+    assert.equal(provider.calls.length, 0);
+  });
+
+  test('/v1 maps OpenAI fields and reports errors by field name', async () => {
+    const messages = [{ role: 'user', content: 'Hi' }];
+
+    // Clients always send a model; the server's own needs no allowlisting
+    const ok = await post('/v1/chat/completions', { model: 'base-model', top_p: 0.3, seed: 1, max_completion_tokens: 20, messages });
+    assert.equal(ok.status, 200);
+    assert.deepEqual(lastCall(), { model: 'base-model', temperature: 0.7, max_tokens: 20, top_p: 0.3, seed: 1 });
+
+    const range = await post('/v1/chat/completions', { model: 'base-model', max_tokens: 5000, max_completion_tokens: 20, messages });
+    assert.equal(range.status, 400);
+    assert.deepEqual(range.body.error, {
+      message: 'max_tokens must be between 1 and 1000',
+      type: 'invalid_request_error',
+      param: 'max_tokens',
+      code: 'PARAM_OUT_OF_RANGE'
+    });
+
+    const model = await post('/v1/chat/completions', { model: 'other-model', messages });
+    assert.deepEqual([model.body.error.code, model.body.error.param], ['MODEL_NOT_ALLOWED', 'model']);
+    assert.equal(provider.calls.length, 1);
+  });
+});
+
+describe('model parameters turned off', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    server = new ChatServer({
+      provider: new MockProvider(),
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      enableWebSocket: false,
+      modelParams: false
+    });
+    await new Promise(resolve => server.start(resolve));
+    base = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  test('rejects every parameter', async () => {
+    const response = await fetch(`${base}/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Hi', params: { temperature: 0.5 } })
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.deepEqual([body.code, body.details], ['PARAM_NOT_ALLOWED', { param: 'temperature' }]);
+  });
+});
@@ -0,0 +1,201 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { ChatServer, MockProvider } = require('../src');
+const { Tracer, OtlpHttpExporter } = require('../src/telemetry');
+
+/**
+ * Local stand-in for an OpenTelemetry collector: records every request
+ * and answers with `status`
+ */
+function createCollectorStub({ status = 200 } = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (data) => { body += data; });
+    req.on('end', () => {
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+
+  return {
+    requests,
+    // Spans of every request, in the order they were sent
+    spans: () => requests.flatMap(r => r.body.resourceSpans[0].scopeSpans[0].spans),
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port))),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Plain object of an OTLP attribute list
+const attributes = list => Object.fromEntries(list.map(({ key, value }) => [key, value]));
+
+describe('OtlpHttpExporter', () => {
+  let collector;
+  let url;
+
+  const start = async (options = {}) => {
+    collector = createCollectorStub(options);
+    url = `http://127.0.0.1:${await collector.listen()}/v1/traces`;
+  };
+
+  afterEach(async () => {
+    if (collector) await collector.close();
+    collector = null;
+  });
+
+  test('posts spans as OTLP/JSON', async () => {
+    await start();
+    const exporter = new OtlpHttpExporter({ url, headers: { 'x-api-key': 'k' } });
+    const tracer = new Tracer({ serviceName: 'test-service', exporter, resource: { 'deployment.environment': 'test' } });
+
+    await tracer.trace('parent', { kind: 'server', attributes: { 'http.route': '/chat' } }, async () => {
+      const child = tracer.startSpan('child', {
+        kind: 'client',
+        attributes: { count: 3, ratio: 0.5, cached: false, tags: ['a', 'b'] }
+      });
+      child.addEvent('retry', { attempt: 1 });
+      child.recordError({ code: 'UPSTREAM_ERROR', message: 'busy' });
+      child.end();
+    });
+    await exporter.flush();
+
+    assert.equal(collector.requests.length, 1);
+    const [request] = collector.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.path, '/v1/traces');
+    assert.equal(request.headers['content-type'], 'application/json');
+    assert.equal(request.headers['x-api-key'], 'k');
+
+    const [resourceSpans] = request.body.resourceSpans;
+    assert.deepEqual(attributes(resourceSpans.resource.attributes), {
+      'service.name': { stringValue: 'test-service' },
+      'deployment.environment': { stringValue: 'test' }
+    });
+    assert.deepEqual(resourceSpans.scopeSpans[0].scope, { name: 'groq-server-sdk' });
+
+    // The child ends first, so it is sent first
+    const [child, parent] = resourceSpans.scopeSpans[0].spans;
+    assert.equal(parent.name, 'parent');
+    assert.equal(parent.kind, 2);
+    assert.match(parent.traceId, /^[0-9a-f]{32}$/);
+    assert.match(parent.spanId, /^[0-9a-f]{16}$/);
+    assert.equal(parent.parentSpanId, undefined);
+    assert.deepEqual(parent.status, { code: 0 });
+    assert.deepEqual(attributes(parent.attributes), { 'http.route': { stringValue: '/chat' } });
+
+    assert.equal(child.name, 'child');
+    assert.equal(child.kind, 3);
+    assert.equal(child.traceId, parent.traceId);
+    assert.equal(child.parentSpanId, parent.spanId);
+    assert.deepEqual(attributes(child.attributes), {
+      count: { intValue: '3' },
+      ratio: { doubleValue: 0.5 },
+      cached: { boolValue: false },
+      tags: { arrayValue: { values: [{ stringValue: 'a' }, { stringValue: 'b' }] } }
+    });
+    assert.deepEqual(child.events.map(e => [e.name, attributes(e.attributes)]), [
+      ['retry', { attempt: { intValue: '1' } }],
+      ['exception', { 'exception.type': { stringValue: 'UPSTREAM_ERROR' }, 'exception.message': { stringValue: 'busy' } }]
+    ]);
+    assert.deepEqual(child.status, { code: 2, message: 'busy' });
+
+    for (const span of [parent, child]) {
+      assert.match(span.startTimeUnixNano, /^\d+$/);
+      assert.ok(BigInt(span.endTimeUnixNano) >= BigInt(span.startTimeUnixNano));
+    }
+  });
+
+  test('sends a batch once batchSize spans are waiting', async () => {
+    await start();
+    const exporter = new OtlpHttpExporter({ url, batchSize: 2, flushInterval: 60000 });
+    const tracer = new Tracer({ exporter });
+
+    tracer.startSpan('one').end();
+    assert.equal(collector.requests.length, 0);
+
+    await exporter.export([tracer.startSpan('two')], tracer);
+    assert.equal(collector.requests.length, 1);
+    assert.deepEqual(collector.spans().map(s => s.name), ['one', 'two']);
+
+    await exporter.shutdown();
+    assert.equal(collector.requests.length, 1);
+  });
+
+  test('rejects a batch the collector refuses', async () => {
+    await start({ status: 503 });
+    const exporter = new OtlpHttpExporter({ url });
+
+    exporter.export([new Tracer().startSpan('lost')]);
+    await assert.rejects(exporter.flush(), /Collector responded with 503 \(1 spans dropped\)/);
+  });
+
+  test('exports the spans of a server request, and serves its metrics', async () => {
+    await start();
+    const provider = new MockProvider({
+      responses: [{ content: 'Hi there', usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 } }]
+    });
+    const server = new ChatServer({
+      provider,
+      model: 'mock-model',
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      enableWebSocket: false,
+      auth: { publicPaths: ['/metrics'] },
+      tracing: { serviceName: 'chat-test', exporter: { url, flushInterval: 60000 } }
+    });
+    await new Promise(resolve => server.start(resolve));
+    const base = `http://127.0.0.1:${server.server.address().port}`;
+
+    try {
+      const traceId = '0af7651916cd43dd8448eb211c80319c';
+      const response = await fetch(`${base}/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', traceparent: `00-${traceId}-b7ad6b7169203331-01` },
+        body: JSON.stringify({ message: 'Hello' })
+      });
+      assert.equal(response.status, 200);
+
+      const metrics = await (await fetch(`${base}/metrics`)).text();
+      assert.match(metrics, /^# TYPE http_requests_total counter$/m);
+      assert.match(metrics, /^http_requests_total\{method="POST",route="\/chat",status="200"\} 1$/m);
+      assert.match(metrics, /^# TYPE http_request_duration_seconds histogram$/m);
+      assert.match(metrics, /^http_request_duration_seconds_count\{method="POST",route="\/chat"\} 1$/m);
+      assert.match(metrics, /^llm_tokens_total\{provider="mock",model="mock-model",type="prompt"\} 12$/m);
+      assert.match(metrics, /^llm_tokens_total\{provider="mock",model="mock-model",type="completion"\} 3$/m);
+      assert.match(metrics, /^llm_upstream_requests_total\{provider="mock",model="mock-model",status="ok"\} 1$/m);
+
+      await server.tracer.close();
+    } finally {
+      await new Promise(resolve => server.stop(resolve));
+    }
+
+    const spans = collector.spans();
+    const byName = name => spans.find(s => s.name === name);
+    assert.deepEqual(attributes(collector.requests[0].body.resourceSpans[0].resource.attributes), {
+      'service.name': { stringValue: 'chat-test' }
+    });
+
+    // The request span continues the caller's trace
+    const request = byName('POST /chat');
+    assert.equal(request.kind, 2);
+    assert.equal(request.traceId, '0af7651916cd43dd8448eb211c80319c');
+    assert.equal(request.parentSpanId, 'b7ad6b7169203331');
+
+    const chat = byName('chat mock-model');
+    assert.equal(chat.kind, 3);
+    assert.equal(chat.parentSpanId, request.spanId);
+    const chatAttributes = attributes(chat.attributes);
+    assert.deepEqual(chatAttributes['gen_ai.usage.input_tokens'], { intValue: '12' });
+    assert.deepEqual(chatAttributes['gen_ai.usage.output_tokens'], { intValue: '3' });
+
+    for (const name of ['guardrails.moderate_input', 'guardrails.moderate_output', 'store.append']) {
+      assert.equal(byName(name).parentSpanId, request.spanId, name);
+    }
+    assert.ok(spans.filter(s => s.name !== 'GET /metrics').every(s => s.traceId === request.traceId));
+  });
+});
@@ -0,0 +1,162 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatServer, MockProvider, PiiDetector } = require('../src');
+
+const found = (detector, text) => detector.detect(text).map(f => [f.type, f.value]);
+
+describe('PiiDetector', () => {
+  const detector = new PiiDetector();
+
+  test('detects each type, validating checksums', () => {
+    assert.deepEqual(found(detector, 'Mail jane.doe@example.com or call +1 415-555-0132'), [
+      ['email', 'jane.doe@example.com'],
+      ['phone', '+1 415-555-0132']
+    ]);
+    assert.deepEqual(found(detector, 'Card 4111 1111 1111 1111, not 4111 1111 1111 1112'), [
+      ['creditCard', '4111 1111 1111 1111']
+    ]);
+    assert.deepEqual(found(detector, 'IBAN GB82 WEST 1234 5698 7654 32 and GB00WEST12345698765432'), [
+      ['iban', 'GB82 WEST 1234 5698 7654 32']
+    ]);
+    assert.deepEqual(found(detector, 'SSN 123-45-6789, not 000-12-3456'), [['ssn', '123-45-6789']]);
+    assert.deepEqual(found(detector, 'From 192.168.1.20 and 2001:db8::1, version 1.2.3'), [
+      ['ipAddress', '192.168.1.20'],
+      ['ipAddress', '2001:db8::1']
+    ]);
+    assert.deepEqual(found(detector, 'Use gsk_abcdefghijklmnopqrstuvwx or api_key: "abc123def456ghi"'), [
+      ['secret', 'gsk_abcdefghijklmnopqrstuvwx'],
+      ['secret', 'abc123def456ghi']
+    ]);
+
+    // Order numbers and timestamps are not phone numbers
+    assert.deepEqual(found(detector, 'Order 20240501123456 at 1714567890'), []);
+  });
+
+  test('uses the configured actions', () => {
+    const custom = new PiiDetector({ actions: { email: 'mask', phone: false } });
+
+    const [email] = custom.detect('jane@example.com, +44 20 7946 0958');
+    assert.equal(email.action, 'mask');
+    assert.equal(custom.detect('+44 20 7946 0958').length, 0);
+    assert.equal(detector.detect('4111111111111111')[0].action, 'block');
+  });
+
+  test('tokenizes values consistently and restores them', () => {
+    const vault = detector.createVault();
+
+    const first = detector.replace('Write to jane@example.com from 10.0.0.1', { vault });
+    assert.equal(first.text, 'Write to [EMAIL_1] from [IP_ADDRESS]');
+    assert.deepEqual(first.findings.map(f => f.replacement), ['[EMAIL_1]', '[IP_ADDRESS]']);
+
+    const second = detector.replace('Copy bob@example.com and jane@example.com', { vault });
+    assert.equal(second.text, 'Copy [EMAIL_2] and [EMAIL_1]');
+
+    assert.equal(
+      detector.restore('Sent to [EMAIL_1], cc [EMAIL_2], not [EMAIL_3]', vault),
+      'Sent to jane@example.com, cc bob@example.com, not [EMAIL_3]'
+    );
+
+    // Without a vault tokenized types are masked
+    assert.equal(detector.replace('jane@example.com').text, '[EMAIL]');
+    assert.equal(detector.replace('jane@example.com', { actions: ['mask'] }).text, 'jane@example.com');
+  });
+
+  test('leaves findings at the end of partial text for later', () => {
+    assert.equal(detector.replace('Mail jane@example.co', { partial: true }).text, 'Mail jane@example.co');
+    assert.equal(detector.replace('Mail jane@example.com now', { partial: true }).text, 'Mail [EMAIL] now');
+
+    assert.equal(detector.safeLength('Sent to [EMAIL_'), 'Sent to '.length);
+    assert.equal(detector.safeLength('Sent to [EMAIL_1]'), 'Sent to [EMAIL_1]'.length);
+  });
+});
+
+describe('PII on the server', () => {
+  let server;
+  let provider;
+  let base;
+  const recipients = [];
+
+  const post = async (body) => {
+    const response = await fetch(`${base}/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    provider = new MockProvider();
+    server = new ChatServer({
+      provider,
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      enableWebSocket: false,
+      guardrails: { logViolations: false, enablePiiFilter: true }
+    });
+    server.registerTool({
+      name: 'send_email',
+      handler: async ({ to }) => {
+        recipients.push(to);
+        return { sent: to };
+      }
+    });
+    await new Promise(resolve => server.start(resolve));
+    base = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  beforeEach(() => {
+    provider.reset();
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  test('sends placeholders to the model and restores them for the client', async () => {
+    provider.enqueue('I will write to [EMAIL_1] about IBAN [IBAN].');
+
+    const { body } = await post({ message: 'Email jane@example.com about GB82 WEST 1234 5698 7654 32' });
+
+    assert.equal(provider.calls[0].messages.at(-1).content, 'Email [EMAIL_1] about [IBAN]');
+    assert.equal(body.message.content, 'I will write to jane@example.com about IBAN [IBAN].');
+
+    // The conversation keeps what the user wrote
+    const { messages } = await server.store.get(body.conversationId);
+    assert.equal(messages[0].content, 'Email jane@example.com about GB82 WEST 1234 5698 7654 32');
+  });
+
+  test('restores placeholders in tool call arguments', async () => {
+    provider.enqueue(
+      { tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'send_email', arguments: '{"to":"[EMAIL_1]"}' } }] },
+      'Sent.'
+    );
+
+    await post({ message: 'Send it to jane@example.com' });
+
+    // The handler gets the real address, the model only sees placeholders
+    assert.deepEqual(recipients, ['jane@example.com']);
+    const toolMessage = provider.calls[1].messages.at(-1);
+    assert.equal(toolMessage.content, '{"sent":"[EMAIL_1]"}');
+    assert.ok(!JSON.stringify(provider.calls).includes('jane@example.com'));
+  });
+
+  test('rejects blocked types without echoing the values', async () => {
+    const { status, body } = await post({ message: 'My card is 4111 1111 1111 1111' });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'PII_DETECTED');
+    assert.deepEqual(body.details, ['creditCard']);
+    assert.ok(!JSON.stringify(body).includes('4111'));
+    assert.equal(provider.calls.length, 0);
+  });
+
+  test('masks PII the model writes itself', async () => {
+    provider.enqueue('Ask support@example.com or [EMAIL_9].');
+
+    const { body } = await post({ message: 'Who do I ask?' });
+    assert.equal(body.message.content, 'Ask [EMAIL] or [EMAIL_9].');
+  });
+});
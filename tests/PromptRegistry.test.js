@@ -0,0 +1,212 @@
+const { describe, test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { ChatServer, MockProvider, PromptRegistry } = require('../src');
+
+const SUPPORT = {
+  name: 'support',
+  template: 'You support {{ product }} customers in {{language}}.',
+  variables: { language: { default: 'English' } }
+};
+
+describe('PromptRegistry', () => {
+  let prompts;
+
+  beforeEach(() => {
+    prompts = new PromptRegistry({ templates: [SUPPORT] });
+  });
+
+  test('registers versions and finds them by reference', () => {
+    prompts.register({ ...SUPPORT, template: 'You help {{product}} customers.' });
+    prompts.register({ ...SUPPORT, version: 5, template: 'v5 for {{product}}' });
+
+    assert.deepEqual(prompts.versions('support').map(t => t.version), [1, 2, 5]);
+    assert.equal(prompts.get('support').version, 5);
+    assert.equal(prompts.get('support@2').template, 'You help {{product}} customers.');
+    assert.equal(prompts.get('support@3'), null);
+    assert.equal(prompts.get('support@latest'), null);
+    assert.deepEqual(PromptRegistry.parseRef('team.support-v2@4'), { name: 'team.support-v2', version: 4 });
+
+    assert.throws(() => prompts.register({ ...SUPPORT, version: 2 }), /support@2 already exists/);
+    assert.throws(() => prompts.register({ name: 'bad name', template: 'x' }), /Invalid prompt template name: bad name/);
+    assert.ok(Object.isFrozen(prompts.get('support')));
+  });
+
+  test('never reuses the version numbers of deleted versions', () => {
+    prompts.register({ ...SUPPORT, template: 'v2 {{product}}' });
+
+    assert.equal(prompts.delete('support@2'), true);
+    assert.equal(prompts.register({ ...SUPPORT, template: 'v3 {{product}}' }).version, 3);
+    assert.throws(() => prompts.register({ ...SUPPORT, version: 2 }), /support@2 was deleted, its version can't be reused/);
+
+    // Not even once the whole template is gone
+    assert.equal(prompts.delete('support'), true);
+    assert.equal(prompts.get('support'), null);
+    assert.equal(prompts.register(SUPPORT).version, 4);
+    assert.equal(prompts.delete('support@9'), false);
+  });
+
+  test('fills in variables with their defaults', () => {
+    const result = prompts.render('support', { product: 'Acme Cloud', language: 'Dutch' });
+    assert.deepEqual(result, {
+      success: true,
+      text: 'You support Acme Cloud customers in Dutch.',
+      template: { name: 'support', version: 1, variables: Object.assign(Object.create(null), { product: 'Acme Cloud', language: 'Dutch' }) }
+    });
+
+    assert.equal(prompts.render('support', { product: 42, language: null }).text, 'You support 42 customers in English.');
+  });
+
+  test('reports missing, unknown and unregistered names', () => {
+    assert.deepEqual(prompts.render('support', { tone: 'warm' }), {
+      success: false,
+      code: 'INVALID_PROMPT_VARIABLES',
+      error: 'product is required',
+      problems: [
+        { variable: 'product', message: 'is required' },
+        { variable: 'tone', message: 'is not a variable of support@1' }
+      ]
+    });
+    assert.deepEqual(prompts.render('support@7'), {
+      success: false,
+      code: 'PROMPT_NOT_FOUND',
+      error: 'Prompt template not found: support@7'
+    });
+  });
+
+  test('only looks up variables the caller and the template own', () => {
+    prompts.register({ name: 'inherited', template: 'A {{constructor}} and {{toString}}.' });
+
+    // Missing variables are not found on Object.prototype
+    const missing = prompts.render('inherited', {});
+    assert.deepEqual(missing.problems, [
+      { variable: 'constructor', message: 'is required' },
+      { variable: 'toString', message: 'is required' }
+    ]);
+    assert.equal(prompts.render('inherited', { constructor: 'builder', toString: 'text' }).text, 'A builder and text.');
+
+    // Nor are unknown ones taken for declared variables
+    assert.equal(prompts.render('support', { product: 'Acme', hasOwnProperty: 'x' }).problems[0].variable, 'hasOwnProperty');
+  });
+
+  describe('loadDirectory', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'prompts-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    test('loads JSON definitions and text templates in name order', async () => {
+      await fs.writeFile(path.join(directory, 'greeter.json'), JSON.stringify([
+        { template: 'Hello {{name}}', variables: { name: { default: 'there' } } },
+        { template: 'Hi {{name}}', variables: { name: { default: 'there' } } }
+      ]));
+      await fs.writeFile(path.join(directory, 'support@3.txt'), 'Support v3');
+      await fs.writeFile(path.join(directory, 'support.md'), 'Support v1');
+      await fs.writeFile(path.join(directory, 'notes.yaml'), 'ignored: true');
+
+      const loaded = new PromptRegistry({ directory });
+
+      assert.deepEqual(loaded.list().map(t => `${t.name}@${t.version}`), ['greeter@2', 'support@3']);
+      // 'support.md' sorts before 'support@3.txt', so it became version 1
+      assert.equal(loaded.get('support@1').template, 'Support v1');
+      assert.equal(loaded.render('greeter@1').text, 'Hello there');
+
+      await fs.writeFile(path.join(directory, 'broken.json'), '{');
+      assert.throws(() => new PromptRegistry({ directory }), /Invalid prompt template file broken\.json/);
+    });
+  });
+});
+
+describe('prompt templates on the server', () => {
+  let server;
+  let provider;
+  let base;
+
+  const call = async (method, route, body, key = 'admin-key') => {
+    const response = await fetch(`${base}${route}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': key },
+      ...(body && { body: JSON.stringify(body) })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    provider = new MockProvider();
+    server = new ChatServer({
+      provider,
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      enableWebSocket: false,
+      prompts: { templates: [SUPPORT] },
+      auth: {
+        apiKeys: [
+          { key: 'user-key', name: 'user', tenantId: 'acme', userId: 'jane' },
+          { key: 'admin-key', name: 'admin', tenantId: 'acme', userId: 'ops', admin: true }
+        ]
+      }
+    });
+    await new Promise(resolve => server.start(resolve));
+    base = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  test('only admins change templates, anyone reads them', async () => {
+    const denied = await call('PUT', '/prompts/support', { template: 'Hacked' }, 'user-key');
+    assert.deepEqual([denied.status, denied.body.code], [403, 'FORBIDDEN']);
+
+    const added = await call('PUT', '/prompts/support', { template: 'You help {{product}} users.' });
+    assert.equal(added.body.prompt.version, 2);
+
+    const { body } = await call('GET', '/prompts/support', null, 'user-key');
+    assert.deepEqual(body.versions.map(v => v.version), [1, 2]);
+    assert.equal(body.prompt.version, 2);
+
+    const missing = await call('PUT', '/prompts/unknown', { template: 'x' });
+    assert.deepEqual([missing.status, missing.body.code], [404, 'PROMPT_NOT_FOUND']);
+  });
+
+  test('conversations record their version and keep it once deleted', async () => {
+    const created = await call('POST', '/conversation', { template: 'support@1', variables: { product: 'Acme Cloud' } }, 'user-key');
+    assert.deepEqual(created.body.template, {
+      name: 'support',
+      version: 1,
+      variables: { product: 'Acme Cloud', language: 'English' }
+    });
+
+    const deleted = await call('DELETE', '/prompts/support/versions/1');
+    assert.equal(deleted.status, 200);
+    assert.equal((await call('GET', '/prompts/support/versions/1')).status, 404);
+
+    await call('POST', '/chat', { conversationId: created.body.conversationId, message: 'Hi' }, 'user-key');
+    assert.equal(provider.calls.at(-1).messages[0].content, 'You support Acme Cloud customers in English.');
+
+    // The next version gets a new number
+    const next = await call('POST', '/prompts', { name: 'support', template: 'v3 for {{product}}' });
+    assert.equal(next.body.prompt.version, 3);
+  });
+
+  test('rejects bad template requests', async () => {
+    const variables = await call('POST', '/conversation', { template: 'support', variables: { constructor: 'x' } }, 'user-key');
+    assert.deepEqual([variables.status, variables.body.code], [400, 'INVALID_PROMPT_VARIABLES']);
+    assert.deepEqual(variables.body.details.map(p => p.variable), ['product', 'constructor']);
+
+    const both = await call('POST', '/conversation', { template: 'support', systemPrompt: 'Hi' }, 'user-key');
+    assert.deepEqual(both.body.details, [{ location: 'body', path: 'systemPrompt', message: 'cannot be used with template' }]);
+
+    const missing = await call('POST', '/conversation', { template: 'nope' }, 'user-key');
+    assert.deepEqual([missing.status, missing.body.code], [404, 'PROMPT_NOT_FOUND']);
+  });
+});
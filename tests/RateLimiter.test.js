@@ -0,0 +1,221 @@
+const { describe, test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatServer, MockProvider } = require('../src');
+const { RateLimiter, MemoryRateLimitStore } = require('../src/ratelimit');
+const { ALGORITHMS } = require('../src/ratelimit/algorithms');
+
+const context = (keyId, ip = '10.0.0.1') => ({ ip, principal: { keyId } });
+
+// Whether each of `count` checks in a row is allowed
+async function checks(rateLimiter, count, ctx = context('a')) {
+  const allowed = [];
+  for (let i = 0; i < count; i++) {
+    allowed.push((await rateLimiter.check(ctx)).allowed);
+  }
+  return allowed;
+}
+
+describe('RateLimiter', () => {
+  let now;
+
+  const limiter = rules => new RateLimiter({ store: new MemoryRateLimitStore(), rules });
+
+  beforeEach(() => {
+    now = 1700000000000;
+    mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('a request denied by a later rule is not charged to earlier ones', async () => {
+    for (const algorithm of ['sliding-window', 'token-bucket']) {
+      const rateLimiter = limiter([
+        { scope: 'ip', algorithm, limit: 3, window: 60000 },
+        { scope: 'key', algorithm, limit: 1, window: 60000 }
+      ]);
+
+      assert.equal((await rateLimiter.check(context('a'))).allowed, true);
+      for (let i = 0; i < 5; i++) {
+        const denied = await rateLimiter.check(context('a'));
+        assert.equal(denied.allowed, false, algorithm);
+        assert.equal(denied.rule, 'key-requests');
+      }
+
+      // Only the allowed request counts against the address
+      const other = await rateLimiter.check(context('b'));
+      assert.equal(other.allowed, true, algorithm);
+      assert.equal(other.results[0].remaining, 1, algorithm);
+    }
+  });
+
+  test('a refund keeps counters within their bounds', async () => {
+    const rule = RateLimiter.normalizeRule({ limit: 2, window: 1000 });
+
+    // The charge was made in the previous window, which the refund no longer touches
+    const sliding = ALGORITHMS['sliding-window'].step({ index: 0, current: 1, previous: 0 }, rule, -1, 1500, true);
+    assert.deepEqual(sliding.state, { index: 1, current: 0, previous: 1 });
+
+    const bucket = ALGORITHMS['token-bucket'].step({ tokens: 1.5, updatedAt: 0 }, rule, -1, 500, true);
+    assert.deepEqual(bucket.state, { tokens: 2, updatedAt: 500 });
+  });
+
+  test('token bucket allows a burst, then refills at the steady rate', async () => {
+    const rateLimiter = limiter([{ scope: 'ip', algorithm: 'token-bucket', limit: 2, window: 1000, burst: 4 }]);
+
+    assert.deepEqual(await checks(rateLimiter, 4), [true, true, true, true]);
+    const denied = await rateLimiter.check(context('a'));
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.code, 'RATE_LIMIT_EXCEEDED');
+    assert.equal(denied.results[0].retryAfterMs, 500);
+
+    now += 499;
+    assert.deepEqual(await checks(rateLimiter, 1), [false]);
+    now += 1;
+    assert.deepEqual(await checks(rateLimiter, 2), [true, false]);
+
+    // A long pause refills up to the burst, not beyond
+    now += 60000;
+    assert.deepEqual(await checks(rateLimiter, 5), [true, true, true, true, false]);
+  });
+
+  test('sliding window weighs the previous window by its overlap', async () => {
+    const rateLimiter = limiter([{ scope: 'ip', limit: 4, window: 1000 }]);
+
+    assert.deepEqual(await checks(rateLimiter, 5), [true, true, true, true, false]);
+    const denied = await rateLimiter.check(context('a'));
+    assert.equal(denied.results[0].remaining, 0);
+    assert.equal(denied.results[0].retryAfterMs, 1250);
+
+    // 750 ms later three of the four earlier requests still count
+    now += 1249;
+    assert.deepEqual(await checks(rateLimiter, 1), [false]);
+    now += 1;
+    assert.deepEqual(await checks(rateLimiter, 2), [true, false]);
+
+    // Halfway into the next window, the request allowed above counts half
+    now += 1250;
+    assert.deepEqual(await checks(rateLimiter, 4), [true, true, true, false]);
+  });
+
+  test('rules only count against the scope they name', async () => {
+    const rateLimiter = limiter([
+      { scope: 'key', limit: 1, window: 60000 },
+      { scope: 'conversation', limit: 5, window: 60000 }
+    ]);
+
+    assert.deepEqual(await checks(rateLimiter, 2, context('a')), [true, false]);
+    assert.deepEqual(await checks(rateLimiter, 1, context('b')), [true]);
+
+    // Anonymous callers skip key rules
+    const anonymous = { ip: '10.0.0.1', principal: {}, conversationId: 'c1' };
+    const check = await rateLimiter.check(anonymous);
+    assert.deepEqual(check.results.map(r => r.rule.name), ['conversation-requests']);
+  });
+
+  test('recordTokens charges token rules after the fact', async () => {
+    const rateLimiter = limiter([
+      { scope: 'ip', limit: 10, window: 60000 },
+      { scope: 'key', type: 'tokens', limit: 100, window: 60000 }
+    ]);
+
+    // Checks only look at the token budget
+    assert.deepEqual(await checks(rateLimiter, 3), [true, true, true]);
+    const before = await rateLimiter.check(context('a'));
+    assert.equal(before.results[1].remaining, 100);
+
+    // The real usage is charged even past the limit
+    await rateLimiter.recordTokens(context('a'), 150);
+    const denied = await rateLimiter.check(context('a'));
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.rule, 'key-tokens');
+    assert.equal(denied.reason, 'Token rate limit exceeded. Please wait before sending more messages.');
+
+    // The request rules are left alone, and other keys keep their budget
+    assert.equal((await rateLimiter.check(context('b'))).allowed, true);
+
+    // A window later the overdraft still weighs in, two windows later it is gone
+    now += 60000;
+    assert.equal((await rateLimiter.check(context('a'))).allowed, false);
+    now += 60000;
+    assert.equal((await rateLimiter.check(context('a'))).allowed, true);
+  });
+
+  test('headers describe the rule closest to its limit', async () => {
+    const rateLimiter = limiter([
+      { scope: 'ip', limit: 10, window: 60000 },
+      { scope: 'key', algorithm: 'token-bucket', limit: 2, window: 1000 }
+    ]);
+
+    const allowed = await rateLimiter.check(context('a'));
+    assert.deepEqual(rateLimiter.headers(allowed), {
+      'RateLimit-Limit': '2',
+      'RateLimit-Remaining': '1',
+      'RateLimit-Reset': '1',
+      'RateLimit-Policy': '10;w=60, 2;w=1'
+    });
+
+    await rateLimiter.check(context('a'));
+    const denied = await rateLimiter.check(context('a'));
+    assert.equal(rateLimiter.headers(denied)['Retry-After'], '1');
+    assert.equal(rateLimiter.headers(denied)['RateLimit-Remaining'], '0');
+  });
+});
+
+describe('rate limited server', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    server = new ChatServer({
+      provider: new MockProvider(),
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      enableWebSocket: false,
+      guardrails: { logViolations: false },
+      rateLimit: { rules: [{ scope: 'ip', algorithm: 'token-bucket', limit: 2, window: 60000 }] }
+    });
+    await new Promise(resolve => server.start(resolve));
+    base = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  const post = (path, body) => fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  test('answers 429 with RateLimit-* and Retry-After headers', async () => {
+    const first = await post('/chat/simple', { message: 'Hi' });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+    assert.equal(first.headers.get('ratelimit-policy'), '2;w=60');
+    assert.equal(first.headers.get('retry-after'), null);
+
+    assert.equal((await post('/chat/simple', { message: 'Hi' })).status, 200);
+
+    const limited = await post('/chat/simple', { message: 'Hi' });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+    assert.equal(limited.headers.get('retry-after'), '30');
+    const body = await limited.json();
+    assert.equal(body.code, 'RATE_LIMIT_EXCEEDED');
+    assert.equal(body.scope, 'ip');
+    assert.equal(body.retryAfter, 30);
+
+    // OpenAI-compatible routes report it in their own format
+    const v1 = await post('/v1/chat/completions', { messages: [{ role: 'user', content: 'Hi' }] });
+    assert.equal(v1.status, 429);
+    assert.equal(v1.headers.get('retry-after'), '30');
+    const { error } = await v1.json();
+    assert.equal(error.type, 'rate_limit_error');
+    assert.equal(error.code, 'rate_limit_exceeded');
+  });
+});
@@ -0,0 +1,246 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const net = require('net');
+const { RedisRateLimitStore, MemoryRateLimitStore, RateLimiter } = require('../src/ratelimit');
+const { ALGORITHMS } = require('../src/ratelimit/algorithms');
+
+/**
+ * In-process stand-in for a Redis server: speaks RESP2 and knows the
+ * commands the rate limit store sends. Scripts are recognized by their
+ * text and run with the JavaScript version of their algorithm, replying
+ * the way the Lua scripts do.
+ */
+function createRedisStandIn({ password = null, fragment = false } = {}) {
+  const keys = new Map();
+  const scripts = new Map();
+  const commands = [];
+  const sockets = new Set();
+
+  const encode = (value) => {
+    if (value instanceof Error) return `-${value.message}\r\n`;
+    if (value === null) return '$-1\r\n';
+    if (typeof value === 'number') return `:${value}\r\n`;
+    if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  };
+
+  // Parse one command (an array of bulk strings), null if incomplete
+  const parse = (buffer) => {
+    let offset = 0;
+    const line = () => {
+      const end = buffer.indexOf('\r\n', offset);
+      if (end === -1) return null;
+      const text = buffer.toString('utf8', offset, end);
+      offset = end + 2;
+      return text;
+    };
+
+    const header = line();
+    if (header === null) return null;
+    const args = [];
+    for (let i = 0; i < Number(header.slice(1)); i++) {
+      const length = line();
+      if (length === null || buffer.length < offset + Number(length.slice(1)) + 2) return null;
+      args.push(buffer.toString('utf8', offset, offset + Number(length.slice(1))));
+      offset += Number(length.slice(1)) + 2;
+    }
+    return { args, offset };
+  };
+
+  const runScript = (name, key, argv) => {
+    const state = keys.get(key) || null;
+
+    if (name === 'token-bucket') {
+      const [capacity, limit, window, cost, now, force] = argv;
+      const rule = { burst: Number(capacity), limit: Number(limit), window: Number(window) };
+      const step = ALGORITHMS[name].step(state, rule, Number(cost), Number(now), force === '1');
+      keys.set(key, step.state);
+      return [step.allowed ? 1 : 0, String(step.state.tokens), String(step.state.updatedAt)];
+    }
+
+    const [limit, window, cost, now, force] = argv;
+    const rule = { limit: Number(limit), window: Number(window) };
+    const step = ALGORITHMS[name].step(state, rule, Number(cost), Number(now), force === '1');
+    keys.set(key, step.state);
+    return [step.allowed ? 1 : 0, String(step.state.index), String(step.state.current), String(step.state.previous)];
+  };
+
+  const handle = (connection, [command, ...args]) => {
+    const name = command.toUpperCase();
+    commands.push(name);
+
+    if (name === 'AUTH') {
+      connection.authenticated = args[args.length - 1] === password;
+      return connection.authenticated ? 'OK' : new Error('WRONGPASS invalid username-password pair');
+    }
+    if (!connection.authenticated) {
+      return new Error('NOAUTH Authentication required.');
+    }
+
+    switch (name) {
+      case 'SELECT':
+        connection.db = Number(args[0]);
+        return 'OK';
+      case 'EVAL': {
+        const [script, , key, ...argv] = args;
+        const sha = crypto.createHash('sha1').update(script).digest('hex');
+        scripts.set(sha, script.includes('capacity') ? 'token-bucket' : 'sliding-window');
+        return runScript(scripts.get(sha), `${connection.db}:${key}`, argv);
+      }
+      case 'EVALSHA': {
+        const [sha, , key, ...argv] = args;
+        if (!scripts.has(sha)) return new Error('NOSCRIPT No matching script. Please use EVAL.');
+        return runScript(scripts.get(sha), `${connection.db}:${key}`, argv);
+      }
+      case 'DEL':
+        return keys.delete(`${connection.db}:${args[0]}`) ? 1 : 0;
+      case 'QUIT':
+        return 'OK';
+      default:
+        return new Error(`ERR unknown command '${command}'`);
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    const connection = { authenticated: !password, db: 0 };
+    let buffer = Buffer.alloc(0);
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+
+      let parsed;
+      while ((parsed = parse(buffer))) {
+        buffer = buffer.subarray(parsed.offset);
+        const reply = Buffer.from(encode(handle(connection, parsed.args)));
+
+        if (fragment) {
+          // One byte per write, so replies arrive in pieces
+          for (const byte of reply) socket.write(Buffer.from([byte]));
+        } else {
+          socket.write(reply);
+        }
+      }
+    });
+  });
+
+  return {
+    commands,
+    keys,
+    dropConnections: () => sockets.forEach(socket => socket.destroy()),
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port))),
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(resolve);
+    })
+  };
+}
+
+describe('RedisRateLimitStore', () => {
+  let standIn;
+  let store;
+  let now;
+
+  const start = async (options = {}, url = null) => {
+    standIn = createRedisStandIn(options);
+    const port = await standIn.listen();
+    store = new RedisRateLimitStore({ url: url ? url(port) : `redis://127.0.0.1:${port}` });
+  };
+
+  beforeEach(() => {
+    now = 1700000000000;
+    mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    if (store) await store.close();
+    if (standIn) await standIn.close();
+    store = null;
+    standIn = null;
+  });
+
+  test('loads a script with EVAL after NOSCRIPT, then runs it by hash', async () => {
+    await start();
+    const rule = RateLimiter.normalizeRule({ limit: 5, window: 60000 });
+
+    await store.consume('a', rule, 1);
+    await store.consume('a', rule, 1);
+
+    assert.deepEqual(standIn.commands, ['EVALSHA', 'EVAL', 'EVALSHA']);
+  });
+
+  for (const algorithm of ['sliding-window', 'token-bucket']) {
+    test(`matches the memory store (${algorithm})`, async () => {
+      await start();
+      const memory = new MemoryRateLimitStore();
+      const rule = RateLimiter.normalizeRule({ algorithm, limit: 3, window: 1000 });
+
+      // Requests, a token check, a forced charge over the limit, and time passing
+      const steps = [
+        [1], [1], [0], [1], [1], [2, 'force'], [1, null, 400], [1, null, 700], [2, null, 1000], [1]
+      ];
+
+      for (const [cost, force, wait = 0] of steps) {
+        now += wait;
+        const options = { force: force === 'force' };
+        const expected = await memory.consume('key', rule, cost, options);
+        const actual = await store.consume('key', rule, cost, options);
+        assert.deepEqual(actual, expected, `cost ${cost} at +${now - 1700000000000}ms`);
+      }
+    });
+  }
+
+  test('authenticates and selects the database from the URL', async () => {
+    await start({ password: 's3cret' }, port => `redis://:s3cret@127.0.0.1:${port}/2`);
+    const rule = RateLimiter.normalizeRule({ limit: 1, window: 60000 });
+
+    assert.equal((await store.consume('a', rule, 1)).allowed, true);
+    assert.deepEqual(standIn.commands.slice(0, 2), ['AUTH', 'SELECT']);
+    assert.ok(standIn.keys.has('2:a'));
+  });
+
+  test('rejects when authentication fails', async () => {
+    await start({ password: 's3cret' }, port => `redis://:wrong@127.0.0.1:${port}`);
+    const rule = RateLimiter.normalizeRule({ limit: 1, window: 60000 });
+
+    await assert.rejects(store.consume('a', rule, 1), /WRONGPASS|closed/);
+  });
+
+  test('parses replies that arrive in pieces, in pipeline order', async () => {
+    await start({ fragment: true });
+    const rule = RateLimiter.normalizeRule({ limit: 5, window: 60000 });
+
+    // The first call loads the script, the rest are pipelined behind it
+    await store.consume('a', rule, 1);
+    const results = await Promise.all(Array.from({ length: 9 }, () => store.consume('a', rule, 1)));
+
+    assert.deepEqual(results.map(r => r.allowed), [true, true, true, true, false, false, false, false, false]);
+    assert.deepEqual(results.map(r => r.remaining), [3, 2, 1, 0, 0, 0, 0, 0, 0]);
+  });
+
+  test('reconnects after the connection drops', async () => {
+    await start();
+    const rule = RateLimiter.normalizeRule({ limit: 5, window: 60000 });
+
+    await store.consume('a', rule, 1);
+    const closed = new Promise(resolve => store.client.socket.once('close', resolve));
+    standIn.dropConnections();
+    await closed;
+
+    assert.equal((await store.consume('a', rule, 1)).remaining, 3);
+  });
+
+  test('reset deletes the key', async () => {
+    await start();
+    const rule = RateLimiter.normalizeRule({ limit: 1, window: 60000 });
+
+    await store.consume('a', rule, 1);
+    assert.equal((await store.consume('a', rule, 1)).allowed, false);
+
+    await store.reset('a');
+    assert.equal((await store.consume('a', rule, 1)).allowed, true);
+  });
+});
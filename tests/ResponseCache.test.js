@@ -0,0 +1,115 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatServer, MockProvider } = require('../src');
+
+const KEYS = {
+  acme: 'acme-key',
+  acmeOther: 'acme-other-key',
+  globex: 'globex-key'
+};
+
+describe('response cache', () => {
+  let server;
+  let provider;
+  let base;
+
+  const post = async (path, body, { key = KEYS.acme, headers = {} } = {}) => {
+    const response = await fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': key, ...headers },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, cache: response.headers.get('x-cache'), body: await response.json() };
+  };
+
+  before(async () => {
+    let answers = 0;
+    provider = new MockProvider({ respond: () => `Answer ${++answers}` });
+    server = new ChatServer({
+      provider,
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      enableWebSocket: false,
+      guardrails: { logViolations: false },
+      cache: { enabled: true },
+      auth: {
+        apiKeys: [
+          { key: KEYS.acme, tenantId: 'acme', userId: 'backend' },
+          { key: KEYS.acmeOther, tenantId: 'acme', userId: 'reports' },
+          { key: KEYS.globex, tenantId: 'globex', userId: 'backend' }
+        ]
+      }
+    });
+    await new Promise(resolve => server.start(resolve));
+    base = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  beforeEach(async () => {
+    provider.calls = [];
+    await server.cache.store.clear();
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  test('answers a repeated question from the cache', async () => {
+    const first = await post('/chat/simple', { message: 'What are your hours?' });
+    assert.equal(first.cache, 'MISS');
+    assert.equal(first.body.cached, undefined);
+
+    const second = await post('/chat/simple', { message: '  What are   your hours? ' });
+    assert.equal(second.cache, 'HIT');
+    assert.equal(second.body.cached, true);
+    assert.equal(second.body.message.content, first.body.message.content);
+    assert.equal(provider.calls.length, 1);
+
+    // Other settings make another question
+    const warmer = await post('/chat/simple', { message: 'What are your hours?', params: { temperature: 0.1 } });
+    assert.equal(warmer.cache, 'MISS');
+    assert.equal(provider.calls.length, 2);
+  });
+
+  test('Cache-Control skips reading or storing answers', async () => {
+    await post('/chat/simple', { message: 'Hello' });
+
+    const fresh = await post('/chat/simple', { message: 'Hello' }, { headers: { 'Cache-Control': 'no-cache' } });
+    assert.equal(fresh.cache, 'BYPASS');
+    assert.equal(provider.calls.length, 2);
+
+    // no-cache stored its answer for the next request
+    const hit = await post('/chat/simple', { message: 'Hello' });
+    assert.equal(hit.body.message.content, fresh.body.message.content);
+
+    const unstored = await post('/chat/simple', { message: 'Bye' }, { headers: { 'Cache-Control': 'no-store' } });
+    assert.equal(unstored.cache, 'BYPASS');
+    assert.equal((await post('/chat/simple', { message: 'Bye' })).cache, 'MISS');
+  });
+
+  test('answers are not shared between tenants or users', async () => {
+    const question = { message: 'Summarize our account' };
+
+    const acme = await post('/chat/simple', question);
+    const globex = await post('/chat/simple', question, { key: KEYS.globex });
+    const reports = await post('/chat/simple', question, { key: KEYS.acmeOther });
+    assert.deepEqual([acme.cache, globex.cache, reports.cache], ['MISS', 'MISS', 'MISS']);
+    assert.equal(provider.calls.length, 3);
+    assert.notEqual(globex.body.message.content, acme.body.message.content);
+
+    const again = await post('/chat/simple', question, { key: KEYS.globex });
+    assert.equal(again.cache, 'HIT');
+    assert.equal(again.body.message.content, globex.body.message.content);
+  });
+
+  test('conversation replies are cached per owner too', async () => {
+    const ask = key => post('/chat', { message: 'What is new?' }, { key });
+
+    const acme = await ask(KEYS.acme);
+    assert.equal(acme.cache, 'MISS');
+    assert.equal((await ask(KEYS.globex)).cache, 'MISS');
+    assert.equal((await ask(KEYS.acme)).cache, 'HIT');
+    assert.equal(provider.calls.length, 2);
+  });
+});
@@ -0,0 +1,159 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatServer, Guardrails, MockProvider } = require('../src');
+
+const guardrails = (options = {}) => new Guardrails({
+  blockedPatterns: ['forbidden'],
+  streamLookAhead: 10,
+  logViolations: false,
+  ...options
+});
+
+// Push chunks, collecting what the moderator lets through
+function stream(moderator, chunks) {
+  let sent = '';
+  for (const chunk of chunks) {
+    const result = moderator.push(chunk);
+    sent += result.content;
+    if (result.violation) return { sent, violation: result.violation };
+  }
+  return { sent };
+}
+
+const frames = text => text.split('\n\n').filter(Boolean).map(frame => frame.slice('data: '.length));
+
+describe('StreamModerator', () => {
+  test('holds back the newest lookAhead characters until the end', async () => {
+    const moderator = guardrails().createStreamModerator();
+
+    assert.equal(moderator.push('Hello there, ').content, 'Hel');
+    assert.equal(moderator.push('friend').content, 'lo the');
+    assert.equal(moderator.releasedText, 'Hello the');
+
+    const end = await moderator.end();
+    assert.equal(end.content, 're, friend');
+    assert.deepEqual(end.warnings, []);
+    assert.equal(moderator.fullText, 'Hello there, friend');
+  });
+
+  test('terminates before a blocked pattern is sent', async () => {
+    const moderator = guardrails().createStreamModerator();
+
+    const { sent, violation } = stream(moderator, ['This is a lon', 'g reply with forb', 'idden words in it']);
+    assert.equal(violation.code, 'BLOCKED_PATTERN');
+    assert.ok(!sent.includes('forb'));
+    assert.equal(moderator.releasedText, sent);
+
+    // Nothing more comes out once it is stopped
+    assert.equal(moderator.push('more').content, '');
+    assert.equal((await moderator.end()).violation.code, 'BLOCKED_PATTERN');
+  });
+
+  test('redacts blocked patterns and goes on with action redact', async () => {
+    const moderator = guardrails({ streamViolationAction: 'redact' }).createStreamModerator();
+
+    const { sent, violation } = stream(moderator, ['This is a lon', 'g reply with forb', 'idden words in it']);
+    assert.equal(violation, undefined);
+    const end = await moderator.end();
+
+    assert.equal(sent + end.content, 'This is a long reply with [redacted] words in it');
+    assert.deepEqual(moderator.redactions, [{ code: 'BLOCKED_PATTERN', offset: 26, length: 10 }]);
+  });
+
+  test('lets short replies through only at the end', async () => {
+    const moderator = guardrails().createStreamModerator();
+
+    assert.equal(moderator.push('Short.').content, '');
+    assert.equal((await moderator.end()).content, 'Short.');
+
+    const unmoderated = guardrails({ enableOutputModeration: false }).createStreamModerator();
+    assert.equal(unmoderated.push('Short.').content, 'Short.');
+  });
+
+  test('rejects at the end what only the full reply shows', async () => {
+    const moderator = guardrails({ maxResponseLength: 20 }).createStreamModerator();
+
+    const { violation } = stream(moderator, ['Twelve chars', ' and twelve more']);
+    assert.equal(violation.code, 'RESPONSE_TOO_LONG');
+
+    const truncating = guardrails({ maxResponseLength: 20, checkActions: { responseLength: 'sanitize' } }).createStreamModerator();
+    const { sent } = stream(truncating, ['Twelve chars', ' and twelve more']);
+    assert.equal(sent + (await truncating.end()).content, 'Twelve chars and twe');
+  });
+});
+
+describe('moderated streams on the server', () => {
+  let server;
+  let provider;
+  let base;
+
+  const post = async (path, body) => {
+    const response = await fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ stream: true, ...body })
+    });
+    return response.text();
+  };
+
+  before(async () => {
+    provider = new MockProvider({ chunkSize: 5 });
+    server = new ChatServer({
+      provider,
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      enableWebSocket: false,
+      guardrails: { logViolations: false, blockedPatterns: ['forbidden'], streamLookAhead: 16 }
+    });
+    await new Promise(resolve => server.start(resolve));
+    base = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  beforeEach(() => {
+    provider.reset();
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  test('SSE replies stop before blocked text and are not saved', async () => {
+    provider.enqueue('Here is a long enough reply to release some text before the forbidden part arrives.');
+
+    const events = frames(await post('/chat', { message: 'Tell me' })).map(frame => JSON.parse(frame));
+    const sent = events.filter(e => e.content).map(e => e.content).join('');
+    assert.ok(sent.length > 0);
+    assert.ok(!sent.includes('forb'));
+
+    const moderation = events.find(e => e.type === 'moderation');
+    assert.deepEqual([moderation.action, moderation.code], ['terminate', 'BLOCKED_PATTERN']);
+    const done = events.at(-1);
+    assert.deepEqual([done.done, done.blocked, done.code], [true, true, 'BLOCKED_PATTERN']);
+
+    const { messages } = await server.store.get(done.conversationId);
+    assert.deepEqual(messages.map(m => m.role), ['user']);
+  });
+
+  test('/v1 streams send the held-back tail before finish_reason', async () => {
+    for (const content of ['Tiny reply.', 'A reply longer than the look-ahead, released in several chunks.']) {
+      provider.enqueue(content);
+
+      const chunks = frames(await post('/v1/chat/completions', { messages: [{ role: 'user', content: 'Hi' }] }));
+      assert.equal(chunks.pop(), '[DONE]');
+
+      const parsed = chunks.map(chunk => JSON.parse(chunk));
+      const finish = parsed.findIndex(c => c.choices[0]?.finish_reason);
+      assert.equal(finish, parsed.length - 1);
+      assert.equal(parsed[finish].choices[0].finish_reason, 'stop');
+      assert.equal(parsed.map(c => c.choices[0]?.delta.content || '').join(''), content);
+    }
+
+    provider.enqueue('Here is a long enough reply to release some text before the forbidden part arrives.');
+    const blocked = frames(await post('/v1/chat/completions', { messages: [{ role: 'user', content: 'Hi' }] }));
+    const last = JSON.parse(blocked.at(-2));
+    assert.equal(last.choices[0].finish_reason, 'content_filter');
+    assert.ok(!blocked.join('').includes('forb'));
+  });
+});
@@ -0,0 +1,171 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatServer, MockProvider, UsageTracker } = require('../src');
+
+const ACME = { tenantId: 'acme', userId: 'backend', keyId: 'acme-backend' };
+const usage = (prompt, completion) => ({ prompt_tokens: prompt, completion_tokens: completion });
+
+describe('UsageTracker', () => {
+  test('records usage with its owner and cost', () => {
+    const tracker = new UsageTracker({ prices: { custom: { prompt: 1, completion: 2 } } });
+
+    const record = tracker.record({
+      principal: ACME,
+      conversationId: 'conv-1',
+      model: 'llama-3.3-70b-versatile',
+      provider: 'groq',
+      usage: usage(1000000, 1000000)
+    });
+    assert.equal(record.tenantId, 'acme');
+    assert.equal(record.keyId, 'acme-backend');
+    assert.equal(record.totalTokens, 2000000);
+    assert.equal(record.cost, 0.59 + 0.79);
+    assert.equal(record.estimated, false);
+
+    assert.equal(tracker.estimateCost('custom', 500000, 250000), 1);
+    assert.equal(tracker.estimateCost('unknown-model', 1000, 1000), 0);
+  });
+
+  test('summarizes usage per model, conversation and key', () => {
+    const tracker = new UsageTracker();
+    tracker.record({ principal: ACME, conversationId: 'a', model: 'm1', usage: usage(10, 5) });
+    tracker.record({ principal: ACME, conversationId: 'b', model: 'm2', usage: usage(20, 5), estimated: true });
+    tracker.record({ principal: { keyId: 'other' }, conversationId: 'a', model: 'm1', usage: usage(1, 1) });
+
+    const summary = tracker.summarize();
+    assert.deepEqual(summary.totals, { requests: 3, promptTokens: 31, completionTokens: 11, totalTokens: 42, cost: 0 });
+    assert.equal(summary.byModel.m1.totalTokens, 17);
+    assert.equal(summary.byConversation.a.requests, 2);
+    assert.deepEqual(Object.keys(summary.byKey), ['acme-backend', 'other']);
+
+    assert.equal(tracker.summarize({ tenantId: 'acme', model: 'm1' }).totals.totalTokens, 15);
+    assert.equal(tracker.query({ conversationId: 'b' })[0].estimated, true);
+  });
+
+  test('filters by date, a bare end date covering the whole day', () => {
+    const tracker = new UsageTracker();
+    const today = new Date().toISOString().slice(0, 10);
+    tracker.record({ model: 'm', usage: usage(1, 1) });
+
+    assert.equal(tracker.query({ from: today, to: today }).length, 1);
+    assert.equal(tracker.query({ to: '2020-01-01' }).length, 0);
+    assert.throws(() => tracker.query({ from: 'last week' }), /Invalid date: last week/);
+  });
+
+  test('drops records past the retention period', () => {
+    const tracker = new UsageTracker({ retentionDays: 1 });
+    tracker.record({ usage: usage(1, 1) }).timestamp = '2020-01-01T00:00:00.000Z';
+    tracker.record({ usage: usage(1, 1) });
+
+    assert.equal(tracker.records.length, 1);
+    assert.notEqual(tracker.records[0].timestamp, '2020-01-01T00:00:00.000Z');
+  });
+
+  test('enforces daily and monthly quotas per key or per tenant', () => {
+    const tracker = new UsageTracker({ quotas: { daily: 100, monthly: 150 } });
+
+    assert.deepEqual(tracker.checkQuota(ACME), { allowed: true });
+    tracker.record({ principal: ACME, usage: usage(60, 40) });
+
+    const denied = tracker.checkQuota(ACME);
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.code, 'QUOTA_EXCEEDED');
+    assert.equal(denied.reason, 'Daily token quota exceeded');
+    assert.equal(denied.quota.resetAt, `${new Date(Date.now() + 86400000).toISOString().slice(0, 10)}T00:00:00.000Z`);
+
+    const [daily, monthly] = tracker.getQuotas(ACME);
+    assert.deepEqual([daily.period, daily.used, daily.remaining], ['daily', 100, 0]);
+    assert.deepEqual([monthly.period, monthly.used, monthly.remaining], ['monthly', 100, 50]);
+
+    // Other keys of the tenant have their own quota, and a key can bring its own limits
+    assert.equal(tracker.checkQuota({ ...ACME, keyId: 'acme-reports' }).allowed, true);
+    assert.equal(tracker.checkQuota({ ...ACME, quota: { daily: 1000 } }).allowed, true);
+
+    const perTenant = new UsageTracker({ quotas: { daily: 100 }, quotaScope: 'tenant' });
+    perTenant.record({ principal: ACME, usage: usage(60, 40) });
+    assert.equal(perTenant.checkQuota({ ...ACME, keyId: 'acme-reports' }).allowed, false);
+    assert.equal(perTenant.subject({ keyId: 'k' }), 'key:k');
+    assert.equal(new UsageTracker().getQuotas(ACME).length, 0);
+  });
+});
+
+describe('usage on the server', () => {
+  let server;
+  let provider;
+  let base;
+
+  const call = async (method, path, key, body) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': key },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  before(async () => {
+    provider = new MockProvider({ respond: () => ({ content: 'Answer', usage: usage(30, 20) }) });
+    server = new ChatServer({
+      provider,
+      model: 'llama-3.1-8b-instant',
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      enableWebSocket: false,
+      guardrails: { logViolations: false },
+      auth: {
+        apiKeys: [
+          { key: 'acme-key', name: 'acme', tenantId: 'acme', userId: 'backend', quota: { daily: 100 } },
+          { key: 'globex-key', name: 'globex', tenantId: 'globex', userId: 'backend' }
+        ]
+      }
+    });
+    await new Promise(resolve => server.start(resolve));
+    base = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  test('reports the caller usage and quota', async () => {
+    const { body: { conversationId } } = await call('POST', '/chat', 'acme-key', { message: 'Hi' });
+    await call('POST', '/chat/simple', 'globex-key', { message: 'Hi' });
+
+    const { body } = await call('GET', '/usage', 'acme-key');
+    assert.equal(body.success, true);
+    assert.equal(body.totals.requests, 1);
+    assert.equal(body.totals.totalTokens, 50);
+    assert.equal(body.totals.cost, (30 * 0.05 + 20 * 0.08) / 1e6);
+    assert.deepEqual(Object.keys(body.byConversation), [conversationId]);
+    assert.deepEqual(Object.keys(body.byKey), ['acme']);
+    assert.deepEqual(body.quotas.map(q => [q.period, q.limit, q.used]), [['daily', 100, 50]]);
+
+    const empty = await call('GET', `/usage?from=${new Date(Date.now() + 60000).toISOString()}`, 'acme-key');
+    assert.equal(empty.body.totals.requests, 0);
+
+    const invalid = await call('GET', '/usage?to=someday', 'acme-key');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'VALIDATION_ERROR');
+  });
+
+  test('rejects requests once the quota is used up', async () => {
+    await call('POST', '/chat/simple', 'acme-key', { message: 'Hi' });
+    const calls = provider.calls.length;
+
+    const denied = await call('POST', '/chat/simple', 'acme-key', { message: 'Hi' });
+    assert.equal(denied.status, 429);
+    assert.equal(denied.body.code, 'QUOTA_EXCEEDED');
+    assert.equal(denied.body.quota.period, 'daily');
+    assert.ok(Number(denied.headers.get('retry-after')) > 0);
+
+    const v1 = await call('POST', '/v1/chat/completions', 'acme-key', { messages: [{ role: 'user', content: 'Hi' }] });
+    assert.equal(v1.status, 429);
+    assert.equal(v1.body.error.type, 'insufficient_quota');
+    assert.equal(provider.calls.length, calls);
+
+    // Other keys are not affected
+    assert.equal((await call('POST', '/chat/simple', 'globex-key', { message: 'Hi' })).status, 200);
+  });
+});
@@ -0,0 +1,176 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatServer, ERROR_CODES, MockProvider, validate } = require('../src');
+const { coerceQuery, schemas } = require('../src/api');
+
+// Every `$ref` anywhere in a document
+function refs(value, found = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach(item => refs(item, found));
+  } else if (value && typeof value === 'object') {
+    if (typeof value.$ref === 'string') found.add(value.$ref);
+    Object.values(value).forEach(item => refs(item, found));
+  }
+  return found;
+}
+
+describe('validate', () => {
+  const schema = {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      tags: { type: 'array', maxItems: 2, items: { enum: ['a', 'b'] } },
+      limit: { type: 'integer', minimum: 1 },
+      stop: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+      params: { $ref: '#/components/schemas/ModelParams' }
+    }
+  };
+
+  test('lists every problem with its path', () => {
+    const problems = validate(schema, {
+      name: '',
+      tags: ['a', 'c', 'b'],
+      limit: 1.5,
+      stop: 3,
+      params: { temperature: 3, seed: 'x' },
+      extra: true
+    }, { schemas });
+
+    assert.deepEqual(problems, [
+      { path: 'name', message: 'must not be empty' },
+      { path: 'tags', message: 'must have at most 2 items' },
+      { path: 'tags[1]', message: 'must be one of: "a", "b"' },
+      { path: 'limit', message: 'must be an integer' },
+      { path: 'stop', message: 'must be a string or an array' },
+      { path: 'params.temperature', message: 'must be at most 2' },
+      { path: 'params.seed', message: 'must be an integer' },
+      { path: 'extra', message: 'is not allowed' }
+    ]);
+    assert.deepEqual(validate(schema, {}, { path: 'body' }), [{ path: 'body.name', message: 'is required' }]);
+    assert.deepEqual(validate(schema, { name: 'x', stop: ['END'] }, { schemas }), []);
+  });
+
+  test('converts query strings to the declared types', () => {
+    const query = { limit: '5', stream: 'true', name: '7', bad: 'x' };
+    coerceQuery({
+      properties: { limit: { type: 'integer' }, stream: { type: 'boolean' }, name: { type: 'string' }, bad: { type: 'number' } }
+    }, query);
+
+    assert.deepEqual(query, { limit: 5, stream: true, name: '7', bad: 'x' });
+  });
+});
+
+describe('API errors and OpenAPI document', () => {
+  let server;
+  let base;
+  const headers = { 'Content-Type': 'application/json', 'X-API-Key': 'acme-key-123' };
+
+  const request = async (path, init = {}) => {
+    const response = await fetch(`${base}${path}`, { headers, ...init });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    server = new ChatServer({
+      provider: new MockProvider(),
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      enableWebSocket: false,
+      openapi: { info: { title: 'Support API' } },
+      auth: { apiKeys: ['acme-key-123'], publicPaths: ['/health', '/openapi.json'] }
+    });
+    server.route('get', '/orders', {
+      summary: 'Orders',
+      query: { type: 'object', properties: { limit: { type: 'integer', minimum: 1 } } }
+    }, (req, res) => res.json({ limit: req.query.limit }));
+    await new Promise(resolve => server.start(resolve));
+    base = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  test('rejects invalid bodies with VALIDATION_ERROR and the problems', async () => {
+    const { status, body } = await request('/chat', {
+      method: 'POST',
+      body: JSON.stringify({ message: '', params: { temperature: 3 }, requestId: 'has spaces' })
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body, {
+      success: false,
+      error: 'message must not be empty',
+      code: 'VALIDATION_ERROR',
+      details: [
+        { location: 'body', path: 'message', message: 'must not be empty' },
+        { location: 'body', path: 'params.temperature', message: 'must be at most 2' },
+        { location: 'body', path: 'requestId', message: 'must match ^[\\x21-\\x7e]{1,128}$' }
+      ],
+      requestId: body.requestId
+    });
+    // The envelope matches the schema it is documented with
+    assert.deepEqual(validate(schemas.Error, body, { schemas }), []);
+  });
+
+  test('answers every failure in the same envelope', async () => {
+    const invalidJson = await request('/chat', { method: 'POST', body: '{"message":' });
+    assert.deepEqual([invalidJson.status, invalidJson.body.code], [400, 'INVALID_JSON']);
+
+    const query = await request('/orders?limit=0');
+    assert.deepEqual(query.body.details, [{ location: 'query', path: 'limit', message: 'must be at least 1' }]);
+    assert.deepEqual(await request('/orders?limit=3'), { status: 200, body: { limit: 3 } });
+
+    const missing = await request('/nowhere');
+    assert.deepEqual([missing.status, missing.body.code, missing.body.error], [404, 'NOT_FOUND', 'Cannot GET /nowhere']);
+
+    const anonymous = await request('/chat', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+    assert.deepEqual([anonymous.status, anonymous.body.code], [401, 'AUTH_REQUIRED']);
+  });
+
+  test('describes every route, with resolvable schemas and known codes', async () => {
+    const { status, body: document } = await request('/openapi.json', { headers: {} });
+
+    assert.equal(status, 200);
+    assert.equal(document.openapi, '3.1.0');
+    assert.equal(document.info.title, 'Support API');
+    assert.deepEqual(Object.keys(document.paths).sort(), [...new Set(server.routes.map(r => r.path.replace(/:(\w+)/g, '{$1}')))].sort());
+
+    for (const ref of refs(document)) {
+      assert.ok(document.components.schemas[ref.replace('#/components/schemas/', '')], ref);
+    }
+    for (const operation of Object.values(document.paths).flatMap(Object.values)) {
+      for (const [code, response] of Object.entries(operation.responses)) {
+        if (code === '200') continue;
+        for (const name of response.description.split(', ')) {
+          assert.equal(ERROR_CODES[name].status, Number(code), name);
+        }
+      }
+    }
+  });
+
+  test('documents parameters, security and the codes of each route', async () => {
+    const { body: document } = await request('/openapi.json', { headers: {} });
+
+    const chat = document.paths['/chat'].post;
+    assert.deepEqual(chat.requestBody.content['application/json'].schema, { $ref: '#/components/schemas/ChatRequest' });
+    assert.ok(chat.responses['200'].content['text/event-stream']);
+    assert.match(chat.responses['400'].description, /\bVALIDATION_ERROR\b.*\bINVALID_JSON\b/);
+    assert.match(chat.responses['401'].description, /AUTH_REQUIRED/);
+
+    assert.deepEqual(document.paths['/conversation/{id}'].get.parameters, [
+      { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+    ]);
+    assert.deepEqual(document.paths['/orders'].get.parameters.map(p => [p.name, p.in]), [['limit', 'query']]);
+
+    // Public paths opt out of the document-wide security
+    assert.deepEqual(document.security, [{ apiKey: [] }, { bearer: [] }]);
+    assert.deepEqual(document.paths['/health'].get.security, []);
+    assert.equal(document.paths['/chat'].post.security, undefined);
+    assert.equal(document.paths['/health'].get.responses['401'], undefined);
+  });
+});
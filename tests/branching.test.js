@@ -0,0 +1,180 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { ChatServer, MockProvider } = require('../src');
+
+/**
+ * Mock provider numbering its answers, so regenerated replies differ
+ */
+function createProvider() {
+  let answers = 0;
+  return new MockProvider({
+    respond: (params) => `Answer ${++answers} to ${params.messages[params.messages.length - 1].content}`
+  });
+}
+
+async function startServer(options = {}) {
+  const server = new ChatServer({
+    provider: createProvider(),
+    port: 0,
+    host: '127.0.0.1',
+    logger: false,
+    rateLimit: false,
+    enableWebSocket: false,
+    guardrails: { logViolations: false },
+    ...options
+  });
+  await new Promise(resolve => server.start(resolve));
+  return { server, base: `http://127.0.0.1:${server.server.address().port}` };
+}
+
+const request = async (base, method, path, body) => {
+  const response = await fetch(`${base}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+describe('conversation branching', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    ({ server, base } = await startServer());
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  const post = (path, body) => request(base, 'POST', path, body);
+  const get = path => request(base, 'GET', path);
+
+  test('regenerate answers again on a new branch and keeps the original', async () => {
+    const first = await post('/chat', { message: 'Hi' });
+    const { conversationId, messageId } = first.body;
+
+    const regenerated = await post(`/conversation/${conversationId}/messages/${messageId}/regenerate`, {});
+    assert.equal(regenerated.status, 200);
+    assert.notEqual(regenerated.body.branchId, 'main');
+    assert.notEqual(regenerated.body.message.content, first.body.message.content);
+    assert.match(regenerated.body.message.content, /to Hi$/);
+
+    const { body: { activeBranch, branches } } = await get(`/conversation/${conversationId}/branches`);
+    assert.equal(activeBranch, regenerated.body.branchId);
+    assert.deepEqual(branches.map(b => [b.id, b.active, b.messageCount]), [
+      ['main', false, 2],
+      [regenerated.body.branchId, true, 2]
+    ]);
+
+    const { body: { conversation } } = await get(`/conversation/${conversationId}`);
+    assert.deepEqual(conversation.messages.map(m => m.content), ['Hi', regenerated.body.message.content]);
+
+    const switched = await post(`/conversation/${conversationId}/branches/main/switch`, {});
+    assert.equal(switched.status, 200);
+    assert.deepEqual(switched.body.conversation.messages.map(m => m.content), ['Hi', first.body.message.content]);
+  });
+
+  test('edit replaces a user message on a new branch and answers it', async () => {
+    const first = await post('/chat', { message: 'What is 2 + 2?' });
+    const { conversationId } = first.body;
+    await post('/chat', { conversationId, message: 'And 3 + 3?' });
+
+    const { body: { conversation } } = await get(`/conversation/${conversationId}`);
+    const [question] = conversation.messages;
+
+    const edited = await post(`/conversation/${conversationId}/messages/${question.id}/edit`, { message: 'What is 2 + 3?' });
+    assert.equal(edited.status, 200);
+    assert.match(edited.body.message.content, /to What is 2 \+ 3\?$/);
+
+    const { body: { conversation: forked } } = await get(`/conversation/${conversationId}`);
+    assert.deepEqual(forked.messages.map(m => [m.role, m.content]), [
+      ['user', 'What is 2 + 3?'],
+      ['assistant', edited.body.message.content]
+    ]);
+    assert.equal(forked.branches.main.messages.length, 4);
+  });
+
+  test('only user messages can be edited', async () => {
+    const { body: { conversationId, messageId } } = await post('/chat', { message: 'Hi' });
+
+    const edited = await post(`/conversation/${conversationId}/messages/${messageId}/edit`, { message: 'Changed' });
+    assert.equal(edited.status, 400);
+    assert.equal(edited.body.code, 'INVALID_MESSAGE');
+  });
+});
+
+describe('branching requests for an invalid message', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    ({ server, base } = await startServer({
+      enableWebSocket: true,
+      rateLimit: { rules: [{ scope: 'ip', limit: 2, window: 60000 }] }
+    }));
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  // Open a WebSocket session; next(type) resolves with the next event of that type
+  const connect = () => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${base.replace('http', 'ws')}/ws`);
+    const events = [];
+    const waiting = [];
+    ws.on('message', (data) => {
+      events.push(JSON.parse(data));
+      waiting.splice(0).forEach(check => check());
+    });
+    const next = type => new Promise((done) => {
+      const check = () => {
+        const index = events.findIndex(e => e.type === type);
+        if (index === -1) return waiting.push(check);
+        done(events.splice(index, 1)[0]);
+      };
+      check();
+    });
+    ws.on('error', reject);
+    next('connected').then(() => resolve({ ws, next }));
+  });
+
+  test('are rejected before they count against rate limits', async () => {
+    const { body: { conversationId, messageId } } = await request(base, 'POST', '/chat', { message: 'Hi' });
+    const { body: { conversation } } = await request(base, 'GET', `/conversation/${conversationId}`);
+    const path = id => `/conversation/${conversationId}/messages/${id}`;
+
+    for (let i = 0; i < 3; i++) {
+      const missing = await request(base, 'POST', `${path('missing')}/regenerate`, {});
+      assert.equal(missing.status, 404);
+      assert.equal(missing.body.code, 'MESSAGE_NOT_FOUND');
+
+      const reply = await request(base, 'POST', `${path(messageId)}/edit`, { message: 'Changed' });
+      assert.equal(reply.status, 400);
+      assert.equal(reply.body.code, 'INVALID_MESSAGE');
+    }
+
+    const { ws, next } = await connect();
+    try {
+      ws.send(JSON.stringify({ type: 'regenerate', messageId: 'missing' }));
+      assert.equal((await next('error')).code, 'MESSAGE_NOT_FOUND');
+      ws.send(JSON.stringify({ type: 'edit', messageId: 'missing', message: 'Changed' }));
+      assert.equal((await next('error')).code, 'MESSAGE_NOT_FOUND');
+    } finally {
+      ws.close();
+    }
+
+    assert.equal(server.chatClient.getProvider().calls.length, 1);
+    assert.equal(server.usage.records.length, 1);
+
+    // The first request used one of the two allowed, so a valid one still passes
+    const regenerated = await request(base, 'POST', `${path(conversation.messages[0].id)}/regenerate`, {});
+    assert.equal(regenerated.status, 200);
+
+    const limited = await request(base, 'POST', `${path(regenerated.body.messageId)}/regenerate`, {});
+    assert.equal(limited.status, 429);
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventListeners } = require('events');
+const { ChatServer, ChatClient, MockProvider } = require('../src');
+
+const REPLY = 'The quick brown fox jumps over the lazy dog. '.repeat(4);
+
+// Wait until check() returns something truthy
+async function waitFor(check, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  let value;
+  while (!(value = await check())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return value;
+}
+
+// Parse the data frames of an SSE body
+const events = text => text.split('\n\n').filter(Boolean).map(frame => frame.slice('data: '.length));
+
+describe('cancellation', () => {
+  let server;
+  let provider;
+  let base;
+
+  const post = (path, body, signal) => fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  before(async () => {
+    provider = new MockProvider({ chunkSize: 5 });
+    server = new ChatServer({
+      provider,
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      enableWebSocket: false,
+      guardrails: { logViolations: false }
+    });
+    await new Promise(resolve => server.start(resolve));
+    base = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  test('POST /chat/:requestId/cancel stops a stream and saves the partial reply', async () => {
+    provider.reset().enqueue({ content: REPLY, chunkDelay: 20 });
+
+    const response = await post('/chat', { message: 'Tell me a story', stream: true, requestId: 'story-1' });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    // Text past the moderation look-ahead reaches the client before the cancel
+    let text = '';
+    while (!text.includes('"content"')) {
+      text += decoder.decode((await reader.read()).value);
+    }
+
+    const cancel = await post('/chat/story-1/cancel', {});
+    assert.equal(cancel.status, 200);
+    assert.deepEqual(await cancel.json(), { success: true, requestId: 'story-1', message: 'Generation cancelled' });
+
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      text += decoder.decode(chunk.value);
+    }
+    const frames = events(text).map(frame => JSON.parse(frame));
+    const last = frames[frames.length - 1];
+    assert.equal(last.done, true);
+    assert.equal(last.cancelled, true);
+    assert.equal(last.requestId, 'story-1');
+
+    const streamed = frames.filter(e => e.content).map(e => e.content).join('');
+    assert.ok(streamed.length < REPLY.length);
+
+    const { conversation: { messages } } = await (await fetch(`${base}/conversation/${last.conversationId}`)).json();
+    const reply = messages.find(m => m.role === 'assistant');
+    assert.equal(reply.cancelled, true);
+    assert.equal(reply.content, streamed);
+
+    // The generation is gone once it ended
+    const again = await post('/chat/story-1/cancel', {});
+    assert.equal(again.status, 404);
+    assert.equal((await again.json()).code, 'GENERATION_NOT_FOUND');
+  });
+
+  test('a client leaving a non-streamed /v1/chat/completions call is still billed', async () => {
+    provider.reset().enqueue({ content: 'Too late', delay: 5000 });
+    const before = server.usage.records.length;
+
+    const controller = new AbortController();
+    const request = post('/v1/chat/completions', { messages: [{ role: 'user', content: 'Hello there' }] }, controller.signal);
+    await waitFor(() => provider.calls.length === 1);
+    controller.abort();
+    await assert.rejects(request, { name: 'AbortError' });
+
+    const records = await waitFor(() => server.usage.records.length > before && server.usage.records.slice(before));
+    assert.equal(records.length, 1);
+    assert.equal(records[0].estimated, true);
+    assert.ok(records[0].promptTokens > 0);
+    assert.equal(records[0].completionTokens, 0);
+  });
+
+  test('ChatClient returns a cancelled result for an aborted call', async () => {
+    const client = new ChatClient({ provider: new MockProvider({ responses: [{ content: REPLY, chunkDelay: 10 }] }), model: 'mock-model' });
+    const controller = new AbortController();
+
+    let streamed = '';
+    const result = await client.streamChat([{ role: 'user', content: 'Hi' }], (chunk) => {
+      if (chunk.content) streamed += chunk.content;
+      if (streamed.length >= 16) controller.abort();
+    }, { signal: controller.signal });
+
+    assert.equal(result.success, false);
+    assert.equal(result.cancelled, true);
+    assert.equal(result.message.content, streamed);
+  });
+
+  test('ChatClient leaves no listeners on the signal after retries', async () => {
+    const busy = { error: { status: 503, message: 'Busy' } };
+    const client = new ChatClient({
+      provider: new MockProvider({ responses: [busy, busy, 'Finally'] }),
+      model: 'mock-model',
+      retry: { maxRetries: 2, baseDelay: 1 }
+    });
+    const controller = new AbortController();
+
+    const result = await client.chat([{ role: 'user', content: 'Hi' }], { signal: controller.signal });
+
+    assert.equal(result.success, true);
+    assert.equal(result.attempts, 3);
+    assert.deepEqual(getEventListeners(controller.signal, 'abort'), []);
+  });
+});
@@ -0,0 +1,141 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatServer, MockProvider } = require('../src');
+
+const MODELS = ['model-a', 'model-b', 'model-c'];
+const REQUESTS = 24;
+
+// Settings of the i-th parallel request
+const settings = i => ({
+  systemPrompt: `You are assistant number ${i}.`,
+  params: { model: MODELS[i % MODELS.length], temperature: (i % 10) / 10, maxTokens: 100 + i, seed: i }
+});
+
+/**
+ * Mock provider answering with the system prompt and user message it got.
+ * Later requests answer sooner, so calls overlap and finish out of order.
+ */
+function createProvider() {
+  return new MockProvider({
+    chunkSize: 5,
+    respond: (params) => {
+      const system = params.messages.find(m => m.role === 'system').content;
+      const user = params.messages[params.messages.length - 1].content;
+      const i = Number(user.match(/\d+/)[0]);
+      return { content: `${system} / ${user}`, delay: (REQUESTS - i) * 2 };
+    }
+  });
+}
+
+// Index of the request a provider call belongs to
+const requestIndex = call => Number(call.messages[call.messages.length - 1].content.match(/\d+/)[0]);
+
+// Settings of the shared client that no request may change
+const clientSettings = ({ model, temperature, maxTokens, systemPrompt, defaultProvider }) => (
+  { model, temperature, maxTokens, systemPrompt, defaultProvider }
+);
+
+describe('concurrent requests', () => {
+  let server;
+  let provider;
+  let base;
+  let initial;
+
+  const post = async (path, body) => {
+    const response = await fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, text: await response.text() };
+  };
+
+  before(async () => {
+    provider = createProvider();
+    server = new ChatServer({
+      provider,
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      enableWebSocket: false,
+      models: MODELS,
+      guardrails: { logViolations: false }
+    });
+    await new Promise(resolve => server.start(resolve));
+    base = `http://127.0.0.1:${server.server.address().port}`;
+    initial = clientSettings(server.chatClient);
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  test('/chat/simple calls see only their own system prompt and parameters', async () => {
+    provider.reset();
+
+    const responses = await Promise.all(Array.from({ length: REQUESTS }, (_, i) => post('/chat/simple', {
+      message: `Question ${i}`,
+      ...settings(i)
+    })));
+
+    responses.forEach(({ status, text }, i) => {
+      assert.equal(status, 200);
+      assert.equal(JSON.parse(text).message.content, `${settings(i).systemPrompt} / Question ${i}`);
+    });
+
+    assert.equal(provider.calls.length, REQUESTS);
+    for (const call of provider.calls) {
+      const i = requestIndex(call);
+      const { systemPrompt, params } = settings(i);
+
+      assert.deepEqual(call.messages.filter(m => m.role === 'system'), [{ role: 'system', content: systemPrompt }]);
+      assert.equal(call.model, params.model);
+      assert.equal(call.temperature, params.temperature);
+      assert.equal(call.max_tokens, params.maxTokens);
+      assert.equal(call.seed, params.seed);
+    }
+
+    assert.deepEqual(clientSettings(server.chatClient), initial);
+  });
+
+  test('streamed conversation replies see only their conversation settings', async () => {
+    provider.reset();
+
+    const conversations = await Promise.all(Array.from({ length: REQUESTS }, async (_, i) => {
+      const { text } = await post('/conversation', settings(i));
+      return JSON.parse(text).conversationId;
+    }));
+
+    const streams = await Promise.all(conversations.map((conversationId, i) => post('/chat', {
+      conversationId,
+      message: `Question ${i}`,
+      stream: true
+    })));
+
+    streams.forEach(({ status, text }, i) => {
+      assert.equal(status, 200);
+      const events = text.split('\n\n').filter(Boolean).map(frame => JSON.parse(frame.slice('data: '.length)));
+      const content = events.filter(e => e.content).map(e => e.content).join('');
+      assert.equal(content, `${settings(i).systemPrompt} / Question ${i}`);
+    });
+
+    for (const call of provider.calls) {
+      const { systemPrompt, params } = settings(requestIndex(call));
+      assert.equal(call.messages[0].content, systemPrompt);
+      assert.equal(call.model, params.model);
+      assert.equal(call.temperature, params.temperature);
+      assert.equal(call.max_tokens, params.maxTokens);
+      assert.equal(call.seed, params.seed);
+    }
+
+    const stored = await Promise.all(conversations.map(id => server.store.get(id)));
+    stored.forEach((conversation, i) => {
+      const reply = conversation.messages.find(m => m.role === 'assistant');
+      assert.equal(reply.content, `${settings(i).systemPrompt} / Question ${i}`);
+      assert.equal(reply.params.model, settings(i).params.model);
+    });
+
+    assert.deepEqual(clientSettings(server.chatClient), initial);
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatServer, MockProvider } = require('../src');
+
+const USAGE = { prompt_tokens: 9, completion_tokens: 4, total_tokens: 13 };
+
+describe('OpenAI-compatible routes', () => {
+  let server;
+  let provider;
+  let base;
+
+  const post = async (body) => {
+    const response = await fetch(`${base}/v1/chat/completions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, type: response.headers.get('content-type'), text: await response.text() };
+  };
+
+  before(async () => {
+    provider = new MockProvider({ chunkSize: 4 });
+    server = new ChatServer({
+      provider,
+      model: 'mock-model',
+      models: ['mock-model', 'mock-large'],
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      enableWebSocket: false,
+      guardrails: { logViolations: false, blockedPatterns: ['forbidden'] }
+    });
+    await new Promise(resolve => server.start(resolve));
+    base = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  beforeEach(() => {
+    provider.reset();
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  test('GET /v1/models lists the allowed models', async () => {
+    const body = await (await fetch(`${base}/v1/models`)).json();
+
+    assert.equal(body.object, 'list');
+    assert.deepEqual(body.data.map(m => [m.id, m.object, m.owned_by]), [
+      ['mock-model', 'model', 'groq'],
+      ['mock-large', 'model', 'groq']
+    ]);
+  });
+
+  test('answers in the chat.completion format', async () => {
+    provider.enqueue({ content: 'Hello from the mock', usage: USAGE });
+
+    const { status, text } = await post({
+      model: 'mock-large',
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hi' }
+      ]
+    });
+
+    assert.equal(status, 200);
+    const body = JSON.parse(text);
+    assert.equal(body.id, 'mock-1');
+    assert.equal(body.object, 'chat.completion');
+    assert.equal(typeof body.created, 'number');
+    assert.equal(body.model, 'mock-large');
+    assert.deepEqual(body.choices, [{
+      index: 0,
+      message: { role: 'assistant', content: 'Hello from the mock' },
+      finish_reason: 'stop'
+    }]);
+    assert.deepEqual(body.usage, USAGE);
+
+    // The client's history goes to the model as sent
+    assert.deepEqual(provider.calls[0].messages, [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' }
+    ]);
+  });
+
+  test('passes tools through and returns the calls to the client', async () => {
+    const call = { id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"x"}' } };
+    provider.enqueue({ tool_calls: [call] });
+    const tools = [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }];
+
+    const { text } = await post({ messages: [{ role: 'user', content: 'Find x' }], tools, tool_choice: 'auto' });
+
+    const [choice] = JSON.parse(text).choices;
+    assert.deepEqual(choice.message.tool_calls, [call]);
+    assert.equal(choice.finish_reason, 'tool_calls');
+    assert.deepEqual(provider.calls[0].tools, tools);
+  });
+
+  test('streams chat.completion.chunk events ending with [DONE]', async () => {
+    provider.enqueue({ content: 'Streaming works fine, look at all these characters arriving.', usage: USAGE });
+
+    const { status, type, text } = await post({
+      messages: [{ role: 'user', content: 'Stream please' }],
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    assert.equal(status, 200);
+    assert.match(type, /^text\/event-stream/);
+    const frames = text.split('\n\n').filter(Boolean).map(frame => frame.slice('data: '.length));
+    assert.equal(frames.at(-1), '[DONE]');
+
+    const chunks = frames.slice(0, -1).map(frame => JSON.parse(frame));
+    assert.ok(chunks.every(c => c.object === 'chat.completion.chunk' && c.id === chunks[0].id && c.model === 'mock-model'));
+    assert.deepEqual(chunks[0].choices[0].delta, { role: 'assistant', content: '' });
+
+    const content = chunks.flatMap(c => c.choices).map(c => c.delta.content || '').join('');
+    assert.equal(content, 'Streaming works fine, look at all these characters arriving.');
+
+    const finish = chunks.at(-2);
+    assert.deepEqual(finish.choices, [{ index: 0, delta: {}, finish_reason: 'stop' }]);
+    assert.deepEqual(chunks.at(-1).choices, []);
+    assert.deepEqual(chunks.at(-1).usage, USAGE);
+  });
+
+  test('reports errors in the OpenAI format', async () => {
+    const missing = await post({ model: 'mock-model' });
+    assert.equal(missing.status, 400);
+    const { error } = JSON.parse(missing.text);
+    assert.equal(error.type, 'invalid_request_error');
+    assert.equal(error.code, 'VALIDATION_ERROR');
+    assert.equal(error.param, 'messages');
+
+    const blocked = await post({ messages: [{ role: 'user', content: 'Tell me the forbidden thing' }] });
+    assert.equal(blocked.status, 400);
+    assert.equal(JSON.parse(blocked.text).error.param, 'messages');
+    assert.equal(provider.calls.length, 0);
+
+    provider.enqueue({ error: { status: 400, message: 'Bad upstream request' } });
+    const upstream = await post({ messages: [{ role: 'user', content: 'Hi' }] });
+    assert.equal(upstream.status, 400);
+    assert.equal(JSON.parse(upstream.text).error.type, 'api_error');
+  });
+});
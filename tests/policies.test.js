@@ -0,0 +1,208 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatClient, ChatServer, Guardrails, LlmJudgePolicy, Logger, MockProvider } = require('../src');
+
+const guardrails = (policies, options = {}) => new Guardrails({ logViolations: false, policies, ...options });
+const never = (content, context, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new Error('aborted')));
+});
+const verdict = (value, confidence = 0.9) => JSON.stringify({ verdict: value, category: 'medical', confidence, reason: 'Asks for a dosage' });
+
+describe('policies', () => {
+  test('run sync and async policies and report each violation', async () => {
+    const moderation = guardrails([
+      content => !content.includes('refund'),
+      { name: 'no-prices', severity: 'low', reason: 'Mentions prices', check: async content => !content.includes('$') },
+      { name: 'shape', check: () => ({ passed: false, reason: 'Bad shape', code: 'SHAPE', severity: 'high' }) }
+    ]);
+
+    const result = await moderation.applyPolicies('A $5 refund', 'input');
+    assert.equal(result.passed, false);
+    assert.equal(result.code, 'POLICY_VIOLATION');
+    assert.deepEqual(result.violations, [
+      { policy: 'unnamed', reason: 'Policy check failed', code: 'POLICY_VIOLATION', severity: 'medium', sanitized: false },
+      { policy: 'no-prices', reason: 'Mentions prices', code: 'POLICY_VIOLATION', severity: 'low', sanitized: false },
+      { policy: 'shape', reason: 'Bad shape', code: 'SHAPE', severity: 'high', sanitized: false }
+    ]);
+
+    // The check reports the most severe violation
+    const input = await moderation.moderateInput('A $5 refund');
+    assert.deepEqual([input.allowed, input.code], [false, 'POLICY_VIOLATION']);
+    assert.deepEqual(input.checks.map(c => [c.check, c.severity]), [['policy', 'high']]);
+  });
+
+  test('time out, aborting the policy signal, and fail closed or open', async () => {
+    let signal;
+    const slow = { name: 'slow', timeout: 20, check: (content, context, meta) => { signal = meta.signal; return never(content, context, meta); } };
+
+    const closed = await guardrails([slow]).applyPolicies('Hi');
+    assert.deepEqual(closed.violations.map(v => [v.policy, v.code]), [['slow', 'POLICY_TIMEOUT']]);
+    assert.equal(signal.aborted, true);
+
+    assert.deepEqual(await guardrails([slow], { policyFailMode: 'open' }).applyPolicies('Hi'), { passed: true });
+    assert.deepEqual(await guardrails([{ ...slow, failMode: 'open' }]).applyPolicies('Hi'), { passed: true });
+
+    const broken = await guardrails([() => { throw new Error('Service down'); }]).applyPolicies('Hi');
+    assert.deepEqual(broken.violations.map(v => [v.reason, v.code]), [['Policy error: Service down', 'POLICY_ERROR']]);
+  });
+
+  test('sanitize with the content policies return, one after another', async () => {
+    const replace = (from, to) => async content => (content.includes(from)
+      ? { passed: false, reason: `Contains ${from}`, content: content.replaceAll(from, to) }
+      : { passed: true });
+    const moderation = guardrails([replace('cat', 'dog'), replace('red', 'blue')], { checkActions: { policy: 'sanitize' } });
+
+    const result = await moderation.moderateInput('A red cat');
+    assert.equal(result.allowed, true);
+    assert.equal(result.content, 'A blue dog');
+
+    // A policy without replacement content makes the check reject
+    moderation.addPolicy(content => !content.includes('A'));
+    assert.equal((await moderation.moderateInput('A red cat')).allowed, false);
+  });
+
+  test('streamed windows only run synchronous policies', async () => {
+    const calls = [];
+    const moderation = guardrails([
+      (content, context, meta) => { calls.push(['sync', meta.partial]); return true; },
+      async () => { calls.push(['async']); return false; },
+      { async: true, check: () => { calls.push(['flagged']); return false; } }
+    ]);
+
+    assert.deepEqual(moderation.applyPartialPolicies('Hello', 'output', { partial: true }), { passed: true });
+    assert.deepEqual(calls, [['sync', true]]);
+  });
+});
+
+describe('LlmJudgePolicy', () => {
+  const createJudge = (responses, options = {}) => {
+    const provider = new MockProvider({ responses });
+    const chatClient = new ChatClient({ provider, logger: new Logger({ level: 'error' }) });
+    return { provider, judge: new LlmJudgePolicy({ chatClient, ...options }) };
+  };
+
+  test('blocks confident block verdicts', async () => {
+    const { provider, judge } = createJudge([verdict('block')], { model: 'judge-model', rubric: 'Block dosage advice.' });
+
+    const result = await judge.check('How much ibuprofen can I take?', 'input');
+    assert.equal(result.passed, false);
+    assert.equal(result.code, 'LLM_JUDGE_BLOCKED');
+    assert.equal(result.reason, 'Asks for a dosage');
+    assert.deepEqual(result.verdict, {
+      verdict: 'block', category: 'medical', confidence: 0.9, reason: 'Asks for a dosage', model: 'judge-model'
+    });
+
+    const [call] = provider.calls;
+    assert.equal(call.model, 'judge-model');
+    assert.equal(call.temperature, 0);
+    assert.deepEqual(call.response_format, { type: 'json_object' });
+    assert.match(call.messages[0].content, /Rubric:\nBlock dosage advice\./);
+    assert.match(call.messages[1].content, /<content>\nHow much ibuprofen can I take\?\n<\/content>/);
+  });
+
+  test('passes allow verdicts, unsure blocks and other contexts', async () => {
+    const { provider, judge } = createJudge([verdict('allow'), verdict('block', 0.3)], { contexts: ['input'] });
+
+    assert.equal((await judge.check('Hi', 'input')).passed, true);
+    assert.equal((await judge.check('Hi', 'input')).passed, true);
+    assert.deepEqual(await judge.check('Hi', 'output'), { passed: true });
+    assert.equal(provider.calls.length, 2);
+  });
+
+  test('answers without a verdict are policy errors', async () => {
+    const { judge } = createJudge(['I think it is fine', { error: { status: 400, message: 'Bad request' } }]);
+    const moderation = guardrails([judge]);
+
+    const unreadable = await moderation.applyPolicies('Hi');
+    assert.deepEqual(unreadable.violations.map(v => [v.policy, v.code, v.reason]), [
+      ['llm-judge', 'POLICY_ERROR', 'Policy error: Judge model returned no verdict']
+    ]);
+    const failed = await moderation.applyPolicies('Hi');
+    assert.match(failed.violations[0].reason, /Judge model failed: Bad request/);
+  });
+});
+
+describe('LLM judge on the server', () => {
+  let server;
+  let provider;
+  let base;
+
+  const post = async (body, key = 'acme-key') => {
+    const response = await fetch(`${base}/chat/simple`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': key },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const judgeCalls = () => provider.calls.filter(c => c.temperature === 0);
+
+  before(async () => {
+    provider = new MockProvider({
+      respond: params => (params.temperature === 0
+        ? { content: verdict(params.messages[1].content.includes('dosage') ? 'block' : 'allow'), usage: { prompt_tokens: 40, completion_tokens: 10 } }
+        : { content: 'Sure.', usage: { prompt_tokens: 5, completion_tokens: 5 } })
+    });
+    server = new ChatServer({
+      provider,
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      enableWebSocket: false,
+      guardrails: {
+        logViolations: false,
+        enablePiiFilter: true,
+        llmJudge: { contexts: ['input'], failMode: 'closed' }
+      },
+      auth: {
+        apiKeys: [
+          { key: 'acme-key', name: 'acme', tenantId: 'acme', userId: 'backend' },
+          { key: 'small-key', name: 'small', tenantId: 'acme', userId: 'small', quota: { daily: 50 } }
+        ]
+      }
+    });
+    await new Promise(resolve => server.start(resolve));
+    base = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  beforeEach(() => {
+    provider.calls = [];
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  test('judges input with PII protected and bills the call to the caller', async () => {
+    const allowed = await post({ message: 'Email jane@example.com the schedule' });
+    assert.equal(allowed.status, 200);
+
+    const [judged] = judgeCalls();
+    assert.match(judged.messages[1].content, /Email \[EMAIL_1\] the schedule/);
+
+    const records = server.usage.query({ keyId: 'acme' });
+    assert.deepEqual(records.map(r => r.totalTokens), [50, 10]);
+    const events = server.audit.query({ type: 'model_call', keyId: 'acme' });
+    assert.ok(events.some(e => e.judge === true));
+  });
+
+  test('rejects content the judge blocks before the chat model is called', async () => {
+    const { status, body } = await post({ message: 'What dosage should I take?' });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'POLICY_VIOLATION');
+    assert.equal(body.checks[0].violations[0].code, 'LLM_JUDGE_BLOCKED');
+    assert.equal(provider.calls.length, 1);
+  });
+
+  test('is only asked once rate limits and quota allow the request', async () => {
+    await post({ message: 'Hi' }, 'small-key');
+    provider.calls = [];
+
+    const denied = await post({ message: 'Hi again' }, 'small-key');
+    assert.equal(denied.body.code, 'QUOTA_EXCEEDED');
+    assert.equal(judgeCalls().length, 0);
+  });
+});
@@ -0,0 +1,212 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { getEventListeners } = require('events');
+const { ChatClient, ChatServer, MockProvider } = require('../src');
+const { createProvider, OpenAICompatibleProvider, GroqProvider } = require('../src/providers');
+
+const MESSAGES = [{ role: 'user', content: 'Hi' }];
+
+describe('createProvider', () => {
+  test('builds providers from names and definitions', () => {
+    const mock = new MockProvider();
+    assert.equal(createProvider(mock), mock);
+    assert.ok(createProvider('mock') instanceof MockProvider);
+    assert.ok(createProvider({ type: 'groq', apiKey: 'key' }) instanceof GroqProvider);
+
+    const local = createProvider({ type: 'openai', baseURL: 'http://localhost:11434/v1/' });
+    assert.ok(local instanceof OpenAICompatibleProvider);
+    assert.equal(local.baseURL, 'http://localhost:11434/v1');
+
+    assert.throws(() => createProvider('bedrock'), /Unknown provider type: bedrock/);
+    assert.throws(() => createProvider('openai'), /baseURL is required/);
+    assert.throws(() => createProvider('groq'), /Groq API key is required/);
+  });
+});
+
+describe('MockProvider', () => {
+  test('plays its script, then echoes the last user message', async () => {
+    const provider = new MockProvider({ responses: ['First', { content: 'Second', usage: { prompt_tokens: 3 } }] });
+
+    const first = await provider.complete({ model: 'm', messages: MESSAGES });
+    assert.equal(first.id, 'mock-1');
+    assert.equal(first.choices[0].message.content, 'First');
+    assert.deepEqual(first.usage, { prompt_tokens: 0, completion_tokens: 2, total_tokens: 2 });
+
+    assert.deepEqual((await provider.complete({ model: 'm', messages: MESSAGES })).usage, { prompt_tokens: 3 });
+    const echo = await provider.complete({ model: 'm', messages: MESSAGES });
+    assert.equal(echo.choices[0].message.content, 'Mock response to: Hi');
+    assert.equal(provider.calls.length, 3);
+  });
+
+  test('streams chunks and throws scripted errors', async () => {
+    const provider = new MockProvider({
+      chunkSize: 3,
+      responses: ['Streamed', { error: { status: 503, message: 'Busy', headers: { 'retry-after': '1' } } }]
+    });
+
+    const chunks = [];
+    for await (const chunk of await provider.complete({ model: 'm', messages: MESSAGES, stream: true })) {
+      chunks.push(chunk);
+    }
+    assert.deepEqual(chunks.map(c => c.choices[0].delta.content), ['Str', 'eam', 'ed', undefined]);
+    assert.equal(chunks.at(-1).choices[0].finish_reason, 'stop');
+    assert.equal(chunks.at(-1).usage.completion_tokens, 2);
+
+    await assert.rejects(provider.complete({ model: 'm', messages: MESSAGES }), {
+      message: 'Busy', status: 503, headers: { 'retry-after': '1' }
+    });
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  let upstream;
+  let provider;
+  const requests = [];
+  const replies = [];
+
+  before(async () => {
+    upstream = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', data => { body += data; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        replies.shift()(res);
+      });
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    provider = createProvider({
+      type: 'openai',
+      baseURL: `http://127.0.0.1:${upstream.address().port}/v1`,
+      apiKey: 'local-key',
+      headers: { 'X-Team': 'chat' }
+    });
+  });
+
+  after(async () => {
+    await new Promise(resolve => upstream.close(resolve));
+  });
+
+  test('posts chat completions with its credentials', async () => {
+    replies.push(res => res.end(JSON.stringify({ id: 'cmpl-1', choices: [{ message: { role: 'assistant', content: 'Hi there' } }] })));
+
+    const client = new ChatClient({ provider, model: 'llama3' });
+    const result = await client.chat(MESSAGES);
+
+    assert.equal(result.message.content, 'Hi there');
+    const [request] = requests.splice(0);
+    assert.equal(request.url, '/v1/chat/completions');
+    assert.equal(request.headers.authorization, 'Bearer local-key');
+    assert.equal(request.headers['x-team'], 'chat');
+    assert.equal(request.body.model, 'llama3');
+    assert.equal(request.body.messages.at(-1).content, 'Hi');
+  });
+
+  test('reads server-sent event streams and asks for usage', async () => {
+    const frame = (delta, extra = {}) => `data: ${JSON.stringify({ choices: [{ index: 0, delta, finish_reason: null }], ...extra })}\n\n`;
+    replies.push(res => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(frame({ content: 'Hel' }));
+      res.write(frame({ content: 'lo' }).slice(0, 10));
+      res.write(frame({ content: 'lo' }).slice(10));
+      res.end(`${frame({}, { usage: { prompt_tokens: 5, completion_tokens: 2 } })}data: [DONE]\n\n`);
+    });
+
+    const chunks = [];
+    const result = await new ChatClient({ provider }).streamChat(MESSAGES, chunk => chunks.push(chunk));
+
+    assert.equal(result.message.content, 'Hello');
+    assert.deepEqual(result.usage, { prompt_tokens: 5, completion_tokens: 2 });
+    assert.deepEqual(chunks.filter(c => c.content).map(c => c.content), ['Hel', 'lo']);
+    assert.deepEqual(requests.splice(0)[0].body.stream_options, { include_usage: true });
+  });
+
+  test('turns error responses into retryable errors', async () => {
+    replies.push(res => {
+      res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '0' });
+      res.end(JSON.stringify({ error: { message: 'Slow down', code: 'rate_limited' } }));
+    });
+    replies.push(res => res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: 'OK' } }] })));
+
+    const result = await new ChatClient({ provider }).chat(MESSAGES);
+
+    assert.equal(result.success, true);
+    assert.equal(result.attempts, 2);
+    requests.length = 0;
+
+    replies.push(res => {
+      res.writeHead(401);
+      res.end('nope');
+    });
+    await assert.rejects(provider.complete({ model: 'm', messages: MESSAGES }), { status: 401, message: '401 Unauthorized' });
+    requests.length = 0;
+  });
+});
+
+describe('provider selection', () => {
+  test('uses the provider named by the request', async () => {
+    const main = new MockProvider({ respond: () => 'main' });
+    const local = new MockProvider({ respond: () => 'local' });
+    const client = new ChatClient({ provider: 'main', providers: { main, local } });
+
+    assert.equal((await client.chat(MESSAGES)).message.content, 'main');
+    const result = await client.chat(MESSAGES, { provider: 'local' });
+    assert.equal(result.message.content, 'local');
+    assert.equal(result.provider, 'local');
+
+    const unknown = await client.chat(MESSAGES, { provider: 'nowhere' });
+    assert.equal(unknown.error.code, 'UNKNOWN_PROVIDER');
+    assert.equal(unknown.error.status, 400);
+
+    client.addProvider('later', new MockProvider({ respond: () => 'later' }));
+    assert.equal(client.hasProvider('later'), true);
+    assert.equal((await client.chat(MESSAGES, { provider: 'later' })).message.content, 'later');
+  });
+
+  test('detaches from the caller signal once a call is over', async () => {
+    const client = new ChatClient({ provider: new MockProvider({ chunkSize: 2 }) });
+    const { signal } = new AbortController();
+
+    for (let i = 0; i < 3; i++) {
+      await client.chat(MESSAGES, { signal });
+      await client.streamChat(MESSAGES, () => {}, { signal });
+    }
+
+    assert.equal(getEventListeners(signal, 'abort').length, 0);
+  });
+
+  test('the server rejects unknown providers before calling a model', async () => {
+    const provider = new MockProvider();
+    const server = new ChatServer({
+      provider,
+      providers: { local: new MockProvider({ respond: () => 'From local' }) },
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      enableWebSocket: false,
+      guardrails: { logViolations: false }
+    });
+    await new Promise(resolve => server.start(resolve));
+    const post = async body => {
+      const response = await fetch(`http://127.0.0.1:${server.server.address().port}/chat/simple`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    try {
+      const local = await post({ message: 'Hi', provider: 'local' });
+      assert.equal(local.body.message.content, 'From local');
+
+      const unknown = await post({ message: 'Hi', provider: 'nowhere' });
+      assert.equal(unknown.status, 400);
+      assert.equal(unknown.body.code, 'UNKNOWN_PROVIDER');
+      assert.equal(provider.calls.length, 0);
+    } finally {
+      await new Promise(resolve => server.stop(resolve));
+    }
+  });
+});
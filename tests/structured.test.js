@@ -0,0 +1,181 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatClient, ChatServer, Logger, MockProvider } = require('../src');
+
+const PERSON = {
+  type: 'object',
+  required: ['name', 'age'],
+  properties: {
+    name: { type: 'string' },
+    age: { type: 'integer', minimum: 0 }
+  },
+  additionalProperties: false
+};
+const MESSAGES = [{ role: 'user', content: 'Ann Lee, 34, moved to Lisbon.' }];
+const reply = (content, tokens = 10) => ({ content, usage: { prompt_tokens: tokens, completion_tokens: tokens, total_tokens: 2 * tokens } });
+
+describe('ChatClient.parseStructured', () => {
+  test('parses plain and fenced JSON', () => {
+    assert.deepEqual(ChatClient.parseStructured('{"name":"Ann","age":34}', PERSON), { data: { name: 'Ann', age: 34 }, problems: [] });
+    assert.deepEqual(ChatClient.parseStructured('```json\n{"name":"Ann","age":34}\n```', PERSON).data, { name: 'Ann', age: 34 });
+    assert.deepEqual(ChatClient.parseStructured('  ```\n{"name":"Ann","age":34}```  ', PERSON).problems, []);
+  });
+
+  test('reports text that is not JSON or does not match', () => {
+    const notJson = ChatClient.parseStructured('Sure! {"name": "Ann"}', PERSON);
+    assert.equal(notJson.data, undefined);
+    assert.match(notJson.problems[0].message, /^is not valid JSON \(/);
+
+    assert.deepEqual(ChatClient.parseStructured('{"name":"Ann","age":34.5,"city":"Lisbon"}', PERSON).problems, [
+      { path: 'age', message: 'must be an integer' },
+      { path: 'city', message: 'is not allowed' }
+    ]);
+  });
+});
+
+describe('ChatClient structured replies', () => {
+  const createClient = (responses, options = {}) => {
+    const provider = new MockProvider({ responses });
+    const client = new ChatClient({ provider, systemPrompt: 'You extract people.', logger: new Logger({ level: 'error' }), ...options });
+    return { provider, client };
+  };
+
+  test('asks for JSON mode with the schema in the system prompt', async () => {
+    const { provider, client } = createClient([reply('{"name":"Ann Lee","age":34}')]);
+
+    const result = await client.chat(MESSAGES, { responseSchema: PERSON });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data, { name: 'Ann Lee', age: 34 });
+    assert.equal(result.repairs, 0);
+
+    const [call] = provider.calls;
+    assert.deepEqual(call.response_format, { type: 'json_object' });
+    assert.equal(call.messages[0].content, `You extract people.\n\nReply with only a JSON object matching this JSON Schema:\n${JSON.stringify(PERSON)}`);
+
+    // An existing system message gets the instruction instead
+    await client.chat([{ role: 'system', content: 'Be exact.' }, ...MESSAGES], { responseSchema: PERSON });
+    assert.match(provider.calls[1].messages[0].content, /^Be exact\.\n\nReply with only a JSON object/);
+    assert.equal(provider.calls[1].messages.filter(m => m.role === 'system').length, 1);
+  });
+
+  test('sends the problems back until the reply matches', async () => {
+    const { provider, client } = createClient([reply('Ann is 34.'), reply('{"name":"Ann Lee","age":"34"}'), reply('{"name":"Ann Lee","age":34}')]);
+
+    const result = await client.chat(MESSAGES, { responseSchema: PERSON });
+    assert.equal(result.success, true);
+    assert.equal(result.repairs, 2);
+    assert.deepEqual(result.usage, { prompt_tokens: 30, completion_tokens: 30, total_tokens: 60 });
+
+    const repair = provider.calls[2].messages.slice(-4);
+    assert.deepEqual(repair.map(m => m.role), ['assistant', 'user', 'assistant', 'user']);
+    assert.equal(repair[2].content, '{"name":"Ann Lee","age":"34"}');
+    assert.equal(repair[3].content, 'Your reply does not match the JSON Schema:\n- age must be an integer\nReply again with only the corrected JSON.');
+  });
+
+  test('fails with SCHEMA_REPAIR_FAILED after maxRepairs', async () => {
+    const { provider, client } = createClient(Array(3).fill(reply('{"name":"Ann Lee"}')), { maxRepairs: 1 });
+
+    const result = await client.chat(MESSAGES, { responseSchema: PERSON });
+    assert.equal(result.success, false);
+    assert.equal(provider.calls.length, 2);
+    assert.deepEqual(result.error, {
+      message: 'Reply does not match the response schema after 1 repair',
+      code: 'SCHEMA_REPAIR_FAILED',
+      problems: [{ path: 'age', message: 'is required' }]
+    });
+    assert.equal(result.message.content, '{"name":"Ann Lee"}');
+
+    const none = await client.chat(MESSAGES, { responseSchema: PERSON, maxRepairs: 0 });
+    assert.equal(none.error.message, 'Reply does not match the response schema after 0 repairs');
+  });
+
+  test('returns tool calls and errors without checking them', async () => {
+    const toolCall = { id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{}' } };
+    const { client } = createClient([{ tool_calls: [toolCall] }, { error: { status: 400, message: 'Bad request' } }]);
+
+    const tools = await client.chat(MESSAGES, { responseSchema: PERSON });
+    assert.equal(tools.success, true);
+    assert.deepEqual(tools.message.tool_calls, [toolCall]);
+    assert.equal(tools.data, undefined);
+
+    const failed = await client.chat(MESSAGES, { responseSchema: PERSON });
+    assert.equal(failed.success, false);
+    assert.notEqual(failed.error.code, 'SCHEMA_REPAIR_FAILED');
+  });
+});
+
+describe('structured output on the server', () => {
+  let server;
+  let provider;
+  let base;
+
+  const post = async (path, body) => {
+    const response = await fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    provider = new MockProvider();
+    server = new ChatServer({
+      provider,
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      enableWebSocket: false,
+      maxSchemaRepairs: 1,
+      guardrails: { logViolations: false }
+    });
+    await new Promise(resolve => server.start(resolve));
+    base = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  beforeEach(() => {
+    provider.reset();
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  test('returns the parsed reply and saves only the accepted one', async () => {
+    provider.enqueue(reply('{"name":"Ann Lee"}'), reply('```json\n{"name":"Ann Lee","age":34}\n```'));
+
+    const { status, body } = await post('/chat', { message: 'Ann Lee, 34', responseSchema: PERSON });
+    assert.equal(status, 200);
+    assert.deepEqual(body.data, { name: 'Ann Lee', age: 34 });
+    assert.deepEqual(body.usage, { prompt_tokens: 20, completion_tokens: 20, total_tokens: 40 });
+
+    const { messages } = await server.store.get(body.conversationId);
+    assert.deepEqual(messages.map(m => [m.role, m.content]), [
+      ['user', 'Ann Lee, 34'],
+      ['assistant', '```json\n{"name":"Ann Lee","age":34}\n```']
+    ]);
+
+    provider.enqueue(reply('{"name":"Bo","age":5}'));
+    const simple = await post('/chat/simple', { message: 'Bo, 5', responseSchema: PERSON });
+    assert.deepEqual(simple.body.data, { name: 'Bo', age: 5 });
+  });
+
+  test('answers 502 SCHEMA_REPAIR_FAILED with the problems', async () => {
+    provider.enqueue(reply('{"name":"Ann Lee"}'), reply('{"name":"Ann Lee","age":-1}'));
+
+    const { status, body } = await post('/chat/simple', { message: 'Ann Lee', responseSchema: PERSON });
+    assert.equal(status, 502);
+    assert.equal(body.code, 'SCHEMA_REPAIR_FAILED');
+    assert.deepEqual(body.details, [{ path: 'age', message: 'must be at least 0' }]);
+    assert.equal(provider.calls.length, 2);
+  });
+
+  test('cannot be combined with streaming', async () => {
+    const { status, body } = await post('/chat', { message: 'Hi', stream: true, responseSchema: PERSON });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.details, [{ location: 'body', path: 'responseSchema', message: 'cannot be used with stream' }]);
+    assert.equal(provider.calls.length, 0);
+  });
+});
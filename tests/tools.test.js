@@ -0,0 +1,179 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatServer, MockProvider, ToolRegistry } = require('../src');
+
+const weatherTool = calls => ({
+  name: 'get_weather',
+  description: 'Get the current weather for a city',
+  parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] },
+  handler: async ({ city }, { conversationId }) => {
+    calls.push({ city, conversationId });
+    return { city, temperature: 21 };
+  }
+});
+
+const toolCall = (id, name, args) => ({
+  id,
+  type: 'function',
+  function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args) }
+});
+
+describe('ToolRegistry', () => {
+  test('describes tools in the chat completions format', () => {
+    const registry = new ToolRegistry([weatherTool([])]);
+
+    assert.equal(registry.size, 1);
+    assert.deepEqual(registry.definitions(), [{
+      type: 'function',
+      function: {
+        name: 'get_weather',
+        description: 'Get the current weather for a city',
+        parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] }
+      }
+    }]);
+
+    assert.throws(() => registry.register({ handler: () => {} }), /Tool name is required/);
+    assert.throws(() => registry.register({ name: 'broken' }), /must have a handler function/);
+    assert.equal(registry.unregister('get_weather'), true);
+    assert.deepEqual(registry.definitions(), []);
+  });
+
+  test('runs handlers and turns failures into results for the model', async () => {
+    const calls = [];
+    const registry = new ToolRegistry([
+      weatherTool(calls),
+      { name: 'echo', handler: async ({ text }) => text },
+      { name: 'fail', handler: async () => { throw new Error('Service down'); } }
+    ]);
+
+    const weather = await registry.execute(toolCall('c1', 'get_weather', { city: 'Paris' }), { conversationId: 'conv' });
+    assert.deepEqual(weather, { content: '{"city":"Paris","temperature":21}', result: { city: 'Paris', temperature: 21 } });
+    assert.deepEqual(calls, [{ city: 'Paris', conversationId: 'conv' }]);
+
+    assert.equal((await registry.execute(toolCall('c2', 'echo', { text: 'as is' }))).content, 'as is');
+
+    assert.deepEqual(await registry.execute(toolCall('c3', 'fail', {})), {
+      content: '{"error":"Service down"}',
+      error: 'Service down'
+    });
+    assert.equal((await registry.execute(toolCall('c4', 'missing', {}))).error, 'Unknown tool: missing');
+    assert.match((await registry.execute(toolCall('c5', 'echo', '{not json'))).error, /^Invalid arguments for tool "echo"/);
+  });
+});
+
+describe('tool-call loop', () => {
+  let server;
+  let provider;
+  let handlerCalls;
+  let base;
+
+  const post = async (body) => {
+    const response = await fetch(`${base}/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, text: await response.text() };
+  };
+
+  before(async () => {
+    provider = new MockProvider();
+    handlerCalls = [];
+    server = new ChatServer({
+      provider,
+      port: 0,
+      host: '127.0.0.1',
+      logger: false,
+      rateLimit: false,
+      enableWebSocket: false,
+      guardrails: { logViolations: false },
+      maxToolIterations: 2
+    });
+    server.registerTool(weatherTool(handlerCalls));
+    await new Promise(resolve => server.start(resolve));
+    base = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  beforeEach(() => {
+    provider.reset();
+    handlerCalls.length = 0;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.stop(resolve));
+  });
+
+  test('runs the tools the model asks for and feeds the results back', async () => {
+    provider.enqueue(
+      { tool_calls: [toolCall('call_1', 'get_weather', { city: 'Paris' })] },
+      'It is 21 degrees in Paris.'
+    );
+
+    const { status, text } = await post({ message: 'Weather in Paris?' });
+    assert.equal(status, 200);
+    const body = JSON.parse(text);
+    assert.equal(body.message.content, 'It is 21 degrees in Paris.');
+    assert.deepEqual(handlerCalls, [{ city: 'Paris', conversationId: body.conversationId }]);
+
+    assert.equal(provider.calls.length, 2);
+    assert.deepEqual(provider.calls[0].tools.map(t => t.function.name), ['get_weather']);
+    assert.equal(provider.calls[0].tool_choice, 'auto');
+    assert.deepEqual(provider.calls[1].messages.slice(-2).map(m => m.role), ['assistant', 'tool']);
+    assert.deepEqual(provider.calls[1].messages.at(-1), {
+      role: 'tool',
+      tool_call_id: 'call_1',
+      name: 'get_weather',
+      content: '{"city":"Paris","temperature":21}'
+    });
+
+    // The tool turns are part of the history
+    const { messages } = await server.store.get(body.conversationId);
+    assert.deepEqual(messages.map(m => m.role), ['user', 'assistant', 'tool', 'assistant']);
+    assert.deepEqual(messages[1].tool_calls, [toolCall('call_1', 'get_weather', { city: 'Paris' })]);
+    assert.equal(messages[2].tool_call_id, 'call_1');
+  });
+
+  test('forces a plain answer after maxToolIterations rounds', async () => {
+    let round = 0;
+    provider.respond = params => (params.tool_choice === 'none'
+      ? 'Giving up on tools.'
+      : { tool_calls: [toolCall(`call_${++round}`, 'get_weather', { city: `City ${round}` })] });
+
+    try {
+      const { status, text } = await post({ message: 'Weather everywhere?' });
+      assert.equal(status, 200);
+      assert.equal(JSON.parse(text).message.content, 'Giving up on tools.');
+    } finally {
+      provider.respond = null;
+    }
+
+    assert.deepEqual(provider.calls.map(c => c.tool_choice), ['auto', 'auto', 'none']);
+    assert.equal(handlerCalls.length, 2);
+  });
+
+  test('streams tool_call and tool_result events', async () => {
+    provider.enqueue(
+      { tool_calls: [toolCall('call_1', 'get_weather', { city: 'Oslo' }), toolCall('call_2', 'get_time', {})] },
+      'Done.'
+    );
+
+    const { text } = await post({ message: 'Weather and time in Oslo?', stream: true });
+    const events = text.split('\n\n').filter(Boolean).map(frame => JSON.parse(frame.slice('data: '.length)));
+    const toolEvents = events.filter(e => e.type === 'tool_call' || e.type === 'tool_result');
+
+    assert.deepEqual(toolEvents, [
+      { type: 'tool_call', id: 'call_1', name: 'get_weather', arguments: '{"city":"Oslo"}' },
+      { type: 'tool_result', id: 'call_1', name: 'get_weather', result: '{"city":"Oslo","temperature":21}' },
+      { type: 'tool_call', id: 'call_2', name: 'get_time', arguments: '{}' },
+      {
+        type: 'tool_result',
+        id: 'call_2',
+        name: 'get_time',
+        result: '{"error":"Unknown tool: get_time"}',
+        error: 'Unknown tool: get_time'
+      }
+    ]);
+    assert.equal(events.at(-1).done, true);
+    assert.equal(events.filter(e => e.content).map(e => e.content).join(''), 'Done.');
+  });
+});